@@ -2,15 +2,17 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title MockBridgedTUT
  * @notice Mock TUT token for Base L2 testnet (simulates bridged TUT)
- * @dev For production, use actual bridged token from Superbridge/Base Bridge
+ * @dev For production, use actual bridged token from Superbridge/Base Bridge.
+ *      Implements ERC-2612 permit like TUTTokenSmartV2, for gasless checkout.
  */
-contract MockBridgedTUT is ERC20, Ownable {
-    constructor() ERC20("Bridged TUT Token", "TUT") Ownable(msg.sender) {
+contract MockBridgedTUT is ERC20, ERC20Permit, Ownable {
+    constructor() ERC20("Bridged TUT Token", "TUT") ERC20Permit("Bridged TUT Token") Ownable(msg.sender) {
         // Mint 10M TUT for testing
         _mint(msg.sender, 10_000_000 * 10**18);
     }
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev Minimal smart wallet for local testing only
+ * @notice DO NOT USE IN PRODUCTION
+ *
+ * Accepts any hash signed by its owner key (ERC-1271), so gasless payments
+ * can be tested with a contract payer.
+ */
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && signer == owner) return IERC1271.isValidSignature.selector;
+        return 0xffffffff;
+    }
+
+    function approve(IERC20 token, address spender, uint256 amount) external {
+        require(msg.sender == owner, "not owner");
+        token.approve(spender, amount);
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../worldid/IWorldID.sol";
+
+/**
+ * @title MockWorldID
+ * @dev Stand-in for the World ID router for local testing only
+ * @notice DO NOT USE IN PRODUCTION - it checks no zero-knowledge proof
+ *
+ * A proof is accepted when proof[0] commits to the public inputs:
+ *   proof[0] == uint256(keccak256(abi.encode(root, groupId, signalHash, nullifierHash, externalNullifierHash)))
+ * so offline tests can produce valid proofs for any wallet (see mockProof)
+ * and still exercise the invalid-proof path.
+ */
+contract MockWorldID is IWorldID {
+    error InvalidProof();
+
+    function verifyProof(
+        uint256 root,
+        uint256 groupId,
+        uint256 signalHash,
+        uint256 nullifierHash,
+        uint256 externalNullifierHash,
+        uint256[8] calldata proof
+    ) external pure override {
+        if (proof[0] != mockProof(root, groupId, signalHash, nullifierHash, externalNullifierHash)) {
+            revert InvalidProof();
+        }
+    }
+
+    function mockProof(
+        uint256 root,
+        uint256 groupId,
+        uint256 signalHash,
+        uint256 nullifierHash,
+        uint256 externalNullifierHash
+    ) public pure returns (uint256) {
+        return uint256(keccak256(abi.encode(root, groupId, signalHash, nullifierHash, externalNullifierHash)));
+    }
+}
@@ -6,7 +6,8 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 
 interface IMerchantRegistry {
@@ -48,7 +49,6 @@ interface IMerchantRegistry {
  */
 contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
     using SafeERC20 for IERC20;
-    using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
 
     /* ========== ROLES ========== */
@@ -83,6 +83,15 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
         uint256 day;
     }
 
+    /// @dev ERC-2612 permit signed by the payer for this contract
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     /* ========== STATE VARIABLES ========== */
     IERC20 public uTUT;
     IERC20 public TUT;
@@ -98,6 +107,7 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
     uint256 public gaslessLimit = 100 * 1e6;  // 100 uTUT daily limit for gasless
     uint256 public minPayment = 1e5;          // 0.1 uTUT minimum
     uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant TUT_LIMIT_SCALE = 1e12;  // 18-decimal TUT -> 6-decimal limit units
     
     // Domain separator for EIP-712
     bytes32 public DOMAIN_SEPARATOR;
@@ -154,6 +164,7 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
     error NotMerchantOwner();
     error RefundExceedsRemaining();
     error AlreadyFullyRefunded();
+    error PermitFailed(bytes reason);
 
     /* ========== CONSTRUCTOR ========== */
     constructor(
@@ -217,7 +228,7 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
      * @param orderId Order reference
      * @param memo Payment memo
      * @param deadline Signature expiry timestamp
-     * @param signature EIP-712 signature from payer
+     * @param signature EIP-712 signature from payer (EOA, or ERC-1271 smart wallet)
      */
     function payWithSignature(
         address payer,
@@ -229,11 +240,56 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
         uint256 deadline,
         bytes calldata signature
     ) external nonReentrant whenNotPaused onlyRole(RELAYER_ROLE) returns (bytes32 paymentId) {
+        return _payWithSignature(payer, merchantId, token, amount, orderId, memo, deadline, signature);
+    }
+
+    /**
+     * @notice Gasless payment that also sets the allowance via ERC-2612 permit,
+     *         so a payer holding no ETH never needs a separate approve transaction
+     * @dev A permit that fails is tolerated only when the allowance is already
+     *      in place (e.g. a front-runner submitted the same permit); otherwise
+     *      the payment reverts with PermitFailed carrying the token's error.
+     * @param permit Permit signed by the payer with this contract as spender
+     */
+    function payWithPermit(
+        address payer,
+        bytes32 merchantId,
+        address token,
+        uint256 amount,
+        bytes32 orderId,
+        string calldata memo,
+        uint256 deadline,
+        bytes calldata signature,
+        PermitSignature calldata permit
+    ) external nonReentrant whenNotPaused onlyRole(RELAYER_ROLE) returns (bytes32 paymentId) {
+        if (token != address(uTUT) && token != address(TUT)) revert InvalidToken();
+
+        try IERC20Permit(token).permit(payer, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch (bytes memory reason) {
+            if (IERC20(token).allowance(payer, address(this)) < amount) revert PermitFailed(reason);
+        }
+
+        return _payWithSignature(payer, merchantId, token, amount, orderId, memo, deadline, signature);
+    }
+
+    /**
+     * @notice Shared body of the gasless entry points
+     */
+    function _payWithSignature(
+        address payer,
+        bytes32 merchantId,
+        address token,
+        uint256 amount,
+        bytes32 orderId,
+        string calldata memo,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal returns (bytes32 paymentId) {
         // Check deadline
         if (block.timestamp > deadline) revert DeadlineExpired();
         
         // Check daily limit for gasless
-        _checkAndUpdateDailyLimit(payer, amount);
+        _checkAndUpdateDailyLimit(payer, _toLimitUnits(token, amount));
         
         // Get current nonce
         uint256 currentNonce = nonces[payer];
@@ -257,8 +313,7 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
             abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
         );
         
-        address signer = digest.recover(signature);
-        if (signer != payer) revert InvalidSignature();
+        if (!SignatureChecker.isValidSignatureNow(payer, digest, signature)) revert InvalidSignature();
         
         // Increment nonce
         nonces[payer] = currentNonce + 1;
@@ -343,6 +398,15 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
         emit PaymentProcessed(paymentId, merchantId, payer, token, amount, fee, orderId);
     }
 
+    /**
+     * @notice Express an amount in the 6-decimal units the gasless limit uses
+     * @dev TUT is counted at face value against the same limit, rounded up
+     */
+    function _toLimitUnits(address token, uint256 amount) internal view returns (uint256) {
+        if (token == address(TUT)) return (amount + TUT_LIMIT_SCALE - 1) / TUT_LIMIT_SCALE;
+        return amount;
+    }
+
     /**
      * @notice Check and update daily gasless limit
      */
@@ -475,7 +539,7 @@ contract TolaniPaymentProcessor is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @notice Get payer's remaining daily gasless limit
+     * @notice Get payer's remaining daily gasless limit (6-decimal units; TUT counts at face value)
      */
     function getRemainingDailyLimit(address payer) external view returns (uint256) {
         uint256 today = block.timestamp / 1 days;
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { decodeFunctionData } from "viem";
+import { CONTRACT_ADDRESSES, CHAIN_IDS } from "../src/config/contracts.ts";
+import {
+  createActionDraft,
+  encodeAction,
+  encodeActions,
+  findContractByKey,
+  findFunction,
+  moveAction,
+  parseArgument,
+} from "../src/lib/proposal-builder.ts";
+
+const chainId = CHAIN_IDS.SEPOLIA;
+const addresses = CONTRACT_ADDRESSES[chainId];
+const recipient = "0x000000000000000000000000000000000000dEaD";
+const amount = { name: "amount", type: "uint256" };
+
+function draft(contract, signature, args, fields = {}) {
+  return { ...createActionDraft(contract), signature, args, ...fields };
+}
+
+function decodedArgs(contract, signature, calldata) {
+  const fn = findFunction(findContractByKey(chainId, contract), signature);
+  return decodeFunctionData({ abi: [fn], data: calldata }).args;
+}
+
+// Units: amounts are typed in the unit's decimals, never rounded
+assert.equal(parseArgument(amount, "1,500.25", "TUT"), 1_500_250_000_000_000_000_000n);
+assert.equal(parseArgument(amount, "2.5", "uTUT"), 2_500_000n);
+assert.equal(parseArgument(amount, "1.500000000", "uTUT"), 1_500_000n);
+assert.equal(parseArgument(amount, "42", "raw"), 42n);
+assert.throws(() => parseArgument(amount, "1.0000001", "uTUT"), /amount: 1\.0000001 has more than 6 decimals/);
+assert.throws(() => parseArgument(amount, "0.0000000000000000001", "TUT"), /has more than 18 decimals/);
+assert.throws(() => parseArgument(amount, "1.5", "raw"), /amount: 1\.5 must be a whole number/);
+assert.throws(() => parseArgument(amount, "1e18", "TUT"), /is not a number/);
+assert.throws(() => parseArgument(amount, "-1", "TUT"), /cannot be negative/);
+assert.deepEqual(parseArgument({ name: "amounts", type: "uint256[]" }, "1, 0.5", "uTUT"), [1_000_000n, 500_000n]);
+
+// The unit is inferred from the token argument, or from the target token
+const withdraw = encodeAction(
+  draft("treasury", "withdrawTokens(address,address,uint256)", [addresses.token, recipient, "10.5"]),
+  chainId
+);
+assert.equal(withdraw.target, addresses.treasury);
+assert.equal(decodedArgs("treasury", "withdrawTokens(address,address,uint256)", withdraw.calldata)[2], 10_500_000_000_000_000_000n);
+
+const transfer = encodeAction(draft("uTUT", "transfer(address,uint256)", [recipient, "0.000001"]), chainId);
+assert.equal(decodedArgs("uTUT", "transfer(address,uint256)", transfer.calldata)[1], 1n);
+assert.throws(
+  () => encodeAction(draft("uTUT", "transfer(address,uint256)", [recipient, "0.0000001"]), chainId),
+  /has more than 6 decimals/
+);
+
+// ETH value: 18 decimals, extra digits refused rather than dropped
+const send = (value) => draft("custom", "", [], { target: recipient, value });
+assert.equal(encodeAction(send("0.000000000000000001"), chainId).value, 1n);
+assert.throws(() => encodeAction(send("0.0000000000000000015"), chainId), /ETH value: .* has more than 18 decimals/);
+
+// Reordering keeps each action's encoding and its error with it
+const drafts = [send("1"), send("1.00000000000000000001"), send("3")];
+const reordered = moveAction(drafts, 2, 0);
+assert.deepEqual(
+  reordered.map((item) => item.id),
+  [drafts[2].id, drafts[0].id, drafts[1].id]
+);
+assert.deepEqual(moveAction(drafts, 0, -1), drafts);
+const { encoded, errors } = encodeActions(reordered, chainId);
+assert.deepEqual(
+  encoded.map((action) => action?.value ?? null),
+  [3_000_000_000_000_000_000n, 1_000_000_000_000_000_000n, null]
+);
+assert.equal(errors[0], null);
+assert.match(errors[2], /has more than 18 decimals/);
+
+console.log(JSON.stringify({ ok: true, chainId, withdraw: withdraw.calldata.slice(0, 10), transfer: transfer.calldata.slice(0, 10) }));
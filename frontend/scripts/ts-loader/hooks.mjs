@@ -0,0 +1,46 @@
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import ts from "typescript";
+
+/**
+ * Module hooks for running src/ outside Next: the "@/" alias from
+ * tsconfig.json, extensionless imports, TypeScript and JSON imported without
+ * an attribute.
+ */
+
+const SRC = new URL("../../src/", import.meta.url);
+const EXTENSIONS = [".ts", ".tsx", "/index.ts"];
+
+function withExtension(url) {
+  const path = fileURLToPath(url);
+  if (/\.\w+$/.test(path) && existsSync(path)) return url;
+  const match = EXTENSIONS.map((extension) => path + extension).find((candidate) => existsSync(candidate));
+  return match ? pathToFileURL(match).href : url;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    return { url: withExtension(new URL(specifier.slice(2), SRC).href), shortCircuit: true };
+  }
+  if (/^\.{1,2}\//.test(specifier) && context.parentURL?.startsWith(SRC.href)) {
+    return { url: withExtension(new URL(specifier, context.parentURL).href), shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (/\.tsx?$/.test(url)) {
+    const source = await readFile(fileURLToPath(url), "utf8");
+    const { outputText } = ts.transpileModule(source, {
+      fileName: fileURLToPath(url),
+      compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022, jsx: ts.JsxEmit.ReactJSX },
+    });
+    return { format: "module", source: outputText, shortCircuit: true };
+  }
+  if (url.endsWith(".json") && url.startsWith(SRC.href)) {
+    const source = await readFile(fileURLToPath(url), "utf8");
+    return { format: "module", source: `export default ${source};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
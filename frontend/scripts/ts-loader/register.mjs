@@ -0,0 +1,4 @@
+// node --import ./scripts/ts-loader/register.mjs: lets smoke scripts import src/ modules as Next compiles them
+import { register } from "node:module";
+
+register("./hooks.mjs", import.meta.url);
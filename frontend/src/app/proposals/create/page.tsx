@@ -2,7 +2,7 @@
 
 import { motion } from "framer-motion";
 import { useState } from "react";
-import { ArrowLeft, FileText, AlertTriangle, CheckCircle, Loader2, Info } from "lucide-react";
+import { ArrowLeft, FileText, AlertTriangle, CheckCircle, Loader2 } from "lucide-react";
 import Link from "next/link";
 import { Button } from "@/components/ui/button";
 import { GlassCard, CardHeader, CardContent } from "@/components/ui/cards";
@@ -10,8 +10,9 @@ import { useAccount } from "wagmi";
 import { useVotingPower, useGovernorParams, useCreateProposal } from "@/hooks/useGovernance";
 import { useContracts, useEffectiveChainId } from "@/hooks/useContracts";
 import { formatNumber, cn } from "@/lib/utils";
-import { encodeFunctionData, parseEther, parseUnits } from "viem";
 import { getExplorerLink, getExplorerName } from "@/lib/explorer";
+import { ActionBuilder } from "@/components/proposals/action-builder";
+import { encodeActions, type ActionDraft } from "@/lib/proposal-builder";
 
 export default function CreateProposalPage() {
   const { isConnected } = useAccount();
@@ -26,14 +27,8 @@ export default function CreateProposalPage() {
     title: "",
     description: "",
     category: "general",
-    actionType: "none",
-    targetContract: "",
-    functionSignature: "",
-    callData: "",
-    recipient: "",
-    amount: "",
-    value: "0",
   });
+  const [actions, setActions] = useState<ActionDraft[]>([]);
 
   const hasEnoughVotingPower = parseFloat(votingPowerFormatted) >= parseFloat(proposalThresholdFormatted);
 
@@ -49,32 +44,16 @@ export default function CreateProposalPage() {
     let values: bigint[] = [];
     let calldatas: string[] = [];
 
-    // Build the proposal based on action type
-    if (formData.actionType === "transfer" && formData.recipient && formData.amount) {
-      // Treasury token transfer proposal
-      const transferCalldata = encodeFunctionData({
-        abi: [
-          {
-            name: "transfer",
-            type: "function",
-            inputs: [
-              { name: "to", type: "address" },
-              { name: "amount", type: "uint256" }
-            ],
-            outputs: [{ type: "bool" }]
-          }
-        ],
-        functionName: "transfer",
-        args: [formData.recipient as `0x${string}`, parseUnits(formData.amount, 18)]
-      });
-
-      targets = [contracts.token.address];
-      values = [BigInt(0)];
-      calldatas = [transferCalldata];
-    } else if (formData.actionType === "custom" && formData.targetContract && formData.callData) {
-      targets = [formData.targetContract as `0x${string}`];
-      values = [parseEther(formData.value || "0")];
-      calldatas = [formData.callData as `0x${string}`];
+    if (actions.length > 0) {
+      const { encoded, errors } = encodeActions(actions, effectiveChainId);
+      const firstError = errors.findIndex((err) => err !== null);
+      if (firstError !== -1) {
+        alert(`Action ${firstError + 1}: ${errors[firstError]}`);
+        return;
+      }
+      targets = encoded.map((action) => action!.target);
+      values = encoded.map((action) => action!.value);
+      calldatas = encoded.map((action) => action!.calldata);
     } else {
       // Empty proposal (signaling only)
       targets = [contracts.governor.address];
@@ -253,115 +232,10 @@ export default function CreateProposalPage() {
         <GlassCard className="mt-6">
           <CardHeader
             title="On-Chain Actions"
-            description="What should happen if this proposal passes?"
+            description="What should happen if this proposal passes? Actions run in order, and all revert if one fails."
           />
-          <CardContent className="space-y-6">
-            {/* Action Type */}
-            <div>
-              <label className="block text-sm font-medium text-gray-300 mb-2">
-                Action Type
-              </label>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                {[
-                  { value: "none", label: "Signaling Only", desc: "No on-chain action" },
-                  { value: "transfer", label: "Token Transfer", desc: "Send TUT from treasury" },
-                  { value: "custom", label: "Custom Action", desc: "Advanced contract call" },
-                ].map((option) => (
-                  <button
-                    key={option.value}
-                    type="button"
-                    onClick={() => setFormData({ ...formData, actionType: option.value })}
-                    className={cn(
-                      "p-4 rounded-xl border text-left transition-all",
-                      formData.actionType === option.value
-                        ? "border-violet-500 bg-violet-500/10"
-                        : "border-gray-700/50 hover:border-gray-600"
-                    )}
-                  >
-                    <p className="font-medium text-white">{option.label}</p>
-                    <p className="text-xs text-gray-400 mt-1">{option.desc}</p>
-                  </button>
-                ))}
-              </div>
-            </div>
-
-            {/* Transfer Fields */}
-            {formData.actionType === "transfer" && (
-              <div className="space-y-4 p-4 rounded-xl bg-gray-800/30">
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Recipient Address *
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.recipient}
-                    onChange={(e) => setFormData({ ...formData, recipient: e.target.value })}
-                    placeholder="0x..."
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50 font-mono text-sm"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Amount (TUT) *
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.amount}
-                    onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-                    placeholder="1000"
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50"
-                  />
-                </div>
-              </div>
-            )}
-
-            {/* Custom Action Fields */}
-            {formData.actionType === "custom" && (
-              <div className="space-y-4 p-4 rounded-xl bg-gray-800/30">
-                <div className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20">
-                  <div className="flex items-center gap-2">
-                    <Info className="w-4 h-4 text-yellow-400" />
-                    <p className="text-sm text-yellow-400">Advanced: Requires knowledge of contract ABIs</p>
-                  </div>
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Target Contract Address *
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.targetContract}
-                    onChange={(e) => setFormData({ ...formData, targetContract: e.target.value })}
-                    placeholder="0x..."
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50 font-mono text-sm"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Call Data (hex) *
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.callData}
-                    onChange={(e) => setFormData({ ...formData, callData: e.target.value })}
-                    placeholder="0x..."
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50 font-mono text-sm"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    ETH Value (optional)
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.value}
-                    onChange={(e) => setFormData({ ...formData, value: e.target.value })}
-                    placeholder="0"
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50"
-                  />
-                </div>
-              </div>
-            )}
+          <CardContent>
+            <ActionBuilder actions={actions} onChange={setActions} chainId={effectiveChainId} />
           </CardContent>
         </GlassCard>
 
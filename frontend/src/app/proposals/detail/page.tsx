@@ -31,6 +31,11 @@ import { Button, Badge } from '@/components/ui/button';
 import { cn, formatAddress, formatNumber } from '@/lib/utils';
 import { useVotingPower, useHasVoted, useCastVote, useQueueProposal, useExecuteProposal } from '@/hooks/useGovernance';
 import { useProposal, getDescriptionHash } from '@/hooks/useProposals';
+import { VoteHistory } from '@/components/proposals/vote-history';
+import { ProposalActions } from '@/components/proposals/proposal-actions';
+import { SimulationPanel } from '@/components/proposals/simulation-panel';
+import { decodeProposalActions } from '@/lib/calldata-decoder';
+import { SIMULATION_URL } from '@/lib/proposal-simulator';
 import { useEffectiveChainId } from '@/hooks/useContracts';
 import { getExplorerLink, getExplorerName } from '@/lib/explorer';
 
@@ -169,6 +174,8 @@ function ProposalDetailContent() {
   const againstPercent = totalVotes > 0 ? (parseFloat(proposal.againstVotesFormatted) / totalVotes) * 100 : 0;
   const abstainPercent = totalVotes > 0 ? (parseFloat(proposal.abstainVotesFormatted) / totalVotes) * 100 : 0;
   
+  const actions = decodeProposalActions(proposal.targets, proposal.values, proposal.calldatas, effectiveChainId);
+  const hasUndecodedActions = actions.some(action => action.warnings.length > 0);
   const canVote = proposal.stateNum === 1 && !hasVoted && parseFloat(votingPowerFormatted) > 0;
   const canQueue = proposal.stateNum === 4; // Succeeded
   const canExecute = proposal.stateNum === 5; // Queued
@@ -303,44 +310,54 @@ function ProposalDetailContent() {
                     </Link>
                   </div>
                 ) : (
-                  <div className="grid grid-cols-3 gap-4">
-                    <button
-                      onClick={() => handleVote(VoteType.For)}
-                      disabled={isVoting || isConfirmingVote}
-                      className={cn(
-                        "p-4 rounded-xl border transition-all",
-                        "bg-green-500/10 border-green-500/30 hover:border-green-500/50 hover:bg-green-500/20",
-                        (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
-                      )}
-                    >
-                      <ThumbsUp className="w-8 h-8 text-green-400 mx-auto mb-2" />
-                      <p className="font-medium text-green-400">For</p>
-                    </button>
-                    <button
-                      onClick={() => handleVote(VoteType.Against)}
-                      disabled={isVoting || isConfirmingVote}
-                      className={cn(
-                        "p-4 rounded-xl border transition-all",
-                        "bg-red-500/10 border-red-500/30 hover:border-red-500/50 hover:bg-red-500/20",
-                        (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
-                      )}
-                    >
-                      <ThumbsDown className="w-8 h-8 text-red-400 mx-auto mb-2" />
-                      <p className="font-medium text-red-400">Against</p>
-                    </button>
-                    <button
-                      onClick={() => handleVote(VoteType.Abstain)}
-                      disabled={isVoting || isConfirmingVote}
-                      className={cn(
-                        "p-4 rounded-xl border transition-all",
-                        "bg-gray-500/10 border-gray-500/30 hover:border-gray-500/50 hover:bg-gray-500/20",
-                        (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
-                      )}
-                    >
-                      <MinusCircle className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                      <p className="font-medium text-gray-400">Abstain</p>
-                    </button>
-                  </div>
+                  <>
+                    {hasUndecodedActions && (
+                      <div className="p-4 rounded-xl bg-yellow-500/10 border border-yellow-500/20 flex items-start gap-3">
+                        <AlertTriangle className="w-5 h-5 text-yellow-400 shrink-0" />
+                        <p className="text-yellow-400 text-sm">
+                          Some actions in this proposal could not be decoded. Review them under Actions before voting.
+                        </p>
+                      </div>
+                    )}
+                    <div className="grid grid-cols-3 gap-4">
+                      <button
+                        onClick={() => handleVote(VoteType.For)}
+                        disabled={isVoting || isConfirmingVote}
+                        className={cn(
+                          "p-4 rounded-xl border transition-all",
+                          "bg-green-500/10 border-green-500/30 hover:border-green-500/50 hover:bg-green-500/20",
+                          (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
+                        )}
+                      >
+                        <ThumbsUp className="w-8 h-8 text-green-400 mx-auto mb-2" />
+                        <p className="font-medium text-green-400">For</p>
+                      </button>
+                      <button
+                        onClick={() => handleVote(VoteType.Against)}
+                        disabled={isVoting || isConfirmingVote}
+                        className={cn(
+                          "p-4 rounded-xl border transition-all",
+                          "bg-red-500/10 border-red-500/30 hover:border-red-500/50 hover:bg-red-500/20",
+                          (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
+                        )}
+                      >
+                        <ThumbsDown className="w-8 h-8 text-red-400 mx-auto mb-2" />
+                        <p className="font-medium text-red-400">Against</p>
+                      </button>
+                      <button
+                        onClick={() => handleVote(VoteType.Abstain)}
+                        disabled={isVoting || isConfirmingVote}
+                        className={cn(
+                          "p-4 rounded-xl border transition-all",
+                          "bg-gray-500/10 border-gray-500/30 hover:border-gray-500/50 hover:bg-gray-500/20",
+                          (isVoting || isConfirmingVote) && "opacity-50 cursor-not-allowed"
+                        )}
+                      >
+                        <MinusCircle className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+                        <p className="font-medium text-gray-400">Abstain</p>
+                      </button>
+                    </div>
+                  </>
                 )}
               </CardContent>
             </GlassCard>
@@ -427,20 +444,22 @@ function ProposalDetailContent() {
                 <span className="text-gray-400">Targets</span>
                 <span className="text-white">{proposal.targets.length} contract(s)</span>
               </div>
-              {proposal.targets.map((target, i) => (
-                <div key={i} className="pl-4 py-1">
-                  <a
-                    href={getExplorerLink("address", target, effectiveChainId)}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm text-violet-400 hover:underline font-mono"
-                  >
-                    {formatAddress(target)}
-                  </a>
-                </div>
-              ))}
             </CardContent>
           </GlassCard>
+
+          {/* Actions */}
+          <GlassCard>
+            <CardHeader title="Actions" description="What this proposal will execute through the Timelock" />
+            <CardContent>
+              <ProposalActions actions={actions} chainId={effectiveChainId} />
+            </CardContent>
+          </GlassCard>
+
+          {/* Fork Simulation */}
+          {SIMULATION_URL && <SimulationPanel proposal={proposal} chainId={effectiveChainId} />}
+
+          {/* Vote History */}
+          <VoteHistory proposal={proposal} />
         </div>
 
         {/* Sidebar */}
@@ -141,7 +141,7 @@ export default function ProposalsPage() {
   const { isConnected } = useAccount();
   const { votingPowerFormatted } = useVotingPower();
   const { proposalThresholdFormatted } = useGovernorParams();
-  const { proposals, isLoading, error, refetch } = useProposals();
+  const { proposals, source, isLoading, error, refetch } = useProposals();
 
   const hasEnoughVotingPower = parseFloat(votingPowerFormatted) >= parseFloat(proposalThresholdFormatted);
 
@@ -225,6 +225,13 @@ export default function ProposalsPage() {
         </div>
       )}
 
+      {/* Read straight from the chain: only recent proposals are found */}
+      {!isLoading && !error && source === "rpc" && (
+        <p className="text-xs text-gray-500">
+          Governance indexer unavailable - showing proposals created in roughly the last 50,000 blocks.
+        </p>
+      )}
+
       {/* Proposals List */}
       {!isLoading && !error && (
         <>
@@ -15,11 +15,25 @@ import {
   Cloud,
   Leaf,
   HardHat,
+  ShieldCheck,
+  ShieldAlert,
 } from "lucide-react";
 import { formatUnits, keccak256, toBytes } from "viem";
 import { CONTRACT_ADDRESSES, ABIS, CHAIN_IDS } from "@/config/contracts";
 import { getExplorerLink, getExplorerName } from "@/lib/explorer";
 
+// SkillsBuild webhook server - serves the learner's World ID reward policy
+const TRAINING_WEBHOOK_URL = process.env.NEXT_PUBLIC_TRAINING_WEBHOOK_URL || "http://localhost:3001";
+
+// GET /world-id/:wallet (scripts/webhook/skillsbuild-webhook.js)
+interface WorldIdStatus {
+  mode: "off" | "optional" | "required";
+  verified: boolean | null;
+  multiplier?: number;
+  completions?: number;
+  unverifiedLimit?: { completions: number; reward: string | null };
+}
+
 // Campaign IDs (must match deployed contracts)
 const CAMPAIGN_IDS = {
   CONSTRUCTION: keccak256(toBytes("TOLANI_CONSTRUCTION_TECH_V1")),
@@ -87,6 +101,7 @@ const CAMPAIGN_METADATA: Record<string, Omit<Campaign, 'rewardPerCompletion' | '
 export default function SkillsBuildPage() {
   const { address, isConnected } = useAccount();
   const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [worldId, setWorldId] = useState<WorldIdStatus | null>(null);
 
   const chainId = CHAIN_IDS.SEPOLIA;
   const uTUTAddress = CONTRACT_ADDRESSES[chainId].uTUT;
@@ -162,6 +177,26 @@ export default function SkillsBuildPage() {
     setCampaigns(processedCampaigns);
   }, [constructionData, aiCloudData, esgData]);
 
+  // World ID gating is optional server-side; no status means no panel
+  useEffect(() => {
+    if (!address) {
+      setWorldId(null);
+      return;
+    }
+    let cancelled = false;
+    fetch(`${TRAINING_WEBHOOK_URL}/world-id/${address}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((status: WorldIdStatus | null) => {
+        if (!cancelled) setWorldId(status && status.mode !== "off" ? status : null);
+      })
+      .catch(() => {
+        if (!cancelled) setWorldId(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [address]);
+
   const totalBudget = campaigns.reduce((acc, c) => acc + c.budget, BigInt(0));
   const totalSpent = campaigns.reduce((acc, c) => acc + c.spent, BigInt(0));
 
@@ -252,6 +287,50 @@ export default function SkillsBuildPage() {
           </motion.div>
         )}
 
+        {/* World ID */}
+        {isConnected && worldId && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className={`rounded-xl p-6 mb-8 border flex items-start gap-4 ${
+              worldId.verified
+                ? "bg-green-500/10 border-green-500/30"
+                : "bg-blue-500/10 border-blue-500/30"
+            }`}
+          >
+            {worldId.verified ? (
+              <ShieldCheck className="w-8 h-8 text-green-400 flex-shrink-0" />
+            ) : (
+              <ShieldAlert className="w-8 h-8 text-blue-400 flex-shrink-0" />
+            )}
+            <div>
+              {worldId.verified ? (
+                <>
+                  <p className="text-green-400 font-medium">World ID verified</p>
+                  <p className="text-sm text-gray-400">
+                    You earn {worldId.multiplier}× the track reward on every completion.
+                  </p>
+                </>
+              ) : (
+                <>
+                  <p className="text-blue-400 font-medium">
+                    {worldId.mode === "required"
+                      ? "World ID verification is required for rewards"
+                      : `Verify with World ID to earn ${worldId.multiplier}× rewards`}
+                  </p>
+                  {worldId.mode === "optional" && worldId.unverifiedLimit && (
+                    <p className="text-sm text-gray-400">
+                      Unverified wallets are limited to {worldId.unverifiedLimit.completions} rewarded completion(s)
+                      {worldId.unverifiedLimit.reward ? ` and ${worldId.unverifiedLimit.reward} uTUT` : ""}
+                      {" "}({worldId.completions ?? 0} used).
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </motion.div>
+        )}
+
         {/* Training Tracks */}
         <div className="space-y-6">
           <h2 className="text-2xl font-semibold flex items-center gap-2">
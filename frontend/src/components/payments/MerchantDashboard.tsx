@@ -13,10 +13,14 @@ import {
   type PosMerchantData,
   type PosQrPayload,
   type PosTokenSymbol,
+  createPosCheckout,
   getPosConfig,
   isPosChain,
+  isValidPosApiKey,
 } from "@/lib/pos";
 
+const API_KEY_STORAGE = "tolani-pos-relayer-api-key";
+
 function createOrderId(seed: string) {
   return keccak256(toBytes(`${seed}:${Date.now()}:${Math.random()}`));
 }
@@ -42,6 +46,9 @@ export default function MerchantDashboard() {
   const [receiveToken, setReceiveToken] = useState<PosTokenSymbol>("uTUT");
   const [receiveMemo, setReceiveMemo] = useState("POS sale");
   const [qrData, setQrData] = useState<string | null>(null);
+  const [relayerApiKey, setRelayerApiKey] = useState("");
+  const [isCreatingCheckout, setIsCreatingCheckout] = useState(false);
+  const [checkoutError, setCheckoutError] = useState<string | null>(null);
 
   const { data: merchantId, refetch: refetchMerchantId } = useReadContract({
     address: pos.merchantRegistry,
@@ -82,6 +89,20 @@ export default function MerchantDashboard() {
     }
   }, [hasMerchant]);
 
+  useEffect(() => {
+    const stored = window.localStorage.getItem(API_KEY_STORAGE);
+    if (stored) queueMicrotask(() => setRelayerApiKey(stored));
+  }, []);
+
+  const apiKeyValid = !relayerApiKey || isValidPosApiKey(relayerApiKey);
+
+  const updateRelayerApiKey = (value: string) => {
+    const apiKey = value.trim();
+    setRelayerApiKey(apiKey);
+    if (apiKey) window.localStorage.setItem(API_KEY_STORAGE, apiKey);
+    else window.localStorage.removeItem(API_KEY_STORAGE);
+  };
+
   const merchantCanReceive = useMemo(() => {
     if (!merchantData || merchantData.status !== 1) return false;
     return receiveToken === "uTUT" ? merchantData.acceptsUTUT : merchantData.acceptsTUT;
@@ -108,8 +129,31 @@ export default function MerchantDashboard() {
     });
   };
 
-  const generatePaymentQR = () => {
-    if (!merchantId || !receiveAmount || Number(receiveAmount) <= 0 || !merchantCanReceive) return;
+  const generatePaymentQR = async () => {
+    if (!merchantId || !receiveAmount || Number(receiveAmount) <= 0 || !merchantCanReceive || !apiKeyValid) return;
+
+    const orderId = createOrderId(`${merchantId}:${receiveAmount}:${receiveToken}`);
+    setQrData(null);
+    setCheckoutError(null);
+
+    // The API key never leaves this device: customers get a token that only pays this order
+    let checkoutToken: string | undefined;
+    if (relayerApiKey) {
+      setIsCreatingCheckout(true);
+      try {
+        checkoutToken = await createPosCheckout(relayerApiKey, {
+          merchantId,
+          orderId,
+          token: receiveToken,
+          amount: receiveAmount,
+        });
+      } catch (error) {
+        setCheckoutError(error instanceof Error ? error.message : "Failed to create checkout");
+        return;
+      } finally {
+        setIsCreatingCheckout(false);
+      }
+    }
 
     const payload: PosQrPayload = {
       schema: "tolani-pos-payment",
@@ -118,9 +162,10 @@ export default function MerchantDashboard() {
       merchantId,
       amount: receiveAmount,
       token: receiveToken,
-      orderId: createOrderId(`${merchantId}:${receiveAmount}:${receiveToken}`),
+      orderId,
       memo: receiveMemo,
       createdAt: Date.now(),
+      ...(checkoutToken ? { checkoutToken } : {}),
     };
 
     setQrData(JSON.stringify(payload));
@@ -365,16 +410,41 @@ export default function MerchantDashboard() {
                   placeholder="Order number, table, customer, or invoice"
                 />
               </label>
+              <label className="md:col-span-2">
+                <span className="block text-sm text-gray-400 mb-2">Relayer API Key</span>
+                <input
+                  type="password"
+                  value={relayerApiKey}
+                  onChange={(event) => updateRelayerApiKey(event.target.value)}
+                  className="w-full rounded-lg bg-gray-800 px-4 py-3 font-mono text-sm"
+                  placeholder="tpk_..."
+                  autoComplete="off"
+                />
+                <span className={`mt-1 block text-xs ${apiKeyValid ? "text-gray-500" : "text-red-400"}`}>
+                  {apiKeyValid
+                    ? "Issued by the relayer operator and kept on this device; each QR code carries a one-order checkout token instead. Without it, customers can only pay directly (with gas)."
+                    : "Not a valid relayer API key."}
+                </span>
+              </label>
             </div>
 
             <button
               onClick={generatePaymentQR}
-              disabled={!networkReady || !receiveAmount || Number(receiveAmount) <= 0 || !merchantCanReceive}
+              disabled={
+                !networkReady ||
+                !receiveAmount ||
+                Number(receiveAmount) <= 0 ||
+                !merchantCanReceive ||
+                !apiKeyValid ||
+                isCreatingCheckout
+              }
               className="mt-6 w-full rounded-lg bg-green-600 py-4 font-bold disabled:bg-gray-700 disabled:text-gray-400"
             >
-              Generate QR Code
+              {isCreatingCheckout ? "Creating Checkout..." : "Generate QR Code"}
             </button>
 
+            {checkoutError && <p className="mt-3 text-sm text-red-400">{checkoutError}</p>}
+
             {qrData && (
               <div className="mt-8 flex flex-col items-center rounded-lg bg-white p-6 text-gray-950">
                 <QRCodeSVG value={qrData} size={256} level="H" includeMargin />
@@ -17,6 +17,8 @@ import {
   PAYMENT_PROCESSOR_ABI,
   POS_CATEGORIES,
   POS_PAYMENT_TYPES,
+  POS_PERMIT_TYPES,
+  POS_RELAYER_URL,
   POS_STATUS_LABELS,
   POS_TOKEN_DECIMALS,
   type PosMerchantData,
@@ -29,7 +31,8 @@ import {
   parsePosQrPayload,
 } from "@/lib/pos";
 
-const RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL || "http://localhost:3001";
+const RELAY_POLL_INTERVAL_MS = 2000;
+const RELAY_POLL_TIMEOUT_MS = 5 * 60 * 1000;
 
 type DetectedBarcode = {
   rawValue: string;
@@ -48,8 +51,37 @@ type TxResult = {
   hash?: string;
   paymentId?: string;
   error?: string;
+  /** Relayer request id - quote it in a support ticket to trace the payment */
+  reference?: string;
 };
 
+type RelayJob = {
+  jobId: string;
+  requestId: string | null;
+  status: "queued" | "submitted" | "confirmed" | "failed";
+  txHash: string | null;
+  paymentId: string | null;
+  error: string | null;
+};
+
+async function waitForRelayJob(jobId: string): Promise<RelayJob> {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < RELAY_POLL_TIMEOUT_MS) {
+    const res = await fetch(`${POS_RELAYER_URL}/jobs/${jobId}`);
+    const job = await res.json();
+    if (!res.ok) {
+      throw new Error(job.error || "Failed to load relay job");
+    }
+    if (job.status === "confirmed" || job.status === "failed") {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, RELAY_POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`Payment is still processing. Reference: ${jobId}`);
+}
+
 function createOrderId(seed: string) {
   return keccak256(toBytes(`${seed}:${Date.now()}:${Math.random()}`));
 }
@@ -78,7 +110,7 @@ export default function PaymentScanner() {
   const [manualMerchantId, setManualMerchantId] = useState("");
   const [manualAmount, setManualAmount] = useState("");
   const [selectedToken, setSelectedToken] = useState<PosTokenSymbol>("uTUT");
-  const [paymentMethod, setPaymentMethod] = useState<"gasless" | "direct">("gasless");
+  const [selectedPaymentMethod, setSelectedPaymentMethod] = useState<"gasless" | "direct">("gasless");
   const [memo, setMemo] = useState("POS checkout");
   const [manualOrderId, setManualOrderId] = useState(() => createOrderId("manual-pos"));
   const [isProcessing, setIsProcessing] = useState(false);
@@ -95,6 +127,13 @@ export default function PaymentScanner() {
   const merchantId = paymentData?.merchantId ?? (manualMerchantId as `0x${string}`);
   const orderId = paymentData?.orderId ?? manualOrderId;
   const paymentMemo = paymentData?.memo || memo;
+  // The relayer only accepts this payment with the checkout token the merchant's POS put in the QR code
+  const gaslessAvailable = !!paymentData?.checkoutToken;
+  const paymentMethod = gaslessAvailable ? selectedPaymentMethod : "direct";
+  const relayHeaders: Record<string, string> = {
+    "Content-Type": "application/json",
+    ...(paymentData?.checkoutToken ? { "X-Checkout-Token": paymentData.checkoutToken } : {}),
+  };
   const parsedAmount = useMemo(() => parseTokenAmount(amount, token), [amount, token]);
 
   const { data: uTUTBalance } = useReadContract({
@@ -177,12 +216,6 @@ export default function PaymentScanner() {
     }
   }, [paymentData]);
 
-  useEffect(() => {
-    if (token === "TUT" && paymentMethod === "gasless") {
-      setPaymentMethod("direct");
-    }
-  }, [paymentMethod, token]);
-
   const startCamera = useCallback(async () => {
     setScanError(null);
     if (!(window as BarcodeWindow).BarcodeDetector) {
@@ -258,7 +291,9 @@ export default function PaymentScanner() {
   }, [merchantInfo, token]);
 
   const merchantIsActive = merchantInfo?.status === 1;
-  const needsApproval = !!parsedAmount && allowance !== undefined && allowance < parsedAmount;
+  // Gasless checkout signs an ERC-2612 permit instead of sending an approve transaction.
+  const needsApproval =
+    paymentMethod === "direct" && !!parsedAmount && allowance !== undefined && allowance < parsedAmount;
   const hasBalance = useMemo(() => {
     const balance = token === "uTUT" ? uTUTBalance : tutBalance;
     return !!parsedAmount && balance !== undefined && balance >= parsedAmount;
@@ -300,10 +335,11 @@ export default function PaymentScanner() {
     setIsProcessing(true);
     setTxResult(null);
 
+    let reference: string | undefined;
     try {
-      const prepareRes = await fetch(`${RELAYER_URL}/prepare`, {
+      const prepareRes = await fetch(`${POS_RELAYER_URL}/prepare`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: relayHeaders,
         body: JSON.stringify({
           payer: address,
           merchantId,
@@ -315,6 +351,7 @@ export default function PaymentScanner() {
         }),
       });
 
+      reference = prepareRes.headers.get("X-Request-Id") ?? reference;
       const prepare = await prepareRes.json();
       if (!prepareRes.ok) {
         throw new Error(prepare.error || "Failed to prepare payment");
@@ -344,9 +381,33 @@ export default function PaymentScanner() {
         },
       });
 
-      const relayRes = await fetch(`${RELAYER_URL}/relay`, {
+      let permit: { value: string; deadline: string; signature: `0x${string}` } | undefined;
+      if (prepare.permit) {
+        const permitSignature = await signTypedDataAsync({
+          domain: {
+            ...prepare.permit.domain,
+            chainId: pos.chainId,
+          },
+          types: POS_PERMIT_TYPES,
+          primaryType: "Permit",
+          message: {
+            owner: address,
+            spender: pos.paymentProcessor,
+            value: BigInt(prepare.permit.message.value),
+            nonce: BigInt(prepare.permit.message.nonce),
+            deadline: BigInt(prepare.permit.message.deadline),
+          },
+        });
+        permit = {
+          value: prepare.permit.message.value,
+          deadline: prepare.permit.message.deadline,
+          signature: permitSignature,
+        };
+      }
+
+      const relayRes = await fetch(`${POS_RELAYER_URL}/relay`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: relayHeaders,
         body: JSON.stringify({
           payer: address,
           merchantId,
@@ -356,17 +417,25 @@ export default function PaymentScanner() {
           memo: paymentMemo,
           deadline: deadline.toString(),
           signature,
+          permit,
         }),
       });
 
-      const result = await relayRes.json();
+      reference = relayRes.headers.get("X-Request-Id") ?? reference;
+      const relay = await relayRes.json();
       if (!relayRes.ok) {
-        throw new Error(result.error || "Relay failed");
+        throw new Error(relay.error || "Relay failed");
+      }
+
+      const job = await waitForRelayJob(relay.jobId);
+      reference = job.requestId ?? reference;
+      if (job.status === "failed") {
+        throw new Error(job.error || "Relay failed");
       }
 
-      setTxResult({ success: true, hash: result.txHash, paymentId: result.paymentId });
+      setTxResult({ success: true, hash: job.txHash ?? undefined, paymentId: job.paymentId ?? undefined });
     } catch (error: unknown) {
-      setTxResult({ success: false, error: error instanceof Error ? error.message : "Payment failed" });
+      setTxResult({ success: false, error: error instanceof Error ? error.message : "Payment failed", reference });
     } finally {
       setIsProcessing(false);
     }
@@ -550,22 +619,27 @@ export default function PaymentScanner() {
 
             <div className="grid grid-cols-2 gap-3">
               <button
-                onClick={() => setPaymentMethod("gasless")}
-                disabled={token === "TUT"}
+                onClick={() => setSelectedPaymentMethod("gasless")}
+                disabled={!gaslessAvailable}
                 className={`rounded-lg border py-3 font-semibold ${paymentMethod === "gasless" ? "border-green-400 bg-green-500/20" : "border-gray-700"}`}
               >
                 Gasless
               </button>
               <button
-                onClick={() => setPaymentMethod("direct")}
+                onClick={() => setSelectedPaymentMethod("direct")}
                 className={`rounded-lg border py-3 font-semibold ${paymentMethod === "direct" ? "border-green-400 bg-green-500/20" : "border-gray-700"}`}
               >
                 Direct
               </button>
             </div>
-            {token === "TUT" && (
+            {paymentMethod === "gasless" && (
               <p className="text-xs text-gray-500">
-                Gasless checkout is limited to uTUT because the deployed daily sponsor limit is denominated in 6-decimal uTUT units.
+                Gasless checkout needs no ETH: you sign the payment (and a {token} permit if needed) and the relayer submits it.
+              </p>
+            )}
+            {!gaslessAvailable && (
+              <p className="text-xs text-gray-500">
+                Gasless checkout is available when paying from a merchant&apos;s QR code.
               </p>
             )}
 
@@ -599,6 +673,11 @@ export default function PaymentScanner() {
               {txResult.success ? "Payment successful" : "Payment failed"}
             </h3>
             {txResult.error && <p className="text-sm text-red-200 mt-2">{txResult.error}</p>}
+            {txResult.reference && (
+              <p className="text-xs text-gray-400 mt-2">
+                Support reference: <span className="font-mono select-all">{txResult.reference}</span>
+              </p>
+            )}
             {txResult.hash && (
               <a
                 href={`${pos.explorerUrl}/tx/${txResult.hash}`}
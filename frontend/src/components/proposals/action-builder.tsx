@@ -0,0 +1,307 @@
+"use client";
+
+import { useMemo } from "react";
+import { AlertTriangle, ArrowDown, ArrowUp, Info, Plus, Trash2 } from "lucide-react";
+import { Button, Badge } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import { decodeProposalAction, getKnownContracts } from "@/lib/calldata-decoder";
+import {
+  ROLE_OPTIONS,
+  UNITS,
+  createActionDraft,
+  encodeActions,
+  findContractByKey,
+  findFunction,
+  getArgumentUnit,
+  getWritableFunctions,
+  moveAction,
+  type ActionDraft,
+  type Unit,
+} from "@/lib/proposal-builder";
+
+const inputClass =
+  "w-full px-4 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-violet-500/50";
+
+interface ActionBuilderProps {
+  actions: ActionDraft[];
+  onChange: (actions: ActionDraft[]) => void;
+  chainId: number;
+}
+
+interface ActionEditorProps {
+  draft: ActionDraft;
+  index: number;
+  count: number;
+  error: string | null;
+  chainId: number;
+  onChange: (draft: ActionDraft) => void;
+  onMove: (to: number) => void;
+  onRemove: () => void;
+}
+
+function ActionEditor({ draft, index, count, error, chainId, onChange, onMove, onRemove }: ActionEditorProps) {
+  const contracts = getKnownContracts(chainId);
+  const contract = findContractByKey(chainId, draft.contract);
+  const functions = getWritableFunctions(contract);
+  const fn = findFunction(contract, draft.signature);
+
+  const setArg = (i: number, value: string) => {
+    const args = [...draft.args];
+    args[i] = value;
+    onChange({ ...draft, args });
+  };
+
+  return (
+    <div className="p-4 rounded-xl bg-gray-800/30 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <p className="font-medium text-white">Action {index + 1}</p>
+        <div className="flex items-center gap-1">
+          <Button variant="ghost" size="sm" onClick={() => onMove(index - 1)} disabled={index === 0}>
+            <ArrowUp className="w-4 h-4" />
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => onMove(index + 1)} disabled={index === count - 1}>
+            <ArrowDown className="w-4 h-4" />
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onRemove}>
+            <Trash2 className="w-4 h-4 text-red-400" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Contract</label>
+          <select
+            value={draft.contract}
+            onChange={(e) =>
+              onChange({ ...draft, contract: e.target.value as ActionDraft["contract"], signature: "", args: [], units: {} })
+            }
+            className={inputClass}
+          >
+            {contracts.map((known) => (
+              <option key={known.key} value={known.key}>
+                {known.label} ({known.key})
+              </option>
+            ))}
+            <option value="custom">Custom target and calldata</option>
+          </select>
+        </div>
+
+        {draft.contract !== "custom" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Function</label>
+            <select
+              value={draft.signature}
+              onChange={(e) => onChange({ ...draft, signature: e.target.value, args: [], units: {} })}
+              className={cn(inputClass, "font-mono text-sm")}
+            >
+              <option value="">Choose a function…</option>
+              {functions.map(({ signature }) => (
+                <option key={signature} value={signature}>
+                  {signature}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Typed arguments */}
+      {fn && fn.inputs.length > 0 && (
+        <div className="space-y-3">
+          {fn.inputs.map((param, i) => {
+            const isInteger = /^u?int\d*(\[\d*\])?$/.test(param.type);
+            const unit = getArgumentUnit(draft, chainId, fn, i);
+            return (
+              <div key={`${draft.signature}-${i}`}>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  {param.name || `arg${i}`} <span className="font-mono text-xs text-gray-500">{param.type}</span>
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={draft.args[i] ?? ""}
+                    onChange={(e) => setArg(i, e.target.value)}
+                    placeholder={
+                      param.type.endsWith("]")
+                        ? "Comma-separated values"
+                        : param.type === "address"
+                          ? "0x..."
+                          : param.type === "bytes32"
+                            ? "Role name or 0x..."
+                            : param.type === "bool"
+                              ? "true or false"
+                              : ""
+                    }
+                    list={
+                      param.type.startsWith("address")
+                        ? `${draft.id}-contracts`
+                        : param.type.startsWith("bytes32")
+                          ? `${draft.id}-roles`
+                          : undefined
+                    }
+                    className={cn(inputClass, "font-mono text-sm")}
+                  />
+                  {isInteger && (
+                    <select
+                      value={unit}
+                      onChange={(e) => onChange({ ...draft, units: { ...draft.units, [i]: e.target.value as Unit } })}
+                      className="px-3 py-3 bg-gray-800/50 border border-gray-700/50 rounded-xl text-white text-sm focus:outline-none focus:border-violet-500/50"
+                    >
+                      {(Object.keys(UNITS) as Unit[]).map((key) => (
+                        <option key={key} value={key}>
+                          {UNITS[key].label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <datalist id={`${draft.id}-contracts`}>
+            {contracts.map((known) => (
+              <option key={known.key} value={known.address}>
+                {known.label}
+              </option>
+            ))}
+          </datalist>
+          <datalist id={`${draft.id}-roles`}>
+            {ROLE_OPTIONS.map((role) => (
+              <option key={role} value={role} />
+            ))}
+          </datalist>
+        </div>
+      )}
+
+      {/* Raw action */}
+      {draft.contract === "custom" && (
+        <div className="space-y-4">
+          <div className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20">
+            <div className="flex items-center gap-2">
+              <Info className="w-4 h-4 text-yellow-400" />
+              <p className="text-sm text-yellow-400">Advanced: Requires knowledge of contract ABIs</p>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Target Contract Address *</label>
+            <input
+              type="text"
+              value={draft.target}
+              onChange={(e) => onChange({ ...draft, target: e.target.value })}
+              placeholder="0x..."
+              className={cn(inputClass, "font-mono text-sm")}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Call Data (hex)</label>
+            <input
+              type="text"
+              value={draft.calldata}
+              onChange={(e) => onChange({ ...draft, calldata: e.target.value })}
+              placeholder="0x..."
+              className={cn(inputClass, "font-mono text-sm")}
+            />
+          </div>
+        </div>
+      )}
+
+      {(draft.contract === "custom" || fn?.stateMutability === "payable") && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">ETH Value (optional)</label>
+          <input
+            type="text"
+            value={draft.value}
+            onChange={(e) => onChange({ ...draft, value: e.target.value })}
+            placeholder="0"
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {error && (draft.contract === "custom" || draft.signature) && (
+        <p className="flex items-center gap-2 text-sm text-red-400">
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Composes a proposal's actions from contract and function pickers, and
+ * previews what `propose` will be called with.
+ */
+export function ActionBuilder({ actions, onChange, chainId }: ActionBuilderProps) {
+  const { encoded, errors } = useMemo(() => encodeActions(actions, chainId), [actions, chainId]);
+  const ready = encoded.filter((action) => action !== null);
+
+  const update = (index: number, draft: ActionDraft) =>
+    onChange(actions.map((action, i) => (i === index ? draft : action)));
+
+  const add = () => onChange([...actions, createActionDraft(getKnownContracts(chainId)[0]?.key ?? "custom")]);
+
+  return (
+    <div className="space-y-4">
+      {actions.length === 0 && (
+        <p className="text-sm text-gray-400">
+          No actions: this is a signaling proposal and executes nothing if it passes.
+        </p>
+      )}
+
+      {actions.map((draft, index) => (
+        <ActionEditor
+          key={draft.id}
+          draft={draft}
+          index={index}
+          count={actions.length}
+          error={errors[index]}
+          chainId={chainId}
+          onChange={(next) => update(index, next)}
+          onMove={(to) => onChange(moveAction(actions, index, to))}
+          onRemove={() => onChange(actions.filter((_, i) => i !== index))}
+        />
+      ))}
+
+      <Button variant="secondary" size="sm" onClick={add}>
+        <Plus className="w-4 h-4 mr-2" />
+        Add Action
+      </Button>
+
+      {/* Preview of what propose() will receive */}
+      {actions.length > 0 && (
+        <div className="p-4 rounded-xl border border-gray-700/50 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-300">Preview</p>
+            <Badge variant={ready.length === actions.length ? "success" : "warning"}>
+              {ready.length}/{actions.length} encoded
+            </Badge>
+          </div>
+          <ol className="space-y-1 text-sm list-decimal list-inside">
+            {encoded.map((action, i) => (
+              <li key={actions[i].id} className={action ? "text-gray-300 font-mono break-all" : "text-gray-500"}>
+                {action
+                  ? decodeProposalAction(action.target, action.value, action.calldata, chainId).summary
+                  : "Incomplete"}
+              </li>
+            ))}
+          </ol>
+          {ready.length === actions.length && (
+            <pre className="p-3 rounded-lg bg-gray-900/50 text-xs text-gray-400 overflow-x-auto">
+              {JSON.stringify(
+                {
+                  targets: ready.map((action) => action.target),
+                  values: ready.map((action) => action.value.toString()),
+                  calldatas: ready.map((action) => action.calldata),
+                },
+                null,
+                2
+              )}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+"use client";
+
+import { useState } from "react";
+import { AlertTriangle, ChevronDown, ChevronRight, ExternalLink } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { getExplorerLink } from "@/lib/explorer";
+import type { DecodedAction } from "@/lib/calldata-decoder";
+
+interface ProposalActionsProps {
+  actions: DecodedAction[];
+  chainId: number;
+}
+
+/**
+ * Decoded proposal actions, each expandable to its arguments and raw calldata.
+ */
+export function ProposalActions({ actions, chainId }: ProposalActionsProps) {
+  const [expanded, setExpanded] = useState<number | null>(null);
+  const flagged = actions.filter((action) => action.warnings.length > 0).length;
+
+  if (actions.length === 0) {
+    return <p className="text-sm text-gray-400">This proposal has no on-chain actions.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {flagged > 0 && (
+        <div className="flex items-start gap-3 p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/20 text-sm">
+          <AlertTriangle className="w-5 h-5 text-yellow-400 shrink-0" />
+          <p className="text-yellow-200">
+            {flagged} of {actions.length} action{actions.length === 1 ? "" : "s"} could not be fully decoded or
+            target an unknown contract. Check the raw calldata before voting.
+          </p>
+        </div>
+      )}
+
+      {actions.map((action, i) => {
+        const isOpen = expanded === i;
+        return (
+          <div
+            key={i}
+            className={cn(
+              "rounded-xl border",
+              action.warnings.length > 0 ? "border-yellow-500/30 bg-yellow-500/5" : "border-gray-700/50 bg-gray-900/30"
+            )}
+          >
+            <button
+              onClick={() => setExpanded(isOpen ? null : i)}
+              className="w-full flex items-start gap-3 p-3 text-left"
+            >
+              {isOpen ? (
+                <ChevronDown className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+              ) : (
+                <ChevronRight className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+              )}
+              <span className="text-xs text-gray-500 mt-0.5 shrink-0">#{i + 1}</span>
+              <span className="font-mono text-sm text-white break-all">{action.summary}</span>
+              {action.warnings.length > 0 && <AlertTriangle className="w-4 h-4 mt-0.5 text-yellow-400 shrink-0 ml-auto" />}
+            </button>
+
+            {isOpen && (
+              <div className="px-3 pb-3 space-y-3 text-sm">
+                {action.warnings.map((warning) => (
+                  <p key={warning} className="text-yellow-300">
+                    {warning}
+                  </p>
+                ))}
+
+                <div className="flex justify-between gap-4">
+                  <span className="text-gray-400">Target</span>
+                  <a
+                    href={getExplorerLink("address", action.target, chainId)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 font-mono text-violet-400 hover:underline break-all"
+                  >
+                    {action.target}
+                    <ExternalLink className="w-3 h-3 shrink-0" />
+                  </a>
+                </div>
+                {action.signature && (
+                  <div className="flex justify-between gap-4">
+                    <span className="text-gray-400">Function</span>
+                    <span className="font-mono text-white break-all">{action.signature}</span>
+                  </div>
+                )}
+
+                {action.args.length > 0 && (
+                  <table className="w-full">
+                    <tbody>
+                      {action.args.map((arg) => (
+                        <tr key={arg.name} className="border-t border-gray-800/50 align-top">
+                          <td className="py-2 pr-4 text-gray-400 whitespace-nowrap">
+                            {arg.name} <span className="text-gray-600">{arg.type}</span>
+                          </td>
+                          <td className="py-2 text-right">
+                            <p className="text-white break-all">{arg.display}</p>
+                            {arg.display !== arg.raw && (
+                              <p className="font-mono text-xs text-gray-500 break-all">{arg.raw}</p>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <div>
+                  <p className="text-gray-400 mb-1">Calldata</p>
+                  <p className="font-mono text-xs text-gray-500 break-all bg-gray-900/50 rounded-lg p-2">
+                    {action.calldata}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
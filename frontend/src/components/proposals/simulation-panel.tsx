@@ -0,0 +1,223 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { AlertTriangle, CheckCircle, Copy, Check, ExternalLink, FlaskConical, Loader2 } from "lucide-react";
+import { GlassCard, CardHeader, CardContent } from "@/components/ui/cards";
+import { Button, Badge } from "@/components/ui/button";
+import { Address } from "@/components/address-display";
+import { formatTokenAmount, getContractLabel } from "@/lib/calldata-decoder";
+import {
+  fetchSimulations,
+  runSimulation,
+  simulationReportUrl,
+  type Simulation,
+  type SimulatedBalanceChange,
+} from "@/lib/proposal-simulator";
+import { useGovernorContract } from "@/hooks/useContracts";
+import type { Proposal } from "@/hooks/useProposals";
+
+interface SimulationPanelProps {
+  proposal: Proposal;
+  chainId: number;
+}
+
+function formatChange({ change, decimals, symbol }: SimulatedBalanceChange) {
+  const value = BigInt(change);
+  const sign = value < BigInt(0) ? "-" : "+";
+  const abs = value < BigInt(0) ? -value : value;
+  return `${sign}${formatTokenAmount(abs, decimals ?? 0)} ${symbol ?? "tokens"}`;
+}
+
+/**
+ * Runs the proposal on a fork through the simulation service and shows what
+ * it would change, with a Markdown report to attach to the discussion.
+ */
+export function SimulationPanel({ proposal, chainId }: SimulationPanelProps) {
+  const [simulation, setSimulation] = useState<Simulation | null>(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState<string | null>(null);
+  const governor = useGovernorContract().address;
+
+  useEffect(() => {
+    const load = async () => {
+      const stored = await fetchSimulations(proposal.proposalId, chainId, governor);
+      setSimulation(stored?.[0] ?? null);
+    };
+    load();
+  }, [proposal.proposalId, chainId, governor]);
+
+  const simulate = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      setSimulation(
+        await runSimulation({
+          proposalId: proposal.proposalId,
+          targets: proposal.targets,
+          values: proposal.values.map((value) => value.toString()),
+          calldatas: proposal.calldatas,
+          description: proposal.description,
+          chainId,
+          governor,
+        })
+      );
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const copyReport = async () => {
+    if (!simulation) return;
+    setCopyError(null);
+    try {
+      const response = await fetch(simulationReportUrl(simulation.id));
+      if (!response.ok) throw new Error(`report unavailable (${response.status})`);
+      await navigator.clipboard.writeText(await response.text());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setCopyError((err as Error).message);
+    }
+  };
+
+  const label = (address: string) => getContractLabel(chainId, address);
+
+  return (
+    <GlassCard>
+      <CardHeader
+        title="Fork Simulation"
+        description="Execute this proposal as the Timelock on a fork of the current chain"
+        action={
+          <Button variant="secondary" size="sm" onClick={simulate} disabled={isRunning}>
+            {isRunning ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FlaskConical className="w-4 h-4 mr-2" />}
+            {isRunning ? "Simulating..." : simulation ? "Run again" : "Simulate"}
+          </Button>
+        }
+      />
+      <CardContent className="space-y-5 text-sm">
+        {error && <p className="text-red-400">Simulation failed: {error}</p>}
+
+        {!simulation && !error && (
+          <p className="text-gray-400">
+            No simulation yet. Forking the chain can take up to a minute.
+          </p>
+        )}
+
+        {simulation && (
+          <>
+            {simulation.status === "success" ? (
+              <div className="flex items-start gap-3 p-3 rounded-xl bg-green-500/10 border border-green-500/20">
+                <CheckCircle className="w-5 h-5 text-green-400 shrink-0" />
+                <p className="text-green-300">All {simulation.actions.length} action(s) succeeded.</p>
+              </div>
+            ) : (
+              <div className="flex items-start gap-3 p-3 rounded-xl bg-red-500/10 border border-red-500/20">
+                <AlertTriangle className="w-5 h-5 text-red-400 shrink-0" />
+                <p className="text-red-300">
+                  Action #{(simulation.revert?.index ?? 0) + 1} reverted ({simulation.revert?.reason}). Executed
+                  on-chain, the whole proposal would revert.
+                </p>
+              </div>
+            )}
+
+            <p className="text-gray-500">
+              Block #{simulation.fork.blockNumber} on chain {simulation.fork.chainId},{" "}
+              {new Date(simulation.createdAt).toLocaleString()}
+            </p>
+
+            {/* Actions */}
+            <div className="space-y-1">
+              {simulation.actions.map((action) => (
+                <div key={action.index} className="flex items-center justify-between gap-3">
+                  <span className="text-gray-300">
+                    #{action.index + 1} {label(action.target) ?? <Address address={action.target} />}
+                  </span>
+                  <Badge
+                    variant={action.status === "success" ? "success" : action.status === "reverted" ? "error" : "default"}
+                  >
+                    {action.status}
+                    {action.gasUsed && ` · ${Number(action.gasUsed).toLocaleString()} gas`}
+                  </Badge>
+                </div>
+              ))}
+            </div>
+
+            {/* Balance changes */}
+            <div>
+              <p className="text-gray-400 mb-2">Balance changes</p>
+              {simulation.balanceChanges.length === 0 ? (
+                <p className="text-gray-500">None</p>
+              ) : (
+                <table className="w-full">
+                  <tbody>
+                    {simulation.balanceChanges.map((change) => (
+                      <tr key={`${change.token}-${change.account}`} className="border-t border-gray-800/50">
+                        <td className="py-2 pr-4 text-gray-300">
+                          {label(change.account) ?? <Address address={change.account} />}
+                        </td>
+                        <td
+                          className={
+                            BigInt(change.change) < BigInt(0)
+                              ? "py-2 text-right text-red-400 whitespace-nowrap"
+                              : "py-2 text-right text-green-400 whitespace-nowrap"
+                          }
+                        >
+                          {formatChange(change)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Role changes */}
+            <div>
+              <p className="text-gray-400 mb-2">Role and ownership changes</p>
+              {simulation.roleChanges.length === 0 && simulation.ownershipChanges.length === 0 ? (
+                <p className="text-gray-500">None</p>
+              ) : (
+                <ul className="space-y-1">
+                  {simulation.roleChanges.map((change, i) => (
+                    <li key={`role-${i}`} className="text-gray-300">
+                      <Badge variant={change.change === "granted" ? "warning" : "info"}>{change.change}</Badge>{" "}
+                      <span className="font-mono">{change.roleName ?? change.role}</span> on{" "}
+                      {label(change.contract) ?? <Address address={change.contract} />} to{" "}
+                      {label(change.account) ?? <Address address={change.account} />}
+                    </li>
+                  ))}
+                  {simulation.ownershipChanges.map((change, i) => (
+                    <li key={`owner-${i}`} className="text-gray-300">
+                      <Badge variant="warning">ownership</Badge>{" "}
+                      {label(change.contract) ?? <Address address={change.contract} />} now owned by{" "}
+                      {label(change.newOwner) ?? <Address address={change.newOwner} />}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Attach to the discussion */}
+            <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-700/50">
+              <Button variant="ghost" size="sm" onClick={copyReport}>
+                {copied ? <Check className="w-4 h-4 mr-2 text-green-400" /> : <Copy className="w-4 h-4 mr-2" />}
+                Copy report for discussion
+              </Button>
+              <a href={simulationReportUrl(simulation.id)} target="_blank" rel="noopener noreferrer">
+                <Button variant="ghost" size="sm">
+                  <ExternalLink className="w-4 h-4 mr-2" />
+                  Report link
+                </Button>
+              </a>
+            </div>
+            {copyError && <p className="text-red-400">Could not copy the report: {copyError}</p>}
+          </>
+        )}
+      </CardContent>
+    </GlassCard>
+  );
+}
@@ -0,0 +1,310 @@
+"use client";
+
+import { useMemo, useState, useSyncExternalStore } from "react";
+import { useAccount } from "wagmi";
+import { formatUnits } from "viem";
+import { ExternalLink, Loader2, UserCheck } from "lucide-react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import { GlassCard, CardHeader, CardContent } from "@/components/ui/cards";
+import { Badge } from "@/components/ui/button";
+import { Address } from "@/components/address-display";
+import { cn, formatNumber } from "@/lib/utils";
+import { getExplorerLink } from "@/lib/explorer";
+import { useDelegate } from "@/hooks/useGovernance";
+import { useEffectiveChainId } from "@/hooks/useContracts";
+import { useProposalVoteHistory, type Proposal, type ProposalVote } from "@/hooks/useProposals";
+
+const subscribe = () => () => {};
+const getClientSnapshot = () => true;
+const getServerSnapshot = () => false;
+
+function useIsClient() {
+  return useSyncExternalStore(subscribe, getClientSnapshot, getServerSnapshot);
+}
+
+const supportConfig: Record<number, { label: string; variant: "success" | "error" | "default"; color: string }> = {
+  0: { label: "Against", variant: "error", color: "#ef4444" },
+  1: { label: "For", variant: "success", color: "#22c55e" },
+  2: { label: "Abstain", variant: "default", color: "#9ca3af" },
+};
+
+type VoteFilter = "all" | "for" | "against" | "abstain" | "delegate";
+type VoteSort = "weight" | "newest" | "oldest";
+
+const filterOptions: { value: VoteFilter; label: string; support?: number }[] = [
+  { value: "all", label: "All" },
+  { value: "for", label: "For", support: 1 },
+  { value: "against", label: "Against", support: 0 },
+  { value: "abstain", label: "Abstain", support: 2 },
+  { value: "delegate", label: "My delegate" },
+];
+
+const toTUT = (amount: bigint) => parseFloat(formatUnits(amount, 18));
+
+interface VoteHistoryProps {
+  proposal: Proposal;
+}
+
+export function VoteHistory({ proposal }: VoteHistoryProps) {
+  const isClient = useIsClient();
+  const { address } = useAccount();
+  const chainId = useEffectiveChainId();
+  const { delegate, hasDelegated } = useDelegate();
+  const { votes, quorum, source, isLoading, error } = useProposalVoteHistory(proposal);
+  const [filter, setFilter] = useState<VoteFilter>("all");
+  const [sort, setSort] = useState<VoteSort>("weight");
+
+  const delegateVote = useMemo(
+    () => (hasDelegated && delegate ? votes.find((vote) => vote.voter.toLowerCase() === delegate.toLowerCase()) : undefined),
+    [votes, delegate, hasDelegated]
+  );
+
+  const visibleVotes = useMemo(() => {
+    let list: ProposalVote[];
+    if (filter === "delegate") {
+      list = delegateVote ? [delegateVote] : [];
+    } else {
+      const support = filterOptions.find((option) => option.value === filter)?.support;
+      list = support === undefined ? votes : votes.filter((vote) => vote.support === support);
+    }
+
+    // votes arrive oldest first
+    if (sort === "oldest") return list;
+    if (sort === "newest") return [...list].reverse();
+    return [...list].sort((a, b) => (b.weight > a.weight ? 1 : b.weight < a.weight ? -1 : 0));
+  }, [votes, filter, sort, delegateVote]);
+
+  // Running For / Against / Abstain totals after each vote. Quorum counts For and
+  // Abstain (GovernorCountingSimple), so that sum is plotted against it.
+  const timeline = useMemo(() => {
+    const totals = [BigInt(0), BigInt(0), BigInt(0)];
+    const points = [{ block: proposal.voteStart.toString(), for: 0, against: 0, abstain: 0, counted: 0 }];
+    for (const vote of votes) {
+      if (totals[vote.support] !== undefined) totals[vote.support] += vote.weight;
+      points.push({
+        block: vote.blockNumber.toString(),
+        for: toTUT(totals[1]),
+        against: toTUT(totals[0]),
+        abstain: toTUT(totals[2]),
+        counted: toTUT(totals[1] + totals[2]),
+      });
+    }
+    return points;
+  }, [votes, proposal.voteStart]);
+
+  const quorumTUT = quorum !== null ? toTUT(quorum) : null;
+
+  return (
+    <GlassCard>
+      <CardHeader
+        title="Vote History"
+        description={
+          isLoading
+            ? "Loading votes..."
+            : `${votes.length} vote${votes.length === 1 ? "" : "s"} cast${
+                source === "rpc" ? " (read from the chain; indexer unavailable)" : ""
+              }`
+        }
+      />
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 text-violet-400 animate-spin" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-400">Could not load votes: {error.message}</p>
+        ) : votes.length === 0 ? (
+          <p className="text-sm text-gray-400">No votes have been cast on this proposal yet.</p>
+        ) : (
+          <>
+            {/* Cumulative votes against quorum */}
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-sm text-gray-400">Cumulative votes by block</p>
+                {quorumTUT !== null && (
+                  <p className="text-xs text-gray-500">Quorum: {formatNumber(quorumTUT)} TUT (For + Abstain)</p>
+                )}
+              </div>
+              <div className="h-56">
+                {isClient ? (
+                  <ResponsiveContainer width="100%" height="100%" minWidth={0}>
+                    <LineChart data={timeline}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="block" stroke="#9ca3af" tick={{ fontSize: 12 }} />
+                      <YAxis
+                        stroke="#9ca3af"
+                        tick={{ fontSize: 12 }}
+                        tickFormatter={(value: number) => formatNumber(value, 0)}
+                        domain={[0, (max: number) => Math.max(max, quorumTUT ?? 0)]}
+                      />
+                      <Tooltip
+                        content={({ active, payload, label }) => {
+                          if (active && payload && payload.length) {
+                            return (
+                              <div className="bg-gray-900 border border-gray-700 rounded-lg p-3 shadow-xl">
+                                <p className="text-gray-400 text-sm mb-2">Block #{label}</p>
+                                {payload.map((entry, index) => (
+                                  <div key={index} className="flex items-center gap-2">
+                                    <div className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }} />
+                                    <span className="text-white">
+                                      {entry.name}: {formatNumber(entry.value as number)} TUT
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            );
+                          }
+                          return null;
+                        }}
+                      />
+                      {quorumTUT !== null && (
+                        <ReferenceLine
+                          y={quorumTUT}
+                          stroke="#8b5cf6"
+                          strokeDasharray="6 4"
+                          label={{ value: "Quorum", fill: "#a78bfa", fontSize: 12, position: "insideTopRight" }}
+                        />
+                      )}
+                      <Line type="stepAfter" dataKey="for" name="For" stroke={supportConfig[1].color} strokeWidth={2} dot={false} />
+                      <Line type="stepAfter" dataKey="against" name="Against" stroke={supportConfig[0].color} strokeWidth={2} dot={false} />
+                      <Line type="stepAfter" dataKey="abstain" name="Abstain" stroke={supportConfig[2].color} strokeWidth={2} dot={false} />
+                      <Line
+                        type="stepAfter"
+                        dataKey="counted"
+                        name="Toward quorum"
+                        stroke="#a78bfa"
+                        strokeWidth={1}
+                        strokeDasharray="3 3"
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                ) : null}
+              </div>
+            </div>
+
+            {/* Filters and sorting */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex flex-wrap gap-2">
+                {filterOptions.map((option) => {
+                  const disabled = option.value === "delegate" && !hasDelegated;
+                  return (
+                    <button
+                      key={option.value}
+                      onClick={() => setFilter(option.value)}
+                      disabled={disabled}
+                      title={disabled ? "Connect a wallet that has delegated to see how your delegate voted" : undefined}
+                      className={cn(
+                        "px-3 py-1 rounded-full text-xs font-medium border transition-colors",
+                        filter === option.value
+                          ? "bg-violet-500/20 text-violet-300 border-violet-500/40"
+                          : "text-gray-400 border-gray-700 hover:text-white",
+                        disabled && "opacity-40 cursor-not-allowed hover:text-gray-400"
+                      )}
+                    >
+                      {option.label}
+                    </button>
+                  );
+                })}
+              </div>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value as VoteSort)}
+                className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-1 text-sm text-gray-300"
+              >
+                <option value="weight">Largest first</option>
+                <option value="newest">Newest first</option>
+                <option value="oldest">Oldest first</option>
+              </select>
+            </div>
+
+            {filter === "delegate" && delegate && (
+              <div className="flex items-center gap-3 p-3 rounded-xl bg-violet-500/10 border border-violet-500/20 text-sm">
+                <UserCheck className="w-5 h-5 text-violet-400 shrink-0" />
+                <span className="text-gray-300">
+                  {delegate.toLowerCase() === address?.toLowerCase() ? (
+                    "You delegate to yourself"
+                  ) : (
+                    <>
+                      Your delegate is <Address address={delegate} className="text-white" />
+                    </>
+                  )}
+                  {delegateVote
+                    ? ` and voted ${supportConfig[delegateVote.support]?.label ?? "Unknown"}.`
+                    : " and has not voted on this proposal."}
+                </span>
+              </div>
+            )}
+
+            {/* Votes */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-700/50">
+                    <th className="py-2 pr-4 font-medium">Voter</th>
+                    <th className="py-2 pr-4 font-medium">Vote</th>
+                    <th className="py-2 pr-4 font-medium text-right">Weight</th>
+                    <th className="py-2 pr-4 font-medium">Reason</th>
+                    <th className="py-2 font-medium text-right">Block</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleVotes.map((vote) => {
+                    const support = supportConfig[vote.support];
+                    return (
+                      <tr key={`${vote.txHash}-${vote.logIndex}`} className="border-b border-gray-800/50 align-top">
+                        <td className="py-3 pr-4">
+                          <a
+                            href={getExplorerLink("address", vote.voter, chainId)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-white hover:text-violet-300"
+                          >
+                            <Address address={vote.voter} />
+                          </a>
+                        </td>
+                        <td className="py-3 pr-4">
+                          <Badge variant={support?.variant ?? "default"}>{support?.label ?? "Unknown"}</Badge>
+                        </td>
+                        <td className="py-3 pr-4 text-right text-white whitespace-nowrap">
+                          {formatNumber(toTUT(vote.weight))} TUT
+                        </td>
+                        <td className="py-3 pr-4 text-gray-400 max-w-xs break-words">
+                          {vote.reason || <span className="text-gray-600">-</span>}
+                        </td>
+                        <td className="py-3 text-right whitespace-nowrap">
+                          <a
+                            href={getExplorerLink("tx", vote.txHash, chainId)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-1 text-violet-400 hover:underline"
+                            title={vote.timestamp ? vote.timestamp.toLocaleString() : undefined}
+                          >
+                            #{vote.blockNumber.toString()}
+                            <ExternalLink className="w-3 h-3" />
+                          </a>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {visibleVotes.length === 0 && filter !== "delegate" && (
+                <p className="text-sm text-gray-500 py-4 text-center">No votes match this filter.</p>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </GlassCard>
+  );
+}
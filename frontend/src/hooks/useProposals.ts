@@ -2,8 +2,14 @@
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import { usePublicClient } from 'wagmi';
-import { useGovernorContract } from './useContracts';
+import { useGovernorContract, useEffectiveChainId } from './useContracts';
 import { formatUnits, keccak256, toBytes } from 'viem';
+import {
+  fetchIndexedProposal,
+  fetchIndexedProposals,
+  fetchIndexedVotes,
+  type IndexedProposal,
+} from '@/lib/governance-indexer';
 
 // Proposal state enum (matches Governor.sol)
 export const ProposalState = {
@@ -19,6 +25,13 @@ export const ProposalState = {
 
 export type ProposalStateType = (typeof ProposalState)[keyof typeof ProposalState];
 
+// Where proposals were read from: the governance indexer, or the chain
+// directly (recent blocks only) when the indexer is unavailable
+export type ProposalSource = 'indexer' | 'rpc';
+
+// Public RPCs refuse eth_getLogs over more than a few thousand blocks
+const MAX_LOG_RANGE = BigInt(2000);
+
 export interface Proposal {
   id: bigint;
   proposalId: string;
@@ -76,11 +89,49 @@ function parseDescription(description: string): { title: string; category: strin
   return { title, category, body };
 }
 
-// Hook to fetch all proposals from events
+// Convert a governance indexer record (amounts as decimal strings)
+function proposalFromIndex(indexed: IndexedProposal): Proposal {
+  const forVotes = BigInt(indexed.forVotes);
+  const againstVotes = BigInt(indexed.againstVotes);
+  const abstainVotes = BigInt(indexed.abstainVotes);
+  const stateNum = Number(
+    Object.entries(ProposalState).find(([, label]) => label === indexed.state)?.[0] ?? 0
+  );
+  const { title, category } = parseDescription(indexed.description);
+
+  return {
+    id: BigInt(indexed.proposalId),
+    proposalId: indexed.proposalId,
+    proposer: indexed.proposer,
+    targets: indexed.targets,
+    values: indexed.values.map(v => BigInt(v)),
+    calldatas: indexed.calldatas,
+    description: indexed.description,
+    title,
+    category,
+    voteStart: BigInt(indexed.voteStart),
+    voteEnd: BigInt(indexed.voteEnd),
+    state: indexed.state,
+    stateNum,
+    forVotes,
+    againstVotes,
+    abstainVotes,
+    forVotesFormatted: formatUnits(forVotes, 18),
+    againstVotesFormatted: formatUnits(againstVotes, 18),
+    abstainVotesFormatted: formatUnits(abstainVotes, 18),
+    totalVotes: forVotes + againstVotes + abstainVotes,
+    createdAt: new Date(indexed.createdAt * 1000),
+    blockNumber: BigInt(indexed.blockNumber),
+  };
+}
+
+// Hook to fetch all proposals - from the governance indexer, or from events
 export function useProposals() {
   const publicClient = usePublicClient();
   const governorContract = useGovernorContract();
+  const chainId = useEffectiveChainId();
   const [proposals, setProposals] = useState<Proposal[]>([]);
+  const [source, setSource] = useState<ProposalSource | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
 
@@ -91,9 +142,15 @@ export function useProposals() {
     setError(null);
 
     try {
-      // Fetch ProposalCreated events
-      // Governor was deployed recently, so we can search from a recent block
-      // For production, you'd want to track this or use a subgraph
+      const indexed = await fetchIndexedProposals(chainId, governorContract.address);
+      if (indexed) {
+        setProposals(indexed.map(proposalFromIndex));
+        setSource('indexer');
+        return;
+      }
+
+      // Fallback: fetch ProposalCreated events from recent blocks only -
+      // older proposals need the indexer
       const currentBlock = await publicClient.getBlockNumber();
       const fromBlock = currentBlock - BigInt(50000); // ~7 days on Sepolia
 
@@ -188,13 +245,14 @@ export function useProposals() {
       fetchedProposals.sort((a, b) => Number(b.blockNumber - a.blockNumber));
       
       setProposals(fetchedProposals);
+      setSource('rpc');
     } catch (err) {
       console.error('Error fetching proposals:', err);
       setError(err as Error);
     } finally {
       setIsLoading(false);
     }
-  }, [publicClient, governorContract]);
+  }, [publicClient, governorContract, chainId]);
 
   useEffect(() => {
     fetchProposals();
@@ -202,6 +260,7 @@ export function useProposals() {
 
   return {
     proposals,
+    source,
     isLoading,
     error,
     refetch: fetchProposals,
@@ -212,7 +271,9 @@ export function useProposals() {
 export function useProposal(proposalId: string | undefined) {
   const publicClient = usePublicClient();
   const governorContract = useGovernorContract();
+  const chainId = useEffectiveChainId();
   const [proposal, setProposal] = useState<Proposal | null>(null);
+  const [source, setSource] = useState<ProposalSource | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
 
@@ -227,6 +288,13 @@ export function useProposal(proposalId: string | undefined) {
       setError(null);
 
       try {
+        const indexed = await fetchIndexedProposal(proposalId, chainId, governorContract.address);
+        if (indexed) {
+          setProposal(proposalFromIndex(indexed));
+          setSource('indexer');
+          return;
+        }
+
         const id = BigInt(proposalId);
 
         // Get proposal state
@@ -321,6 +389,7 @@ export function useProposal(proposalId: string | undefined) {
           createdAt: new Date(Number(block.timestamp) * 1000),
           blockNumber: log.blockNumber,
         });
+        setSource('rpc');
       } catch (err) {
         console.error('Error fetching proposal:', err);
         setError(err as Error);
@@ -330,10 +399,159 @@ export function useProposal(proposalId: string | undefined) {
     };
 
     fetchProposal();
-  }, [publicClient, proposalId, governorContract]);
+  }, [publicClient, proposalId, governorContract, chainId]);
 
   return {
     proposal,
+    source,
+    isLoading,
+    error,
+  };
+}
+
+export interface ProposalVote {
+  voter: string;
+  support: number; // 0 = Against, 1 = For, 2 = Abstain
+  weight: bigint;
+  reason: string;
+  blockNumber: bigint;
+  txHash: string;
+  logIndex: number;
+  // Only known when read from the indexer
+  timestamp: Date | null;
+}
+
+// Hook to fetch every vote cast on a proposal, in the order cast, and the
+// quorum it has to reach - from the governance indexer, or from events
+export function useProposalVoteHistory(proposal: Proposal | null) {
+  const publicClient = usePublicClient();
+  const governorContract = useGovernorContract();
+  const chainId = useEffectiveChainId();
+  const [votes, setVotes] = useState<ProposalVote[]>([]);
+  const [quorum, setQuorum] = useState<bigint | null>(null);
+  const [source, setSource] = useState<ProposalSource | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const proposalId = proposal?.proposalId;
+  const proposalBlock = proposal?.blockNumber;
+  const voteStart = proposal?.voteStart;
+  const voteEnd = proposal?.voteEnd;
+
+  useEffect(() => {
+    if (
+      !publicClient ||
+      proposalId === undefined ||
+      proposalBlock === undefined ||
+      voteStart === undefined ||
+      voteEnd === undefined
+    ) {
+      setIsLoading(false);
+      return;
+    }
+
+    const fetchVotes = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      // quorum() only answers for past snapshots; null until voting starts
+      const readQuorum = async () => {
+        try {
+          return await publicClient.readContract({
+            address: governorContract.address,
+            abi: governorContract.abi,
+            functionName: 'quorum',
+            args: [voteStart],
+          }) as bigint;
+        } catch {
+          return null;
+        }
+      };
+
+      try {
+        const indexed = await fetchIndexedVotes(proposalId, chainId, governorContract.address);
+        if (indexed) {
+          setVotes(indexed.map(vote => ({
+            voter: vote.voter,
+            support: vote.support,
+            weight: BigInt(vote.weight),
+            reason: vote.reason,
+            blockNumber: BigInt(vote.blockNumber),
+            txHash: vote.txHash,
+            logIndex: vote.logIndex,
+            timestamp: new Date(vote.timestamp * 1000),
+          })));
+          setQuorum(await readQuorum());
+          setSource('indexer');
+          return;
+        }
+
+        // Fallback: votes can only be cast between the proposal's creation and
+        // the end of voting, read in MAX_LOG_RANGE windows
+        const voteInputs = [
+          { type: 'address', name: 'voter', indexed: true },
+          { type: 'uint256', name: 'proposalId', indexed: false },
+          { type: 'uint8', name: 'support', indexed: false },
+          { type: 'uint256', name: 'weight', indexed: false },
+          { type: 'string', name: 'reason', indexed: false },
+        ] as const;
+
+        const getVoteLogs = (fromBlock: bigint, toBlock: bigint) =>
+          publicClient.getLogs({
+            address: governorContract.address,
+            events: [
+              { type: 'event', name: 'VoteCast', inputs: voteInputs },
+              {
+                type: 'event',
+                name: 'VoteCastWithParams',
+                inputs: [...voteInputs, { type: 'bytes', name: 'params', indexed: false }],
+              },
+            ],
+            fromBlock,
+            toBlock,
+          });
+
+        const latestBlock = await publicClient.getBlockNumber();
+        const lastBlock = voteEnd < latestBlock ? voteEnd : latestBlock;
+        const logs: Awaited<ReturnType<typeof getVoteLogs>> = [];
+        for (let fromBlock = proposalBlock; fromBlock <= lastBlock; fromBlock += MAX_LOG_RANGE) {
+          const toBlock = fromBlock + MAX_LOG_RANGE - BigInt(1);
+          logs.push(...(await getVoteLogs(fromBlock, toBlock < lastBlock ? toBlock : lastBlock)));
+        }
+
+        const id = BigInt(proposalId);
+        const fetchedVotes = logs
+          .filter(log => log.args.proposalId === id)
+          .map(log => ({
+            voter: log.args.voter as string,
+            support: Number(log.args.support),
+            weight: log.args.weight as bigint,
+            reason: log.args.reason ?? '',
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            logIndex: log.logIndex,
+            timestamp: null,
+          }))
+          .sort((a, b) => Number(a.blockNumber - b.blockNumber) || a.logIndex - b.logIndex);
+
+        setVotes(fetchedVotes);
+        setQuorum(await readQuorum());
+        setSource('rpc');
+      } catch (err) {
+        console.error('Error fetching votes:', err);
+        setError(err as Error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchVotes();
+  }, [publicClient, proposalId, proposalBlock, voteStart, voteEnd, governorContract, chainId]);
+
+  return {
+    votes,
+    quorum,
+    source,
     isLoading,
     error,
   };
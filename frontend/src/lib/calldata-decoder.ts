@@ -0,0 +1,301 @@
+import {
+  decodeFunctionData,
+  formatUnits,
+  keccak256,
+  toBytes,
+  toFunctionSelector,
+  zeroAddress,
+  zeroHash,
+  type Abi,
+  type AbiFunction,
+  type AbiParameter,
+} from "viem";
+import { ABIS, CONTRACT_ADDRESSES } from "@/config/contracts";
+import RoleNames from "@/config/roles.json";
+import TUTTokenSmartABI from "@/abi/TUTTokenSmart.json";
+import { formatAddress } from "@/lib/utils";
+
+/**
+ * Turns proposal actions (target, value, calldata) into readable calls such as
+ * "Treasury.withdrawTokens(TUT, 0xabcd...1234, 10,000 TUT)".
+ *
+ * Targets are matched against the addresses in config/contracts.ts and
+ * decoded with that contract's ABI; selectors it doesn't know are looked up in
+ * every other ABI we ship. Anything that can't be decoded is returned with a
+ * warning so voters know to check the raw calldata.
+ */
+
+type Deployments = typeof CONTRACT_ADDRESSES;
+
+// Any contract deployed on any network
+export type ContractKey = { [C in keyof Deployments]: keyof Deployments[C] }[keyof Deployments];
+
+// Display names for the keys of CONTRACT_ADDRESSES
+const CONTRACT_LABELS: Record<ContractKey, string> = {
+  governor: "Governor",
+  timelock: "Timelock",
+  treasury: "Treasury",
+  token: "TUT",
+  escrow: "Escrow",
+  payroll: "Payroll",
+  compliance: "Compliance",
+  esg: "ESG",
+  tokenAllocator: "TokenAllocator",
+  trainingRewards: "TrainingRewards",
+  vestingManager: "VestingManager",
+  taskBounties: "TaskBounties",
+  stakingPool: "StakingPool",
+  liquidityManager: "LiquidityManager",
+  liquidityIncentives: "LiquidityIncentives",
+  uTUT: "uTUT",
+  tutConverter: "TUTConverter",
+  sessionKeyRegistry: "SessionKeyRegistry",
+  gasTreasuryModule: "GasTreasuryModule",
+  trainingRewardsV2: "TrainingRewardsV2",
+  sessionInvoker: "SessionInvoker",
+  mockBridgedTUT: "TUT",
+};
+
+// The TUT token config ABI only covers ERC20Votes; mint/roles/pause live here
+const CONTRACT_ABIS: Partial<Record<ContractKey, Abi>> = {
+  ...(ABIS as unknown as Record<string, Abi>),
+  token: [...(ABIS.token as unknown as Abi), ...(TUTTokenSmartABI as unknown as Abi)],
+  mockBridgedTUT: TUTTokenSmartABI as unknown as Abi,
+};
+
+export const TOKENS: Partial<Record<ContractKey, { symbol: string; decimals: number }>> = {
+  token: { symbol: "TUT", decimals: 18 },
+  mockBridgedTUT: { symbol: "TUT", decimals: 18 },
+  uTUT: { symbol: "uTUT", decimals: 6 },
+};
+
+// Amount arguments that are not denominated in a token passed alongside them
+const AMOUNT_UNITS: Record<string, { symbol: string; decimals: number }> = {
+  "treasury.withdrawFunds": { symbol: "ETH", decimals: 18 },
+};
+
+// Every AccessControl role declared in contracts/ and the Timelock's, as
+// keccak256("<NAME>"); the simulation service reads the same list
+export const ROLE_NAMES: string[] = RoleNames;
+
+const ROLES = new Map<string, string>([
+  [zeroHash, "DEFAULT_ADMIN_ROLE"],
+  ...ROLE_NAMES.map((name) => [keccak256(toBytes(name)), name] as [string, string]),
+]);
+
+export function getRoleName(hash: string): string | undefined {
+  return ROLES.get(hash.toLowerCase());
+}
+
+// selector -> function and the contract whose ABI has it, across every ABI, for targets we can't identify
+const SELECTORS = new Map<string, { fn: AbiFunction; key: ContractKey }>();
+for (const [key, abi] of Object.entries(CONTRACT_ABIS) as [ContractKey, Abi | undefined][]) {
+  for (const item of abi ?? []) {
+    if (item.type !== "function") continue;
+    const selector = toFunctionSelector(item);
+    if (!SELECTORS.has(selector)) SELECTORS.set(selector, { fn: item, key });
+  }
+}
+
+export interface KnownContract {
+  key: ContractKey;
+  label: string;
+  address: `0x${string}`;
+  abi: Abi | undefined;
+}
+
+/**
+ * Contracts deployed on `chainId` (placeholders at the zero address skipped).
+ */
+export function getKnownContracts(chainId: number): KnownContract[] {
+  const addresses = (CONTRACT_ADDRESSES[chainId as keyof typeof CONTRACT_ADDRESSES] ?? {}) as Partial<
+    Record<ContractKey, `0x${string}`>
+  >;
+  return (Object.entries(addresses) as [ContractKey, `0x${string}`][])
+    .filter(([, address]) => address !== zeroAddress)
+    .map(([key, address]) => ({ key, label: CONTRACT_LABELS[key] ?? key, address, abi: CONTRACT_ABIS[key] }));
+}
+
+function findContract(chainId: number, address: string): KnownContract | undefined {
+  // Later keys win where two share an address (trainingRewards / trainingRewardsV2)
+  return getKnownContracts(chainId)
+    .filter((contract) => contract.address.toLowerCase() === address.toLowerCase())
+    .pop();
+}
+
+/**
+ * Contract name for a known address, e.g. "Treasury"; undefined otherwise.
+ */
+export function getContractLabel(chainId: number, address: string): string | undefined {
+  return findContract(chainId, address)?.label;
+}
+
+/**
+ * "10000000000000000000000" with 18 decimals -> "10,000"
+ */
+export function formatTokenAmount(amount: bigint, decimals: number): string {
+  const [whole, fraction] = formatUnits(amount, decimals).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return fraction ? `${grouped}.${fraction}` : grouped;
+}
+
+export interface DecodedArgument {
+  name: string;
+  type: string;
+  /** Readable form: contract names, role names, token amounts */
+  display: string;
+  /** The value as encoded, for checking the readable form against */
+  raw: string;
+}
+
+export interface DecodedAction {
+  target: string;
+  /** Contract name when the target is a known contract */
+  contract: string | null;
+  functionName: string | null;
+  signature: string | null;
+  args: DecodedArgument[];
+  value: bigint;
+  calldata: string;
+  summary: string;
+  warnings: string[];
+}
+
+const AMOUNT_PARAM = /amount|value|reward|budget|cap$|limit/i;
+
+/**
+ * Whether an integer parameter holds a token amount, judging by its name.
+ */
+export function isAmountParam(input: AbiParameter): boolean {
+  return /^u?int/.test(input.type) && AMOUNT_PARAM.test(input.name ?? "");
+}
+
+/**
+ * The unit a call's amount arguments are denominated in: a token passed as
+ * an argument, the target itself when it is a token, or a known override.
+ */
+export function getAmountUnit(
+  chainId: number,
+  contract: KnownContract | undefined,
+  fn: AbiFunction,
+  args: readonly unknown[]
+): { symbol: string; decimals: number } | undefined {
+  const tokenArg = fn.inputs
+    .map((input, i) =>
+      input.type === "address" && typeof args[i] === "string" ? findContract(chainId, args[i] as string) : undefined
+    )
+    .find((arg) => arg && TOKENS[arg.key]);
+  return (
+    (tokenArg && TOKENS[tokenArg.key]) ??
+    (contract && TOKENS[contract.key]) ??
+    (contract && AMOUNT_UNITS[`${contract.key}.${fn.name}`])
+  );
+}
+
+function stringify(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(stringify).join(", ")}]`;
+  return String(value);
+}
+
+export function decodeProposalAction(
+  target: string,
+  value: bigint,
+  calldata: string,
+  chainId: number
+): DecodedAction {
+  const contract = findContract(chainId, target);
+  const targetLabel = contract?.label ?? formatAddress(target);
+  const warnings: string[] = [];
+  if (!contract) warnings.push(`Target ${target} is not a known Tolani contract on this network`);
+
+  const base = { target, contract: contract?.label ?? null, value, calldata, warnings };
+  const valueSuffix = value > BigInt(0) ? `{value: ${formatTokenAmount(value, 18)} ETH}` : "";
+
+  if (!calldata || calldata === "0x") {
+    if (value === BigInt(0)) warnings.push("Action has no calldata and sends no ETH");
+    return {
+      ...base,
+      functionName: null,
+      signature: null,
+      args: [],
+      summary: `Send ${formatTokenAmount(value, 18)} ETH to ${targetLabel}`,
+    };
+  }
+
+  const selector = calldata.slice(0, 10).toLowerCase();
+  const ownFn = contract?.abi?.find(
+    (item): item is AbiFunction => item.type === "function" && toFunctionSelector(item) === selector
+  );
+  const fallback = ownFn ? undefined : SELECTORS.get(selector);
+  const fn = ownFn ?? fallback?.fn;
+  // A known contract called with a function it doesn't have will revert, or hit a fallback
+  if (contract && fallback) {
+    warnings.push(
+      `Selector ${selector} is not in ${contract.label}'s ABI; decoded as ${CONTRACT_LABELS[fallback.key] ?? fallback.key}.${fallback.fn.name}`
+    );
+  }
+
+  if (!fn) {
+    warnings.push(`Unknown function selector ${selector}: the calldata could not be decoded`);
+    return {
+      ...base,
+      functionName: null,
+      signature: null,
+      args: [],
+      summary: `${targetLabel}.<unknown ${selector}>${valueSuffix}(…)`,
+    };
+  }
+
+  const signature = `${fn.name}(${fn.inputs.map((input) => input.type).join(",")})`;
+  let decodedArgs: readonly unknown[];
+  try {
+    decodedArgs = decodeFunctionData({ abi: [fn], data: calldata as `0x${string}` }).args ?? [];
+  } catch {
+    warnings.push(`Calldata does not match ${signature}`);
+    return { ...base, functionName: fn.name, signature, args: [], summary: `${targetLabel}.${fn.name}${valueSuffix}(…)` };
+  }
+
+  const unit = getAmountUnit(chainId, contract, fn, decodedArgs);
+
+  const formatArg = (input: AbiParameter, arg: unknown): string => {
+    if (Array.isArray(arg)) {
+      const itemType = { ...input, type: input.type.replace(/\[\d*\]$/, "") };
+      return `[${arg.map((item) => formatArg(itemType, item)).join(", ")}]`;
+    }
+    if (input.type === "address") {
+      return findContract(chainId, arg as string)?.label ?? formatAddress(arg as string);
+    }
+    if (input.type === "bytes32") {
+      return getRoleName(arg as string) ?? (arg as string);
+    }
+    if (typeof arg === "bigint" && unit && isAmountParam(input)) {
+      return `${formatTokenAmount(arg, unit.decimals)} ${unit.symbol}`;
+    }
+    if (typeof arg === "bigint") return formatTokenAmount(arg, 0);
+    return stringify(arg);
+  };
+
+  const args = fn.inputs.map((input, i) => ({
+    name: input.name || `arg${i}`,
+    type: input.type,
+    display: formatArg(input, decodedArgs[i]),
+    raw: stringify(decodedArgs[i]),
+  }));
+
+  return {
+    ...base,
+    functionName: fn.name,
+    signature,
+    args,
+    summary: `${targetLabel}.${fn.name}${valueSuffix}(${args.map((arg) => arg.display).join(", ")})`,
+  };
+}
+
+export function decodeProposalActions(
+  targets: readonly string[],
+  values: readonly bigint[],
+  calldatas: readonly string[],
+  chainId: number
+): DecodedAction[] {
+  return targets.map((target, i) => decodeProposalAction(target, values[i] ?? BigInt(0), calldatas[i] ?? "0x", chainId));
+}
@@ -0,0 +1,136 @@
+"use client";
+
+/**
+ * Client for the governance indexer (scripts/indexer/governance-indexer.js).
+ *
+ * Every call resolves to null when the indexer is not configured, is down,
+ * or indexes a different chain or Governor, so callers can fall back to
+ * reading the chain directly.
+ */
+
+export const GOVERNANCE_INDEXER_URL = process.env.NEXT_PUBLIC_GOVERNANCE_INDEXER_URL || "";
+
+const REQUEST_TIMEOUT_MS = 4000;
+
+export type IndexedProposalState =
+  | "Pending"
+  | "Active"
+  | "Canceled"
+  | "Defeated"
+  | "Succeeded"
+  | "Queued"
+  | "Expired"
+  | "Executed";
+
+export interface IndexedTransition {
+  state: IndexedProposalState;
+  blockNumber: number;
+  /** null when the change came with the clock and was noticed by polling state() */
+  txHash: `0x${string}` | null;
+}
+
+export interface IndexedTimelockOperation {
+  operationId: `0x${string}`;
+  calls: { target: `0x${string}`; value: string; data: `0x${string}` }[];
+  predecessor: `0x${string}`;
+  delay: number;
+  readyAt: number;
+  status: "Scheduled" | "Executed" | "Cancelled";
+  scheduledBlock: number;
+  scheduledTxHash: `0x${string}`;
+  executedBlock: number | null;
+  executedTxHash: `0x${string}` | null;
+}
+
+export interface IndexedProposal {
+  proposalId: string;
+  proposer: `0x${string}`;
+  targets: `0x${string}`[];
+  values: string[];
+  signatures: string[];
+  calldatas: `0x${string}`[];
+  voteStart: string;
+  voteEnd: string;
+  description: string;
+  blockNumber: number;
+  txHash: `0x${string}`;
+  /** Unix seconds */
+  createdAt: number;
+  state: IndexedProposalState;
+  transitions: IndexedTransition[];
+  againstVotes: string;
+  forVotes: string;
+  abstainVotes: string;
+  voteCount: number;
+  quorum: string | null;
+  eta: number | null;
+  timelockOperationId: `0x${string}` | null;
+  timelockOperation?: IndexedTimelockOperation | null;
+}
+
+export interface IndexedVote {
+  proposalId: string;
+  voter: `0x${string}`;
+  /** 0 = Against, 1 = For, 2 = Abstain */
+  support: number;
+  supportLabel: string;
+  weight: string;
+  reason: string;
+  /** Set for VoteCastWithParams only */
+  params: `0x${string}` | null;
+  blockNumber: number;
+  txHash: `0x${string}`;
+  logIndex: number;
+  /** Unix seconds */
+  timestamp: number;
+}
+
+interface IndexerMeta {
+  chainId: number | null;
+  governor: string;
+  indexedBlock: number | null;
+}
+
+async function fetchIndexer<T>(
+  path: string,
+  chainId: number,
+  governor: string
+): Promise<(T & IndexerMeta) | null> {
+  if (!GOVERNANCE_INDEXER_URL) return null;
+
+  try {
+    const response = await fetch(`${GOVERNANCE_INDEXER_URL}${path}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) return null;
+
+    const data = (await response.json()) as T & IndexerMeta;
+    if (data.chainId !== chainId || data.governor.toLowerCase() !== governor.toLowerCase()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+export async function fetchIndexedProposals(chainId: number, governor: string) {
+  const data = await fetchIndexer<{ proposals: IndexedProposal[] }>("/proposals", chainId, governor);
+  return data?.proposals ?? null;
+}
+
+export async function fetchIndexedProposal(proposalId: string, chainId: number, governor: string) {
+  const data = await fetchIndexer<{ proposal: IndexedProposal }>(
+    `/proposals/${encodeURIComponent(proposalId)}`,
+    chainId,
+    governor
+  );
+  return data?.proposal ?? null;
+}
+
+export async function fetchIndexedVotes(proposalId: string, chainId: number, governor: string) {
+  const data = await fetchIndexer<{ votes: IndexedVote[] }>(
+    `/proposals/${encodeURIComponent(proposalId)}/votes`,
+    chainId,
+    governor
+  );
+  return data?.votes ?? null;
+}
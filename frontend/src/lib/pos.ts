@@ -182,6 +182,16 @@ export const POS_PAYMENT_TYPES = {
   ],
 } as const;
 
+export const POS_PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+} as const;
+
 export interface PosMerchantData {
   name: string;
   businessId: string;
@@ -209,6 +219,41 @@ export interface PosQrPayload {
   orderId: `0x${string}`;
   memo: string;
   createdAt: number;
+  /** Relayer checkout token for this order, so the customer can pay gasless without the merchant's API key */
+  checkoutToken?: string;
+}
+
+export const POS_RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL || "http://localhost:3001";
+
+export function isValidPosApiKey(value: string) {
+  return /^tpk_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/.test(value);
+}
+
+export function isValidCheckoutToken(value: string) {
+  return /^tco_[A-Za-z0-9_-]{43}$/.test(value);
+}
+
+/**
+ * Asks the relayer for a checkout token bound to one order. The API key stays on the POS;
+ * the token only lets the customer prepare and relay this exact payment.
+ */
+export async function createPosCheckout(
+  apiKey: string,
+  order: { merchantId: `0x${string}`; orderId: `0x${string}`; token: PosTokenSymbol; amount: string },
+) {
+  const res = await fetch(`${POS_RELAYER_URL}/checkout`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": apiKey },
+    body: JSON.stringify({
+      merchantId: order.merchantId,
+      orderId: order.orderId,
+      tokenSymbol: order.token,
+      amount: order.amount,
+    }),
+  });
+  const checkout = await res.json();
+  if (!res.ok) throw new Error(checkout.error || "Failed to create checkout");
+  return checkout.checkoutToken as string;
 }
 
 export function getPosConfig(chainId?: number) {
@@ -237,6 +282,12 @@ export function parsePosQrPayload(rawValue: string): PosQrPayload | null {
     if (parsed.token !== "uTUT" && parsed.token !== "TUT") return null;
     if (!parsed.amount || Number(parsed.amount) <= 0) return null;
     if (!parsed.orderId || !isValidBytes32(parsed.orderId)) return null;
+    if (
+      parsed.checkoutToken !== undefined &&
+      (typeof parsed.checkoutToken !== "string" || !isValidCheckoutToken(parsed.checkoutToken))
+    ) {
+      return null;
+    }
     return parsed as PosQrPayload;
   } catch {
     return null;
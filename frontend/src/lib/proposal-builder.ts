@@ -0,0 +1,246 @@
+import {
+  encodeFunctionData,
+  isAddress,
+  isHex,
+  keccak256,
+  parseUnits,
+  toBytes,
+  toFunctionSignature,
+  zeroHash,
+  type AbiFunction,
+  type AbiParameter,
+} from "viem";
+import {
+  getAmountUnit,
+  getKnownContracts,
+  isAmountParam,
+  ROLE_NAMES,
+  type ContractKey,
+  type KnownContract,
+} from "@/lib/calldata-decoder";
+
+/**
+ * Composes proposal actions from the contracts in config/contracts.ts: pick a
+ * contract and one of its state-changing functions, type the arguments in
+ * human units, and get back the `targets`, `values` and `calldatas` that
+ * `Governor.propose` takes.
+ */
+
+export const UNITS = {
+  raw: { label: "Raw (no decimals)", decimals: 0 },
+  TUT: { label: "TUT (18 decimals)", decimals: 18 },
+  uTUT: { label: "uTUT (6 decimals)", decimals: 6 },
+  ETH: { label: "ETH (18 decimals)", decimals: 18 },
+} as const;
+
+export type Unit = keyof typeof UNITS;
+
+export const ROLE_OPTIONS = ["DEFAULT_ADMIN_ROLE", ...ROLE_NAMES];
+
+export interface ActionDraft {
+  id: string;
+  /** A contract from config/contracts.ts, or "custom" for a raw target and calldata */
+  contract: ContractKey | "custom";
+  /** Function signature, e.g. "grantRole(bytes32,address)" */
+  signature: string;
+  /** One input per function argument, as typed */
+  args: string[];
+  /** Unit chosen for integer arguments, by index; inferred when unset */
+  units: Record<number, Unit>;
+  /** ETH sent with the call */
+  value: string;
+  /** Custom actions only */
+  target: string;
+  calldata: string;
+}
+
+export interface EncodedAction {
+  target: `0x${string}`;
+  value: bigint;
+  calldata: `0x${string}`;
+}
+
+let nextId = 0;
+
+export function createActionDraft(contract: ActionDraft["contract"] = "custom"): ActionDraft {
+  nextId += 1;
+  return { id: `action-${nextId}`, contract, signature: "", args: [], units: {}, value: "0", target: "", calldata: "" };
+}
+
+/**
+ * Functions of a contract that a proposal can call (view/pure ones excluded),
+ * keyed by signature so overloads stay distinct.
+ */
+export function getWritableFunctions(contract: KnownContract | undefined): { signature: string; fn: AbiFunction }[] {
+  return (contract?.abi ?? [])
+    .filter(
+      (item): item is AbiFunction =>
+        item.type === "function" && item.stateMutability !== "view" && item.stateMutability !== "pure"
+    )
+    .map((fn) => ({ signature: toFunctionSignature(fn).replace(/^function /, ""), fn }))
+    .sort((a, b) => a.signature.localeCompare(b.signature));
+}
+
+export function findContractByKey(chainId: number, key: ActionDraft["contract"]): KnownContract | undefined {
+  return getKnownContracts(chainId).find((contract) => contract.key === key);
+}
+
+export function findFunction(contract: KnownContract | undefined, signature: string): AbiFunction | undefined {
+  return getWritableFunctions(contract).find((entry) => entry.signature === signature)?.fn;
+}
+
+/**
+ * The unit an integer argument is typed in: the user's choice, else the
+ * token the call is denominated in when the argument looks like an amount.
+ */
+export function getArgumentUnit(draft: ActionDraft, chainId: number, fn: AbiFunction, index: number): Unit {
+  const chosen = draft.units[index];
+  if (chosen) return chosen;
+  if (!isAmountParam(fn.inputs[index])) return "raw";
+  const contract = findContractByKey(chainId, draft.contract);
+  const unit = getAmountUnit(chainId, contract, fn, draft.args);
+  return unit && unit.symbol in UNITS ? (unit.symbol as Unit) : "raw";
+}
+
+function splitList(name: string, input: string): string[] {
+  const trimmed = input.trim();
+  if (trimmed.startsWith("[")) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      parsed = null;
+    }
+    if (!Array.isArray(parsed)) throw new Error(`${name}: expected a JSON or comma-separated list`);
+    return parsed.map(String);
+  }
+  return trimmed === "" ? [] : trimmed.split(",").map((item) => item.trim());
+}
+
+/**
+ * `input` in units with `decimals` decimals. Unlike parseUnits, refuses
+ * digits past the unit's precision instead of rounding them away.
+ */
+function parseAmount(name: string, input: string, decimals: number): bigint {
+  const value = input.replace(/,/g, "");
+  const match = value.match(/^-?\d*(?:\.(\d*))?$/);
+  if (!match || !/\d/.test(value)) throw new Error(`${name}: ${input} is not a number`);
+  if ((match[1] ?? "").replace(/0+$/, "").length > decimals) {
+    throw new Error(
+      decimals === 0 ? `${name}: ${input} must be a whole number` : `${name}: ${input} has more than ${decimals} decimals`
+    );
+  }
+  return parseUnits(value, decimals);
+}
+
+/**
+ * Parse one typed argument into the value viem encodes. Amounts are given in
+ * `unit`; bytes32 accepts a role name; arrays are comma-separated or JSON.
+ */
+export function parseArgument(param: AbiParameter, input: string, unit: Unit = "raw"): unknown {
+  const name = param.name || param.type;
+  const value = input.trim();
+
+  const list = param.type.match(/^(.*)\[(\d*)\]$/);
+  if (list) {
+    const items = splitList(name, value);
+    if (list[2] && items.length !== Number(list[2])) {
+      throw new Error(`${name}: expected ${list[2]} items, got ${items.length}`);
+    }
+    return items.map((item) => parseArgument({ ...param, type: list[1] }, item, unit));
+  }
+
+  if (param.type === "tuple") {
+    throw new Error(`${name}: tuple arguments are not supported, use a custom action`);
+  }
+  if (value === "" && param.type !== "string" && param.type !== "bytes") {
+    throw new Error(`${name} is required`);
+  }
+
+  if (param.type === "address") {
+    if (!isAddress(value)) throw new Error(`${name}: ${value} is not an address`);
+    return value;
+  }
+  if (param.type === "bool") {
+    if (value !== "true" && value !== "false") throw new Error(`${name}: expected true or false`);
+    return value === "true";
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    const amount = parseAmount(name, value, UNITS[unit].decimals);
+    if (param.type.startsWith("uint") && amount < BigInt(0)) throw new Error(`${name} cannot be negative`);
+    return amount;
+  }
+  if (param.type === "bytes32") {
+    if (value === "DEFAULT_ADMIN_ROLE") return zeroHash;
+    if (ROLE_NAMES.includes(value)) return keccak256(toBytes(value));
+    if (!isHex(value) || value.length !== 66) throw new Error(`${name}: expected a role name or 32-byte hex`);
+    return value;
+  }
+  if (/^bytes\d*$/.test(param.type)) {
+    const hex = value || "0x";
+    if (!isHex(hex)) throw new Error(`${name}: expected hex`);
+    return hex;
+  }
+  return value;
+}
+
+/**
+ * Encode a draft into a proposal action. Throws with a message naming the
+ * argument that could not be parsed.
+ */
+export function encodeAction(draft: ActionDraft, chainId: number): EncodedAction {
+  const value = parseAmount("ETH value", draft.value.trim() || "0", UNITS.ETH.decimals);
+
+  if (draft.contract === "custom") {
+    if (!isAddress(draft.target)) throw new Error("Target must be an address");
+    const calldata = draft.calldata.trim() || "0x";
+    if (!isHex(calldata)) throw new Error("Calldata must be hex");
+    return { target: draft.target, value, calldata };
+  }
+
+  const contract = findContractByKey(chainId, draft.contract);
+  if (!contract) throw new Error(`${draft.contract} is not deployed on this network`);
+  const fn = findFunction(contract, draft.signature);
+  if (!fn) throw new Error("Choose a function");
+  if (value > BigInt(0) && fn.stateMutability !== "payable") {
+    throw new Error(`${fn.name} is not payable and cannot receive ETH`);
+  }
+
+  const args = fn.inputs.map((param, i) =>
+    parseArgument(param, draft.args[i] ?? "", getArgumentUnit(draft, chainId, fn, i))
+  );
+  return { target: contract.address, value, calldata: encodeFunctionData({ abi: [fn], args }) };
+}
+
+/**
+ * Encode every draft, collecting per-action errors instead of throwing, for
+ * the preview.
+ */
+export function encodeActions(
+  drafts: readonly ActionDraft[],
+  chainId: number
+): { encoded: (EncodedAction | null)[]; errors: (string | null)[] } {
+  const encoded: (EncodedAction | null)[] = [];
+  const errors: (string | null)[] = [];
+  for (const draft of drafts) {
+    try {
+      encoded.push(encodeAction(draft, chainId));
+      errors.push(null);
+    } catch (error) {
+      encoded.push(null);
+      errors.push((error as Error).message);
+    }
+  }
+  return { encoded, errors };
+}
+
+/**
+ * Move the action at `from` to `to`, returning a new list.
+ */
+export function moveAction<T>(list: readonly T[], from: number, to: number): T[] {
+  if (to < 0 || to >= list.length) return [...list];
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
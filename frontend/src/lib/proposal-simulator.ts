@@ -0,0 +1,132 @@
+"use client";
+
+/**
+ * Client for the proposal simulation service
+ * (scripts/simulation/simulation-service.js), which forks the chain and runs
+ * a proposal's actions as the Timelock. The panel using it is hidden when
+ * NEXT_PUBLIC_SIMULATION_URL is unset.
+ */
+
+export const SIMULATION_URL = process.env.NEXT_PUBLIC_SIMULATION_URL || "";
+
+export interface SimulatedAction {
+  index: number;
+  target: `0x${string}`;
+  value: string;
+  data: `0x${string}`;
+  status: "success" | "reverted" | "skipped";
+  gasUsed?: string;
+  events?: number;
+  revertReason?: string;
+  revertData?: `0x${string}` | null;
+}
+
+export interface SimulatedBalanceChange {
+  /** null for ETH */
+  token: `0x${string}` | null;
+  symbol: string | null;
+  decimals: number | null;
+  account: `0x${string}`;
+  /** Signed, in the token's smallest unit */
+  change: string;
+}
+
+export interface SimulatedRoleChange {
+  contract: `0x${string}`;
+  role: `0x${string}`;
+  roleName: string | null;
+  account: `0x${string}`;
+  change: "granted" | "revoked";
+}
+
+export interface SimulatedOwnershipChange {
+  contract: `0x${string}`;
+  previousOwner: `0x${string}`;
+  newOwner: `0x${string}`;
+}
+
+export interface Simulation {
+  id: string;
+  /** Unix milliseconds */
+  createdAt: number;
+  proposalId: string;
+  state: string | null;
+  governor: `0x${string}`;
+  timelock: `0x${string}`;
+  fork: { chainId: number; blockNumber: number; blockHash: string; timestamp: number };
+  status: "success" | "reverted";
+  revert: { index: number; reason: string; data: `0x${string}` | null } | null;
+  actions: SimulatedAction[];
+  balanceChanges: SimulatedBalanceChange[];
+  roleChanges: SimulatedRoleChange[];
+  ownershipChanges: SimulatedOwnershipChange[];
+}
+
+export interface SimulationRequest {
+  proposalId: string;
+  targets: string[];
+  values: string[];
+  calldatas: string[];
+  description: string;
+  /** The service refuses to run when its fork or Governor differ from these */
+  chainId: number;
+  governor: string;
+}
+
+/**
+ * Whether a simulation ran on the chain and Governor the page is showing.
+ */
+export function isSimulationFor(simulation: Simulation, chainId: number, governor: string) {
+  return simulation.fork.chainId === chainId && simulation.governor.toLowerCase() === governor.toLowerCase();
+}
+
+/**
+ * Stored simulations of a proposal on this chain and Governor, newest first;
+ * null when the service is not configured or unreachable.
+ */
+export async function fetchSimulations(
+  proposalId: string,
+  chainId: number,
+  governor: string
+): Promise<Simulation[] | null> {
+  if (!SIMULATION_URL) return null;
+
+  try {
+    const response = await fetch(`${SIMULATION_URL}/simulations?proposalId=${encodeURIComponent(proposalId)}`, {
+      signal: AbortSignal.timeout(4000),
+    });
+    if (!response.ok) return null;
+    const data = (await response.json()) as { simulations: Simulation[] };
+    return data.simulations.filter((simulation) => isSimulationFor(simulation, chainId, governor));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fork the chain and simulate the proposal. Throws with the service's error
+ * message when the simulation could not run; a reverting proposal is a
+ * result, not an error.
+ */
+export async function runSimulation(request: SimulationRequest): Promise<Simulation> {
+  const response = await fetch(`${SIMULATION_URL}/simulations`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+    // Forking a remote chain can take a while
+    signal: AbortSignal.timeout(180000),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Simulation failed (${response.status})`);
+  if (!isSimulationFor(data as Simulation, request.chainId, request.governor)) {
+    throw new Error(`The simulation service runs chain ${data.fork?.chainId} and Governor ${data.governor}`);
+  }
+  return data as Simulation;
+}
+
+/**
+ * Markdown report for the proposal's discussion thread.
+ */
+export function simulationReportUrl(simulationId: string) {
+  return `${SIMULATION_URL}/simulations/${encodeURIComponent(simulationId)}/report.md`;
+}
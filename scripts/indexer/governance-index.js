@@ -0,0 +1,420 @@
+/**
+ * Governance Index
+ *
+ * Tails the Governor, Timelock and voting token from their deploy block and
+ * keeps a local copy of everything the proposal pages need, so the frontend
+ * no longer scans a fixed window of recent blocks on every page load:
+ *
+ *   proposals.jsonl   proposal:<id>             ProposalCreated fields, tallies, state and its transitions
+ *   votes.jsonl       vote:<proposalId>:<voter> VoteCast / VoteCastWithParams
+ *   timelock.jsonl    op:<operationId>          CallScheduled / CallExecuted / Cancelled
+ *   delegates.jsonl   delegate:<delegator>      latest DelegateChanged
+ *   cursor.jsonl      lastBlock, deployBlock
+ *
+ * Queued, Executed and Canceled come from their events. Pending -> Active ->
+ * Succeeded / Defeated / Expired happen with the clock rather than a
+ * transaction, so the state of every open proposal is re-read with state()
+ * after each pass and a transition is recorded at the block it was noticed
+ * (txHash null).
+ *
+ * Only blocks `confirmations` deep are indexed, so a shallow reorg never
+ * reaches the store. Amounts are stored as decimal strings.
+ *
+ * The cursor moves once per MAX_LOG_RANGE window, so a pass interrupted
+ * midway replays the window's logs; every handler is idempotent (a proposal,
+ * vote or transition already recorded is skipped) so a replay changes nothing.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { JsonlStore } = require("../lib/jsonl-store");
+const { createLogger } = require("../lib/logger");
+const { findDeployBlock, MAX_LOG_RANGE } = require("../lib/chain-logs");
+
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+const FINAL_STATES = new Set(["Canceled", "Defeated", "Expired", "Executed"]);
+const SUPPORT_LABELS = ["Against", "For", "Abstain"];
+const TALLY_FIELDS = ["againstVotes", "forVotes", "abstainVotes"];
+
+const GOVERNOR_ABI = [
+  "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 voteStart, uint256 voteEnd, string description)",
+  "event ProposalQueued(uint256 proposalId, uint256 etaSeconds)",
+  "event ProposalExecuted(uint256 proposalId)",
+  "event ProposalCanceled(uint256 proposalId)",
+  "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+  "event VoteCastWithParams(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason, bytes params)",
+  "function state(uint256 proposalId) view returns (uint8)",
+  "function quorum(uint256 timepoint) view returns (uint256)",
+];
+
+const TIMELOCK_ABI = [
+  "event CallScheduled(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data, bytes32 predecessor, uint256 delay)",
+  "event CallExecuted(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data)",
+  "event Cancelled(bytes32 indexed id)",
+];
+
+const TOKEN_ABI = [
+  "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+];
+
+class GovernanceIndex {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {{ governor: string, timelock: string, token: string }} options.addresses
+   * @param {string} options.dataDir
+   * @param {number} [options.startBlock] Deploy block; found with findDeployBlock() when omitted
+   * @param {number} [options.confirmations]
+   * @param {number} [options.pollMs]
+   * @param {import("../lib/logger").Logger} [options.logger]
+   */
+  constructor({
+    provider,
+    addresses,
+    dataDir,
+    startBlock = null,
+    confirmations = 5,
+    pollMs = 10000,
+    logger = createLogger("governance-indexer"),
+  }) {
+    this.provider = provider;
+    this.addresses = addresses;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.pollMs = pollMs;
+    this.logger = logger;
+
+    this.governor = new ethers.Contract(addresses.governor, GOVERNOR_ABI, provider);
+    this.interfaces = {
+      [addresses.governor.toLowerCase()]: this.governor.interface,
+      [addresses.timelock.toLowerCase()]: new ethers.Interface(TIMELOCK_ABI),
+      [addresses.token.toLowerCase()]: new ethers.Interface(TOKEN_ABI),
+    };
+    // Only the events above - the token's Transfer logs alone would dwarf them
+    this.topics = Object.values(this.interfaces).flatMap((iface) => {
+      const topics = [];
+      iface.forEachEvent((event) => topics.push(event.topicHash));
+      return topics;
+    });
+
+    this.proposals = new JsonlStore(path.join(dataDir, "proposals.jsonl"));
+    this.votes = new JsonlStore(path.join(dataDir, "votes.jsonl"));
+    this.timelock = new JsonlStore(path.join(dataDir, "timelock.jsonl"));
+    this.delegates = new JsonlStore(path.join(dataDir, "delegates.jsonl"));
+    this.cursor = new JsonlStore(path.join(dataDir, "cursor.jsonl"));
+
+    this.blockTimes = new Map();
+    this.head = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  get indexedBlock() {
+    return this.cursor.get("lastBlock") ?? null;
+  }
+
+  async start() {
+    if (!this.cursor.has("lastBlock")) {
+      const deployBlock = this.startBlock ?? (await findDeployBlock(this.provider, this.addresses.governor));
+      this.cursor.put("deployBlock", deployBlock);
+      this.cursor.put("lastBlock", deployBlock - 1);
+      this.logger.info("Indexing from deploy block", { deployBlock });
+    }
+    this.schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay = this.pollMs) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.warn("Governance index poll failed", { error });
+      }
+      this.schedule();
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Index every confirmed block since the cursor, then refresh the state of
+   * open proposals. Resolves with the number of logs handled.
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+    try {
+      this.head = await this.provider.getBlockNumber();
+      const safeHead = this.head - (this.confirmations - 1);
+      let handled = 0;
+      let from = this.indexedBlock + 1;
+
+      while (from <= safeHead) {
+        const to = Math.min(safeHead, from + MAX_LOG_RANGE - 1);
+        const logs = await this.provider.getLogs({
+          address: [this.addresses.governor, this.addresses.timelock, this.addresses.token],
+          topics: [this.topics],
+          fromBlock: from,
+          toBlock: to,
+        });
+        for (const log of logs) {
+          handled += await this.handleLog(log);
+        }
+        this.cursor.put("lastBlock", to);
+        if (handled > 0 || to === safeHead) this.logger.debug("Indexed blocks", { from, to, handled });
+        from = to + 1;
+      }
+
+      await this.refreshStates();
+      this.blockTimes.clear();
+      return handled;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      this.blockTimes.set(blockNumber, block.timestamp);
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+
+  async handleLog(log) {
+    const iface = this.interfaces[log.address.toLowerCase()];
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      return 0;
+    }
+    if (!parsed) return 0;
+
+    const { args } = parsed;
+    const at = { blockNumber: log.blockNumber, txHash: log.transactionHash, logIndex: log.index };
+
+    switch (parsed.name) {
+      case "ProposalCreated":
+        if (this.proposals.has(`proposal:${args.proposalId}`)) return 0;
+        this.proposals.put(`proposal:${args.proposalId}`, {
+          proposalId: args.proposalId.toString(),
+          proposer: args.proposer,
+          targets: [...args.targets],
+          // args.values is Array.prototype.values on an ethers Result
+          values: args[3].map((value) => value.toString()),
+          signatures: [...args.signatures],
+          calldatas: [...args.calldatas],
+          voteStart: args.voteStart.toString(),
+          voteEnd: args.voteEnd.toString(),
+          description: args.description,
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash,
+          createdAt: await this.blockTime(log.blockNumber),
+          state: "Pending",
+          transitions: [{ state: "Pending", blockNumber: log.blockNumber, txHash: log.transactionHash }],
+          againstVotes: "0",
+          forVotes: "0",
+          abstainVotes: "0",
+          voteCount: 0,
+          quorum: null,
+          eta: null,
+          timelockOperationId: null,
+        });
+        this.logger.info("Proposal indexed", { proposalId: args.proposalId, blockNumber: log.blockNumber });
+        return 1;
+
+      case "VoteCast":
+      case "VoteCastWithParams":
+        return this.recordVote(args, parsed.name === "VoteCastWithParams" ? args.params : null, at);
+
+      case "ProposalQueued": {
+        const operation = this.timelock.values().find((op) => op.scheduledTxHash === log.transactionHash);
+        return this.transition(args.proposalId, "Queued", at, {
+          eta: Number(args.etaSeconds),
+          timelockOperationId: operation?.operationId ?? null,
+        });
+      }
+
+      case "ProposalExecuted":
+        return this.transition(args.proposalId, "Executed", at);
+
+      case "ProposalCanceled":
+        return this.transition(args.proposalId, "Canceled", at);
+
+      case "CallScheduled": {
+        const key = `op:${args.id}`;
+        const existing = this.timelock.get(key);
+        const calls = existing?.calls || [];
+        calls[Number(args.index)] = { target: args.target, value: args.value.toString(), data: args.data };
+        this.timelock.put(key, {
+          operationId: args.id,
+          calls,
+          predecessor: args.predecessor,
+          delay: Number(args.delay),
+          readyAt: (await this.blockTime(log.blockNumber)) + Number(args.delay),
+          scheduledBlock: log.blockNumber,
+          scheduledTxHash: log.transactionHash,
+          // A replayed CallScheduled leaves a later execution or cancellation alone
+          status: existing?.status ?? "Scheduled",
+          executedBlock: existing?.executedBlock ?? null,
+          executedTxHash: existing?.executedTxHash ?? null,
+        });
+        return 1;
+      }
+
+      case "CallExecuted":
+        return this.updateOperation(args.id, { status: "Executed", executedBlock: log.blockNumber, executedTxHash: log.transactionHash });
+
+      case "Cancelled":
+        return this.updateOperation(args.id, { status: "Cancelled", executedBlock: log.blockNumber, executedTxHash: log.transactionHash });
+
+      case "DelegateChanged":
+        this.delegates.put(`delegate:${args.delegator.toLowerCase()}`, {
+          delegator: args.delegator,
+          delegate: args.toDelegate,
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash,
+        });
+        return 1;
+
+      default:
+        return 0;
+    }
+  }
+
+  async recordVote(args, params, at) {
+    const proposalKey = `proposal:${args.proposalId}`;
+    const proposal = this.proposals.get(proposalKey);
+    if (!proposal) {
+      this.logger.warn("Vote for an unindexed proposal", { proposalId: args.proposalId, txHash: at.txHash });
+      return 0;
+    }
+
+    // One vote per voter: an existing one is this log replayed, already tallied
+    const voteKey = `vote:${proposal.proposalId}:${args.voter.toLowerCase()}`;
+    if (this.votes.has(voteKey)) return 0;
+
+    const support = Number(args.support);
+    const weight = args.weight.toString();
+    this.votes.put(voteKey, {
+      proposalId: proposal.proposalId,
+      voter: args.voter,
+      support,
+      supportLabel: SUPPORT_LABELS[support] ?? "Unknown",
+      weight,
+      reason: args.reason,
+      params: params && params !== "0x" ? params : null,
+      ...at,
+      timestamp: await this.blockTime(at.blockNumber),
+    });
+
+    const field = TALLY_FIELDS[support];
+    this.proposals.put(proposalKey, {
+      ...proposal,
+      ...(field ? { [field]: (BigInt(proposal[field]) + BigInt(weight)).toString() } : {}),
+      voteCount: proposal.voteCount + 1,
+    });
+    return 1;
+  }
+
+  transition(proposalId, state, at, patch = {}) {
+    const key = `proposal:${proposalId}`;
+    const proposal = this.proposals.get(key);
+    if (!proposal) return 0;
+    if (proposal.transitions.some((entry) => entry.state === state && entry.blockNumber === at.blockNumber)) return 0;
+    this.proposals.put(key, {
+      ...proposal,
+      ...patch,
+      state,
+      transitions: [...proposal.transitions, { state, blockNumber: at.blockNumber, txHash: at.txHash }],
+    });
+    this.logger.info("Proposal state changed", { proposalId: proposal.proposalId, state, blockNumber: at.blockNumber });
+    return 1;
+  }
+
+  updateOperation(operationId, patch) {
+    const key = `op:${operationId}`;
+    const operation = this.timelock.get(key);
+    if (!operation) return 0;
+    this.timelock.put(key, { ...operation, ...patch });
+    return 1;
+  }
+
+  /**
+   * Re-read state() for proposals that can still change without an event, and
+   * read each proposal's quorum once voting has started.
+   */
+  async refreshStates() {
+    const blockTag = this.indexedBlock;
+    for (const { proposalId, state: indexedState } of this.proposals.values()) {
+      let state = indexedState;
+      if (!FINAL_STATES.has(state)) {
+        state = PROPOSAL_STATES[Number(await this.governor.state(proposalId, { blockTag }))];
+        if (state !== indexedState) this.transition(proposalId, state, { blockNumber: blockTag, txHash: null });
+      }
+
+      const proposal = this.proposals.get(`proposal:${proposalId}`);
+      if (proposal.quorum !== null || state === "Pending" || state === "Canceled") continue;
+      try {
+        const quorum = await this.governor.quorum(proposal.voteStart, { blockTag });
+        this.proposals.put(`proposal:${proposalId}`, { ...proposal, quorum: quorum.toString() });
+      } catch (error) {
+        this.logger.debug("Quorum not readable yet", { proposalId, error });
+      }
+    }
+  }
+
+  /* ========== QUERIES ========== */
+
+  /**
+   * Proposals newest first.
+   * @param {{ state?: string, proposer?: string }} [filter]
+   */
+  listProposals({ state, proposer } = {}) {
+    return this.proposals
+      .values()
+      .filter((proposal) => !state || proposal.state === state)
+      .filter((proposal) => !proposer || proposal.proposer.toLowerCase() === proposer.toLowerCase())
+      .sort((a, b) => b.blockNumber - a.blockNumber);
+  }
+
+  getProposal(proposalId) {
+    const proposal = this.proposals.get(`proposal:${proposalId}`);
+    if (!proposal) return null;
+    const operation = proposal.timelockOperationId ? this.timelock.get(`op:${proposal.timelockOperationId}`) : null;
+    return { ...proposal, timelockOperation: operation || null };
+  }
+
+  /**
+   * Votes on a proposal in the order they were cast.
+   */
+  listVotes(proposalId) {
+    return this.votes
+      .values()
+      .filter((vote) => vote.proposalId === proposalId)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * An account's delegate and the votes it has cast.
+   */
+  account(address) {
+    const delegation = this.delegates.get(`delegate:${address.toLowerCase()}`) || null;
+    const votes = this.votes
+      .values()
+      .filter((vote) => vote.voter.toLowerCase() === address.toLowerCase())
+      .sort((a, b) => b.blockNumber - a.blockNumber);
+    return { address, delegate: delegation?.delegate ?? null, delegatedAt: delegation?.blockNumber ?? null, votes };
+  }
+
+  listOperations() {
+    return this.timelock.values().sort((a, b) => b.scheduledBlock - a.scheduledBlock);
+  }
+}
+
+module.exports = { GovernanceIndex, findDeployBlock, PROPOSAL_STATES, SUPPORT_LABELS };
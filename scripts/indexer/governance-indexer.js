@@ -0,0 +1,153 @@
+/**
+ * Tolani Governance Indexer
+ *
+ * Keeps a local index of Governor proposals, votes and state transitions,
+ * Timelock operations and token delegations (see governance-index.js) and
+ * serves it to the frontend, which falls back to reading the chain directly
+ * when this service is down.
+ *
+ * Endpoints:
+ *   GET /health - Indexed block, chain head and lag
+ *   GET /proposals?state=&proposer= - Proposals, newest first
+ *   GET /proposals/:id - One proposal with its transitions and timelock operation
+ *   GET /proposals/:id/votes - Every vote on a proposal, in the order cast
+ *   GET /accounts/:address - An account's delegate and the votes it cast
+ *   GET /timelock/operations - Timelock operations, newest first
+ *   GET /metrics - Prometheus metrics (tolani_indexer_*)
+ *
+ * Every list response carries `chainId` and `indexedBlock`, so a client can
+ * tell which network the index covers and how fresh it is.
+ *
+ * Environment:
+ *   INDEXER_PORT - default 3004
+ *   INDEXER_RPC_URL or BASE_RPC_URL - default https://mainnet.base.org
+ *   INDEXER_GOVERNOR_ADDRESS, INDEXER_TIMELOCK_ADDRESS, INDEXER_TOKEN_ADDRESS - default the
+ *                         Base mainnet deployment
+ *   INDEXER_START_BLOCK - Governor deploy block (found by binary search over eth_getCode
+ *                         when unset, which needs an archive RPC)
+ *   INDEXER_CONFIRMATIONS - blocks an event must be buried under (default 5)
+ *   INDEXER_POLL_MS - default 10000
+ *   INDEXER_DATA_DIR - default scripts/indexer/data
+ *   METRICS_TOKEN - bearer token required on /metrics (open when unset)
+ *
+ * Logs are JSON lines (scripts/lib/logger.js, LOG_LEVEL / LOG_FORMAT).
+ */
+
+require("dotenv").config();
+
+const path = require("path");
+const express = require("express");
+const cors = require("cors");
+const { ethers } = require("ethers");
+const { GovernanceIndex, PROPOSAL_STATES } = require("./governance-index");
+const { BASE_MAINNET_ADDRESSES } = require("../deployments/base-mainnet-addresses");
+const { Metrics } = require("../lib/metrics");
+const { createLogger, requestIdMiddleware, REQUEST_ID_HEADER } = require("../lib/logger");
+
+const PORT = process.env.INDEXER_PORT || 3004;
+const RPC_URL = process.env.INDEXER_RPC_URL || process.env.BASE_RPC_URL || "https://mainnet.base.org";
+const ADDRESSES = {
+  governor: process.env.INDEXER_GOVERNOR_ADDRESS || BASE_MAINNET_ADDRESSES.governor,
+  timelock: process.env.INDEXER_TIMELOCK_ADDRESS || BASE_MAINNET_ADDRESSES.timelock,
+  token: process.env.INDEXER_TOKEN_ADDRESS || BASE_MAINNET_ADDRESSES.tut,
+};
+const START_BLOCK = process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null;
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 5);
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 10000);
+const DATA_DIR = process.env.INDEXER_DATA_DIR || path.join(__dirname, "data");
+
+const logger = createLogger("governance-indexer");
+const metrics = new Metrics({ prefix: "tolani_indexer_" });
+
+const provider = new ethers.JsonRpcProvider(RPC_URL);
+const index = new GovernanceIndex({
+  provider,
+  addresses: ADDRESSES,
+  dataDir: DATA_DIR,
+  startBlock: START_BLOCK,
+  confirmations: CONFIRMATIONS,
+  pollMs: POLL_MS,
+  logger,
+});
+let chainId = null;
+
+metrics.gauge("indexed_block", "Last block written to the index", [], (gauge) => gauge.set({}, index.indexedBlock ?? 0));
+metrics.gauge("lag_blocks", "Blocks between the chain head and the index", [], (gauge) => {
+  if (index.head !== null) gauge.set({}, Math.max(0, index.head - index.indexedBlock));
+});
+metrics.gauge("proposals", "Indexed proposals by state", ["state"], (gauge) => {
+  gauge.reset();
+  for (const state of PROPOSAL_STATES) gauge.set({ state }, 0);
+  for (const proposal of index.listProposals()) gauge.inc({ state: proposal.state });
+});
+metrics.gauge("votes", "Indexed votes", [], (gauge) => gauge.set({}, index.votes.size));
+
+const app = express();
+app.use(requestIdMiddleware(logger));
+// Read-only and public: the proposal pages call it from the browser
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
+app.use(metrics.httpMiddleware());
+app.get("/metrics", metrics.handler());
+
+function meta() {
+  return { chainId, governor: ADDRESSES.governor, indexedBlock: index.indexedBlock };
+}
+
+app.get("/health", (_req, res) => {
+  const lag = index.head === null ? null : Math.max(0, index.head - index.indexedBlock);
+  res.json({
+    status: index.head === null ? "starting" : "healthy",
+    ...meta(),
+    deployBlock: index.cursor.get("deployBlock") ?? null,
+    headBlock: index.head,
+    lag,
+    proposals: index.proposals.size,
+    votes: index.votes.size,
+  });
+});
+
+app.get("/proposals", (req, res) => {
+  const { state, proposer } = req.query;
+  if (state && !PROPOSAL_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of ${PROPOSAL_STATES.join(", ")}` });
+  }
+  if (proposer && !ethers.isAddress(proposer)) return res.status(400).json({ error: "Invalid proposer address" });
+  res.json({ ...meta(), proposals: index.listProposals({ state, proposer }) });
+});
+
+app.get("/proposals/:id", (req, res) => {
+  const proposal = /^\d+$/.test(req.params.id) ? index.getProposal(req.params.id) : null;
+  if (!proposal) return res.status(404).json({ error: "Proposal not found", ...meta() });
+  res.json({ ...meta(), proposal });
+});
+
+app.get("/proposals/:id/votes", (req, res) => {
+  if (!/^\d+$/.test(req.params.id) || !index.getProposal(req.params.id)) {
+    return res.status(404).json({ error: "Proposal not found", ...meta() });
+  }
+  res.json({ ...meta(), votes: index.listVotes(req.params.id) });
+});
+
+app.get("/accounts/:address", (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+  res.json({ ...meta(), ...index.account(ethers.getAddress(req.params.address)) });
+});
+
+app.get("/timelock/operations", (_req, res) => {
+  res.json({ ...meta(), operations: index.listOperations() });
+});
+
+app.listen(PORT, async () => {
+  logger.info("Tolani Governance Indexer listening", { port: Number(PORT), ...ADDRESSES });
+  try {
+    chainId = Number((await provider.getNetwork()).chainId);
+    await index.start();
+    logger.info("Indexing", { chainId, indexedBlock: index.indexedBlock });
+  } catch (error) {
+    // Nothing to serve without an index; let the supervisor restart us
+    logger.error("Indexer not started", { error });
+    process.exit(1);
+  }
+});
+
+module.exports = { app, index };
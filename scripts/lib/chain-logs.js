@@ -0,0 +1,70 @@
+/**
+ * Chain Log Queries
+ *
+ * Public RPCs (mainnet.base.org, sepolia.base.org) refuse eth_getLogs over
+ * more than a few thousand blocks, so every event search starts at a
+ * contract's deploy block and walks the chain in MAX_LOG_RANGE windows.
+ */
+
+const MAX_LOG_RANGE = 2000;
+
+/**
+ * First block at which `address` has code, by binary search over eth_getCode.
+ * Needs an archive RPC; configure the block explicitly otherwise.
+ */
+async function findDeployBlock(provider, address) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, high)) === "0x") throw new Error(`No contract at ${address}`);
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, mid)) === "0x") low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Events matching `filter`, newest window first, stopping at the first
+ * window that has any - for events that occur once (or the latest is all
+ * that matters).
+ *
+ * @param {import("ethers").Contract} contract
+ * @param {import("ethers").DeferredTopicFilter} filter
+ * @param {object} options
+ * @param {number} options.fromBlock Usually the contract's deploy block
+ * @param {number} [options.toBlock] Default the latest block
+ * @returns {Promise<import("ethers").EventLog[]>}
+ */
+async function queryLatestEvents(contract, filter, { fromBlock, toBlock = null }) {
+  let to = toBlock ?? (await contract.runner.provider.getBlockNumber());
+  while (to >= fromBlock) {
+    const from = Math.max(fromBlock, to - MAX_LOG_RANGE + 1);
+    const events = await contract.queryFilter(filter, from, to);
+    if (events.length > 0) return events;
+    to = from - 1;
+  }
+  return [];
+}
+
+/**
+ * Every event matching `filter` between two blocks, oldest first.
+ *
+ * @param {import("ethers").Contract} contract
+ * @param {import("ethers").DeferredTopicFilter} filter
+ * @param {object} options
+ * @param {number} options.fromBlock
+ * @param {number} [options.toBlock] Default the latest block
+ * @returns {Promise<import("ethers").EventLog[]>}
+ */
+async function queryEvents(contract, filter, { fromBlock, toBlock = null }) {
+  const to = toBlock ?? (await contract.runner.provider.getBlockNumber());
+  const events = [];
+  for (let from = fromBlock; from <= to; from += MAX_LOG_RANGE) {
+    events.push(...(await contract.queryFilter(filter, from, Math.min(to, from + MAX_LOG_RANGE - 1))));
+  }
+  return events;
+}
+
+module.exports = { findDeployBlock, queryEvents, queryLatestEvents, MAX_LOG_RANGE };
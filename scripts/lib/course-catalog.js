@@ -0,0 +1,201 @@
+/**
+ * SkillsBuild Course Catalog
+ *
+ * Which courses pay out, and from which on-chain campaign - kept in a store
+ * instead of the source so a mapping change needs no redeploy. The training
+ * reward pipeline resolves every completion's course through it, so the
+ * webhook and the TrainingRelayer CLI always agree on the campaign (and so on
+ * the completion proof).
+ *
+ * Every change bumps the catalog version and appends a history entry, so the
+ * catalog at any point can be reconstructed and audited:
+ *
+ *   meta               { version, updatedAt }
+ *   course:<courseId>  { courseId, title, campaign, campaignId, tag, status, version, ... }
+ *   history:<version>  { version, action, courseId, before, after, at }
+ *
+ * Courses are `active` or `retired`; retired courses are kept so old
+ * completions still resolve. The `default` course catches unknown course ids
+ * - retire it to refuse them instead.
+ *
+ * There is no per-course amount: TrainingRewards pays the campaign's
+ * rewardPerCompletion, so a different reward means a different campaign.
+ *
+ * On first open the catalog is seeded from the pipeline's COURSE_CAMPAIGNS.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { JsonlStore } = require("./jsonl-store");
+const {
+  CAMPAIGNS,
+  COURSE_CAMPAIGNS,
+  UTUT_DECIMALS,
+  campaignName
+} = require("./training-reward-pipeline");
+
+// Shared by the webhook and the TrainingRelayer CLI (COURSE_CATALOG_PATH)
+const DEFAULT_CATALOG_PATH = path.join(__dirname, "..", "webhook", "data", "course-catalog.jsonl");
+const DEFAULT_COURSE_ID = "default";
+const COURSE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+class CourseCatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CourseCatalogError";
+    this.status = status;
+  }
+}
+
+/**
+ * Check a course's campaign on TrainingRewards: it must exist, be running and
+ * have budget left for at least one more completion.
+ *
+ * @param {ethers.Contract} trainingRewards TrainingRewardsSimple
+ * @param {string} campaignId
+ * @returns {Promise<{ name: string, reward: string, remainingBudget: string, remainingCompletions: number }>}
+ */
+async function checkCampaignBudget(trainingRewards, campaignId) {
+  const campaign = await trainingRewards.getCampaign(campaignId);
+  if (campaign.budget === 0n) throw new CourseCatalogError(`Campaign ${campaignId} does not exist on-chain`);
+  if (!campaign.active) throw new CourseCatalogError(`Campaign ${campaign.name} is not active`);
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  if (campaign.endTime > 0n && now > campaign.endTime) {
+    throw new CourseCatalogError(`Campaign ${campaign.name} has ended`);
+  }
+
+  const perCompletion = campaign.rewardPerCompletion;
+  const remaining = campaign.budget - campaign.spent;
+  if (remaining < perCompletion) {
+    throw new CourseCatalogError(
+      `Campaign ${campaign.name} has ${ethers.formatUnits(remaining, UTUT_DECIMALS)} uTUT left, ` +
+        `less than one ${ethers.formatUnits(perCompletion, UTUT_DECIMALS)} uTUT reward`
+    );
+  }
+
+  return {
+    name: campaign.name,
+    reward: ethers.formatUnits(perCompletion, UTUT_DECIMALS),
+    remainingBudget: ethers.formatUnits(remaining, UTUT_DECIMALS),
+    remainingCompletions: Number(remaining / perCompletion)
+  };
+}
+
+function resolveCampaignId({ campaign, campaignId }) {
+  if (campaignId) {
+    if (!ethers.isHexString(campaignId, 32)) throw new CourseCatalogError("campaignId must be a bytes32 hex string");
+    return campaignId.toLowerCase();
+  }
+  if (campaign && CAMPAIGNS[campaign]) return CAMPAIGNS[campaign];
+  throw new CourseCatalogError(`Unknown campaign; use campaignId or one of ${Object.keys(CAMPAIGNS).join(", ")}`);
+}
+
+class CourseCatalog {
+  /**
+   * @param {{ get(key: string): any, has(key: string): boolean, put(key: string, value: any): any, values(): any[] }} [store]
+   */
+  constructor(store = new JsonlStore(process.env.COURSE_CATALOG_PATH || DEFAULT_CATALOG_PATH)) {
+    this.store = store;
+    if (!this.store.has("meta")) this.seed();
+  }
+
+  seed() {
+    for (const [courseId, { campaign, tag }] of Object.entries(COURSE_CAMPAIGNS)) {
+      this.write("seed", courseId, {
+        courseId,
+        title: null,
+        campaign,
+        campaignId: CAMPAIGNS[campaign],
+        tag,
+        status: "active"
+      });
+    }
+  }
+
+  get version() {
+    return this.store.get("meta")?.version || 0;
+  }
+
+  get(courseId) {
+    return this.store.get(`course:${courseId}`);
+  }
+
+  list({ includeRetired = false } = {}) {
+    return this.store
+      .values()
+      .filter((entry) => entry.courseId && entry.status && (includeRetired || entry.status === "active"))
+      .sort((a, b) => a.courseId.localeCompare(b.courseId));
+  }
+
+  history(limit = 50) {
+    return this.store
+      .values()
+      .filter((entry) => entry.action)
+      .sort((a, b) => b.version - a.version)
+      .slice(0, limit);
+  }
+
+  /**
+   * Course a completion pays out under: the course itself, or the default
+   * entry for unknown ids. Null when neither is active.
+   */
+  resolve(courseId) {
+    const course = this.get(courseId);
+    if (course) return course.status === "active" ? course : null;
+    const fallback = this.get(DEFAULT_COURSE_ID);
+    return fallback?.status === "active" ? fallback : null;
+  }
+
+  /**
+   * Add or update a course. `checkBudget(campaignId)` must resolve with the
+   * campaign's terms or throw; it runs before anything is written.
+   */
+  async upsert(courseId, { title, campaign, campaignId, reward, tag }, checkBudget) {
+    if (!COURSE_ID_PATTERN.test(courseId)) throw new CourseCatalogError("Invalid courseId");
+
+    const existing = this.get(courseId);
+    const target = campaign || campaignId
+      ? resolveCampaignId({ campaign, campaignId })
+      : existing?.campaignId;
+    if (!target) throw new CourseCatalogError("campaign or campaignId is required for a new course");
+    if (reward !== undefined) {
+      throw new CourseCatalogError("Courses have no reward of their own; map the course to a campaign that pays what you want");
+    }
+
+    const terms = await checkBudget(target);
+    const course = this.write(existing ? "update" : "add", courseId, {
+      courseId,
+      title: title ?? existing?.title ?? null,
+      campaign: campaignName(target) === "UNKNOWN" ? terms.name : campaignName(target),
+      campaignId: target,
+      tag: tag ?? existing?.tag ?? "Training",
+      status: "active"
+    });
+    return { course, campaign: terms };
+  }
+
+  retire(courseId) {
+    const existing = this.get(courseId);
+    if (!existing) throw new CourseCatalogError(`Unknown course ${courseId}`, 404);
+    if (existing.status === "retired") return existing;
+    return this.write("retire", courseId, { ...existing, status: "retired" });
+  }
+
+  write(action, courseId, fields) {
+    const version = this.version + 1;
+    const before = this.get(courseId) || null;
+    const at = Date.now();
+    const course = this.store.put(`course:${courseId}`, {
+      ...fields,
+      version,
+      createdAt: before?.createdAt || at,
+      updatedAt: at
+    });
+    this.store.put(`history:${version}`, { version, action, courseId, before, after: course, at });
+    this.store.put("meta", { version, updatedAt: at });
+    return course;
+  }
+}
+
+module.exports = { CourseCatalog, CourseCatalogError, checkCampaignBudget, DEFAULT_COURSE_ID };
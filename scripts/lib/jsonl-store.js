@@ -0,0 +1,92 @@
+/**
+ * Append-only JSON-lines record store
+ *
+ * Every write appends one `{ key, value }` line and fsyncs it, so a crash can
+ * lose at most the line being written. On open the file is replayed (last
+ * write per key wins) and compacted back to one line per live key.
+ *
+ * Values must be JSON-serialisable - stringify bigints before storing them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class JsonlStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = new Map();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+    this.compact();
+    this.fd = fs.openSync(filePath, "a");
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash mid-write - everything before it is intact.
+        continue;
+      }
+      if (entry.deleted) this.records.delete(entry.key);
+      else this.records.set(entry.key, entry.value);
+    }
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [...this.records].map(([key, value]) => JSON.stringify({ key, value }) + "\n");
+    fs.writeFileSync(tmpPath, lines.join(""));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  append(entry) {
+    fs.writeSync(this.fd, JSON.stringify(entry) + "\n");
+    fs.fsyncSync(this.fd);
+  }
+
+  get(key) {
+    return this.records.get(key);
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  put(key, value) {
+    this.append({ key, value });
+    this.records.set(key, value);
+    return value;
+  }
+
+  delete(key) {
+    if (!this.records.has(key)) return false;
+    this.append({ key, deleted: true });
+    this.records.delete(key);
+    return true;
+  }
+
+  values() {
+    return [...this.records.values()];
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  close() {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd);
+      this.fd = undefined;
+    }
+  }
+}
+
+module.exports = { JsonlStore };
@@ -0,0 +1,190 @@
+/**
+ * Structured Logger
+ *
+ * JSON lines on stdout, one per event, shared by the relayers and the
+ * SkillsBuild webhook:
+ *
+ *   {"time":"...","level":"info","service":"payment-relayer","msg":"Payment confirmed",
+ *    "requestId":"...","payer":"0x...","merchantId":"0x...","txHash":"0x..."}
+ *
+ * Correlation fields (requestId, payer / learner, merchantId / campaignId,
+ * jobId) live in an AsyncLocalStorage context: requestIdMiddleware() opens one
+ * per HTTP request and withLogContext() / addLogContext() extend it, so every
+ * line logged while handling that request is tagged without passing ids
+ * around. Work that outlives the request (queued jobs) re-enters a context
+ * built from what the job stored.
+ *
+ * Every response carries X-Request-Id. A caller-supplied X-Request-Id
+ * (letters, digits, ".", "_", "-", at most 64) is kept rather than replaced,
+ * so an id from the POS or an upstream proxy can be traced end to end.
+ *
+ * Environment:
+ *   LOG_LEVEL - debug | info (default) | warn | error
+ *   LOG_FORMAT - json (default) | pretty (readable lines for local runs)
+ */
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = "X-Request-Id";
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const context = new AsyncLocalStorage();
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return value.shortMessage || value.message;
+  }
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {object} options
+   * @param {string} options.service Name in every line, e.g. "payment-relayer"
+   * @param {object} [options.fields] Bound to every line of this logger
+   * @param {string} [options.level]
+   * @param {string} [options.format] json | pretty
+   * @param {{ write(line: string): void }} [options.stream]
+   */
+  constructor({
+    service,
+    fields = {},
+    level = process.env.LOG_LEVEL || "info",
+    format = process.env.LOG_FORMAT || "json",
+    stream = process.stdout,
+  }) {
+    if (!LEVELS[level]) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(", ")}`);
+    this.service = service;
+    this.fields = fields;
+    this.level = level;
+    this.format = format;
+    this.stream = stream;
+  }
+
+  /**
+   * A logger that adds `fields` to every line.
+   */
+  child(fields) {
+    const { service, level, format, stream } = this;
+    return new Logger({ service, fields: { ...this.fields, ...fields }, level, format, stream });
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, service: this.service, msg };
+    for (const source of [this.fields, context.getStore() || {}, fields]) {
+      for (const [key, value] of Object.entries(source)) {
+        if (value !== undefined && value !== null) entry[key] = serialize(value);
+      }
+    }
+    this.stream.write(`${this.format === "pretty" ? pretty(entry) : JSON.stringify(entry)}\n`);
+  }
+}
+
+function pretty({ time, level, service, msg, ...fields }) {
+  const extra = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`
+  );
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), `[${service}]`, msg, ...extra].join(" ");
+}
+
+function createLogger(service, options = {}) {
+  return new Logger({ service, ...options });
+}
+
+/**
+ * Fields of the current context (requestId, payer, ...), or {} outside one.
+ */
+function logContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Run `fn` with `fields` added to the current context.
+ */
+function withLogContext(fields, fn) {
+  return context.run({ ...logContext(), ...fields }, fn);
+}
+
+/**
+ * Run `fn` in a context of `fields` alone, ignoring the caller's - for work
+ * that belongs to its own request rather than whichever one started it.
+ */
+function runInLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+/**
+ * Add fields to the current context, e.g. once a handler has parsed the payer
+ * out of the body. No-op outside a context.
+ */
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Express middleware: assign or accept a request id, echo it in X-Request-Id
+ * and log one line per finished request. Register it before anything that
+ * logs.
+ *
+ * @param {Logger} logger
+ * @param {object} [options]
+ * @param {string[]} [options.quiet] Paths logged at debug (health checks, scrapes)
+ */
+function requestIdMiddleware(logger, { quiet = ["/health", "/metrics"] } = {}) {
+  return (req, res, next) => {
+    const given = req.get(REQUEST_ID_HEADER);
+    const requestId = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    const started = Date.now();
+    const store = { requestId };
+    context.run(store, () => {
+      // "finish" may fire outside the request's async context; log with its fields explicitly
+      res.on("finish", () => {
+        const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+        logger.write(quiet.includes(req.path) && level === "info" ? "debug" : level, "HTTP request", {
+          ...store,
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          durationMs: Date.now() - started,
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  logContext,
+  withLogContext,
+  runInLogContext,
+  addLogContext,
+  requestIdMiddleware,
+  REQUEST_ID_HEADER,
+};
@@ -0,0 +1,279 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small in-process registry rendered in the Prometheus text exposition
+ * format (0.0.4), shared by the Express services:
+ *
+ *   const metrics = new Metrics({ prefix: "tolani_relayer_" });
+ *   app.use(metrics.httpMiddleware());
+ *   app.get("/metrics", metrics.handler());
+ *
+ * Counters and histograms are updated where things happen; gauges can take a
+ * `collect` callback that is run on every scrape, so values that already
+ * live elsewhere (queue depth, relayer balances) are read rather than
+ * mirrored. Collectors must not hit the network - a scrape should be cheap.
+ *
+ * Set METRICS_TOKEN to require `Authorization: Bearer <token>` on /metrics.
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; covers an API call through to an L2 confirmation
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function renderLabels(labelNames, values, extra = "") {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.series.has(key)) this.series.set(key, { values: JSON.parse(key), ...create() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { values, value } of this.series.values()) {
+      lines.push(`${this.name}${renderLabels(this.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {(gauge: Gauge) => void | Promise<void>} [collect] Runs before every render
+   */
+  constructor(name, help, labelNames, collect = null) {
+    super("gauge", name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { values, value } of this.series.values()) {
+      lines.push(`${this.name}${renderLabels(this.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds.
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${renderLabels(this.labelNames, values, `le="${formatValue(bound)}"`)} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${renderLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${renderLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${renderLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Metrics {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.prefix] Prepended to every metric name, e.g. "tolani_relayer_"
+   * @param {string} [options.token] Bearer token for /metrics (default METRICS_TOKEN; open when unset)
+   */
+  constructor({ prefix = "", token = process.env.METRICS_TOKEN || "" } = {}) {
+    this.prefix = prefix;
+    this.token = token;
+    this.metrics = new Map();
+
+    this.gauge("process_start_time_seconds", "Start time of the process since unix epoch", [], (gauge) =>
+      gauge.set({}, Math.floor(Date.now() / 1000 - process.uptime()))
+    );
+    this.gauge("process_resident_memory_bytes", "Resident memory size in bytes", [], (gauge) =>
+      gauge.set({}, process.memoryUsage().rss)
+    );
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(this.prefix + name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch {
+          // Keep the last values; one broken collector must not fail the scrape.
+        }
+      }
+      lines.push(...metric.render());
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Request count and duration by method, route pattern and status. The route
+   * is the matched Express path (e.g. /jobs/:id), never the raw URL, so ids
+   * cannot blow up the series count; unmatched requests share one label.
+   */
+  httpMiddleware() {
+    const requests = this.counter("http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+    const duration = this.histogram("http_request_duration_seconds", "HTTP request duration", ["method", "route"]);
+
+    return (req, res, next) => {
+      const end = duration.startTimer();
+      res.on("finish", () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+        end({ method: req.method, route });
+        requests.inc({ method: req.method, route, status: res.statusCode });
+      });
+      next();
+    };
+  }
+
+  handler() {
+    return async (req, res) => {
+      if (this.token && !this.authorized(req.get("authorization") || "")) {
+        return res.status(401).type("text/plain").send("Unauthorized\n");
+      }
+      res.set("Content-Type", CONTENT_TYPE).send(await this.render());
+    };
+  }
+
+  authorized(header) {
+    const presented = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(this.token);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+  }
+}
+
+/**
+ * Balance and in-flight gauges for every key in a RelayerPool, read from the
+ * pool's cached state (refresh() keeps it current).
+ *
+ * @param {Metrics} metrics
+ * @param {import("../relayer/relayer-pool").RelayerPool} pool
+ */
+function relayerPoolMetrics(metrics, pool) {
+  metrics.gauge("relayer_balance_eth", "Relayer key ETH balance at the last refresh", ["relayer"], (gauge) => {
+    for (const member of pool.members) {
+      if (member.balance !== null) gauge.set({ relayer: member.address }, Number(ethers.formatEther(member.balance)));
+    }
+  });
+  metrics.gauge("relayer_available", "1 when the key is funded and healthy", ["relayer"], (gauge) => {
+    for (const member of pool.members) {
+      gauge.set({ relayer: member.address }, pool.isFunded(member) && pool.isHealthy(member) ? 1 : 0);
+    }
+  });
+  metrics.gauge("relayer_pending_transactions", "Transactions in flight per relayer key", ["relayer"], (gauge) => {
+    for (const member of pool.members) gauge.set({ relayer: member.address }, pool.pendingCount(member));
+  });
+}
+
+/**
+ * Gas paid for a mined transaction, in ETH.
+ */
+function receiptGasEth(receipt) {
+  return Number(ethers.formatEther(receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice)));
+}
+
+module.exports = { Metrics, Counter, Gauge, Histogram, relayerPoolMetrics, receiptGasEth, DEFAULT_BUCKETS };
@@ -0,0 +1,620 @@
+/**
+ * Training Reward Pipeline
+ *
+ * The one path from a finished course to an on-chain uTUT reward, shared by
+ * the SkillsBuild webhook and the TrainingRelayer CLI:
+ *
+ *   course id -> campaign (course-catalog.js) -> openSession (TRAINING tag)
+ *             -> SessionInvoker.invokeTrainingReward -> RewardGranted
+ *
+ * Courses resolve only through the course catalog (resolveCourse): the
+ * campaign is part of the completion proof, so two entry points mapping a
+ * course differently would pay the same completion twice.
+ *
+ * ABIs come from the Hardhat artifacts of the deployed *Simple contracts
+ * (run `npx hardhat compile` first), so a contract change can never leave a
+ * hand-written ABI behind. The reward amount is whatever the campaign pays
+ * on-chain; it is read back from the RewardGranted event.
+ *
+ * Completions go one at a time (rewardCompletion: a session per learner) or
+ * in bulk (rewardBatch: one session and one batch invoke for up to
+ * MAX_BATCH_SIZE). Every completion resolves to the same result shape:
+ *   { success, learner, courseId, campaign, campaignId, completionProof,
+ *     relayer, sessionTx, rewardTx, reward, gasCost, reason }
+ *
+ * A single completion can carry a multiplier (World ID verified learners, see
+ * world-id-gate.js): the extra is paid with grantDirectReward after the
+ * campaign reward and reported as { bonus, bonusTx }. That needs
+ * REWARDER_ROLE on TrainingRewards for the relayer key (grant-relayer-roles.js),
+ * which is checked before anything is sent. A bonus that still fails after the
+ * reward fails the completion ("WorldIdBonusNotPaid: ..."); submitting it again
+ * finds the reward on-chain and pays only the missing bonus.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { findDeployBlock, queryEvents, queryLatestEvents } = require("./chain-logs");
+
+// TrainingRewards deploy block, where RewardGranted searches start; found
+// with findDeployBlock() (archive RPC) when unset
+const REWARDS_FROM_BLOCK = process.env.TRAINING_REWARDS_FROM_BLOCK
+  ? Number(process.env.TRAINING_REWARDS_FROM_BLOCK)
+  : null;
+
+const ARTIFACTS_DIR =
+  process.env.TRAINING_ARTIFACTS_DIR || path.join(__dirname, "..", "..", "artifacts", "contracts", "training");
+
+const TRAINING_NETWORK = {
+  name: "Base Sepolia",
+  chainId: 84532,
+};
+
+// Base Sepolia deployment (deploy-base-simple.js)
+const TRAINING_CONTRACTS = {
+  uTUT: "0xf4758a12583F424B65CC860A2ff3D3B501cf591C",
+  SessionKeyRegistry: "0xD360F7c69c18dA78461BE5364cBC56C14b584607",
+  GasTreasuryModule: "0xC12035B044c5988E9977E50bA0913AEF4eec28F7",
+  TrainingRewards: "0x4d8FD67c3BAf949A9f7CfCE7830A9588CA0F13dC",
+  SessionInvoker: "0x7Eb46955704c7a75c6eA182A8b0E8C1ec2b06867",
+};
+
+const CONTRACT_ARTIFACTS = {
+  uTUT: "uTUTSimple",
+  SessionKeyRegistry: "SessionKeyRegistrySimple",
+  GasTreasuryModule: "GasTreasuryModuleSimple",
+  TrainingRewards: "TrainingRewardsSimple",
+  SessionInvoker: "SessionInvokerSimple",
+};
+
+// On-chain campaigns, keyed by the name used in logs and course mappings
+const CAMPAIGNS = {
+  CONSTRUCTION: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_CONSTRUCTION_TECH_V1")),
+  AI_CLOUD: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_AI_CLOUD_V1")),
+  ESG: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_ESG_TRACK_V1")),
+};
+
+// IBM SkillsBuild course ids -> campaign, seeding a new course catalog. A
+// learner is rewarded once per campaign, so a second course in the same
+// track is refused on-chain.
+const COURSE_CAMPAIGNS = {
+  "cybersecurity-fundamentals": { campaign: "AI_CLOUD", tag: "Cyber" },
+  "ai-fundamentals": { campaign: "AI_CLOUD", tag: "AI" },
+  "data-science-101": { campaign: "AI_CLOUD", tag: "Data" },
+  "cloud-computing-basics": { campaign: "CONSTRUCTION", tag: "Cloud" },
+  "blockchain-essentials": { campaign: "AI_CLOUD", tag: "Blockchain" },
+  "project-management": { campaign: "CONSTRUCTION", tag: "PM" },
+  "design-thinking": { campaign: "ESG", tag: "Design" },
+  "professional-skills": { campaign: "ESG", tag: "Skills" },
+  // Training category mappings
+  "construction-safety": { campaign: "CONSTRUCTION", tag: "Construction" },
+  "ai-cloud-training": { campaign: "AI_CLOUD", tag: "AI Cloud" },
+  "esg-fundamentals": { campaign: "ESG", tag: "ESG" },
+  // Unknown courses
+  default: { campaign: "CONSTRUCTION", tag: "Training" },
+};
+
+const SESSION_TAG_TRAINING = 0;
+const SESSION_DURATION_SECONDS = 300;
+const SESSION_MAX_ACTIONS = 1;
+const UTUT_DECIMALS = 6;
+// SessionInvokerSimple.MAX_BATCH_SIZE
+const MAX_BATCH_SIZE = 50;
+const BASIS_POINTS = 10000n;
+// grantDirectReward reason prefix for verified-human bonuses
+const BONUS_REASON = "WORLD_ID_BONUS";
+
+const abiCache = new Map();
+
+function gasCost(...receipts) {
+  return receipts.reduce((total, receipt) => total + receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice), 0n);
+}
+
+function loadAbi(contractName) {
+  const artifact = CONTRACT_ARTIFACTS[contractName];
+  if (!abiCache.has(artifact)) {
+    const file = path.join(ARTIFACTS_DIR, `${artifact}.sol`, `${artifact}.json`);
+    try {
+      abiCache.set(artifact, require(file).abi);
+    } catch (error) {
+      throw new Error(`Missing ${artifact} artifact at ${file} - run \`npx hardhat compile\` first (${error.message})`);
+    }
+  }
+  return abiCache.get(artifact);
+}
+
+function campaignName(campaignId) {
+  const match = Object.entries(CAMPAIGNS).find(([, id]) => id === campaignId);
+  return match ? match[0] : "UNKNOWN";
+}
+
+function openCourseCatalog() {
+  // Loaded here: course-catalog.js itself reads this module's campaign tables
+  const { CourseCatalog } = require("./course-catalog");
+  return new CourseCatalog();
+}
+
+/**
+ * Proof recorded with the reward (RewardGranted.completionProof). Derived
+ * only from stable inputs, so the same IBM credential always yields the same
+ * proof and a resubmission is recognised as one.
+ */
+function completionProof({ learner, campaignId, credentialId }) {
+  if (!credentialId) throw new Error("A credential id is required for the completion proof");
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes32", "string"],
+      [ethers.getAddress(learner), campaignId, String(credentialId)]
+    )
+  );
+}
+
+class TrainingRewardPipeline {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {import("../relayer/relayer-pool").RelayerPool} [options.pool] Omit for read-only use
+   * @param {Record<string, string>} [options.contracts] Address overrides (e.g. a local deployment)
+   * @param {number} [options.rewardsFromBlock] TrainingRewards deploy block (TRAINING_REWARDS_FROM_BLOCK)
+   * @param {import("./course-catalog").CourseCatalog} [options.catalog] Default the shared catalog (COURSE_CATALOG_PATH)
+   * @param {(relayer: string, receipt: ethers.TransactionReceipt, kind: string, waitSeconds: number) => void} [options.onGasSpent]
+   *        Called for every mined transaction a relayer key paid for, reverted ones included,
+   *        with how long it took to be mined after it was sent
+   */
+  constructor({
+    provider,
+    pool = null,
+    contracts = {},
+    rewardsFromBlock = REWARDS_FROM_BLOCK,
+    catalog = openCourseCatalog(),
+    onGasSpent = () => {},
+  }) {
+    this.provider = provider;
+    this.catalog = catalog;
+    this.pool = pool;
+    this.onGasSpent = onGasSpent;
+    this.rewardsFromBlock = rewardsFromBlock;
+    this.addresses = { ...TRAINING_CONTRACTS, ...contracts };
+
+    this.registry = this.contract("SessionKeyRegistry");
+    this.invoker = this.contract("SessionInvoker");
+    this.rewards = this.contract("TrainingRewards");
+    this.gasTreasury = this.contract("GasTreasuryModule");
+    this.uTUT = this.contract("uTUT");
+  }
+
+  contract(name) {
+    return new ethers.Contract(this.addresses[name], loadAbi(name), this.provider);
+  }
+
+  get canReward() {
+    return this.pool !== null;
+  }
+
+  /**
+   * Campaign a course pays out of, from the course catalog; unknown courses
+   * use its `default` entry. Null when the course is retired or unknown with
+   * no default.
+   * @returns {{ courseId: string, campaign: string, campaignId: string, tag: string, catalogVersion: number } | null}
+   */
+  resolveCourse(courseId) {
+    const course = this.catalog.resolve(courseId);
+    if (!course) return null;
+    return {
+      courseId,
+      campaign: course.campaign,
+      campaignId: course.campaignId,
+      tag: course.tag,
+      catalogVersion: this.catalog.version,
+    };
+  }
+
+  async balanceOf(learner) {
+    return ethers.formatUnits(await this.uTUT.balanceOf(learner), UTUT_DECIMALS);
+  }
+
+  /**
+   * @returns {Promise<{ name: string, reward: string, budget: string, spent: string, active: boolean }>}
+   */
+  async getCampaign(campaignId) {
+    const campaign = await this.rewards.getCampaign(campaignId);
+    return {
+      name: campaign.name,
+      reward: ethers.formatUnits(campaign.rewardPerCompletion, UTUT_DECIMALS),
+      budget: ethers.formatUnits(campaign.budget, UTUT_DECIMALS),
+      spent: ethers.formatUnits(campaign.spent, UTUT_DECIMALS),
+      active: campaign.active,
+    };
+  }
+
+  /**
+   * First block to search for TrainingRewards events
+   */
+  async rewardsDeployBlock() {
+    if (this.rewardsFromBlock === null) {
+      this.rewardsFromBlock = await findDeployBlock(this.provider, this.addresses.TrainingRewards);
+    }
+    return this.rewardsFromBlock;
+  }
+
+  /**
+   * On-chain state of a completion. TrainingRewards pays a learner once per
+   * campaign and logs the proof with the reward, so a proof is used when a
+   * RewardGranted event for that learner and campaign carries it. That event
+   * is searched for newest block first, in ranges public RPCs accept.
+   *
+   * @returns {Promise<{ campaignCompleted: boolean, rewarded: boolean, txHash?: string, blockNumber?: number, reward?: string }>}
+   */
+  async proofStatus({ learner, campaignId, completionProof: proof }) {
+    const campaignCompleted = await this.rewards.hasCompletedCampaign(learner, campaignId);
+    if (!campaignCompleted) return { campaignCompleted, rewarded: false };
+
+    const events = await queryLatestEvents(this.rewards, this.rewards.filters.RewardGranted(learner, campaignId), {
+      fromBlock: await this.rewardsDeployBlock(),
+    });
+    const used = events.find((event) => event.args.completionProof === proof);
+    if (!used) return { campaignCompleted, rewarded: false };
+    return {
+      campaignCompleted,
+      rewarded: true,
+      txHash: used.transactionHash,
+      blockNumber: used.blockNumber,
+      reward: ethers.formatUnits(used.args.amount, UTUT_DECIMALS),
+    };
+  }
+
+  /**
+   * Reason a completion must not be sent, from on-chain state, or null.
+   * "AlreadyRewarded" when this very proof was paid (with the original tx),
+   * "AlreadyCompleted" when the learner was paid for the campaign under
+   * another credential.
+   */
+  async usedProof(completion) {
+    const status = await this.proofStatus(completion);
+    if (status.rewarded) {
+      return {
+        reason: "AlreadyRewarded",
+        rewardTx: status.txHash,
+        rewardBlock: status.blockNumber,
+        reward: status.reward,
+      };
+    }
+    if (status.campaignCompleted) return { reason: "AlreadyCompleted" };
+    return null;
+  }
+
+  /**
+   * Name of a custom error from any of the training contracts, or the
+   * provider's message when the revert data is not one of ours.
+   */
+  describeError(error) {
+    const data = error.data || error.info?.error?.data;
+    if (typeof data === "string" && data.length >= 10) {
+      for (const contract of [this.invoker, this.registry, this.rewards]) {
+        const parsed = contract.interface.parseError(data);
+        if (parsed) return parsed.name;
+      }
+    }
+    return error.reason || error.shortMessage || error.message;
+  }
+
+  /**
+   * Open a TRAINING session for the learner and invoke the reward, both from
+   * one pool key. Never throws; failures come back with `success: false`.
+   *
+   * @param {object} completion
+   * @param {string} completion.learner
+   * @param {string} completion.campaignId
+   * @param {string} completion.completionProof
+   * @param {string} [completion.courseId]
+   * @param {bigint} [completion.multiplierBps] Total reward in basis points of the campaign's; above 10000 pays a bonus
+   * @param {(stage: "session" | "reward" | "bonus", txHash: string) => void} [completion.onTransaction]
+   *        Called as soon as each transaction is sent, before it is mined
+   */
+  async rewardCompletion({
+    learner,
+    campaignId,
+    completionProof: proof,
+    courseId = null,
+    multiplierBps = BASIS_POINTS,
+    onTransaction = () => {},
+  }) {
+    const base = {
+      learner,
+      courseId,
+      campaign: campaignName(campaignId),
+      campaignId,
+      completionProof: proof,
+    };
+    if (!this.canReward) return { ...base, success: false, reason: "No relayer key configured (read-only)" };
+
+    try {
+      const used = await this.usedProof(base);
+      if (used?.reason === "AlreadyRewarded" && multiplierBps > BASIS_POINTS) {
+        // Paid before - but the bonus may have failed after the reward
+        const bonus = await this.pool
+          .withRelayer((member) => this.payMissingBonus(member, base, used, multiplierBps, onTransaction))
+          .catch((error) => {
+            error.rewarded = { rewardTx: used.rewardTx, reward: used.reward };
+            throw error;
+          });
+        return { ...base, success: false, ...used, ...bonus };
+      }
+      if (used) return { ...base, success: false, ...used };
+      const result = await this.pool.withRelayer((member) => this.submit(member, base, multiplierBps, onTransaction));
+      return { ...base, success: true, ...result };
+    } catch (error) {
+      return {
+        ...base,
+        success: false,
+        ...error.rewarded,
+        sessionTx: error.rewarded?.sessionTx || error.sessionTx || null,
+        reason: error.rewarded ? `WorldIdBonusNotPaid: ${this.describeError(error)}` : this.describeError(error),
+      };
+    }
+  }
+
+  async submit(member, { learner, campaignId, completionProof: proof }, multiplierBps, onTransaction) {
+    const registry = this.registry.connect(member.wallet);
+    const invoker = this.invoker.connect(member.wallet);
+    // Never pay a verified learner the reward without the bonus
+    if (multiplierBps > BASIS_POINTS) await this.checkBonus(member, { learner, campaignId, proof, multiplierBps });
+
+    const sessionTx = await registry.openSession(
+      learner, // session key
+      SESSION_TAG_TRAINING,
+      SESSION_DURATION_SECONDS,
+      SESSION_MAX_ACTIONS
+    );
+    onTransaction("session", sessionTx.hash);
+    const sessionReceipt = await this.mined(member, sessionTx, "session");
+
+    let rewardReceipt;
+    try {
+      const rewardTx = await invoker.invokeTrainingReward(learner, learner, campaignId, proof);
+      onTransaction("reward", rewardTx.hash);
+      rewardReceipt = await this.mined(member, rewardTx, "reward");
+    } catch (error) {
+      error.sessionTx = sessionTx.hash;
+      throw error;
+    }
+
+    const [granted] = this.grantedRewards(rewardReceipt);
+    const result = {
+      relayer: member.address,
+      sessionTx: sessionTx.hash,
+      rewardTx: rewardReceipt.hash,
+      reward: granted ? ethers.formatUnits(granted.amount, UTUT_DECIMALS) : null,
+      gasCost: ethers.formatEther(gasCost(sessionReceipt, rewardReceipt)),
+    };
+    if (!granted || multiplierBps <= BASIS_POINTS) return result;
+    try {
+      return { ...result, ...(await this.payBonus(member, { learner, proof, amount: granted.amount, multiplierBps }, onTransaction)) };
+    } catch (error) {
+      // The reward is paid: keep it on the failure so it is recorded
+      error.rewarded = result;
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless `member` can pay the bonus for this completion: it holds
+   * REWARDER_ROLE and grantDirectReward would go through.
+   */
+  async checkBonus(member, { learner, campaignId, proof, multiplierBps }) {
+    const rewarderRole = await this.rewards.REWARDER_ROLE();
+    if (!(await this.rewards.hasRole(rewarderRole, member.address))) {
+      throw new Error(
+        `Relayer ${member.address} lacks REWARDER_ROLE on TrainingRewards, needed for World ID bonuses - grant it with grant-relayer-roles.js`
+      );
+    }
+    const campaign = await this.rewards.getCampaign(campaignId);
+    const bonus = (campaign.rewardPerCompletion * (multiplierBps - BASIS_POINTS)) / BASIS_POINTS;
+    if (bonus > 0n) {
+      await this.rewards.grantDirectReward.staticCall(learner, bonus, `${BONUS_REASON}:${proof}`, { from: member.address });
+    }
+  }
+
+  /**
+   * Top a granted reward up to `multiplierBps` of it. The reason carries the
+   * completion proof so every bonus traces back to its reward.
+   */
+  async payBonus(member, { learner, proof, amount, multiplierBps }, onTransaction) {
+    const bonus = (amount * (multiplierBps - BASIS_POINTS)) / BASIS_POINTS;
+    if (bonus === 0n) return {};
+    const tx = await this.rewards.connect(member.wallet).grantDirectReward(learner, bonus, `${BONUS_REASON}:${proof}`);
+    onTransaction("bonus", tx.hash);
+    const receipt = await this.mined(member, tx, "bonus");
+    return { bonus: ethers.formatUnits(bonus, UTUT_DECIMALS), bonusTx: receipt.hash };
+  }
+
+  /**
+   * Bonus for a reward paid earlier: the one already granted (searched from
+   * the reward's block on), or a new one when it was never paid.
+   */
+  async payMissingBonus(member, { learner, completionProof: proof }, used, multiplierBps, onTransaction) {
+    const reason = `${BONUS_REASON}:${proof}`;
+    const granted = await queryEvents(this.rewards, this.rewards.filters.DirectRewardGranted(learner), {
+      fromBlock: used.rewardBlock,
+    });
+    const paid = granted.find((event) => event.args.reason === reason);
+    if (paid) return { bonus: ethers.formatUnits(paid.args.amount, UTUT_DECIMALS), bonusTx: paid.transactionHash };
+    const amount = ethers.parseUnits(used.reward, UTUT_DECIMALS);
+    return this.payBonus(member, { learner, proof, amount, multiplierBps }, onTransaction);
+  }
+
+  /**
+   * Reward many completions with two transactions: one session opened for a
+   * throwaway batch key with an action per completion, then
+   * SessionInvoker.batchInvokeTrainingRewards. One bad completion would
+   * revert the whole batch, so each is simulated first and only the ones that
+   * would succeed are sent. Results come back per completion, in input order,
+   * in the same shape as rewardCompletion(); `gasCost` is the completion's
+   * share of the batch.
+   *
+   * @param {Array<{ learner: string, campaignId: string, completionProof: string, courseId?: string }>} completions
+   * @param {object} [options]
+   * @param {(stage: "session" | "reward", txHash: string, batch: object[]) => void} [options.onTransaction]
+   */
+  async rewardBatch(completions, { onTransaction = () => {} } = {}) {
+    const results = completions.map(({ learner, campaignId, completionProof: proof, courseId = null }) => ({
+      learner,
+      courseId,
+      campaign: campaignName(campaignId),
+      campaignId,
+      completionProof: proof,
+    }));
+    if (!this.canReward) {
+      return results.map((base) => ({ ...base, success: false, reason: "No relayer key configured (read-only)" }));
+    }
+
+    const eligible = await this.preflightBatch(results);
+    for (let start = 0; start < eligible.length; start += MAX_BATCH_SIZE) {
+      const batch = eligible.slice(start, start + MAX_BATCH_SIZE);
+      try {
+        const outcome = await this.pool.withRelayer((member) => this.submitBatch(member, batch, onTransaction));
+        for (const base of batch) Object.assign(base, outcome.get(base));
+      } catch (error) {
+        const reason = this.describeError(error);
+        for (const base of batch) Object.assign(base, { success: false, sessionTx: error.sessionTx || null, reason });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Mark completions that would revert the batch as failed; returns the rest.
+   * Each grant is simulated as the invoker would send it, and campaign budgets
+   * are drawn down across the batch so the last few cannot overrun it.
+   */
+  async preflightBatch(results) {
+    const invokerAddress = await this.invoker.getAddress();
+    const seen = new Set();
+    const remaining = new Map();
+    const eligible = [];
+
+    for (const base of results) {
+      const key = `${base.learner.toLowerCase()}:${base.campaignId}`;
+      try {
+        if (seen.has(key)) throw new Error("Duplicate learner and campaign in batch");
+        const used = await this.usedProof(base);
+        if (used) {
+          Object.assign(base, { success: false, ...used });
+          continue;
+        }
+        await this.rewards.grantReward.staticCall(base.learner, base.campaignId, base.completionProof, {
+          from: invokerAddress,
+        });
+
+        if (!remaining.has(base.campaignId)) {
+          const campaign = await this.rewards.getCampaign(base.campaignId);
+          remaining.set(base.campaignId, { left: campaign.budget - campaign.spent, each: campaign.rewardPerCompletion });
+        }
+        const budget = remaining.get(base.campaignId);
+        if (budget.left < budget.each) throw new Error("BudgetExhausted");
+        budget.left -= budget.each;
+
+        seen.add(key);
+        eligible.push(base);
+      } catch (error) {
+        Object.assign(base, { success: false, reason: error.data ? this.describeError(error) : error.message });
+      }
+    }
+    return eligible;
+  }
+
+  async submitBatch(member, batch, onTransaction) {
+    const registry = this.registry.connect(member.wallet);
+    const invoker = this.invoker.connect(member.wallet);
+    // Only needs to be an address nobody else holds a session for
+    const sessionKey = ethers.Wallet.createRandom().address;
+
+    const sessionTx = await registry.openSession(sessionKey, SESSION_TAG_TRAINING, SESSION_DURATION_SECONDS, batch.length);
+    onTransaction("session", sessionTx.hash, batch);
+    const sessionReceipt = await this.mined(member, sessionTx, "session");
+
+    let rewardReceipt;
+    try {
+      const rewardTx = await invoker.batchInvokeTrainingRewards(
+        batch.map(({ learner, campaignId, completionProof: proof }) => ({
+          sessionKey,
+          learner,
+          campaignId,
+          completionProof: proof,
+        }))
+      );
+      onTransaction("reward", rewardTx.hash, batch);
+      rewardReceipt = await this.mined(member, rewardTx, "reward");
+    } catch (error) {
+      error.sessionTx = sessionTx.hash;
+      throw error;
+    }
+
+    const granted = new Map(
+      this.grantedRewards(rewardReceipt).map((grant) => [`${grant.learner.toLowerCase()}:${grant.campaignId}`, grant])
+    );
+    const share = gasCost(sessionReceipt, rewardReceipt) / BigInt(batch.length);
+
+    return new Map(
+      batch.map((base) => {
+        const grant = granted.get(`${base.learner.toLowerCase()}:${base.campaignId}`);
+        const sent = {
+          relayer: member.address,
+          sessionTx: sessionTx.hash,
+          rewardTx: rewardReceipt.hash,
+          gasCost: ethers.formatEther(share),
+        };
+        return [
+          base,
+          grant
+            ? { ...sent, success: true, reward: ethers.formatUnits(grant.amount, UTUT_DECIMALS) }
+            : { ...sent, success: false, reason: "Skipped by batch invoke (session not valid)" },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Wait for a relayer transaction and report its gas, whether it succeeded or reverted.
+   */
+  async mined(member, tx, kind) {
+    const sentAt = Date.now();
+    const waited = () => (Date.now() - sentAt) / 1000;
+    try {
+      const receipt = await tx.wait();
+      this.onGasSpent(member.address, receipt, kind, waited());
+      return receipt;
+    } catch (error) {
+      if (error.receipt) this.onGasSpent(member.address, error.receipt, kind, waited());
+      throw error;
+    }
+  }
+
+  /**
+   * RewardGranted events in a receipt, in log order
+   */
+  grantedRewards(receipt) {
+    return receipt.logs
+      .map((log) => {
+        try {
+          return this.rewards.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter((parsed) => parsed?.name === "RewardGranted")
+      .map(({ args }) => ({ learner: args.learner, campaignId: args.campaignId, amount: args.amount }));
+  }
+}
+
+module.exports = {
+  TrainingRewardPipeline,
+  TRAINING_NETWORK,
+  TRAINING_CONTRACTS,
+  CAMPAIGNS,
+  COURSE_CAMPAIGNS,
+  UTUT_DECIMALS,
+  MAX_BATCH_SIZE,
+  campaignName,
+  completionProof,
+  loadAbi,
+};
@@ -0,0 +1,244 @@
+/**
+ * World ID Reward Gate
+ *
+ * Decides, before a training reward is sent, what a learner is entitled to
+ * based on World ID personhood (WorldIDVerifier.isHuman):
+ *
+ *   verified    -> campaign reward + bonus up to multiplierBps (TrainingRewardsWorldID
+ *                  pays verified humans 15000 = 1.5x; the bonus is a grantDirectReward,
+ *                  so the relayer key needs REWARDER_ROLE - grant-relayer-roles.js)
+ *   unverified  -> refused in `required` mode; in `optional` mode capped at
+ *                  unverifiedMaxCompletions rewards / unverifiedMaxReward uTUT in total
+ *                  (TrainingRewards.getLearnerCompletions / getLearnerTotalRewards)
+ *
+ * A learner can bring a World ID proof (IDKit result: merkle_root,
+ * nullifier_hash, proof) with the completion; it is relayed to
+ * WorldIDVerifier.verify(wallet, ...) with the wallet as signal, so the
+ * proof only counts for the wallet it was generated for.
+ *
+ * TrainingRewardsWorldID itself is not called: it pays from its own course
+ * list, not the TrainingRewards campaigns, and only verifies the wallet that
+ * sends the proof, so a relayer cannot verify learners through it.
+ *
+ * Offline, point WORLD_ID_VERIFIER at a WorldIDVerifier deployed on top of
+ * MockWorldID (scripts/training/deploy-worldid-mock.js) and generate proofs
+ * with mockWorldIdProof().
+ *
+ * Environment:
+ *   WORLD_ID_MODE - off (default) | optional | required
+ *   WORLD_ID_VERIFIER - WorldIDVerifier address
+ *   WORLD_ID_MULTIPLIER_BPS - reward for verified learners, basis points (default 15000)
+ *   WORLD_ID_UNVERIFIED_MAX_COMPLETIONS - rewards an unverified learner can earn (default 1)
+ *   WORLD_ID_UNVERIFIED_MAX_UTUT - total uTUT an unverified learner can earn (default no cap)
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { UTUT_DECIMALS } = require("./training-reward-pipeline");
+
+const WORLD_ID_MODES = ["off", "optional", "required"];
+const BASIS_POINTS = 10000n;
+
+const VERIFIER_ARTIFACT = path.join(
+  __dirname, "..", "..", "artifacts", "contracts", "worldid", "WorldIDVerifier.sol", "WorldIDVerifier.json"
+);
+
+function loadVerifierAbi() {
+  try {
+    return require(VERIFIER_ARTIFACT).abi;
+  } catch (error) {
+    throw new Error(`Missing WorldIDVerifier artifact at ${VERIFIER_ARTIFACT} - run \`npx hardhat compile\` first (${error.message})`);
+  }
+}
+
+/**
+ * Gate policy from the environment. Throws on a misconfiguration rather than
+ * silently paying out ungated.
+ */
+function worldIdPolicy(env = process.env) {
+  const mode = (env.WORLD_ID_MODE || "off").toLowerCase();
+  if (!WORLD_ID_MODES.includes(mode)) {
+    throw new Error(`WORLD_ID_MODE must be one of ${WORLD_ID_MODES.join(", ")}`);
+  }
+  if (mode !== "off" && !ethers.isAddress(env.WORLD_ID_VERIFIER || "")) {
+    throw new Error(`WORLD_ID_MODE=${mode} needs WORLD_ID_VERIFIER (WorldIDVerifier address)`);
+  }
+
+  const multiplierBps = BigInt(env.WORLD_ID_MULTIPLIER_BPS || 15000);
+  if (multiplierBps < BASIS_POINTS) throw new Error("WORLD_ID_MULTIPLIER_BPS must be at least 10000 (1x)");
+
+  return {
+    mode,
+    verifier: env.WORLD_ID_VERIFIER || null,
+    multiplierBps,
+    unverifiedMaxCompletions: Number(env.WORLD_ID_UNVERIFIED_MAX_COMPLETIONS ?? 1),
+    unverifiedMaxReward: env.WORLD_ID_UNVERIFIED_MAX_UTUT
+      ? ethers.parseUnits(env.WORLD_ID_UNVERIFIED_MAX_UTUT, UTUT_DECIMALS)
+      : null,
+  };
+}
+
+/**
+ * Proof MockWorldID accepts for `wallet` - same public inputs WorldIDVerifier.verify derives.
+ * @returns {string[]} uint256[8]
+ */
+function mockWorldIdProof({ wallet, appId, actionId, groupId, root, nullifierHash }) {
+  const signalHash = BigInt(ethers.solidityPackedKeccak256(["address"], [wallet])) >> 8n;
+  const externalNullifierHash = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [appId, actionId])) >> 8n;
+  const commitment = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "uint256", "uint256", "uint256", "uint256"],
+      [root, groupId, signalHash, nullifierHash, externalNullifierHash]
+    )
+  );
+  return [BigInt(commitment).toString(), ...Array(7).fill("0")];
+}
+
+class WorldIdGate {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {ethers.Contract} options.rewards TrainingRewardsSimple
+   * @param {import("../relayer/relayer-pool").RelayerPool} [options.pool] Sends verify() transactions
+   * @param {ReturnType<typeof worldIdPolicy>} [options.policy]
+   */
+  constructor({ provider, rewards, pool = null, policy = worldIdPolicy() }) {
+    this.rewards = rewards;
+    this.pool = pool;
+    this.policy = policy;
+    this.verifier = policy.verifier ? new ethers.Contract(policy.verifier, loadVerifierAbi(), provider) : null;
+  }
+
+  get enabled() {
+    return this.policy.mode !== "off";
+  }
+
+  async isHuman(wallet) {
+    return this.verifier ? this.verifier.isHuman(wallet) : false;
+  }
+
+  /**
+   * What a wallet gets under the policy, for the training pages.
+   */
+  async status(wallet) {
+    const { mode, multiplierBps, unverifiedMaxCompletions, unverifiedMaxReward } = this.policy;
+    if (!this.enabled) return { mode, verified: null };
+
+    const [verified, completions, totalRewards] = await Promise.all([
+      this.isHuman(wallet),
+      this.rewards.getLearnerCompletions(wallet),
+      this.rewards.getLearnerTotalRewards(wallet),
+    ]);
+    return {
+      mode,
+      verified,
+      multiplier: Number(multiplierBps) / 10000,
+      completions: Number(completions),
+      totalRewards: ethers.formatUnits(totalRewards, UTUT_DECIMALS),
+      unverifiedLimit: {
+        completions: unverifiedMaxCompletions,
+        reward: unverifiedMaxReward === null ? null : ethers.formatUnits(unverifiedMaxReward, UTUT_DECIMALS),
+      },
+    };
+  }
+
+  /**
+   * Relay a World ID proof for `wallet` to WorldIDVerifier. Simulated first,
+   * so a bad proof costs no gas. Never throws.
+   *
+   * @param {string} wallet
+   * @param {{ merkle_root: string, nullifier_hash: string, proof: string[] | string }} worldIdProof
+   * @returns {Promise<{ verified: boolean, txHash?: string, reason?: string }>}
+   */
+  async verify(wallet, { merkle_root: root, nullifier_hash: nullifierHash, proof }) {
+    if (!this.verifier) return { verified: false, reason: "World ID is not configured" };
+    if (!this.pool) return { verified: false, reason: "No relayer key configured (read-only)" };
+
+    try {
+      if (await this.isHuman(wallet)) return { verified: true };
+      // IDKit hands the proof over ABI-encoded; contracts take uint256[8]
+      const unpacked = typeof proof === "string"
+        ? [...ethers.AbiCoder.defaultAbiCoder().decode(["uint256[8]"], proof)[0]]
+        : proof;
+
+      await this.verifier.verify.staticCall(wallet, root, nullifierHash, unpacked);
+      const receipt = await this.pool.withRelayer(async (member) => {
+        const tx = await this.verifier.connect(member.wallet).verify(wallet, root, nullifierHash, unpacked);
+        return tx.wait();
+      });
+      return { verified: true, txHash: receipt.hash };
+    } catch (error) {
+      return { verified: false, reason: this.describeError(error) };
+    }
+  }
+
+  /**
+   * Whether a completion may be rewarded and with what multiplier. Verifies
+   * `worldIdProof` first when one is supplied.
+   *
+   * @param {object} completion
+   * @param {string} completion.learner
+   * @param {string} completion.campaignId
+   * @param {object} [completion.worldIdProof]
+   * @returns {Promise<{ allowed: boolean, verified: boolean|null, multiplierBps: bigint, reason?: string, verifyTx?: string, verifyError?: string }>}
+   */
+  async check({ learner, campaignId, worldIdProof = null }) {
+    const { mode, multiplierBps, unverifiedMaxCompletions, unverifiedMaxReward } = this.policy;
+    if (!this.enabled) return { allowed: true, verified: null, multiplierBps: BASIS_POINTS };
+
+    const verification = worldIdProof ? await this.verify(learner, worldIdProof) : null;
+    const extra = {};
+    if (verification?.txHash) extra.verifyTx = verification.txHash;
+    if (verification?.reason) extra.verifyError = verification.reason;
+
+    if (verification?.verified || (await this.isHuman(learner))) {
+      return { allowed: true, verified: true, multiplierBps, ...extra };
+    }
+
+    const unverified = { verified: false, multiplierBps: BASIS_POINTS, ...extra };
+    if (mode === "required") return { ...unverified, allowed: false, reason: "WorldIDRequired" };
+
+    const completions = await this.rewards.getLearnerCompletions(learner);
+    if (completions >= BigInt(unverifiedMaxCompletions)) {
+      return { ...unverified, allowed: false, reason: "UnverifiedLimitReached" };
+    }
+    if (unverifiedMaxReward !== null) {
+      const [totalRewards, campaign] = await Promise.all([
+        this.rewards.getLearnerTotalRewards(learner),
+        this.rewards.getCampaign(campaignId),
+      ]);
+      if (totalRewards + campaign.rewardPerCompletion > unverifiedMaxReward) {
+        return { ...unverified, allowed: false, reason: "UnverifiedLimitReached" };
+      }
+    }
+    return { ...unverified, allowed: true };
+  }
+
+  /**
+   * Proof the local MockWorldID accepts for `wallet` under this verifier.
+   */
+  async mockProof(wallet, { root, nullifierHash }) {
+    const [appId, actionId, groupId] = await Promise.all([
+      this.verifier.appId(),
+      this.verifier.actionId(),
+      this.verifier.groupId(),
+    ]);
+    return {
+      merkle_root: root.toString(),
+      nullifier_hash: nullifierHash.toString(),
+      proof: mockWorldIdProof({ wallet, appId, actionId, groupId, root, nullifierHash }),
+    };
+  }
+
+  describeError(error) {
+    const data = error.data || error.info?.error?.data;
+    // WorldIDVerifier declares InvalidProof() too, so World ID's own revert decodes as well
+    if (typeof data === "string" && data.length >= 10) {
+      const parsed = this.verifier.interface.parseError(data);
+      if (parsed) return parsed.name;
+    }
+    return error.reason || error.shortMessage || error.message;
+  }
+}
+
+module.exports = { WorldIdGate, worldIdPolicy, mockWorldIdProof, WORLD_ID_MODES };
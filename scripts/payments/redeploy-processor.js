@@ -1,7 +1,22 @@
+/**
+ * Redeploy TolaniPaymentProcessor (v3 - permit checkout, ERC-1271 payers)
+ *
+ * v3 adds payWithPermit (ERC-2612 allowance in the same transaction), counts
+ * TUT against the gasless limit at face value (TUT_LIMIT_SCALE) and accepts
+ * payment signatures from ERC-1271 smart wallets. The payment relayer reads
+ * TUT_LIMIT_SCALE to tell v3 from v2 and only offers these against v3.
+ *
+ * Nonces, daily limits and payment records start fresh; merchants live in
+ * MerchantRegistry and carry over.
+ *
+ * Usage:
+ *   RELAYER_ADDRESSES=0x...,0x... npx hardhat run scripts/payments/redeploy-processor.js --network baseSepolia
+ */
+
 const { ethers } = require("hardhat");
 
 async function main() {
-    console.log("\\n=== Redeploying TolaniPaymentProcessor (v2 - Merchant Refunds) ===\\n");
+    console.log("\\n=== Redeploying TolaniPaymentProcessor (v3 - Permit + ERC-1271) ===\\n");
     
     const [deployer] = await ethers.getSigners();
     console.log("Deployer:", deployer.address);
@@ -12,6 +27,7 @@ async function main() {
     const merchantRegistry = "0x17904f65220771fDBAbca6eCcDdAf42345C9571d";
     const feeCollector = "0xC12035B044c5988E9977E50bA0913AEF4eec28F7";  // Treasury
     const admin = deployer.address;
+    const relayers = (process.env.RELAYER_ADDRESSES || "").split(",").map((a) => a.trim()).filter(Boolean);
     
     console.log("\\nDeploying with:");
     console.log("  uTUT:", uTUT);
@@ -48,9 +64,24 @@ async function main() {
     const hasRole = await registry.hasRole(REGISTRAR_ROLE, address);
     console.log("   Verified:", hasRole);
     
+    // Relayer keys (payment-relayer.js RELAYER_PRIVATE_KEYS)
+    console.log("\\n📝 Granting RELAYER_ROLE...");
+    if (relayers.length === 0) console.log("   ⚠️  RELAYER_ADDRESSES not set - call addRelayer for each relayer key");
+    for (const relayer of relayers) {
+        await (await processor.addRelayer(relayer)).wait();
+        console.log("   ✅", relayer);
+    }
+    
+    // The deployed MockBridgedTUT predates ERC20Permit: TUT permits need a
+    // permit-capable TUT (TUTTokenSmartV2 bridged, or a fresh MockBridgedTUT)
+    const tut = await ethers.getContractAt("MockBridgedTUT", TUT);
+    const tutHasPermit = await tut.DOMAIN_SEPARATOR().then(() => true, () => false);
+    console.log("\\nTUT supports permit:", tutHasPermit);
+    
     console.log("\\n=== Deployment Complete ===");
     console.log("\\nUpdate your .env with:");
     console.log(`PAYMENT_PROCESSOR_ADDRESS=${address}`);
+    console.log("...and paymentProcessor in frontend/src/lib/pos.ts");
 }
 
 main().catch(console.error);
@@ -0,0 +1,316 @@
+/**
+ * Relayer Gas Reimbursement
+ *
+ * Keeps a local ledger of the gas every relayer key spends and claims it back
+ * from GasTreasuryModule. Each claim bundles a key's oldest unclaimed spend
+ * into one reimburseGas(relayer, amount, txRef) call, capped by whatever the
+ * treasury allows right now:
+ *
+ *   min(maxPerTransaction, getRemainingDailyRelayer, getRemainingDailyGlobal, balance)
+ *
+ * txRef is the spent transaction's hash for a single-spend claim, otherwise
+ * keccak256 of the included hashes, so every claim can be traced back.
+ *
+ * Ledger (JsonlStore):
+ *   spend:<txHash>  { txHash, relayer, gasCost, kind, claim, at }
+ *   claim:<txHash>  { claimTx, relayer, amount, txRef, spends, status, at }
+ *
+ * A claim is `pending` until mined, then `confirmed` (its spends stay claimed)
+ * or `failed` (its spends are released for the next claim). The claim's own
+ * gas is recorded as spend too, but only rides along with the next claim for
+ * real relaying work - on its own it would just pay for another claim.
+ *
+ * A spend larger than the treasury allows right now is skipped, not waited
+ * on, so it never holds back the spends after it.
+ */
+
+const { ethers } = require("ethers");
+const { createLogger } = require("../lib/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Spend kind of a claim's own transaction
+const REIMBURSEMENT = "reimbursement";
+
+class GasReimbursement {
+  /**
+   * @param {object} options
+   * @param {ethers.Contract} options.gasTreasury GasTreasuryModuleSimple
+   * @param {import("./relayer-pool").RelayerPool} options.pool
+   * @param {import("../lib/jsonl-store").JsonlStore} options.store
+   * @param {number} [options.intervalMs] Time between claim rounds
+   * @param {number} [options.alertRunwayDays] Alert when the treasury covers fewer days of projected spend
+   * @param {(alert: { message: string, balance: string, projectedDaily: string, runwayDays: number|null }) => void} [options.onAlert]
+   * @param {import("../lib/logger").Logger} [options.logger]
+   */
+  constructor({
+    gasTreasury,
+    pool,
+    store,
+    intervalMs = 15 * 60 * 1000,
+    alertRunwayDays = 3,
+    onAlert = () => {},
+    logger = createLogger("gas-reimbursement"),
+  }) {
+    this.gasTreasury = gasTreasury;
+    this.pool = pool;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.alertRunwayDays = alertRunwayDays;
+    this.onAlert = onAlert;
+    this.logger = logger;
+    this.timer = null;
+    this.claiming = false;
+  }
+
+  /**
+   * Record gas paid by a relayer key for a mined transaction.
+   */
+  recordSpend(relayer, receipt, kind) {
+    const key = `spend:${receipt.hash}`;
+    if (this.store.has(key)) return this.store.get(key);
+    const gasCost = receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice);
+    return this.store.put(key, {
+      txHash: receipt.hash,
+      relayer: relayer.toLowerCase(),
+      gasCost: gasCost.toString(),
+      kind,
+      claim: null,
+      at: Date.now(),
+    });
+  }
+
+  spends(relayer) {
+    return this.store
+      .values()
+      .filter((entry) => entry.gasCost !== undefined && (!relayer || entry.relayer === relayer.toLowerCase()))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  claims(relayer) {
+    return this.store
+      .values()
+      .filter((entry) => entry.claimTx !== undefined && (!relayer || entry.relayer === relayer.toLowerCase()))
+      .sort((a, b) => b.at - a.at);
+  }
+
+  /**
+   * Spent vs claimed per relayer, in ETH.
+   */
+  reconcile() {
+    const totals = new Map();
+    const row = (relayer) => {
+      if (!totals.has(relayer)) totals.set(relayer, { relayer, spent: 0n, claimed: 0n, pending: 0n, unclaimed: 0n });
+      return totals.get(relayer);
+    };
+
+    for (const spend of this.spends()) {
+      const total = row(spend.relayer);
+      total.spent += BigInt(spend.gasCost);
+      if (!spend.claim) total.unclaimed += BigInt(spend.gasCost);
+    }
+    for (const claim of this.claims()) {
+      const total = row(claim.relayer);
+      if (claim.status === "confirmed") total.claimed += BigInt(claim.amount);
+      if (claim.status === "pending") total.pending += BigInt(claim.amount);
+    }
+
+    return [...totals.values()].map((total) => ({
+      relayer: total.relayer,
+      spent: ethers.formatEther(total.spent),
+      claimed: ethers.formatEther(total.claimed),
+      pending: ethers.formatEther(total.pending),
+      unclaimed: ethers.formatEther(total.unclaimed),
+    }));
+  }
+
+  /**
+   * Average daily spend over the last `days`, in wei.
+   */
+  projectedDailySpend(days = 7) {
+    const since = Date.now() - days * DAY_MS;
+    const recent = this.spends().filter((spend) => spend.at >= since);
+    if (recent.length === 0) return 0n;
+    const window = Math.max(Date.now() - recent[0].at, DAY_MS);
+    const total = recent.reduce((sum, spend) => sum + BigInt(spend.gasCost), 0n);
+    return (total * BigInt(DAY_MS)) / BigInt(window);
+  }
+
+  /**
+   * Amount the treasury would reimburse `relayer` right now.
+   */
+  async allowance(relayer) {
+    const [limits, relayerLeft, globalLeft, balance] = await Promise.all([
+      this.gasTreasury.limits(),
+      this.gasTreasury.getRemainingDailyRelayer(relayer),
+      this.gasTreasury.getRemainingDailyGlobal(),
+      this.gasTreasury.getBalance(),
+    ]);
+    return [limits.maxPerTransaction, relayerLeft, globalLeft, balance].reduce((min, value) => (value < min ? value : min));
+  }
+
+  /**
+   * One claim per relayer key with unclaimed spend. Returns the claims sent.
+   */
+  async claim() {
+    if (this.claiming) return [];
+    this.claiming = true;
+    try {
+      const sent = [];
+      for (const member of this.pool.members) {
+        const claim = await this.claimFor(member).catch((error) => {
+          this.pool.recordError(member, error);
+          this.logger.error("Gas reimbursement failed", { relayer: member.address, error });
+          return null;
+        });
+        if (claim) sent.push(claim);
+      }
+      await this.checkRunway();
+      return sent;
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  async claimFor(member) {
+    const unclaimed = this.spends(member.address).filter((spend) => !spend.claim);
+    if (unclaimed.length === 0) return null;
+
+    // Nothing but earlier claims' gas: not worth a claim of its own
+    if (unclaimed.every((spend) => spend.kind === REIMBURSEMENT)) return null;
+
+    const cap = await this.allowance(member.address);
+    const included = [];
+    let amount = 0n;
+    for (const spend of unclaimed) {
+      const cost = BigInt(spend.gasCost);
+      if (amount + cost > cap) {
+        if (cost > cap) {
+          this.logger.warn("Spend exceeds what the treasury reimburses now - skipped", {
+            relayer: member.address,
+            txHash: spend.txHash,
+            gasCostEth: ethers.formatEther(cost),
+            allowanceEth: ethers.formatEther(cap),
+          });
+        }
+        continue;
+      }
+      included.push(spend);
+      amount += cost;
+    }
+    if (amount === 0n || included.every((spend) => spend.kind === REIMBURSEMENT)) return null;
+
+    const hashes = included.map((spend) => spend.txHash);
+    const txRef = hashes.length === 1 ? hashes[0] : ethers.keccak256(ethers.concat(hashes));
+
+    const tx = await this.gasTreasury.connect(member.wallet).reimburseGas(member.address, amount, txRef);
+    const claimKey = `claim:${tx.hash}`;
+    this.store.put(claimKey, {
+      claimTx: tx.hash,
+      relayer: member.address.toLowerCase(),
+      amount: amount.toString(),
+      txRef,
+      spends: hashes,
+      status: "pending",
+      at: Date.now(),
+    });
+    for (const spend of included) this.store.put(`spend:${spend.txHash}`, { ...spend, claim: tx.hash });
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      receipt = error.receipt || null;
+      this.settle(claimKey, "failed");
+      if (receipt) this.recordSpend(member.address, receipt, REIMBURSEMENT);
+      throw error;
+    }
+    this.recordSpend(member.address, receipt, REIMBURSEMENT);
+    this.logger.info("Gas reimbursed", {
+      relayer: member.address,
+      amountEth: ethers.formatEther(amount),
+      spends: hashes.length,
+      txHash: tx.hash,
+    });
+    return this.settle(claimKey, "confirmed");
+  }
+
+  settle(claimKey, status) {
+    const claim = this.store.put(claimKey, { ...this.store.get(claimKey), status, settledAt: Date.now() });
+    if (status === "failed") {
+      for (const hash of claim.spends) {
+        const spend = this.store.get(`spend:${hash}`);
+        if (spend?.claim === claim.claimTx) this.store.put(`spend:${hash}`, { ...spend, claim: null });
+      }
+    }
+    return claim;
+  }
+
+  /**
+   * Settle claims left pending by a restart from their receipts.
+   * @param {ethers.Provider} provider
+   */
+  async recover(provider) {
+    for (const claim of this.claims().filter((entry) => entry.status === "pending")) {
+      const receipt = await provider.getTransactionReceipt(claim.claimTx);
+      if (receipt) this.settle(`claim:${claim.claimTx}`, receipt.status === 1 ? "confirmed" : "failed");
+    }
+  }
+
+  /**
+   * Alert when the treasury cannot cover projected spend for alertRunwayDays,
+   * or cannot even cover what is already waiting to be claimed.
+   */
+  async checkRunway() {
+    const balance = await this.gasTreasury.getBalance();
+    const projectedDaily = this.projectedDailySpend();
+    const unclaimed = this.spends()
+      .filter((spend) => !spend.claim)
+      .reduce((sum, spend) => sum + BigInt(spend.gasCost), 0n);
+    const runwayDays = projectedDaily > 0n ? Number((balance * 100n) / projectedDaily) / 100 : null;
+
+    let message = null;
+    if (balance < unclaimed) {
+      message = `GasTreasury holds ${ethers.formatEther(balance)} ETH, less than the ${ethers.formatEther(unclaimed)} ETH awaiting reimbursement`;
+    } else if (runwayDays !== null && runwayDays < this.alertRunwayDays) {
+      message = `GasTreasury covers ~${runwayDays} day(s) of relayer gas (${ethers.formatEther(projectedDaily)} ETH/day)`;
+    }
+
+    const status = { balance: ethers.formatEther(balance), projectedDaily: ethers.formatEther(projectedDaily), runwayDays };
+    if (message) {
+      this.logger.warn(`${message} - top it up with fund-gas-treasury.js`, status);
+      this.onAlert({ message, ...status });
+    }
+    return { ...status, alert: message };
+  }
+
+  /**
+   * Claim every intervalMs until stop().
+   * @param {object} [options]
+   * @param {boolean} [options.keepAlive] Hold the process open between rounds (standalone service)
+   */
+  start({ keepAlive = false } = {}) {
+    if (this.timer) return;
+    this.keepAlive = keepAlive;
+    this.schedule();
+  }
+
+  schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.claim();
+      } catch (error) {
+        this.logger.error("Gas reimbursement round failed", { error });
+      }
+      if (this.timer) this.schedule();
+    }, this.intervalMs);
+    if (!this.keepAlive) this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { GasReimbursement };
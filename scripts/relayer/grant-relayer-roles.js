@@ -1,7 +1,11 @@
 /**
  * Grant Relayer Roles to OPS Wallet
  * 
- * Grants RELAYER_ROLE and OPERATOR_ROLE to OPS wallet for relayer operations
+ * Grants RELAYER_ROLE and OPERATOR_ROLE to OPS wallet for relayer operations,
+ * plus REWARDER_ROLE on TrainingRewards when World ID bonuses are on
+ * (WORLD_ID_MODE optional/required): the verified-human bonus is a
+ * grantDirectReward sent by the relayer key. The role lets the key mint uTUT
+ * rewards directly, so it is only granted when needed.
  * 
  * Usage:
  *   npx hardhat run scripts/relayer/grant-relayer-roles.js --network baseSepolia
@@ -12,11 +16,13 @@ const { ethers } = require("hardhat");
 const CONTRACTS = {
   baseSepolia: {
     SessionKeyRegistry: "0xD360F7c69c18dA78461BE5364cBC56C14b584607",
-    SessionInvoker: "0x7Eb46955704c7a75c6eA182A8b0E8C1ec2b06867"
+    SessionInvoker: "0x7Eb46955704c7a75c6eA182A8b0E8C1ec2b06867",
+    TrainingRewards: "0x4d8FD67c3BAf949A9f7CfCE7830A9588CA0F13dC"
   }
 };
 
 const OPS_WALLET = process.env.METAMASK_WALLET_OPS || "0x4d03F26dfe964dAd3C54130667d5344D30D211aB";
+const WORLD_ID_BONUS = ["optional", "required"].includes((process.env.WORLD_ID_MODE || "off").toLowerCase());
 
 async function main() {
   const [admin] = await ethers.getSigners();
@@ -59,6 +65,22 @@ async function main() {
     console.log(`   ✅ Granted: ${tx2.hash}`);
   }
 
+  // Grant REWARDER_ROLE on TrainingRewards (World ID bonuses)
+  console.log("\n3️⃣  TrainingRewards - REWARDER_ROLE");
+  const rewards = await ethers.getContractAt("TrainingRewardsSimple", contracts.TrainingRewards);
+  const REWARDER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("REWARDER_ROLE"));
+  
+  const hasRewarder = await rewards.hasRole(REWARDER_ROLE, OPS_WALLET);
+  if (hasRewarder) {
+    console.log("   ✅ Already has REWARDER_ROLE");
+  } else if (!WORLD_ID_BONUS) {
+    console.log("   ⏭️  Skipped - only needed for World ID bonuses (WORLD_ID_MODE=optional|required)");
+  } else {
+    const tx3 = await rewards.grantRole(REWARDER_ROLE, OPS_WALLET);
+    await tx3.wait();
+    console.log(`   ✅ Granted: ${tx3.hash}`);
+  }
+
   console.log("\n" + "=".repeat(50));
   console.log("OPS wallet ready for relayer operations!");
   console.log("=".repeat(50));
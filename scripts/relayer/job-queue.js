@@ -0,0 +1,186 @@
+/**
+ * Durable Relay Job Queue
+ *
+ * Jobs are persisted to a JsonlStore before they are acknowledged, then handed
+ * to a worker function, up to `concurrency` at a time. Transient failures are
+ * retried with exponential backoff; errors flagged `permanent` fail the job
+ * immediately.
+ *
+ * Job lifecycle:
+ *   queued -> submitted -> confirmed
+ *                      \-> failed
+ *
+ * Jobs left `queued` or `submitted` by a previous process are resumed by
+ * start(). The worker is responsible for making a resumed `submitted` job
+ * safe to run again (e.g. rebroadcasting the already-signed transaction).
+ *
+ * Each attempt runs in a log context of the job id plus `logContext(job)`, so
+ * lines logged by the worker carry the ids of the request that queued it.
+ */
+
+const crypto = require("crypto");
+const { runInLogContext } = require("../lib/logger");
+
+const TERMINAL_STATUSES = new Set(["confirmed", "failed"]);
+
+class PermanentJobError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PermanentJobError";
+    this.permanent = true;
+    Object.assign(this, details);
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {object} options
+   * @param {import("../lib/jsonl-store").JsonlStore} options.store
+   * @param {(job: object, queue: JobQueue) => Promise<object>} options.worker
+   *        Resolves with the job's result, or throws to retry / fail it
+   * @param {number} [options.concurrency] Jobs run in parallel
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.baseDelayMs] First retry delay, doubled per attempt
+   * @param {number} [options.maxDelayMs]
+   * @param {import("../lib/logger").Logger} [options.logger]
+   * @param {(job: object) => object} [options.logContext] Correlation fields for a job's log lines
+   * @param {(job: object) => void} [options.onFailed] Called once a job has failed for good
+   */
+  constructor({
+    store,
+    worker,
+    concurrency = 1,
+    maxAttempts = 5,
+    baseDelayMs = 2000,
+    maxDelayMs = 60000,
+    logger = null,
+    logContext = () => ({}),
+    onFailed = () => {},
+  }) {
+    this.store = store;
+    this.worker = worker;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.logger = logger;
+    this.logContext = logContext;
+    this.onFailed = onFailed;
+    this.active = new Set();
+    this.timer = null;
+  }
+
+  enqueue(payload) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      payload,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.store.put(job.id, job);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  update(id, patch) {
+    const job = this.store.get(id);
+    if (!job) throw new Error(`Unknown job ${id}`);
+    return this.store.put(id, { ...job, ...patch, updatedAt: Date.now() });
+  }
+
+  pending() {
+    return this.store.values().filter((job) => !TERMINAL_STATUSES.has(job.status));
+  }
+
+  /**
+   * Resume every non-terminal job left over from a previous run.
+   */
+  start() {
+    const resumed = this.pending();
+    for (const job of resumed) {
+      this.update(job.id, { nextAttemptAt: Date.now() });
+    }
+    this.drain();
+    return resumed.length;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  nextDueJob() {
+    const now = Date.now();
+    return this.pending()
+      .filter((job) => !this.active.has(job.id) && job.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+  }
+
+  drain() {
+    let job;
+    while (this.active.size < this.concurrency && (job = this.nextDueJob())) {
+      const id = job.id;
+      this.active.add(id);
+      this.run(job).finally(() => {
+        this.active.delete(id);
+        this.drain();
+      });
+    }
+
+    this.scheduleWake();
+  }
+
+  scheduleWake() {
+    clearTimeout(this.timer);
+    // A finishing job calls drain() again, so there is nothing to wake for while saturated.
+    if (this.active.size >= this.concurrency) return;
+
+    const upcoming = this.pending()
+      .filter((job) => !this.active.has(job.id))
+      .map((job) => job.nextAttemptAt);
+    if (upcoming.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...upcoming) - Date.now());
+    this.timer = setTimeout(() => this.drain(), delay);
+    this.timer.unref?.();
+  }
+
+  run(job) {
+    // A fresh context, not that of whichever request happened to call drain()
+    return runInLogContext({ ...this.logContext(job), jobId: job.id }, () => this.attempt(job));
+  }
+
+  async attempt(job) {
+    const attempts = job.attempts + 1;
+    this.update(job.id, { attempts });
+
+    try {
+      const result = await this.worker(this.get(job.id), this);
+      this.update(job.id, { status: "confirmed", result, error: null });
+      this.logger?.info("Job confirmed", { attempts });
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+
+      if (error.permanent || attempts >= this.maxAttempts) {
+        const failed = this.update(job.id, { status: "failed", error: message, errorCode: error.code || null });
+        this.logger?.error("Job failed", { attempts, error: message, errorCode: error.code });
+        this.onFailed(failed);
+        return;
+      }
+
+      const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+      this.update(job.id, { error: message, nextAttemptAt: Date.now() + delay });
+      this.logger?.warn("Job attempt failed, retrying", { attempts, error: message, retryInMs: delay });
+    }
+  }
+}
+
+module.exports = { JobQueue, PermanentJobError, TERMINAL_STATUSES };
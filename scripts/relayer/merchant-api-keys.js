@@ -0,0 +1,320 @@
+/**
+ * Merchant API Keys
+ *
+ * /prepare and /relay spend the relayer's gas, so every call must carry an
+ * API key issued to one merchantId:
+ *
+ *   X-API-Key: tpk_<keyId>_<secret>      (or Authorization: Bearer tpk_...)
+ *
+ * The key stays with the merchant's POS. A customer's payment QR carries a
+ * checkout token instead (POST /checkout): it is good for one order only -
+ * that merchantId, orderId, token and amount - and expires after
+ * checkoutTtlSeconds. Payments made with it count against the issuing key.
+ *
+ *   X-Checkout-Token: tco_<secret>
+ *
+ * Only sha256(key) is stored; the key itself is shown once, when issued. Each
+ * key has its own request rate (per minute, in memory) and daily gas budget
+ * (ETH per UTC day, persisted), charged with the gas of every relayed
+ * transaction, reverted ones included.
+ *
+ * A payment reserves its worst-case gas cost when it is queued and holds it
+ * until its transaction is mined (the reservation becomes the real cost) or
+ * the job fails (released). The budget counts reservations, so a burst of
+ * payments cannot all pass before the first of them confirms.
+ *
+ * Store (JsonlStore):
+ *   key:<keyId>          { keyId, merchantId, label, hash, status, ratePerMinute, dailyGasBudget, createdAt, revokedAt }
+ *   usage:<keyId>:<day>  { keyId, day, gasWei, reservedWei, transactions }
+ *   reservation:<ref>    { ref, keyId, day, gasWei }   (ref: the relay job id)
+ *   checkout:<hash>      { checkoutHash, keyId, merchantId, orderId, token, amount, expiresAt }
+ *
+ * Keys are issued and revoked through the relayer's /admin/api-keys endpoints
+ * (RELAYER_ADMIN_TOKEN), normally with scripts/relayer/merchant-keys.js.
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const KEY_PREFIX = "tpk";
+const KEY_PATTERN = /^tpk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const CHECKOUT_PREFIX = "tco";
+const CHECKOUT_PATTERN = /^tco_[A-Za-z0-9_-]{43}$/;
+const RATE_WINDOW_MS = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(message, status = 401, reason = "invalid") {
+    super(message);
+    this.name = "ApiKeyError";
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class MerchantApiKeys {
+  /**
+   * @param {object} options
+   * @param {import("../lib/jsonl-store").JsonlStore} options.store
+   * @param {number} [options.ratePerMinute] Default request rate for new keys
+   * @param {bigint} [options.dailyGasBudget] Default gas budget for new keys, wei per UTC day
+   * @param {number} [options.checkoutTtlSeconds] How long a checkout token can be used
+   */
+  constructor({ store, ratePerMinute = 60, dailyGasBudget = ethers.parseEther("0.05"), checkoutTtlSeconds = 900 }) {
+    this.store = store;
+    this.ratePerMinute = ratePerMinute;
+    this.dailyGasBudget = dailyGasBudget;
+    this.checkoutTtlMs = checkoutTtlSeconds * 1000;
+    // keyId -> request timestamps inside the current window
+    this.windows = new Map();
+  }
+
+  /**
+   * Issue a key for `merchantId`. The returned apiKey is never stored.
+   * @returns {{ apiKey: string, key: object }}
+   */
+  issue(merchantId, { label = null, ratePerMinute = this.ratePerMinute, dailyGasBudget = this.dailyGasBudget } = {}) {
+    if (!ethers.isHexString(merchantId, 32)) throw new ApiKeyError("merchantId must be a bytes32 hex string", 400);
+    if (!Number.isInteger(ratePerMinute) || ratePerMinute <= 0) throw new ApiKeyError("ratePerMinute must be a positive integer", 400);
+    if (BigInt(dailyGasBudget) <= 0n) throw new ApiKeyError("dailyGasBudget must be positive", 400);
+
+    const keyId = crypto.randomBytes(6).toString("hex");
+    const apiKey = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString("base64url")}`;
+    const key = this.store.put(`key:${keyId}`, {
+      keyId,
+      merchantId: merchantId.toLowerCase(),
+      label,
+      hash: hashKey(apiKey),
+      status: "active",
+      ratePerMinute,
+      dailyGasBudget: BigInt(dailyGasBudget).toString(),
+      createdAt: Date.now(),
+      revokedAt: null,
+    });
+    return { apiKey, key: this.describe(key) };
+  }
+
+  revoke(keyId) {
+    const key = this.store.get(`key:${keyId}`);
+    if (!key) throw new ApiKeyError(`Unknown key ${keyId}`, 404);
+    if (key.status === "revoked") return this.describe(key);
+    this.windows.delete(keyId);
+    return this.describe(this.store.put(`key:${keyId}`, { ...key, status: "revoked", revokedAt: Date.now() }));
+  }
+
+  list(merchantId) {
+    return this.store
+      .values()
+      .filter((entry) => entry.hash && (!merchantId || entry.merchantId === merchantId.toLowerCase()))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((key) => this.describe(key));
+  }
+
+  /**
+   * A key as shown to admins: no hash, with today's usage.
+   */
+  describe(key) {
+    const { hash, ...visible } = key;
+    const usage = this.usage(key.keyId);
+    return {
+      ...visible,
+      dailyGasBudget: ethers.formatEther(key.dailyGasBudget),
+      today: {
+        day: usage.day,
+        gasSpent: ethers.formatEther(usage.gasWei),
+        gasReserved: ethers.formatEther(usage.reservedWei),
+        transactions: usage.transactions,
+      },
+    };
+  }
+
+  /**
+   * The active key record for a presented key. Throws ApiKeyError (401).
+   */
+  authenticate(apiKey) {
+    if (!apiKey) throw new ApiKeyError("Missing API key", 401, "missing");
+    const match = KEY_PATTERN.exec(apiKey);
+    const key = match && this.store.get(`key:${match[1]}`);
+    if (!key || !safeEqual(key.hash, hashKey(apiKey))) throw new ApiKeyError("Invalid API key", 401, "invalid");
+    if (key.status !== "active") throw new ApiKeyError("API key revoked", 401, "revoked");
+    return key;
+  }
+
+  /**
+   * Issue a checkout token for one order of `key`'s merchant. `token` is the
+   * payment token address and `amount` its base units.
+   * @returns {{ checkoutToken: string, expiresAt: number }}
+   */
+  issueCheckout(key, { orderId, token, amount }, now = Date.now()) {
+    for (const entry of this.store.values()) {
+      if (entry.checkoutHash && entry.expiresAt <= now) this.store.delete(`checkout:${entry.checkoutHash}`);
+    }
+
+    const checkoutToken = `${CHECKOUT_PREFIX}_${crypto.randomBytes(32).toString("base64url")}`;
+    const checkoutHash = hashKey(checkoutToken);
+    const expiresAt = now + this.checkoutTtlMs;
+    this.store.put(`checkout:${checkoutHash}`, {
+      checkoutHash,
+      keyId: key.keyId,
+      merchantId: key.merchantId,
+      orderId: orderId.toLowerCase(),
+      token: token.toLowerCase(),
+      amount: BigInt(amount).toString(),
+      expiresAt,
+    });
+    return { checkoutToken, expiresAt };
+  }
+
+  /**
+   * The checkout and its (active) issuing key for a presented checkout
+   * token. Throws ApiKeyError (401).
+   * @returns {{ key: object, checkout: object }}
+   */
+  authenticateCheckout(checkoutToken, now = Date.now()) {
+    const checkout = CHECKOUT_PATTERN.test(checkoutToken) && this.store.get(`checkout:${hashKey(checkoutToken)}`);
+    if (!checkout) throw new ApiKeyError("Invalid checkout token", 401, "invalid_checkout");
+    if (checkout.expiresAt <= now) throw new ApiKeyError("Checkout token expired", 401, "checkout_expired");
+    const key = this.store.get(`key:${checkout.keyId}`);
+    if (key?.status !== "active") throw new ApiKeyError("API key revoked", 401, "revoked");
+    return { key, checkout };
+  }
+
+  /**
+   * Count a request against the key's rate. Throws ApiKeyError (429) when over it.
+   */
+  consume(key, now = Date.now()) {
+    const recent = (this.windows.get(key.keyId) || []).filter((at) => at > now - RATE_WINDOW_MS);
+    if (recent.length >= key.ratePerMinute) {
+      this.windows.set(key.keyId, recent);
+      const retryAfter = Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+      const error = new ApiKeyError(`Rate limit of ${key.ratePerMinute} requests per minute exceeded`, 429, "rate_limited");
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+    recent.push(now);
+    this.windows.set(key.keyId, recent);
+  }
+
+  usage(keyId, day = utcDay()) {
+    const usage = this.store.get(`usage:${keyId}:${day}`);
+    return usage
+      ? { ...usage, gasWei: BigInt(usage.gasWei), reservedWei: BigInt(usage.reservedWei ?? 0) }
+      : { keyId, day, gasWei: 0n, reservedWei: 0n, transactions: 0 };
+  }
+
+  putUsage({ keyId, day, gasWei, reservedWei, transactions }) {
+    return this.store.put(`usage:${keyId}:${day}`, {
+      keyId,
+      day,
+      gasWei: gasWei.toString(),
+      reservedWei: reservedWei.toString(),
+      transactions,
+    });
+  }
+
+  /**
+   * Refuse a payment whose estimated gas, on top of what is spent and
+   * reserved today, would take the key past its budget. Throws ApiKeyError (429).
+   * @param {bigint} [estimatedGasWei]
+   */
+  checkBudget(key, estimatedGasWei = 0n) {
+    const budget = BigInt(key.dailyGasBudget);
+    const { gasWei, reservedWei } = this.usage(key.keyId);
+    if (gasWei + reservedWei + estimatedGasWei > budget) {
+      throw new ApiKeyError(
+        `Daily gas budget of ${ethers.formatEther(budget)} ETH reached ` +
+          `(${ethers.formatEther(gasWei)} ETH spent, ${ethers.formatEther(reservedWei)} ETH reserved for queued payments today)`,
+        429,
+        "gas_budget"
+      );
+    }
+  }
+
+  /**
+   * checkBudget(), then hold `gasWei` of today's budget for the payment
+   * `ref` until settle(). Throws ApiKeyError (429).
+   * @param {bigint} gasWei
+   */
+  reserve(key, ref, gasWei, now = Date.now()) {
+    this.checkBudget(key, gasWei);
+    const usage = this.usage(key.keyId, utcDay(now));
+    this.store.put(`reservation:${ref}`, { ref, keyId: key.keyId, day: usage.day, gasWei: gasWei.toString() });
+    this.putUsage({ ...usage, reservedWei: usage.reservedWei + gasWei });
+  }
+
+  /**
+   * Release the payment's reservation and charge what it really cost:
+   * `gasWei` of its mined transaction, or null when nothing was mined.
+   * Settling again is a no-op for the reservation.
+   */
+  settle(keyId, ref, gasWei = null, now = Date.now()) {
+    const reservation = this.store.get(`reservation:${ref}`);
+    if (reservation) {
+      const usage = this.usage(keyId, reservation.day);
+      const reservedWei = usage.reservedWei - BigInt(reservation.gasWei);
+      this.putUsage({ ...usage, reservedWei: reservedWei > 0n ? reservedWei : 0n });
+      this.store.delete(`reservation:${ref}`);
+    }
+    if (gasWei !== null) this.recordGas(keyId, gasWei, now);
+  }
+
+  recordGas(keyId, gasWei, now = Date.now()) {
+    const usage = this.usage(keyId, utcDay(now));
+    return this.putUsage({ ...usage, gasWei: usage.gasWei + gasWei, transactions: usage.transactions + 1 });
+  }
+
+  /**
+   * Express middleware: authenticate the key, check it belongs to the body's
+   * merchantId and count the request. Sets req.apiKey. With `allowCheckout`,
+   * a checkout token for the body's orderId is accepted instead, and
+   * req.checkout is set to its order; the route checks token and amount.
+   * @param {(error: ApiKeyError) => void} [onReject]
+   * @param {{ allowCheckout?: boolean }} [options]
+   */
+  middleware(onReject = () => {}, { allowCheckout = false } = {}) {
+    return (req, res, next) => {
+      try {
+        const checkoutToken = allowCheckout ? req.get("x-checkout-token") : undefined;
+        let key;
+        let checkout = null;
+        if (checkoutToken) {
+          ({ key, checkout } = this.authenticateCheckout(checkoutToken));
+          if (String(req.body?.orderId || "").toLowerCase() !== checkout.orderId) {
+            throw new ApiKeyError("Checkout token is not valid for this order", 403, "wrong_order");
+          }
+        } else {
+          const presented = req.get("x-api-key") || (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+          key = this.authenticate(presented);
+        }
+        const merchantId = String(req.body?.merchantId || "").toLowerCase();
+        if (merchantId && merchantId !== key.merchantId) {
+          throw new ApiKeyError("API key is not valid for this merchant", 403, "wrong_merchant");
+        }
+        this.consume(key);
+        req.apiKey = key;
+        req.checkout = checkout;
+        next();
+      } catch (error) {
+        if (!(error instanceof ApiKeyError)) return next(error);
+        onReject(error);
+        if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+        res.status(error.status).json({ error: error.message });
+      }
+    };
+  }
+}
+
+module.exports = { MerchantApiKeys, ApiKeyError, hashKey };
@@ -0,0 +1,94 @@
+/**
+ * Merchant API Key Admin
+ *
+ * Issues and revokes the per-merchant API keys that /prepare and /relay
+ * require. Talks to the running payment relayer's /admin/api-keys endpoints
+ * rather than the key store, which only the relayer process may open.
+ *
+ * Usage:
+ *   node scripts/relayer/merchant-keys.js issue <merchantId> [--label <text>] [--rate <per minute>] [--gas <ETH per day>]
+ *   node scripts/relayer/merchant-keys.js list [merchantId]
+ *   node scripts/relayer/merchant-keys.js revoke <keyId>
+ *
+ * Environment:
+ *   RELAYER_URL - payment relayer base URL (default http://localhost:<RELAYER_PORT|3001>)
+ *   RELAYER_ADMIN_TOKEN - the relayer's admin token
+ */
+
+require("dotenv").config();
+
+const RELAYER_URL = process.env.RELAYER_URL || `http://localhost:${process.env.RELAYER_PORT || 3001}`;
+const ADMIN_TOKEN = process.env.RELAYER_ADMIN_TOKEN || "";
+
+const USAGE = `Usage:
+  node merchant-keys.js issue <merchantId> [--label <text>] [--rate <per minute>] [--gas <ETH per day>]
+  node merchant-keys.js list [merchantId]
+  node merchant-keys.js revoke <keyId>`;
+
+async function admin(method, path, body) {
+  const response = await fetch(`${RELAYER_URL}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed (${response.status}): ${data.error || response.statusText}`);
+  }
+  return data;
+}
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const [flag, value] = [args[i], args[i + 1]];
+    if (value === undefined) throw new Error(`Missing value for ${flag}`);
+    if (flag === "--label") options.label = value;
+    else if (flag === "--rate") options.ratePerMinute = Number(value);
+    else if (flag === "--gas") options.dailyGasBudgetEth = value;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  return options;
+}
+
+function printKey(key) {
+  console.log(`${key.keyId}  ${key.status.padEnd(7)}  merchant ${key.merchantId}`);
+  console.log(`   label: ${key.label ?? "-"}  created: ${new Date(key.createdAt).toISOString()}`);
+  console.log(`   limits: ${key.ratePerMinute} req/min, ${key.dailyGasBudget} ETH gas/day`);
+  console.log(`   today (${key.today.day}): ${key.today.transactions} tx, ${key.today.gasSpent} ETH, ${key.today.gasReserved} ETH reserved`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!ADMIN_TOKEN) throw new Error("RELAYER_ADMIN_TOKEN is not set");
+
+  if (command === "issue" && args[0]) {
+    const { apiKey, key } = await admin("POST", "/admin/api-keys", { merchantId: args[0], ...parseOptions(args.slice(1)) });
+    printKey(key);
+    console.log(`\n🔑 ${apiKey}`);
+    console.log("   Shown once - only its hash is stored. Give it to the merchant's POS.");
+    return;
+  }
+
+  if (command === "list") {
+    const query = args[0] ? `?merchantId=${encodeURIComponent(args[0])}` : "";
+    const { keys } = await admin("GET", `/admin/api-keys${query}`);
+    if (keys.length === 0) console.log("No API keys");
+    keys.forEach(printKey);
+    return;
+  }
+
+  if (command === "revoke" && args[0]) {
+    const { key } = await admin("DELETE", `/admin/api-keys/${encodeURIComponent(args[0])}`);
+    printKey(key);
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
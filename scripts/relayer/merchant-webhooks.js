@@ -0,0 +1,481 @@
+/**
+ * Merchant Payment Webhooks
+ *
+ * Merchants register an HTTPS callback URL and a shared secret for their
+ * merchantId. A watcher polls the PaymentProcessor for PaymentProcessed,
+ * PaymentRefunded and MerchantRefund logs and queues one delivery per event
+ * per registered merchant; deliveries run through a JobQueue, so failures are
+ * retried with exponential backoff and every attempt is kept as a delivery log.
+ *
+ * Each POST carries:
+ *   X-Tolani-Event      payment.processed | payment.refunded | payment.merchant_refund
+ *   X-Tolani-Delivery   delivery id (stable across retries)
+ *   X-Tolani-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${rawBody}`)>
+ *
+ * Delivery is at-least-once; the event `id` (txHash:logIndex) lets receivers
+ * drop duplicates.
+ *
+ * Registration changes are signed by the merchant owner over
+ * webhookAuthMessage(), which names the secret (by hash) and an expiry at
+ * most AUTH_MAX_AGE_SECONDS ahead. Each signed message is accepted once, so a
+ * captured signature cannot be replayed - e.g. to re-register and be handed a new
+ * generated secret. The URL and secret are checked before the signature is
+ * used up. merchantIds are compared lowercased throughout.
+ *
+ * Deliveries only go to public addresses: a URL whose host is (or resolves
+ * to) a loopback, private, link-local or otherwise internal address is
+ * refused at registration and again before every delivery. Plain-HTTP
+ * localhost receivers are for local development, with `allowLocalUrls`.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const path = require("path");
+const { ethers } = require("ethers");
+const { JsonlStore } = require("../lib/jsonl-store");
+const { JobQueue, PermanentJobError } = require("./job-queue");
+const { createLogger } = require("../lib/logger");
+
+const WEBHOOK_EVENTS = {
+  PaymentProcessed: "payment.processed",
+  PaymentRefunded: "payment.refunded",
+  MerchantRefund: "payment.merchant_refund",
+};
+
+const AUTH_MAX_AGE_SECONDS = 600;
+const GENERATED_SECRET = "generated";
+const MAX_LOG_RANGE = 2000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Non-public ranges (RFC 6890): this network, private, CGNAT, loopback,
+// link-local (cloud metadata), benchmarking, multicast and reserved
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function normalizeMerchantId(merchantId) {
+  return String(merchantId).toLowerCase();
+}
+
+/**
+ * How a webhook secret appears in webhookAuthMessage(), never in clear.
+ */
+function webhookSecretHash(secret) {
+  return `sha256:${crypto.createHash("sha256").update(secret).digest("hex")}`;
+}
+
+/**
+ * Text the merchant owner signs (EIP-191) to change their webhook.
+ * `secretHash` is webhookSecretHash() of the secret being registered (null
+ * to have one generated), or of the current secret when unregistering;
+ * `expires` is a unix time.
+ */
+function webhookAuthMessage(merchantId, action, url, secretHash, expires) {
+  return [
+    "Tolani merchant webhook",
+    `action: ${action}`,
+    `merchantId: ${normalizeMerchantId(merchantId)}`,
+    `url: ${url || ""}`,
+    `secret: ${secretHash || GENERATED_SECRET}`,
+    `expires: ${expires}`,
+  ].join("\n");
+}
+
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !INTERNAL_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Throws unless `value` is a webhook URL deliveries may go to: https:// on a
+ * host whose every address is public, or (with `allowLocal`) a localhost
+ * receiver over either scheme. A URL that can never be delivered to throws a
+ * PermanentJobError; a DNS failure may clear up and throws a plain Error.
+ */
+async function checkWebhookUrl(value, { allowLocal = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new PermanentJobError("Invalid webhook URL");
+  }
+  if (allowLocal && LOCAL_HOSTS.includes(url.hostname) && ["http:", "https:"].includes(url.protocol)) return;
+  if (url.protocol !== "https:") throw new PermanentJobError("Webhook URL must be https://");
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch {
+      throw new Error(`Webhook host ${host} does not resolve`);
+    }
+  }
+  if (!addresses.every(isPublicAddress)) throw new PermanentJobError("Webhook URL must point to a public address");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class MerchantWebhooks {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {ethers.Contract} options.paymentProcessor Needs the payment events and getPayment()
+   * @param {ethers.Contract} options.merchantRegistry Needs getMerchant()
+   * @param {string} options.dataDir
+   * @param {number} options.chainId
+   * @param {number} [options.confirmations] Blocks an event must be buried under before delivery
+   * @param {number} [options.pollMs]
+   * @param {number} [options.maxAttempts]
+   * @param {boolean} [options.allowLocalUrls] Accept localhost receivers (local development only)
+   * @param {import("../lib/logger").Logger} [options.logger]
+   */
+  constructor({
+    provider,
+    paymentProcessor,
+    merchantRegistry,
+    dataDir,
+    chainId,
+    confirmations = 1,
+    pollMs = 5000,
+    maxAttempts = 8,
+    allowLocalUrls = false,
+    logger = createLogger("merchant-webhooks"),
+  }) {
+    this.provider = provider;
+    this.logger = logger;
+    this.paymentProcessor = paymentProcessor;
+    this.merchantRegistry = merchantRegistry;
+    this.chainId = chainId;
+    this.confirmations = confirmations;
+    this.pollMs = pollMs;
+    this.allowLocalUrls = allowLocalUrls;
+
+    this.registrations = new JsonlStore(path.join(dataDir, "merchant-webhooks.jsonl"));
+    // Authorization messages already accepted, kept until they expire
+    this.usedAuthorizations = new JsonlStore(path.join(dataDir, "merchant-webhook-auth.jsonl"));
+    this.cursor = new JsonlStore(path.join(dataDir, "merchant-webhook-cursor.jsonl"));
+    this.deliveryQueue = new JobQueue({
+      store: new JsonlStore(path.join(dataDir, "webhook-deliveries.jsonl")),
+      worker: (job) => this.deliver(job),
+      concurrency: 4,
+      maxAttempts,
+      baseDelayMs: 5000,
+      maxDelayMs: 60 * 60 * 1000,
+      logger: logger.child({ queue: "webhook-deliveries" }),
+      logContext: ({ payload }) => ({
+        merchantId: payload.merchantId,
+        event: payload.event.type,
+        txHash: payload.event.txHash,
+      }),
+    });
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Check an owner signature over webhookAuthMessage() and use it up.
+   * Throws on failure.
+   */
+  async authorize(merchantId, action, { url = "", secretHash = null, expires, signature }) {
+    const now = Math.floor(Date.now() / 1000);
+    const remaining = Number(expires) - now;
+    if (!Number.isInteger(Number(expires)) || remaining < 0) throw new Error("Authorization expired");
+    if (remaining > AUTH_MAX_AGE_SECONDS) {
+      throw new Error(`Authorization must expire within ${AUTH_MAX_AGE_SECONDS} seconds`);
+    }
+
+    if (!ethers.isHexString(signature)) throw new Error("Invalid authorization signature");
+
+    const merchant = await this.merchantRegistry.getMerchant(merchantId);
+    if (merchant.owner === ethers.ZeroAddress) throw new Error("Merchant not found");
+
+    const message = webhookAuthMessage(merchantId, action, url, secretHash, expires);
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      throw new Error("Invalid authorization signature");
+    }
+    if (signer.toLowerCase() !== merchant.owner.toLowerCase()) {
+      throw new Error("Signature is not from the merchant owner");
+    }
+
+    // Keyed by the message, so a re-encoded signature is the same authorization.
+    // No await from here on, so two requests cannot both use it.
+    for (const used of this.usedAuthorizations.values()) {
+      if (used.expires < now) this.usedAuthorizations.delete(used.key);
+    }
+    const key = ethers.hashMessage(message);
+    if (this.usedAuthorizations.has(key)) throw new Error("Authorization already used");
+    this.usedAuthorizations.put(key, { key, expires: Number(expires) });
+  }
+
+  /**
+   * Throws unless `url` and `secret` can be registered. Run it before
+   * authorize(), so a rejected registration does not use up the signature.
+   */
+  async checkRegistration({ url, secret }) {
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      throw new Error("Webhook secret must be at least 16 characters");
+    }
+    await checkWebhookUrl(url, { allowLocal: this.allowLocalUrls });
+  }
+
+  /**
+   * Store a registration that passed checkRegistration() and authorize().
+   * @returns {{ registration: object, generatedSecret: boolean }}
+   */
+  register(merchantId, { url, secret }) {
+
+    const id = normalizeMerchantId(merchantId);
+    const existing = this.registrations.get(id);
+    const now = Date.now();
+    const registration = this.registrations.put(id, {
+      merchantId: id,
+      url,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    });
+    return { registration, generatedSecret: !secret };
+  }
+
+  unregister(merchantId) {
+    return this.registrations.delete(normalizeMerchantId(merchantId));
+  }
+
+  get(merchantId) {
+    return this.registrations.get(normalizeMerchantId(merchantId));
+  }
+
+  /**
+   * Bearer check for merchant-facing reads: the caller must know the secret.
+   */
+  checkSecret(merchantId, secret) {
+    const registration = this.get(merchantId);
+    return !!registration && !!secret && safeEqual(registration.secret, secret);
+  }
+
+  deliveries(merchantId, limit = 50) {
+    const id = normalizeMerchantId(merchantId);
+    return this.deliveryQueue.store
+      .values()
+      .filter((job) => normalizeMerchantId(job.payload.merchantId) === id)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map((job) => ({
+        deliveryId: job.id,
+        eventId: job.payload.event.id,
+        type: job.payload.event.type,
+        status: job.status === "confirmed" ? "delivered" : job.status,
+        attempts: job.attempts,
+        responseStatus: job.result?.responseStatus ?? job.responseStatus ?? null,
+        error: job.error || null,
+        nextAttemptAt: job.status === "queued" ? new Date(job.nextAttemptAt).toISOString() : null,
+        createdAt: new Date(job.createdAt).toISOString(),
+        updatedAt: new Date(job.updatedAt).toISOString(),
+      }));
+  }
+
+  pendingDeliveries() {
+    return this.deliveryQueue.pending().length;
+  }
+
+  async start() {
+    if (!this.cursor.has("lastBlock")) {
+      // First run: only notify about payments from now on.
+      this.cursor.put("lastBlock", await this.provider.getBlockNumber());
+    }
+    const resumed = this.deliveryQueue.start();
+    this.schedule();
+    return resumed;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.deliveryQueue.stop();
+  }
+
+  schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.warn("Webhook watcher poll failed", { error });
+      }
+      this.schedule();
+    }, this.pollMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Queue deliveries for every confirmed event since the cursor.
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+    try {
+      const head = (await this.provider.getBlockNumber()) - (this.confirmations - 1);
+      let queued = 0;
+      let from = this.cursor.get("lastBlock") + 1;
+
+      while (from <= head) {
+        const to = Math.min(head, from + MAX_LOG_RANGE - 1);
+        const logs = await this.provider.getLogs({
+          address: await this.paymentProcessor.getAddress(),
+          fromBlock: from,
+          toBlock: to,
+        });
+        for (const log of logs) {
+          queued += await this.handleLog(log);
+        }
+        this.cursor.put("lastBlock", to);
+        from = to + 1;
+      }
+      return queued;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async handleLog(log) {
+    let parsed;
+    try {
+      parsed = this.paymentProcessor.interface.parseLog(log);
+    } catch {
+      return 0;
+    }
+    const type = parsed && WEBHOOK_EVENTS[parsed.name];
+    if (!type) return 0;
+
+    const { args } = parsed;
+    let merchantId = args.merchantId;
+    let data;
+
+    if (parsed.name === "PaymentProcessed") {
+      data = {
+        paymentId: args.paymentId,
+        payer: args.payer,
+        token: args.token,
+        amount: args.amount.toString(),
+        fee: args.fee.toString(),
+        orderId: args.orderId,
+      };
+    } else {
+      const payment = await this.paymentProcessor.getPayment(args.paymentId);
+      merchantId = payment.merchantId;
+      data = {
+        paymentId: args.paymentId,
+        orderId: payment.orderId,
+        token: payment.token,
+        refundedTo: args.refundedTo,
+        amount: (args.refundAmount ?? args.amount).toString(),
+        totalRefunded: payment.refundedAmount.toString(),
+        partial: parsed.name === "MerchantRefund" ? args.isPartial : payment.refundedAmount < payment.amount,
+      };
+    }
+
+    merchantId = normalizeMerchantId(merchantId);
+    if (!this.registrations.has(merchantId)) return 0;
+
+    const event = {
+      id: `${log.transactionHash}:${log.index}`,
+      type,
+      merchantId,
+      chainId: this.chainId,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      data,
+    };
+    const delivery = this.deliveryQueue.enqueue({ merchantId, event });
+    this.logger.info("Webhook delivery queued", { merchantId, event: type, txHash: log.transactionHash, jobId: delivery.id });
+    return 1;
+  }
+
+  /**
+   * Queue worker. Uses the registration as it is now, so a merchant fixing a
+   * broken URL also fixes the retries already queued for it.
+   */
+  async deliver(job) {
+    const { merchantId, event } = job.payload;
+    const registration = this.get(merchantId);
+    if (!registration) throw new PermanentJobError("Webhook no longer registered");
+
+    // The host may have been repointed since registration
+    await checkWebhookUrl(registration.url, { allowLocal: this.allowLocalUrls });
+
+    const rawBody = JSON.stringify({ ...event, deliveredAt: new Date().toISOString() });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+      response = await fetch(registration.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Tolani-Webhooks/1",
+          "X-Tolani-Event": event.type,
+          "X-Tolani-Delivery": job.id,
+          "X-Tolani-Signature": signPayload(registration.secret, timestamp, rawBody),
+        },
+        body: rawBody,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+    } catch (error) {
+      this.deliveryQueue.update(job.id, { responseStatus: null });
+      throw error;
+    }
+
+    this.deliveryQueue.update(job.id, { responseStatus: response.status });
+    if (response.status === 410) throw new PermanentJobError("Receiver answered 410 Gone");
+    if (!response.ok) throw new Error(`Receiver answered HTTP ${response.status}`);
+
+    return { responseStatus: response.status, deliveredAt: new Date().toISOString() };
+  }
+}
+
+module.exports = {
+  MerchantWebhooks,
+  WEBHOOK_EVENTS,
+  AUTH_MAX_AGE_SECONDS,
+  webhookAuthMessage,
+  webhookSecretHash,
+  signPayload,
+};
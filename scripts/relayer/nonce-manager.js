@@ -0,0 +1,191 @@
+/**
+ * Relayer Nonce Manager
+ *
+ * Hands out nonces for one hot wallet from a local counter so concurrent
+ * submissions never race on ethers' implicit `getTransactionCount` lookup.
+ *
+ * - acquire() reserves the next nonce; signing happens locally afterwards
+ * - track() records the signed transaction sent with a nonce
+ * - bumpStuck() re-signs transactions pending longer than `stuckAfterMs`
+ *   with higher fees (same nonce) and reports each replacement
+ * - resync() re-reads the chain after a nonce error, forgets mined entries
+ *   and fills any nonce gap with a zero-value self-transfer
+ */
+
+const { ethers } = require("ethers");
+
+class NonceManager {
+  /**
+   * @param {ethers.Wallet} wallet Wallet connected to a provider
+   * @param {object} [options]
+   * @param {number} [options.stuckAfterMs] Pending time before a fee bump
+   * @param {number} [options.bumpPercent] Fee increase per replacement (>= 10 for geth)
+   * @param {number} [options.maxBumps] Replacements per nonce before giving up
+   * @param {(replacement: { ref: any, nonce: number, rawTx: string, txHash: string }) => void} [options.onReplaced]
+   */
+  constructor(wallet, { stuckAfterMs = 60000, bumpPercent = 20, maxBumps = 5, onReplaced = () => {} } = {}) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.stuckAfterMs = stuckAfterMs;
+    this.bumpPercent = BigInt(bumpPercent);
+    this.maxBumps = maxBumps;
+    this.onReplaced = onReplaced;
+
+    this.nextNonce = null;
+    this.synced = false;
+    this.initializing = null;
+    this.inflight = new Map();
+  }
+
+  get address() {
+    return this.wallet.address;
+  }
+
+  async init() {
+    if (this.synced) return;
+    if (!this.initializing) {
+      this.initializing = this.provider
+        .getTransactionCount(this.address, "pending")
+        .then((count) => {
+          this.nextNonce = Math.max(this.nextNonce ?? 0, count);
+          this.synced = true;
+        })
+        .finally(() => {
+          this.initializing = null;
+        });
+    }
+    await this.initializing;
+  }
+
+  async acquire() {
+    await this.init();
+    return this.nextNonce++;
+  }
+
+  /**
+   * Mark a nonce as taken by a transaction signed in a previous run.
+   */
+  reserve(nonce, ref, rawTx) {
+    this.nextNonce = Math.max(this.nextNonce ?? 0, nonce + 1);
+    this.track(nonce, ref, rawTx);
+  }
+
+  track(nonce, ref, rawTx) {
+    const existing = this.inflight.get(nonce);
+    if (existing?.rawTx === rawTx) return;
+    this.inflight.set(nonce, { ref, rawTx, sentAt: Date.now(), bumps: existing?.bumps ?? 0 });
+  }
+
+  release(nonce) {
+    this.inflight.delete(nonce);
+  }
+
+  /**
+   * Give back a nonce whose transaction never reached the network. Only the
+   * most recent nonce can be reused; an older one is left for resync() to fill.
+   */
+  discard(nonce) {
+    this.inflight.delete(nonce);
+    if (nonce === this.nextNonce - 1) this.nextNonce = nonce;
+  }
+
+  get pendingCount() {
+    return this.inflight.size;
+  }
+
+  async resync() {
+    const [latest, pending] = await Promise.all([
+      this.provider.getTransactionCount(this.address, "latest"),
+      this.provider.getTransactionCount(this.address, "pending"),
+    ]);
+
+    for (const nonce of this.inflight.keys()) {
+      if (nonce < latest) this.inflight.delete(nonce);
+    }
+
+    this.nextNonce = Math.max(this.nextNonce ?? 0, pending);
+
+    for (let nonce = pending; nonce < this.nextNonce; nonce++) {
+      if (!this.inflight.has(nonce)) await this.fillGap(nonce);
+    }
+
+    return { latest, pending, next: this.nextNonce };
+  }
+
+  async fillGap(nonce) {
+    const request = await this.wallet.populateTransaction({
+      to: this.address,
+      value: 0,
+      gasLimit: 21000,
+      nonce,
+    });
+    const rawTx = await this.wallet.signTransaction(request);
+    await this.provider.broadcastTransaction(rawTx);
+    this.track(nonce, null, rawTx);
+  }
+
+  bumpFee(value) {
+    return value === null || value === undefined ? value : (value * (100n + this.bumpPercent)) / 100n;
+  }
+
+  async replace(nonce, entry) {
+    const tx = ethers.Transaction.from(entry.rawTx);
+    const request = {
+      type: tx.type,
+      chainId: tx.chainId,
+      nonce: tx.nonce,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+    };
+
+    if (tx.type === 2) {
+      const feeData = await this.provider.getFeeData();
+      request.maxPriorityFeePerGas = this.bumpFee(tx.maxPriorityFeePerGas);
+      const bumped = this.bumpFee(tx.maxFeePerGas);
+      const current = feeData.maxFeePerGas ?? 0n;
+      request.maxFeePerGas = bumped > current ? bumped : current;
+    } else {
+      request.gasPrice = this.bumpFee(tx.gasPrice);
+    }
+
+    const rawTx = await this.wallet.signTransaction(request);
+    await this.provider.broadcastTransaction(rawTx);
+
+    const txHash = ethers.Transaction.from(rawTx).hash;
+    this.inflight.set(nonce, { ref: entry.ref, rawTx, sentAt: Date.now(), bumps: entry.bumps + 1 });
+    this.onReplaced({ ref: entry.ref, nonce, rawTx, txHash });
+    return txHash;
+  }
+
+  /**
+   * Fee-bump every tracked transaction that has been pending too long.
+   * Entries that were mined in the meantime are dropped instead.
+   */
+  async bumpStuck() {
+    if (this.inflight.size === 0) return [];
+
+    const latest = await this.provider.getTransactionCount(this.address, "latest");
+    const replaced = [];
+
+    for (const [nonce, entry] of [...this.inflight]) {
+      if (nonce < latest) {
+        this.inflight.delete(nonce);
+        continue;
+      }
+      if (Date.now() - entry.sentAt < this.stuckAfterMs || entry.bumps >= this.maxBumps) continue;
+
+      try {
+        replaced.push({ nonce, txHash: await this.replace(nonce, entry) });
+      } catch (error) {
+        if (error.code === "NONCE_EXPIRED") this.inflight.delete(nonce);
+        else entry.lastError = error.shortMessage || error.message;
+      }
+    }
+
+    return replaced;
+  }
+}
+
+module.exports = { NonceManager };
@@ -4,7 +4,7 @@
  * Handles gasless uTUT/TUT checkout for the current TolaniPaymentProcessor v2.
  *
  * Required env:
- *   RELAYER_PRIVATE_KEY or PRIVATE_KEY_OPS
+ *   RELAYER_PRIVATE_KEYS (comma-separated) or RELAYER_PRIVATE_KEY or PRIVATE_KEY_OPS
  *   BASE_SEPOLIA_RPC_URL
  *   PAYMENT_PROCESSOR_ADDRESS
  *   MERCHANT_REGISTRY_ADDRESS
@@ -13,14 +13,94 @@
  *   RELAYER_PORT
  *   UTUT_ADDRESS
  *   MOCK_BRIDGED_TUT_ADDRESS or TUT_ADDRESS
+ *   RELAYER_DATA_DIR - where the relay job log is kept (default scripts/relayer/data)
+ *   RELAY_MAX_ATTEMPTS - submission attempts before a job is failed (default 5)
+ *   RELAY_CONFIRMATIONS - confirmations required per payment (default 1)
+ *   RELAY_CONFIRM_TIMEOUT_MS - wait per attempt before rebroadcasting (default 120000)
+ *   RELAY_CONCURRENCY - jobs submitted in parallel (default 4)
+ *   RELAY_STUCK_AFTER_MS - pending time before a fee-bump replacement (default 60000)
+ *   RELAY_FEE_BUMP_PERCENT - fee increase per replacement (default 20)
+ *   RELAYER_MIN_BALANCE_ETH - keys below this balance leave rotation (default 0.005)
+ *   RELAY_GAS_MARGIN_PERCENT - headroom added to the simulated gas estimate (default 20)
+ *   MERCHANT_WEBHOOK_POLL_MS - how often payment events are scanned (default 5000)
+ *   MERCHANT_WEBHOOK_MAX_ATTEMPTS - deliveries per event before giving up (default 8)
+ *   MERCHANT_WEBHOOK_ALLOW_LOCAL - "true" accepts localhost webhook URLs (local development only)
+ *   METRICS_TOKEN - bearer token required on /metrics (open when unset)
+ *   RELAYER_ADMIN_TOKEN - bearer token for /admin/* (admin API disabled when unset)
+ *   API_KEY_RATE_PER_MINUTE - default request rate for new merchant API keys (default 60)
+ *   API_KEY_DAILY_GAS_ETH - default daily gas budget for new merchant API keys (default 0.05)
+ *   CHECKOUT_TOKEN_TTL_SECONDS - how long a checkout token can be used (default 900)
+ *
+ * /prepare and /relay require a merchant API key (X-API-Key) scoped to the
+ * request's merchantId, with its own rate limit and daily gas budget; see
+ * merchant-api-keys.js. Keys are issued and revoked with merchant-keys.js.
+ * The key never leaves the POS: for a customer's payment QR the POS calls
+ * POST /checkout with it and gets a checkout token (X-Checkout-Token) that
+ * can only prepare and relay that one order, for its token and amount.
+ *
+ * /relay checks the signature against the payer's current processor nonce -
+ * by ECDSA recovery, or through ERC-1271 isValidSignature when the payer is a
+ * smart wallet and the processor is v3 (v2 only recovers ECDSA) - then
+ * persists the payment as a job and answers 202 with a jobId straight away.
+ * A background worker signs, broadcasts and confirms each job; poll
+ * GET /jobs/:id for the outcome. Every payment is simulated with estimateGas
+ * first - a payment that would revert is answered with its decoded error
+ * (e.g. InvalidSignature) and never sent, and the gas limit is the estimate
+ * plus RELAY_GAS_MARGIN_PERCENT. Pending jobs are resumed on startup, so a
+ * restart never loses a signed payment.
+ *
+ * When the payer's allowance is short and the token supports ERC-2612 (TUT,
+ * uTUT), /prepare also returns a Permit signing request; /relay then submits
+ * both signatures through payWithPermit, so no separate approve is needed.
+ * payWithPermit, and gasless TUT (counted at face value against the daily
+ * limit), need processor v3 (scripts/payments/redeploy-processor.js); against
+ * v2 the relayer offers neither, as before.
+ *
+ * Relayer nonces come from a local NonceManager rather than ethers' implicit
+ * lookup, which lets several jobs be in flight at once. Stuck transactions are
+ * replaced with higher fees and the nonce is resynced from chain after errors.
+ *
+ * Orders are idempotent per (merchantId, orderId): a repeated /relay for an
+ * order already submitted returns the original job instead of paying twice,
+ * and GET /orders/:merchantId/:orderId reconciles it with getPayment on-chain.
+ *
+ * Merchants can register a webhook (PUT /merchant/:merchantId/webhook, signed
+ * by the merchant owner) to be POSTed HMAC-signed payment and refund
+ * notifications; see merchant-webhooks.js.
+ *
+ * With several keys configured, each job is routed to the least-loaded funded
+ * key (see RelayerPool). Every key needs RELAYER_ROLE on the PaymentProcessor.
+ *
+ * GET /metrics serves Prometheus metrics (tolani_relayer_*): requests by route
+ * and status, relay latency (accepted -> confirmed), transaction confirmation
+ * time, gas spent and ETH balance per key, queue depth, and rejected
+ * signatures and simulations.
+ *
+ * Logs are JSON lines (scripts/lib/logger.js). Every response carries an
+ * X-Request-Id (the caller's, if it sent one); it is stored with the relay job
+ * and tags every line about the payment - signing, broadcast, confirmation -
+ * together with payer, merchantId, orderId and txHash.
+ *
+ * Run directly it listens on RELAYER_PORT. Required as a module it exports the
+ * Express app with start()/stop() instead, which test/PaymentRelayer.test.js
+ * uses to drive the whole flow against an in-process Hardhat node.
  */
 
 require("dotenv").config();
 
+const crypto = require("crypto");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const { ethers } = require("ethers");
 const rateLimit = require("express-rate-limit");
+const { JsonlStore } = require("../lib/jsonl-store");
+const { JobQueue, PermanentJobError } = require("./job-queue");
+const { RelayerPool, NoRelayerAvailableError, keysFromEnv } = require("./relayer-pool");
+const { MerchantWebhooks, AUTH_MAX_AGE_SECONDS, webhookAuthMessage, webhookSecretHash } = require("./merchant-webhooks");
+const { MerchantApiKeys, ApiKeyError } = require("./merchant-api-keys");
+const { Metrics, relayerPoolMetrics, receiptGasEth } = require("../lib/metrics");
+const { createLogger, addLogContext, requestIdMiddleware, REQUEST_ID_HEADER } = require("../lib/logger");
 
 const PORT = process.env.RELAYER_PORT || process.env.PORT || 3001;
 const RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org";
@@ -38,10 +118,28 @@ const TUT_ADDRESS =
   process.env.TUT_ADDRESS ||
   process.env.MOCK_BRIDGED_TUT_ADDRESS ||
   "0x05AbCD77f178cF43E561091f263Eaa66353Dce87";
-const RELAYER_KEY = process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY_OPS || process.env.PRIVATE_KEY;
+const DATA_DIR = process.env.RELAYER_DATA_DIR || path.join(__dirname, "data");
+const MAX_ATTEMPTS = Number(process.env.RELAY_MAX_ATTEMPTS || 5);
+const CONFIRMATIONS = Number(process.env.RELAY_CONFIRMATIONS || 1);
+const CONFIRM_TIMEOUT_MS = Number(process.env.RELAY_CONFIRM_TIMEOUT_MS || 120000);
+const RELAY_CONCURRENCY = Number(process.env.RELAY_CONCURRENCY || 4);
+const STUCK_AFTER_MS = Number(process.env.RELAY_STUCK_AFTER_MS || 60000);
+const FEE_BUMP_PERCENT = Number(process.env.RELAY_FEE_BUMP_PERCENT || 20);
+const GAS_MARGIN_PERCENT = BigInt(process.env.RELAY_GAS_MARGIN_PERCENT || 20);
+const RECEIPT_POLL_MS = 2000;
+const MIN_RELAYER_BALANCE = ethers.parseEther(process.env.RELAYER_MIN_BALANCE_ETH || "0.005");
+const BALANCE_REFRESH_MS = 30000;
+const WEBHOOK_POLL_MS = Number(process.env.MERCHANT_WEBHOOK_POLL_MS || 5000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_ALLOW_LOCAL = process.env.MERCHANT_WEBHOOK_ALLOW_LOCAL === "true";
+const ADMIN_TOKEN = process.env.RELAYER_ADMIN_TOKEN || "";
+const API_KEY_RATE_PER_MINUTE = Number(process.env.API_KEY_RATE_PER_MINUTE || 60);
+const API_KEY_DAILY_GAS = ethers.parseEther(process.env.API_KEY_DAILY_GAS_ETH || "0.05");
+const CHECKOUT_TOKEN_TTL_SECONDS = Number(process.env.CHECKOUT_TOKEN_TTL_SECONDS || 900);
+const RELAYER_KEYS = keysFromEnv(["RELAYER_PRIVATE_KEY", "PRIVATE_KEY_OPS", "PRIVATE_KEY"]);
 
-if (!RELAYER_KEY) {
-  throw new Error("Missing RELAYER_PRIVATE_KEY, PRIVATE_KEY_OPS, or PRIVATE_KEY for payment relayer");
+if (RELAYER_KEYS.length === 0) {
+  throw new Error("Missing RELAYER_PRIVATE_KEYS, RELAYER_PRIVATE_KEY, PRIVATE_KEY_OPS, or PRIVATE_KEY for payment relayer");
 }
 
 const TOKENS = {
@@ -51,12 +149,37 @@ const TOKENS = {
 
 const PAYMENT_PROCESSOR_ABI = [
   "function payWithSignature(address payer, bytes32 merchantId, address token, uint256 amount, bytes32 orderId, string memo, uint256 deadline, bytes signature) external returns (bytes32 paymentId)",
+  "function payWithPermit(address payer, bytes32 merchantId, address token, uint256 amount, bytes32 orderId, string memo, uint256 deadline, bytes signature, tuple(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) permit) external returns (bytes32 paymentId)",
   "function getNonce(address payer) view returns (uint256)",
   "function getRemainingDailyLimit(address payer) view returns (uint256)",
   "function calculateFee(bytes32 merchantId, uint256 amount) view returns (uint256)",
   "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function TUT_LIMIT_SCALE() view returns (uint256)",
+  "function getPayment(bytes32 paymentId) view returns (tuple(bytes32 merchantId, address payer, address token, uint256 amount, uint256 fee, uint256 merchantAmount, uint256 timestamp, uint8 status, bytes32 orderId, string memo, uint256 refundedAmount))",
   "event PaymentProcessed(bytes32 indexed paymentId, bytes32 indexed merchantId, address indexed payer, address token, uint256 amount, uint256 fee, bytes32 orderId)",
   "event GaslessPayment(bytes32 indexed paymentId, address indexed payer, address indexed relayer)",
+  "event PaymentRefunded(bytes32 indexed paymentId, address indexed refundedTo, uint256 amount)",
+  "event MerchantRefund(bytes32 indexed paymentId, bytes32 indexed merchantId, address indexed refundedTo, uint256 refundAmount, bool isPartial)",
+  "error InvalidAddress()",
+  "error InvalidAmount()",
+  "error InvalidToken()",
+  "error MerchantCannotAccept()",
+  "error DailyLimitExceeded()",
+  "error InvalidSignature()",
+  "error DeadlineExpired()",
+  "error PaymentAlreadyProcessed()",
+  "error InsufficientBalance()",
+  "error EnforcedPause()",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error SafeERC20FailedOperation(address token)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error PermitFailed(bytes reason)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
 ];
 
 const MERCHANT_REGISTRY_ABI = [
@@ -64,11 +187,28 @@ const MERCHANT_REGISTRY_ABI = [
   "function canAcceptPayment(bytes32 merchantId, address token, address uTUTAddress, address TUTAddress) view returns (bool)",
 ];
 
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
 const ERC20_ABI = [
   "function allowance(address owner, address spender) view returns (uint256)",
   "function balanceOf(address account) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
 ];
 
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PAYMENT_STATUS_LABELS = ["Completed", "Refunded", "PartialRefund", "Disputed"];
+
 const PAYMENT_TYPES = {
   Payment: [
     { name: "payer", type: "address" },
@@ -82,8 +222,30 @@ const PAYMENT_TYPES = {
   ],
 };
 
+const logger = createLogger("payment-relayer");
+const metrics = new Metrics({ prefix: "tolani_relayer_" });
+const rejectedSignatures = metrics.counter(
+  "rejected_signatures_total",
+  "Signatures refused: payment and permit on /relay, merchant on webhook registration",
+  ["type"]
+);
+const rejectedSimulations = metrics.counter("rejected_simulations_total", "Payments refused because they would revert", ["error"]);
+// rejected_simulations_total labels: the processor's custom errors, "other" for anything else
+const SIMULATION_ERROR_LABELS = new Set(
+  ethers.Interface.from(PAYMENT_PROCESSOR_ABI).fragments.filter((f) => f.type === "error").map((f) => f.name)
+);
+const relayLatency = metrics.histogram("relay_latency_seconds", "Time from /relay acceptance to a confirmed payment");
+const confirmationTime = metrics.histogram("tx_confirmation_seconds", "Time from broadcast to the required confirmations");
+const gasSpent = metrics.counter("gas_spent_eth_total", "Gas paid for relayed transactions, reverted ones included", ["relayer"]);
+const rejectedApiKeys = metrics.counter("api_key_rejections_total", "Requests refused by merchant API key checks", ["reason"]);
+
 const app = express();
-app.use(cors());
+app.use(requestIdMiddleware(logger));
+// Expose the request id so the POS can show it on a failed checkout
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
+// Before the rate limiter, so throttled requests are counted and scrapes are never throttled
+app.use(metrics.httpMiddleware());
+app.get("/metrics", metrics.handler());
 app.use(express.json({ limit: "64kb" }));
 app.use(
   rateLimit({
@@ -94,8 +256,7 @@ app.use(
 );
 
 const provider = new ethers.JsonRpcProvider(RPC_URL);
-const relayerWallet = new ethers.Wallet(RELAYER_KEY, provider);
-const paymentProcessor = new ethers.Contract(PAYMENT_PROCESSOR, PAYMENT_PROCESSOR_ABI, relayerWallet);
+const paymentProcessor = new ethers.Contract(PAYMENT_PROCESSOR, PAYMENT_PROCESSOR_ABI, provider);
 const merchantRegistry = new ethers.Contract(MERCHANT_REGISTRY, MERCHANT_REGISTRY_ABI, provider);
 
 function isBytes32(value) {
@@ -135,6 +296,68 @@ async function loadActiveMerchant(merchantId, tokenAddress) {
   return merchant;
 }
 
+let processorFeatures = null;
+
+/**
+ * What the configured processor supports. v3 is recognised by TUT_LIMIT_SCALE;
+ * v2 (0x6A0e…) has no payWithPermit, counts TUT in base units against the
+ * 6-decimal gasless limit, so gasless TUT is refused there, and only accepts
+ * ECDSA payment signatures.
+ * @returns {Promise<{ version: number, permit: boolean, gaslessTUT: boolean, erc1271: boolean }>}
+ */
+async function loadProcessorFeatures() {
+  if (!processorFeatures) {
+    let version = 2;
+    try {
+      await paymentProcessor.TUT_LIMIT_SCALE();
+      version = 3;
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") throw error;
+    }
+    processorFeatures = { version, permit: version >= 3, gaslessTUT: version >= 3, erc1271: version >= 3 };
+  }
+  return processorFeatures;
+}
+
+function gaslessTokenError(tokenConfig, features) {
+  if (tokenConfig.symbol === "TUT" && !features.gaslessTUT) {
+    return "Gasless checkout is currently limited to uTUT; use direct payment for TUT.";
+  }
+  return null;
+}
+
+/**
+ * The v3 processor's gasless limit is kept in 6-decimal units; TUT counts at
+ * face value, rounded up (see TolaniPaymentProcessor._toLimitUnits).
+ */
+function toLimitUnits(tokenConfig, amount) {
+  if (tokenConfig.decimals <= 6) return amount;
+  const scale = 10n ** BigInt(tokenConfig.decimals - 6);
+  return (amount + scale - 1n) / scale;
+}
+
+const permitDomains = new Map();
+
+/**
+ * ERC-2612 domain of a payment token, read once via ERC-5267. Resolves null
+ * for tokens without permit support.
+ */
+async function loadPermitDomain(tokenConfig) {
+  if (!permitDomains.has(tokenConfig.address)) {
+    const token = new ethers.Contract(tokenConfig.address, ERC20_ABI, provider);
+    let domain = null;
+    try {
+      const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+      await token.nonces(ethers.ZeroAddress);
+      domain = { name, version, chainId: Number(chainId), verifyingContract };
+    } catch {
+      // No ERC-5267 / ERC-2612 support.
+    }
+    permitDomains.set(tokenConfig.address, domain);
+  }
+  return permitDomains.get(tokenConfig.address);
+}
+
 function buildDomain() {
   return {
     name: "TolaniPayments",
@@ -144,19 +367,481 @@ function buildDomain() {
   };
 }
 
+/**
+ * Check `signature` over the Payment typed data the processor will hash:
+ * the submitted fields plus the payer's current on-chain nonce.
+ * @returns {Promise<{ valid: boolean, method?: string, recovered?: string, nonce: string }>}
+ */
+async function verifyPaymentSignature(payment) {
+  const nonce = (await paymentProcessor.getNonce(payment.payer)).toString();
+  const message = {
+    payer: payment.payer,
+    merchantId: payment.merchantId,
+    token: payment.token,
+    amount: payment.amount,
+    orderId: payment.orderId,
+    memo: payment.memo,
+    nonce,
+    deadline: payment.deadline,
+  };
+
+  let recovered = null;
+  try {
+    recovered = ethers.verifyTypedData(buildDomain(), PAYMENT_TYPES, message, payment.signature);
+  } catch {
+    // Not a 65-byte ECDSA signature - may still be valid for a smart wallet.
+  }
+  if (recovered && recovered.toLowerCase() === payment.payer.toLowerCase()) {
+    return { valid: true, method: "ecdsa", nonce };
+  }
+
+  // Only where the processor checks ERC-1271 too, or the payment would revert
+  if ((await loadProcessorFeatures()).erc1271 && (await provider.getCode(payment.payer)) !== "0x") {
+    const digest = ethers.TypedDataEncoder.hash(buildDomain(), PAYMENT_TYPES, message);
+    const wallet = new ethers.Contract(payment.payer, ERC1271_ABI, provider);
+    try {
+      if ((await wallet.isValidSignature(digest, payment.signature)) === ERC1271_MAGIC_VALUE) {
+        return { valid: true, method: "erc1271", nonce };
+      }
+    } catch {
+      // Wallet reverted or does not implement ERC-1271.
+    }
+  }
+
+  return { valid: false, recovered, nonce };
+}
+
+/**
+ * Permits are plain ECDSA in OpenZeppelin's ERC20Permit, so only an EOA payer
+ * can use one.
+ * @returns {Promise<{ valid: boolean, recovered?: string, nonce: string }>}
+ */
+async function verifyPermitSignature(payment, tokenConfig) {
+  const domain = await loadPermitDomain(tokenConfig);
+  if (!domain) return { valid: false, nonce: null };
+
+  const token = new ethers.Contract(tokenConfig.address, ERC20_ABI, provider);
+  const nonce = (await token.nonces(payment.payer)).toString();
+  const message = {
+    owner: payment.payer,
+    spender: PAYMENT_PROCESSOR,
+    value: payment.permit.value,
+    nonce,
+    deadline: payment.permit.deadline,
+  };
+
+  let recovered = null;
+  try {
+    recovered = ethers.verifyTypedData(domain, PERMIT_TYPES, message, payment.permit.signature);
+  } catch {
+    // Malformed signature.
+  }
+  return { valid: recovered?.toLowerCase() === payment.payer.toLowerCase(), recovered, nonce };
+}
+
+const relayerPool = new RelayerPool(provider, RELAYER_KEYS, {
+  minBalance: MIN_RELAYER_BALANCE,
+  nonceOptions: {
+    stuckAfterMs: STUCK_AFTER_MS,
+    bumpPercent: FEE_BUMP_PERCENT,
+    onReplaced: ({ ref, rawTx, txHash }) => {
+      const job = ref && relayQueue.get(ref);
+      if (!job) return;
+      relayQueue.update(ref, { rawTx, txHash, txHashes: [...(job.txHashes || []), txHash] });
+    },
+  },
+});
+
+// (merchantId, orderId) -> the relay job submitted for it, so a POS terminal
+// retrying /relay gets the original result instead of a second charge.
+const orders = new JsonlStore(path.join(DATA_DIR, "orders.jsonl"));
+const ordersInValidation = new Set();
+
+const relayQueue = new JobQueue({
+  store: new JsonlStore(path.join(DATA_DIR, "payment-jobs.jsonl")),
+  worker: processRelayJob,
+  concurrency: RELAY_CONCURRENCY,
+  maxAttempts: MAX_ATTEMPTS,
+  logger: logger.child({ queue: "payments" }),
+  logContext: ({ payload }) => ({
+    requestId: payload.requestId,
+    payer: payload.payer,
+    merchantId: payload.merchantId,
+    orderId: payload.orderId,
+    apiKeyId: payload.apiKeyId,
+  }),
+  // Nothing was mined for it: give its gas reservation back to the API key
+  onFailed: ({ id, payload }) => {
+    if (payload.apiKeyId) apiKeys.settle(payload.apiKeyId, id);
+  },
+});
+
+const merchantWebhooks = new MerchantWebhooks({
+  provider,
+  paymentProcessor,
+  merchantRegistry,
+  dataDir: DATA_DIR,
+  chainId: CHAIN_ID,
+  confirmations: CONFIRMATIONS,
+  pollMs: WEBHOOK_POLL_MS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  allowLocalUrls: WEBHOOK_ALLOW_LOCAL,
+  logger,
+});
+
+const apiKeys = new MerchantApiKeys({
+  store: new JsonlStore(path.join(DATA_DIR, "api-keys.jsonl")),
+  ratePerMinute: API_KEY_RATE_PER_MINUTE,
+  dailyGasBudget: API_KEY_DAILY_GAS,
+  checkoutTtlSeconds: CHECKOUT_TOKEN_TTL_SECONDS,
+});
+const onApiKeyRejected = (error) => rejectedApiKeys.inc({ reason: error.reason });
+const requireApiKey = apiKeys.middleware(onApiKeyRejected);
+// Payer-facing routes: the merchant's key, or a checkout token from its QR code
+const requireApiKeyOrCheckout = apiKeys.middleware(onApiKeyRejected, { allowCheckout: true });
+
+/**
+ * Whether a payment is the one a checkout token was issued for. Always true
+ * for requests made with the API key itself.
+ */
+function matchesCheckout(checkout, token, amount) {
+  return !checkout || (checkout.token === token.toLowerCase() && checkout.amount === BigInt(amount).toString());
+}
+
+relayerPoolMetrics(metrics, relayerPool);
+metrics.gauge("api_key_gas_spent_today_eth", "Gas charged to each active merchant API key today", ["key_id"], (gauge) => {
+  gauge.reset();
+  for (const key of apiKeys.list().filter((entry) => entry.status === "active")) {
+    gauge.set({ key_id: key.keyId }, Number(key.today.gasSpent));
+  }
+});
+metrics.gauge("queue_depth", "Relay jobs not yet confirmed or failed", ["status"], (gauge) => {
+  gauge.reset();
+  gauge.set({ status: "queued" }, 0);
+  gauge.set({ status: "submitted" }, 0);
+  for (const job of relayQueue.pending()) gauge.inc({ status: job.status });
+});
+metrics.gauge("webhook_deliveries_pending", "Merchant webhook deliveries waiting to be sent", [], (gauge) =>
+  gauge.set({}, merchantWebhooks.pendingDeliveries())
+);
+
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    requestId: job.payload.requestId || null,
+    status: job.status,
+    attempts: job.attempts,
+    txHash: job.result?.txHash || job.txHash || null,
+    paymentId: job.result?.paymentId || null,
+    blockNumber: job.result?.blockNumber ?? null,
+    gasUsed: job.result?.gasUsed || null,
+    error: job.error || null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+  };
+}
+
+/**
+ * Decode revert data into `{ name, args }`. A plain `require` message is
+ * reported as its own text.
+ */
+function decodeRelayError(error) {
+  if (!error.data || error.data === "0x") return null;
+  try {
+    const parsed = paymentProcessor.interface.parseError(error.data);
+    if (!parsed) return null;
+    if (parsed.name === "Error") return { name: parsed.args[0], args: [] };
+    if (parsed.name === "PermitFailed") {
+      // The token's own error, e.g. ERC2612InvalidSigner
+      const inner = decodeRelayError({ data: parsed.args.reason });
+      return { name: "PermitFailed", args: [inner?.name || parsed.args.reason] };
+    }
+    return { name: parsed.name, args: parsed.args.map((arg) => arg.toString()) };
+  } catch {
+    // Not an error this relayer knows about.
+    return null;
+  }
+}
+
+/**
+ * Processor method and arguments for a queued payment: payWithPermit when the
+ * payer signed a permit alongside the payment, payWithSignature otherwise.
+ */
+function relayCall(payment) {
+  const args = [
+    payment.payer,
+    payment.merchantId,
+    payment.token,
+    BigInt(payment.amount),
+    payment.orderId,
+    payment.memo,
+    BigInt(payment.deadline),
+    payment.signature,
+  ];
+  if (!payment.permit) return { method: paymentProcessor.payWithSignature, args };
+
+  const { v, r, s } = ethers.Signature.from(payment.permit.signature);
+  args.push({ value: BigInt(payment.permit.value), deadline: BigInt(payment.permit.deadline), v, r, s });
+  return { method: paymentProcessor.payWithPermit, args };
+}
+
+/**
+ * Dry-run payWithSignature as `from` (a RELAYER_ROLE key). Resolves with the
+ * gas limit to send with; a revert becomes a PermanentJobError carrying the
+ * decoded error, so nothing is ever sent that was always going to fail.
+ */
+async function simulateRelay(payment, from) {
+  try {
+    const { method, args } = relayCall(payment);
+    const estimate = await method.estimateGas(...args, { from });
+    return (estimate * (100n + GAS_MARGIN_PERCENT)) / 100n;
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") throw error;
+    const decoded = decodeRelayError(error);
+    throw new PermanentJobError(decoded?.name || error.reason || "Payment simulation reverted", {
+      code: "CALL_EXCEPTION",
+      revertArgs: decoded?.args || [],
+    });
+  }
+}
+
+function simulationSender() {
+  try {
+    return relayerPool.select().address;
+  } catch {
+    return relayerPool.addresses[0];
+  }
+}
+
+function isNonceError(error) {
+  if (error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED") return true;
+  return /nonce too (low|high)|replacement transaction underpriced/i.test(error.message || "");
+}
+
+function isFundsError(error) {
+  return error.code === "INSUFFICIENT_FUNDS" || /insufficient funds|enough funds/i.test(error.message || "");
+}
+
+function feeFields(feeData) {
+  if (feeData.maxFeePerGas !== null) {
+    return { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  }
+  return { type: 0, gasPrice: feeData.gasPrice };
+}
+
+/**
+ * Everything that needs the network happens before the nonce is taken, so a
+ * failed RPC call can never leave a hole in the relayer's nonce sequence.
+ */
+async function signRelayTransaction(payment, relayer) {
+  const { method, args } = relayCall(payment);
+  const populated = await method.populateTransaction(...args);
+  const gasLimit = await simulateRelay(payment, relayer.address);
+  const feeData = await provider.getFeeData();
+  const nonce = await relayer.nonceManager.acquire();
+
+  const rawTx = await relayer.wallet.signTransaction({
+    ...populated,
+    ...feeFields(feeData),
+    chainId: CHAIN_ID,
+    gasLimit,
+    nonce,
+  });
+  return { rawTx, nonce };
+}
+
+async function broadcastSigned(rawTx, txHashes) {
+  try {
+    await provider.broadcastTransaction(rawTx);
+  } catch (error) {
+    for (const hash of txHashes) {
+      if (await provider.getTransactionReceipt(hash)) return;
+    }
+    if (/already known/i.test(error.message)) return;
+    throw error;
+  }
+}
+
+/**
+ * Poll every hash the job has used (the original plus any fee-bump
+ * replacements) until one of them is confirmed.
+ */
+async function waitForRelayReceipt(queue, jobId) {
+  const timeoutAt = Date.now() + CONFIRM_TIMEOUT_MS;
+
+  while (Date.now() < timeoutAt) {
+    const { txHashes = [] } = queue.get(jobId);
+    for (const hash of txHashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt && (await receipt.confirmations()) >= CONFIRMATIONS) return receipt;
+    }
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_MS));
+  }
+
+  throw new Error("Timed out waiting for confirmation");
+}
+
+/**
+ * Queue worker: sign once, persist the signed transaction, then broadcast and
+ * confirm. A resumed job rebroadcasts the same signed bytes, so a restart
+ * between broadcast and confirmation can never produce a second payment.
+ */
+async function processRelayJob(job, queue) {
+  const payment = job.payload;
+  let { rawTx, nonce } = job;
+  let relayer = relayerPool.get(job.relayer);
+
+  if (!rawTx) {
+    if (Number(payment.deadline) < Math.floor(Date.now() / 1000)) {
+      throw new PermanentJobError("Signature expired");
+    }
+
+    ({ relayer, rawTx, nonce } = await relayerPool.withRelayer(async (member) => ({
+      relayer: member,
+      ...(await signRelayTransaction(payment, member)),
+    })));
+    const txHash = ethers.Transaction.from(rawTx).hash;
+    job = queue.update(job.id, {
+      status: "submitted",
+      relayer: relayer.address,
+      rawTx,
+      nonce,
+      txHash,
+      txHashes: [txHash],
+    });
+    logger.info("Payment transaction signed", { relayer: relayer.address, nonce, txHash });
+  }
+
+  // A job signed by a key that has since left the pool is still rebroadcast,
+  // just without nonce tracking.
+  relayer?.nonceManager.track(nonce, job.id, rawTx);
+
+  const confirmed = confirmationTime.startTimer();
+  try {
+    await broadcastSigned(rawTx, job.txHashes);
+  } catch (error) {
+    logger.warn("Payment broadcast failed", { relayer: job.relayer, txHash: job.txHash, error });
+    if (relayer) relayerPool.recordError(relayer, error);
+
+    if (relayer && (isNonceError(error) || isFundsError(error))) {
+      // Re-sign next attempt, possibly with a different key.
+      relayer.nonceManager.discard(nonce);
+      queue.update(job.id, { status: "queued", relayer: null, rawTx: null, nonce: null, txHash: null, txHashes: [] });
+      relayerPool.refreshMember(relayer);
+      await relayer.nonceManager.resync().catch((resyncError) => relayerPool.recordError(relayer, resyncError));
+    }
+    throw error;
+  }
+
+  const receipt = await waitForRelayReceipt(queue, job.id);
+  confirmed();
+  gasSpent.inc({ relayer: receipt.from }, receiptGasEth(receipt));
+  if (payment.apiKeyId) apiKeys.settle(payment.apiKeyId, job.id, receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice));
+  relayer?.nonceManager.release(nonce);
+  if (relayer) relayerPool.refreshMember(relayer);
+
+  if (receipt.status !== 1) {
+    logger.error("Payment transaction reverted", { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+    throw new PermanentJobError("Transaction reverted", { code: "CALL_EXCEPTION" });
+  }
+
+  relayLatency.observe({}, (Date.now() - job.createdAt) / 1000);
+  const result = paymentResultFromReceipt(receipt);
+  logger.info("Payment confirmed", { ...result, relayer: receipt.from });
+  return result;
+}
+
+function paymentResultFromReceipt(receipt) {
+  let paymentId = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsed = paymentProcessor.interface.parseLog(log);
+      if (parsed?.name === "PaymentProcessed") {
+        paymentId = parsed.args.paymentId;
+        break;
+      }
+    } catch {
+      // Ignore logs emitted by token/registry contracts.
+    }
+  }
+
+  return {
+    txHash: receipt.hash,
+    paymentId,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+  };
+}
+
+function orderKey(merchantId, orderId) {
+  return `${merchantId}:${orderId}`.toLowerCase();
+}
+
+/**
+ * A job can be marked failed (e.g. confirmation timed out on every attempt)
+ * while one of its transactions was mined after all. Check its receipts and
+ * correct the job before anyone acts on the failure.
+ */
+async function reconcileJob(job) {
+  if (job.status !== "failed" || !job.txHashes?.length) return job;
+
+  for (const hash of job.txHashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt?.status === 1) {
+      // Failed without a receipt, so its gas was never charged
+      if (job.payload.apiKeyId) apiKeys.recordGas(job.payload.apiKeyId, receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice));
+      return relayQueue.update(job.id, { status: "confirmed", result: paymentResultFromReceipt(receipt), error: null });
+    }
+  }
+  return job;
+}
+
+/**
+ * The order's relay job and, once it has a paymentId, the payment as the
+ * processor records it now (refunds included).
+ */
+async function reconcileOrder(order) {
+  const job = await reconcileJob(relayQueue.get(order.jobId));
+  const paymentId = job.result?.paymentId;
+
+  let onChain = null;
+  if (paymentId) {
+    const payment = await paymentProcessor.getPayment(paymentId);
+    onChain = {
+      paymentId,
+      status: PAYMENT_STATUS_LABELS[Number(payment.status)] || "Unknown",
+      payer: payment.payer,
+      token: payment.token,
+      amount: payment.amount.toString(),
+      fee: payment.fee.toString(),
+      refundedAmount: payment.refundedAmount.toString(),
+      timestamp: Number(payment.timestamp),
+      matchesOrder:
+        payment.merchantId.toLowerCase() === order.merchantId.toLowerCase() &&
+        payment.orderId.toLowerCase() === order.orderId.toLowerCase(),
+    };
+  }
+
+  return { job, onChain };
+}
+
 app.get("/health", async (_req, res) => {
   try {
-    const [balance, blockNumber] = await Promise.all([
-      provider.getBalance(relayerWallet.address),
-      provider.getBlockNumber(),
-    ]);
+    await relayerPool.refresh();
+    const blockNumber = await provider.getBlockNumber();
+    const relayers = relayerPool.status();
+    const available = relayers.filter((relayer) => relayer.funded && relayer.healthy).length;
 
     res.json({
-      status: "ok",
-      relayer: relayerWallet.address,
-      balance: ethers.formatEther(balance),
+      status: available > 0 ? "ok" : "degraded",
+      availableRelayers: available,
+      minRelayerBalance: ethers.formatEther(MIN_RELAYER_BALANCE),
+      relayers,
+      queuedJobs: relayQueue.pending().length,
+      pendingWebhookDeliveries: merchantWebhooks.pendingDeliveries(),
       chainId: CHAIN_ID,
       blockNumber,
+      paymentProcessorVersion: (await loadProcessorFeatures()).version,
       contracts: {
         paymentProcessor: PAYMENT_PROCESSOR,
         merchantRegistry: MERCHANT_REGISTRY,
@@ -216,21 +901,45 @@ app.get("/merchant/:merchantId", async (req, res) => {
   }
 });
 
-app.post("/prepare", async (req, res) => {
+/**
+ * Checkout token for one order, to put in the customer's payment QR code in
+ * place of the API key: { merchantId, orderId, token | tokenSymbol, amount }.
+ * API key only - a checkout token cannot issue another.
+ */
+app.post("/checkout", requireApiKey, (req, res) => {
+  try {
+    const { merchantId, orderId } = req.body;
+    if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+    if (!isBytes32(orderId)) return res.status(400).json({ error: "Invalid orderId" });
+    const tokenConfig = normalizeToken(req.body.token, req.body.tokenSymbol);
+    const amount = parsePaymentAmount(req.body, tokenConfig);
+    if (amount <= 0n) return res.status(400).json({ error: "Amount must be positive" });
+
+    const { checkoutToken, expiresAt } = apiKeys.issueCheckout(req.apiKey, { orderId, token: tokenConfig.address, amount });
+    logger.info("Checkout token issued", { apiKeyId: req.apiKey.keyId, merchantId, orderId });
+    res.status(201).json({ checkoutToken, orderId, expiresAt: new Date(expiresAt).toISOString() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post("/prepare", requireApiKeyOrCheckout, async (req, res) => {
   try {
     const { payer, merchantId, orderId, memo = "POS checkout" } = req.body;
+    addLogContext({ payer, merchantId, orderId, apiKeyId: req.apiKey.keyId });
     if (!ethers.isAddress(payer)) return res.status(400).json({ error: "Invalid payer address" });
     if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
     if (!isBytes32(orderId)) return res.status(400).json({ error: "Invalid orderId" });
 
     const tokenConfig = normalizeToken(req.body.token, req.body.tokenSymbol);
-    if (tokenConfig.symbol !== "uTUT") {
-      return res.status(400).json({
-        error: "Gasless checkout is currently limited to uTUT; use direct payment for TUT.",
-      });
-    }
+    const features = await loadProcessorFeatures();
+    const tokenError = gaslessTokenError(tokenConfig, features);
+    if (tokenError) return res.status(400).json({ error: tokenError });
     const amount = parsePaymentAmount(req.body, tokenConfig);
     if (amount <= 0n) return res.status(400).json({ error: "Amount must be positive" });
+    if (!matchesCheckout(req.checkout, tokenConfig.address, amount)) {
+      return res.status(403).json({ error: "Payment does not match the checkout" });
+    }
 
     const token = new ethers.Contract(tokenConfig.address, ERC20_ABI, provider);
     await loadActiveMerchant(merchantId, tokenConfig.address);
@@ -251,7 +960,8 @@ app.post("/prepare", async (req, res) => {
       });
     }
 
-    if (allowance < amount) {
+    const permitDomain = allowance < amount && features.permit ? await loadPermitDomain(tokenConfig) : null;
+    if (allowance < amount && !permitDomain) {
       return res.status(400).json({
         error: "Insufficient allowance",
         allowance: allowance.toString(),
@@ -260,7 +970,7 @@ app.post("/prepare", async (req, res) => {
       });
     }
 
-    if (amount > remainingLimit) {
+    if (toLimitUnits(tokenConfig, amount) > remainingLimit) {
       return res.status(400).json({
         error: "Daily gasless limit exceeded",
         remainingLimit: remainingLimit.toString(),
@@ -280,6 +990,22 @@ app.post("/prepare", async (req, res) => {
       deadline: deadline.toString(),
     };
 
+    let permit = null;
+    if (permitDomain) {
+      permit = {
+        domain: permitDomain,
+        types: PERMIT_TYPES,
+        primaryType: "Permit",
+        message: {
+          owner: payer,
+          spender: PAYMENT_PROCESSOR,
+          value: amount.toString(),
+          nonce: (await token.nonces(payer)).toString(),
+          deadline: deadline.toString(),
+        },
+      };
+    }
+
     res.json({
       domain: buildDomain(),
       types: PAYMENT_TYPES,
@@ -289,79 +1015,400 @@ app.post("/prepare", async (req, res) => {
       fee: fee.toString(),
       merchantAmount: (amount - fee).toString(),
       token: tokenConfig,
+      permit,
     });
   } catch (error) {
+    logger.warn("Prepare refused", { error });
     res.status(400).json({ error: error.message });
   }
 });
 
-app.post("/relay", async (req, res) => {
+app.post("/relay", requireApiKeyOrCheckout, async (req, res) => {
   try {
-    const { payer, merchantId, token, amount, orderId, memo = "POS checkout", deadline, signature } = req.body;
+    const { payer, merchantId, token, amount, orderId, memo = "POS checkout", deadline, signature, permit } = req.body;
+    addLogContext({ payer, merchantId, orderId, apiKeyId: req.apiKey.keyId });
     if (!ethers.isAddress(payer)) return res.status(400).json({ error: "Invalid payer address" });
     if (!ethers.isAddress(token)) return res.status(400).json({ error: "Invalid token" });
     if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
     if (!isBytes32(orderId)) return res.status(400).json({ error: "Invalid orderId" });
     if (!signature || !signature.startsWith("0x")) return res.status(400).json({ error: "Invalid signature" });
     if (Number(deadline) < Math.floor(Date.now() / 1000)) return res.status(400).json({ error: "Signature expired" });
+    if (permit && (!permit.signature?.startsWith?.("0x") || permit.value === undefined || permit.deadline === undefined)) {
+      return res.status(400).json({ error: "Invalid permit" });
+    }
+    if (!matchesCheckout(req.checkout, token, amount)) {
+      return res.status(403).json({ error: "Payment does not match the checkout" });
+    }
 
-    const tokenConfig = normalizeToken(token);
-    if (tokenConfig.symbol !== "uTUT") {
-      return res.status(400).json({ error: "Gasless checkout is currently limited to uTUT." });
+    // A retried submission for an order gets the original outcome back. Only
+    // an order whose job failed (and was not mined after all) may be retried.
+    const key = orderKey(merchantId, orderId);
+    const existing = orders.get(key);
+    if (existing) {
+      const job = await reconcileJob(relayQueue.get(existing.jobId));
+      if (job.status !== "failed") {
+        const samePayment =
+          existing.payer.toLowerCase() === payer.toLowerCase() &&
+          existing.token.toLowerCase() === token.toLowerCase() &&
+          existing.amount === BigInt(amount).toString();
+        if (!samePayment) {
+          logger.warn("orderId reused for a different payment", { jobId: job.id });
+          return res.status(409).json({ error: "orderId already used for a different payment", jobId: job.id });
+        }
+        logger.info("Duplicate order submission answered from its job", { jobId: job.id, txHash: job.txHash });
+        return res.json({
+          success: true,
+          duplicate: true,
+          ...serializeJob(job),
+          statusUrl: `/jobs/${job.id}`,
+          orderUrl: `/orders/${merchantId}/${orderId}`,
+        });
+      }
     }
-    await loadActiveMerchant(merchantId, token);
 
-    const tx = await paymentProcessor.payWithSignature(
-      payer,
-      merchantId,
-      token,
-      BigInt(amount),
-      orderId,
-      memo,
-      BigInt(deadline),
-      signature,
-      { gasLimit: 350000 }
-    );
+    if (ordersInValidation.has(key)) {
+      return res.status(409).json({ error: "This order is already being submitted" });
+    }
+    ordersInValidation.add(key);
+    try {
+      const tokenConfig = normalizeToken(token);
+      const features = await loadProcessorFeatures();
+      const tokenError = gaslessTokenError(tokenConfig, features);
+      if (tokenError) return res.status(400).json({ error: tokenError });
+      if (permit && !features.permit) {
+        return res.status(400).json({ error: "This payment processor does not take permits; approve the processor instead" });
+      }
+      await loadActiveMerchant(merchantId, token);
 
-    const receipt = await tx.wait();
-    let paymentId = null;
+      const payment = {
+        payer,
+        merchantId,
+        token,
+        amount: BigInt(amount).toString(),
+        orderId,
+        memo,
+        deadline: BigInt(deadline).toString(),
+        signature,
+        apiKeyId: req.apiKey.keyId,
+        requestId: req.id,
+      };
+      if (permit) {
+        payment.permit = {
+          value: BigInt(permit.value).toString(),
+          deadline: BigInt(permit.deadline).toString(),
+          signature: permit.signature,
+        };
+      }
 
-    for (const log of receipt.logs) {
-      try {
-        const parsed = paymentProcessor.interface.parseLog(log);
-        if (parsed?.name === "PaymentProcessed") {
-          paymentId = parsed.args.paymentId;
-          break;
+      const verification = await verifyPaymentSignature(payment);
+      if (!verification.valid) {
+        rejectedSignatures.inc({ type: "payment" });
+        logger.warn("Payment signature rejected", { recovered: verification.recovered });
+        return res.status(400).json({
+          error: "Signature does not match payer for these payment fields",
+          payer,
+          recovered: verification.recovered,
+          nonce: verification.nonce,
+        });
+      }
+
+      if (payment.permit) {
+        const permitCheck = await verifyPermitSignature(payment, tokenConfig);
+        if (!permitCheck.valid) {
+          rejectedSignatures.inc({ type: "permit" });
+          logger.warn("Permit signature rejected", { recovered: permitCheck.recovered });
+          return res.status(400).json({
+            error: "Permit signature does not match payer",
+            payer,
+            recovered: permitCheck.recovered,
+            nonce: permitCheck.nonce,
+          });
         }
-      } catch {
-        // Ignore logs emitted by token/registry contracts.
       }
+
+      let gasLimit;
+      try {
+        gasLimit = await simulateRelay(payment, simulationSender());
+      } catch (error) {
+        if (!error.permanent) throw error;
+        rejectedSimulations.inc({ error: SIMULATION_ERROR_LABELS.has(error.message) ? error.message : "other" });
+        logger.warn("Payment simulation reverted", { error: error.message });
+        return res.status(400).json({ error: error.message, args: error.revertArgs, simulated: true });
+      }
+
+      // Worst-case cost of this payment against the key's daily gas budget,
+      // counting what queued payments have reserved
+      const feeData = await provider.getFeeData();
+      const gasCost = gasLimit * (feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n);
+      try {
+        apiKeys.checkBudget(req.apiKey, gasCost);
+      } catch (error) {
+        rejectedApiKeys.inc({ reason: error.reason });
+        logger.warn("Payment over the API key's gas budget", { error });
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      // No await since the check, so no other request can reserve in between
+      const job = relayQueue.enqueue(payment);
+      apiKeys.reserve(req.apiKey, job.id, gasCost);
+      orders.put(key, { merchantId, orderId, jobId: job.id, payer, token, amount: payment.amount, createdAt: Date.now() });
+      logger.info("Payment accepted", { jobId: job.id, token, amount: payment.amount });
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        orderUrl: `/orders/${merchantId}/${orderId}`,
+      });
+    } finally {
+      ordersInValidation.delete(key);
     }
+  } catch (error) {
+    logger.warn("Relay refused", { error });
+    res.status(error instanceof NoRelayerAvailableError ? 503 : 400).json({ error: error.message });
+  }
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = relayQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(serializeJob(job));
+});
+
+app.get("/orders/:merchantId/:orderId", async (req, res) => {
+  try {
+    const { merchantId, orderId } = req.params;
+    if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+    if (!isBytes32(orderId)) return res.status(400).json({ error: "Invalid orderId" });
+
+    const order = orders.get(orderKey(merchantId, orderId));
+    if (!order) return res.status(404).json({ error: "Order not found" });
 
+    const { job, onChain } = await reconcileOrder(order);
     res.json({
-      success: true,
-      txHash: tx.hash,
-      paymentId,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
+      merchantId: order.merchantId,
+      orderId: order.orderId,
+      payer: order.payer,
+      token: order.token,
+      amount: order.amount,
+      createdAt: new Date(order.createdAt).toISOString(),
+      job: serializeJob(job),
+      onChain,
     });
   } catch (error) {
-    if (error.data) {
-      try {
-        const decoded = paymentProcessor.interface.parseError(error.data);
-        return res.status(400).json({ error: decoded.name });
-      } catch {
-        // Fall through to generic error.
-      }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Register or replace a merchant's webhook. The merchant owner signs
+ * webhookAuthMessage(merchantId, "register", url, webhookSecretHash(secret), expires)
+ * with personal_sign. Omit `secret` (and sign with a null hash) to have one
+ * generated; it is only ever returned here.
+ */
+app.put("/merchant/:merchantId/webhook", async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+    const { url, secret, expires, signature } = req.body;
+    if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+    if (secret !== undefined && typeof secret !== "string") return res.status(400).json({ error: "Invalid secret" });
+
+    // Before the signature is used up, so a typo does not cost the merchant a new one
+    try {
+      await merchantWebhooks.checkRegistration({ url, secret });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: error.message, code: error.code });
+
+    try {
+      const secretHash = secret ? webhookSecretHash(secret) : null;
+      await merchantWebhooks.authorize(merchantId, "register", { url, secretHash, expires, signature });
+    } catch (error) {
+      rejectedSignatures.inc({ type: "merchant" });
+      return res.status(401).json({ error: error.message });
+    }
+
+    const { registration, generatedSecret } = merchantWebhooks.register(merchantId, { url, secret });
+    res.json({
+      merchantId,
+      url: registration.url,
+      ...(generatedSecret ? { secret: registration.secret } : {}),
+      updatedAt: new Date(registration.updatedAt).toISOString(),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete("/merchant/:merchantId/webhook", async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+    const { expires, signature } = req.body;
+    if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+
+    // Signed over the current secret, so it cannot remove a later registration
+    const registration = merchantWebhooks.get(merchantId);
+    if (!registration) return res.status(404).json({ error: "No webhook registered" });
+
+    try {
+      const secretHash = webhookSecretHash(registration.secret);
+      await merchantWebhooks.authorize(merchantId, "unregister", { secretHash, expires, signature });
+    } catch (error) {
+      rejectedSignatures.inc({ type: "merchant" });
+      return res.status(401).json({ error: error.message });
+    }
+
+    if (!merchantWebhooks.unregister(merchantId)) return res.status(404).json({ error: "No webhook registered" });
+    res.json({ merchantId, removed: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Authorization text to sign. Pass the secret as `secretHash`
+ * (webhookSecretHash), never in clear: the new secret to register, or the
+ * current one to unregister.
+ */
+app.get("/merchant/:merchantId/webhook/message", (req, res) => {
+  const { merchantId } = req.params;
+  const { action = "register", url = "", secretHash = null } = req.query;
+  const expires = Number(req.query.expires || Math.floor(Date.now() / 1000) + AUTH_MAX_AGE_SECONDS);
+  if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+  res.json({ message: webhookAuthMessage(merchantId, action, url, secretHash, expires), expires });
+});
+
+/**
+ * Delivery log, newest first. Authenticated with `Authorization: Bearer <secret>`.
+ */
+app.get("/merchant/:merchantId/webhook/deliveries", (req, res) => {
+  const { merchantId } = req.params;
+  const secret = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!merchantWebhooks.checkSecret(merchantId, secret)) {
+    return res.status(401).json({ error: "Unknown merchant or wrong webhook secret" });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  res.json({ merchantId, deliveries: merchantWebhooks.deliveries(merchantId, limit) });
+});
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+function apiKeyError(res, error) {
+  res.status(error instanceof ApiKeyError ? error.status : 400).json({ error: error.message });
+}
+
+app.get("/admin/api-keys", requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list(req.query.merchantId) });
+});
+
+/**
+ * Issue a key. The plaintext key is only ever in this response.
+ */
+app.post("/admin/api-keys", requireAdmin, async (req, res) => {
+  try {
+    const { merchantId, label, ratePerMinute, dailyGasBudgetEth } = req.body;
+    if (!isBytes32(merchantId)) return res.status(400).json({ error: "Invalid merchantId" });
+
+    const merchant = await merchantRegistry.getMerchant(merchantId);
+    if (merchant.owner === ethers.ZeroAddress) return res.status(404).json({ error: "Merchant not found" });
+
+    const issued = apiKeys.issue(merchantId, {
+      label: label ?? null,
+      ...(ratePerMinute !== undefined ? { ratePerMinute: Number(ratePerMinute) } : {}),
+      ...(dailyGasBudgetEth !== undefined ? { dailyGasBudget: ethers.parseEther(String(dailyGasBudgetEth)) } : {}),
+    });
+    logger.info("API key issued", { apiKeyId: issued.key.keyId, merchantId });
+    res.status(201).json(issued);
+  } catch (error) {
+    apiKeyError(res, error);
   }
 });
 
-app.listen(PORT, () => {
-  console.log("Tolani POS Payment Relayer");
-  console.log(`Relayer: ${relayerWallet.address}`);
-  console.log(`PaymentProcessor: ${PAYMENT_PROCESSOR}`);
-  console.log(`MerchantRegistry: ${MERCHANT_REGISTRY}`);
-  console.log(`Listening: http://localhost:${PORT}`);
+app.delete("/admin/api-keys/:keyId", requireAdmin, (req, res) => {
+  try {
+    const key = apiKeys.revoke(req.params.keyId);
+    logger.info("API key revoked", { apiKeyId: key.keyId, merchantId: key.merchantId });
+    res.json({ key });
+  } catch (error) {
+    apiKeyError(res, error);
+  }
 });
+
+const timers = [];
+
+/**
+ * Sync relayer nonces, resume pending relay jobs and webhook deliveries, and
+ * start the fee-bump and balance timers. Run once the app is listening; the
+ * end-to-end tests call it against an in-process Hardhat node.
+ */
+async function start() {
+  await relayerPool.refresh();
+  for (const relayer of relayerPool.members) {
+    try {
+      await relayer.nonceManager.init();
+    } catch (error) {
+      logger.warn("Nonce sync deferred", { relayer: relayer.address, error });
+    }
+  }
+  for (const job of relayQueue.pending()) {
+    const relayer = job.rawTx && relayerPool.get(job.relayer);
+    if (relayer) relayer.nonceManager.reserve(job.nonce, job.id, job.rawTx);
+  }
+
+  const resumed = relayQueue.start();
+  if (resumed > 0) logger.info("Resumed pending relay jobs", { count: resumed });
+
+  try {
+    const resumedDeliveries = await merchantWebhooks.start();
+    if (resumedDeliveries > 0) logger.info("Resumed pending webhook deliveries", { count: resumedDeliveries });
+  } catch (error) {
+    logger.error("Merchant webhooks not started", { error });
+  }
+
+  timers.push(
+    setInterval(async () => {
+      for (const { relayer, nonce, txHash } of await relayerPool.bumpStuck()) {
+        logger.warn("Replaced stuck transaction", { relayer, nonce, txHash });
+      }
+    }, STUCK_AFTER_MS / 2).unref(),
+    setInterval(() => relayerPool.refresh(), BALANCE_REFRESH_MS).unref()
+  );
+}
+
+/**
+ * Stop the workers and timers started by start() and close the RPC provider.
+ */
+function stop() {
+  relayQueue.stop();
+  merchantWebhooks.stop();
+  timers.splice(0).forEach(clearInterval);
+  provider.destroy();
+}
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info("Tolani POS Payment Relayer listening", {
+      port: Number(PORT),
+      chainId: CHAIN_ID,
+      relayers: relayerPool.addresses,
+      paymentProcessor: PAYMENT_PROCESSOR,
+      merchantRegistry: MERCHANT_REGISTRY,
+    });
+    start().catch((error) => logger.error("Relayer startup failed", { error }));
+  });
+}
+
+module.exports = { app, start, stop };
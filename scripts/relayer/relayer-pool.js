@@ -0,0 +1,188 @@
+/**
+ * Relayer Key Pool
+ *
+ * Spreads relayed transactions across several hot wallets. Each key gets its
+ * own NonceManager; select() routes to the least-loaded key that is funded
+ * (balance >= minBalance) and is not cooling down after a key-level failure
+ * (funds, nonce or RPC errors - a reverting call says nothing about the key).
+ *
+ * Keys come from RELAYER_PRIVATE_KEYS (comma-separated) or, failing that, the
+ * first single-key variable that is set - see keysFromEnv().
+ */
+
+const { ethers } = require("ethers");
+const { NonceManager } = require("./nonce-manager");
+
+const KEY_ERROR_CODES = new Set([
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+  "TIMEOUT",
+]);
+
+class NoRelayerAvailableError extends Error {
+  constructor(message = "No funded relayer key available") {
+    super(message);
+    this.name = "NoRelayerAvailableError";
+  }
+}
+
+/**
+ * @param {string[]} singleKeyNames Env vars holding one key, in priority order
+ * @returns {string[]}
+ */
+function keysFromEnv(singleKeyNames, env = process.env) {
+  if (env.RELAYER_PRIVATE_KEYS) {
+    return env.RELAYER_PRIVATE_KEYS.split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+  }
+
+  for (const name of singleKeyNames) {
+    if (env[name]) return [env[name]];
+  }
+  return [];
+}
+
+class RelayerPool {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {string[]} privateKeys
+   * @param {object} [options]
+   * @param {bigint} [options.minBalance] Keys below this balance (wei) leave rotation
+   * @param {number} [options.errorCooldownMs] How long a key sits out after a key-level error
+   * @param {object} [options.nonceOptions] Passed to each key's NonceManager
+   */
+  constructor(provider, privateKeys, { minBalance = ethers.parseEther("0.005"), errorCooldownMs = 60000, nonceOptions = {} } = {}) {
+    if (privateKeys.length === 0) throw new Error("Relayer pool needs at least one private key");
+
+    this.provider = provider;
+    this.minBalance = minBalance;
+    this.errorCooldownMs = errorCooldownMs;
+    this.members = privateKeys.map((key) => {
+      const wallet = new ethers.Wallet(key, provider);
+      return {
+        address: wallet.address,
+        wallet,
+        nonceManager: new NonceManager(wallet, nonceOptions),
+        balance: null,
+        active: 0,
+        lastError: null,
+        lastErrorAt: null,
+        cooldownUntil: 0,
+      };
+    });
+  }
+
+  get addresses() {
+    return this.members.map((member) => member.address);
+  }
+
+  get(address) {
+    if (!address) return undefined;
+    return this.members.find((member) => member.address.toLowerCase() === address.toLowerCase());
+  }
+
+  pendingCount(member) {
+    return member.nonceManager.pendingCount + member.active;
+  }
+
+  isFunded(member) {
+    return member.balance !== null && member.balance >= this.minBalance;
+  }
+
+  isHealthy(member) {
+    return Date.now() >= member.cooldownUntil;
+  }
+
+  async refreshMember(member) {
+    try {
+      member.balance = await this.provider.getBalance(member.address);
+    } catch (error) {
+      this.recordError(member, error);
+    }
+  }
+
+  async refresh() {
+    await Promise.all(this.members.map((member) => this.refreshMember(member)));
+  }
+
+  /**
+   * Least-loaded funded, healthy key; ties go to the larger balance.
+   */
+  select() {
+    const candidates = this.members.filter((member) => this.isFunded(member) && this.isHealthy(member));
+    if (candidates.length === 0) throw new NoRelayerAvailableError();
+
+    return candidates.sort((a, b) => {
+      const load = this.pendingCount(a) - this.pendingCount(b);
+      if (load !== 0) return load;
+      return a.balance > b.balance ? -1 : a.balance < b.balance ? 1 : 0;
+    })[0];
+  }
+
+  /**
+   * Run `fn` with the selected key, counting it as in-flight meanwhile.
+   */
+  async withRelayer(fn) {
+    const member = this.select();
+    member.active++;
+    try {
+      return await fn(member);
+    } catch (error) {
+      this.recordError(member, error);
+      throw error;
+    } finally {
+      member.active--;
+      this.refreshMember(member);
+    }
+  }
+
+  /**
+   * Take a key out of rotation until restart (e.g. it lacks a required role).
+   */
+  disable(member, reason) {
+    member.lastError = reason;
+    member.lastErrorAt = Date.now();
+    member.cooldownUntil = Infinity;
+  }
+
+  recordError(member, error) {
+    member.lastError = error.shortMessage || error.message;
+    member.lastErrorAt = Date.now();
+    if (KEY_ERROR_CODES.has(error.code)) {
+      member.cooldownUntil = member.lastErrorAt + this.errorCooldownMs;
+    }
+  }
+
+  async bumpStuck() {
+    const replaced = [];
+    for (const member of this.members) {
+      try {
+        for (const replacement of await member.nonceManager.bumpStuck()) {
+          replaced.push({ relayer: member.address, ...replacement });
+        }
+      } catch (error) {
+        this.recordError(member, error);
+      }
+    }
+    return replaced;
+  }
+
+  status() {
+    return this.members.map((member) => ({
+      address: member.address,
+      balance: member.balance === null ? null : ethers.formatEther(member.balance),
+      funded: this.isFunded(member),
+      healthy: this.isHealthy(member),
+      pending: this.pendingCount(member),
+      nextNonce: member.nonceManager.nextNonce,
+      lastError: member.lastError,
+      lastErrorAt: member.lastErrorAt ? new Date(member.lastErrorAt).toISOString() : null,
+    }));
+  }
+}
+
+module.exports = { RelayerPool, NoRelayerAvailableError, keysFromEnv };
@@ -5,202 +5,412 @@
  * and triggers on-chain rewards using the OPS wallet.
  * 
  * Features:
- * - Uses OPS wallet private key for transactions
+ * - Uses the OPS wallet, or a pool of relayer keys, for transactions
+ * - Routes each completion to the least-loaded funded key
  * - Processes training completion requests
  * - Opens sessions and grants rewards
- * - Tracks gas usage and reimburses from GasTreasury
+ * - Tracks gas usage per key and claims it back from GasTreasury
+ *   (gas-reimbursement.js; ledger in RELAYER_DATA_DIR/gas-ledger.jsonl)
+ * 
+ * Completions go through scripts/lib/training-reward-pipeline.js, the same
+ * path as the SkillsBuild webhook. Each one names a campaignId, or a courseId
+ * that is mapped to its campaign through the webhook's course catalog. ABIs are read from the Hardhat artifacts,
+ * so run `npx hardhat compile` first.
  * 
  * Usage:
  *   node scripts/relayer/training-relayer.js
+ *   node scripts/relayer/training-relayer.js batch completions.json
+ *     (JSON array of { learner, campaignId | courseId, completionId, ibmCredentialId })
+ *   node scripts/relayer/training-relayer.js reimburse
+ *     (claim unclaimed gas from GasTreasury and show spent vs claimed)
+ *   node scripts/relayer/training-relayer.js serve
+ *     (keep claiming gas every GAS_REIMBURSE_INTERVAL_MS until SIGINT/SIGTERM)
+ *   node scripts/relayer/training-relayer.js check <learner> <campaignId|campaign|courseId> <credentialId>
+ *     (has this credential been rewarded? read-only, no key needed)
+ * 
+ * Completion proofs are keccak256(learner, campaignId, credential id) - no
+ * timestamps - and are checked against RewardGranted events before sending,
+ * so resubmitting a credential is refused with its original reward tx.
+ * 
+ * Batch mode queues completions and sends up to TRAINING_BATCH_SIZE of them
+ * as one session plus one SessionInvoker.batchInvokeTrainingRewards call.
+ * Completions that would revert are left out and reported; every outcome,
+ * success or not, is written to RELAYER_DATA_DIR/training-completions.jsonl.
+ * 
+ * Service output is JSON lines (scripts/lib/logger.js). Each completion is
+ * logged with its learner, campaignId, completionId and tx hashes, plus the
+ * caller's `requestId` when it passes one; batches share a batchId.
  * 
  * Environment:
  *   PRIVATE_KEY_OPS - OPS wallet private key
+ *   RELAYER_PRIVATE_KEYS - comma-separated relayer keys (overrides PRIVATE_KEY_OPS)
+ *   RELAYER_MIN_BALANCE_ETH - keys below this balance leave rotation (default 0.005)
  *   BASE_SEPOLIA_RPC_URL - RPC endpoint
+ *   RELAYER_DATA_DIR - where completion outcomes are kept (default scripts/relayer/data)
+ *   COURSE_CATALOG_PATH - course catalog, shared with the webhook (default scripts/webhook/data/course-catalog.jsonl)
+ *   TRAINING_BATCH_WINDOW_MS - how long a queued completion waits for a batch (default 30000)
+ *   TRAINING_BATCH_SIZE - completions per batch (default and max 50)
+ *   TRAINING_REWARDS_FROM_BLOCK - TrainingRewards deploy block, where RewardGranted searches
+ *                         start (found by binary search over eth_getCode, archive RPC only, when unset)
+ *   GAS_REIMBURSE_INTERVAL_MS - claim interval when running as a service (default 15 min)
+ *   GAS_TREASURY_ALERT_DAYS - alert when GasTreasury covers fewer days of projected spend (default 3)
  */
 
-const { ethers } = require("ethers");
 require("dotenv").config();
 
-// Configuration
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { JsonlStore } = require("../lib/jsonl-store");
+const { RelayerPool, keysFromEnv } = require("./relayer-pool");
+const { GasReimbursement } = require("./gas-reimbursement");
+const { createLogger, withLogContext, runInLogContext } = require("../lib/logger");
+const {
+  TrainingRewardPipeline,
+  MAX_BATCH_SIZE,
+  TRAINING_NETWORK,
+  TRAINING_CONTRACTS,
+  CAMPAIGNS,
+  campaignName,
+  completionProof
+} = require("../lib/training-reward-pipeline");
+
+// Configuration - contracts and campaigns are shared with the SkillsBuild webhook
 const CONFIG = {
   network: {
     rpc: process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org",
-    chainId: 84532
+    chainId: TRAINING_NETWORK.chainId
   },
-  contracts: {
-    uTUT: "0xf4758a12583F424B65CC860A2ff3D3B501cf591C",
-    SessionKeyRegistry: "0xD360F7c69c18dA78461BE5364cBC56C14b584607",
-    GasTreasuryModule: "0xC12035B044c5988E9977E50bA0913AEF4eec28F7",
-    TrainingRewards: "0x4d8FD67c3BAf949A9f7CfCE7830A9588CA0F13dC",
-    SessionInvoker: "0x7Eb46955704c7a75c6eA182A8b0E8C1ec2b06867"
-  },
-  campaigns: {
-    CONSTRUCTION: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_CONSTRUCTION_TECH_V1")),
-    AI_CLOUD: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_AI_CLOUD_V1")),
-    ESG: ethers.keccak256(ethers.toUtf8Bytes("TOLANI_ESG_TRACK_V1"))
-  }
+  contracts: TRAINING_CONTRACTS,
+  campaigns: CAMPAIGNS
 };
 
-// Minimal ABIs
-const SessionRegistryABI = [
-  "function openSession(address sessionKey, uint8 tag, uint256 duration, uint256 maxActions) external",
-  "function validateSession(address sessionKey, uint8 tag) external view returns (bool)",
-  "function hasRole(bytes32 role, address account) view returns (bool)",
-  "event SessionOpened(address indexed sessionKey, address indexed owner, uint8 tag, uint256 expiry)"
-];
-
-const SessionInvokerABI = [
-  "function invokeTrainingReward(address sessionKey, address learner, bytes32 campaignId, bytes32 completionProof) external",
-  "function hasRole(bytes32 role, address account) view returns (bool)",
-  "event TrainingRewardInvoked(address indexed sessionKey, address indexed learner, bytes32 indexed campaignId, bytes32 completionProof)"
-];
-
-const GasTreasuryABI = [
-  "function getBalance() view returns (uint256)",
-  "function reimburseGas(address relayer, uint256 amount, bytes32 txRef) external"
-];
+const DATA_DIR = process.env.RELAYER_DATA_DIR || path.join(__dirname, "data");
+const logger = createLogger("training-relayer");
 
 class TrainingRelayer {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.batchWindowMs] How long a queued completion waits for others to share its batch
+   * @param {number} [options.batchSize] Completions per batch; a full batch goes out at once
+   */
+  constructor({
+    batchWindowMs = Number(process.env.TRAINING_BATCH_WINDOW_MS || 30000),
+    batchSize = Number(process.env.TRAINING_BATCH_SIZE || MAX_BATCH_SIZE)
+  } = {}) {
     this.provider = new ethers.JsonRpcProvider(CONFIG.network.rpc);
     
-    // Use OPS wallet
-    const opsKey = process.env.PRIVATE_KEY_OPS;
-    if (!opsKey) {
-      throw new Error("PRIVATE_KEY_OPS not set in environment");
+    // OPS wallet, or a pool of relayer keys
+    const keys = keysFromEnv(["PRIVATE_KEY_OPS"]);
+    if (keys.length === 0) {
+      throw new Error("PRIVATE_KEY_OPS or RELAYER_PRIVATE_KEYS not set in environment");
     }
-    this.wallet = new ethers.Wallet(opsKey, this.provider);
+    this.pool = new RelayerPool(this.provider, keys, {
+      minBalance: ethers.parseEther(process.env.RELAYER_MIN_BALANCE_ETH || "0.005")
+    });
     
-    // Initialize contracts
-    this.registry = new ethers.Contract(
-      CONFIG.contracts.SessionKeyRegistry,
-      SessionRegistryABI,
-      this.wallet
-    );
-    this.invoker = new ethers.Contract(
-      CONFIG.contracts.SessionInvoker,
-      SessionInvokerABI,
-      this.wallet
-    );
-    this.gasTreasury = new ethers.Contract(
-      CONFIG.contracts.GasTreasuryModule,
-      GasTreasuryABI,
-      this.wallet
+    // Same reward path as the webhook; contracts connect to a pool key per transaction
+    this.pipeline = new TrainingRewardPipeline({
+      provider: this.provider,
+      pool: this.pool,
+      onGasSpent: (relayer, receipt, kind) => this.reimbursement.recordSpend(relayer, receipt, kind)
+    });
+    this.registry = this.pipeline.registry;
+    this.invoker = this.pipeline.invoker;
+    this.gasTreasury = this.pipeline.gasTreasury;
+    
+    // Gas spent per key, claimed back from GasTreasury
+    this.reimbursement = new GasReimbursement({
+      gasTreasury: this.gasTreasury,
+      pool: this.pool,
+      store: new JsonlStore(path.join(DATA_DIR, "gas-ledger.jsonl")),
+      intervalMs: Number(process.env.GAS_REIMBURSE_INTERVAL_MS || 15 * 60 * 1000),
+      alertRunwayDays: Number(process.env.GAS_TREASURY_ALERT_DAYS || 3),
+      logger
+    });
+    
+    // Outcome of every completion, keyed by proof - partial batch failures included
+    this.outcomes = new JsonlStore(path.join(DATA_DIR, "training-completions.jsonl"));
+    
+    // Proofs are deterministic, so earlier runs' rewards count as duplicates too
+    this.processedCompletions = new Set(
+      this.outcomes.values().filter((outcome) => outcome.success).map((outcome) => outcome.completionProof)
     );
     
-    this.processedCompletions = new Set();
+    this.batchWindowMs = batchWindowMs;
+    this.batchSize = Math.min(batchSize, MAX_BATCH_SIZE);
+    this.queued = [];
+    this.batchTimer = null;
+    this.flushing = Promise.resolve();
   }
 
   async initialize() {
-    console.log("=".repeat(50));
-    console.log("TRAINING RELAYER SERVICE");
-    console.log("=".repeat(50));
-    console.log(`Network: Base Sepolia (${CONFIG.network.chainId})`);
-    console.log(`Relayer: ${this.wallet.address}`);
-    
-    const balance = await this.provider.getBalance(this.wallet.address);
-    console.log(`Balance: ${ethers.formatEther(balance)} ETH`);
-    
     const treasuryBalance = await this.gasTreasury.getBalance();
-    console.log(`GasTreasury: ${ethers.formatEther(treasuryBalance)} ETH`);
+    logger.info("Training relayer starting", {
+      chainId: CONFIG.network.chainId,
+      gasTreasuryEth: ethers.formatEther(treasuryBalance)
+    });
     
-    // Check roles
-    const RELAYER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("RELAYER_ROLE"));
-    const hasRelayer = await this.invoker.hasRole(RELAYER_ROLE, this.wallet.address);
-    console.log(`RELAYER_ROLE: ${hasRelayer ? "✅" : "❌"}`);
+    await this.pool.refresh();
     
+    // Check roles per key; keys missing either role leave rotation
+    const RELAYER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("RELAYER_ROLE"));
     const OPERATOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("OPERATOR_ROLE"));
-    const hasOperator = await this.registry.hasRole(OPERATOR_ROLE, this.wallet.address);
-    console.log(`OPERATOR_ROLE: ${hasOperator ? "✅" : "❌"}`);
+    let readyKeys = 0;
+    
+    for (const member of this.pool.members) {
+      const hasRelayer = await this.invoker.hasRole(RELAYER_ROLE, member.address);
+      const hasOperator = await this.registry.hasRole(OPERATOR_ROLE, member.address);
+      const canReimburse = await this.gasTreasury.hasRole(RELAYER_ROLE, member.address);
+      const funded = this.pool.isFunded(member);
+      
+      const usable = hasRelayer && hasOperator && funded;
+      logger[usable && canReimburse ? "info" : "warn"]("Relayer key checked", {
+        relayer: member.address,
+        balanceEth: ethers.formatEther(member.balance ?? 0n),
+        funded,
+        relayerRole: hasRelayer,
+        operatorRole: hasOperator,
+        // Without it the key still works, but its gas is not reimbursed
+        gasTreasuryRole: canReimburse
+      });
+      
+      if (!hasRelayer || !hasOperator) {
+        this.pool.disable(member, "Missing RELAYER_ROLE or OPERATOR_ROLE");
+      } else if (funded) {
+        readyKeys++;
+      }
+    }
+    
+    if (readyKeys < this.pool.members.length) {
+      logger.warn("Some keys are unusable - grant roles with setup-wallet-roles.js or top them up", {
+        ready: readyKeys,
+        total: this.pool.members.length
+      });
+    }
     
-    if (!hasRelayer || !hasOperator) {
-      console.log("\n⚠️  Missing roles! Grant them using setup-wallet-roles.js");
+    await this.reimbursement.recover(this.provider);
+    for (const row of this.reimbursement.reconcile()) {
+      logger.info("Relayer gas ledger", row);
     }
     
-    console.log("=".repeat(50));
-    return hasRelayer && hasOperator;
+    return readyKeys > 0;
+  }
+
+  /**
+   * Claim unclaimed gas from GasTreasury and print spent vs claimed per key
+   */
+  async reimburseGas() {
+    const claims = await this.reimbursement.claim();
+    if (claims.length === 0) logger.info("Nothing to claim within the treasury's current allowance");
+    console.table(this.reimbursement.reconcile());
+    return claims;
+  }
+
+  /**
+   * Run as a service: claim gas back every GAS_REIMBURSE_INTERVAL_MS until stop()
+   */
+  start({ keepAlive = false } = {}) {
+    this.reimbursement.start({ keepAlive });
+    logger.info("Gas reimbursement loop started", { intervalMs: this.reimbursement.intervalMs });
+  }
+  
+  /**
+   * Stop claiming and send whatever is still queued for a batch
+   */
+  async stop() {
+    this.reimbursement.stop();
+    await this.flushBatch();
+    logger.info("Training relayer stopped");
+  }
+  
+  /**
+   * Per-key balance, pending count and last error
+   */
+  status() {
+    return this.pool.status();
   }
 
   /**
    * Process a training completion from IBM SkillsBuild
    */
   async processTrainingCompletion(request) {
-    const { learner, campaignId, completionId, ibmCredentialId } = request;
-    
-    // Generate unique completion proof
-    const completionProof = ethers.keccak256(
-      ethers.solidityPacked(
-        ["address", "bytes32", "string", "uint256"],
-        [learner, campaignId, ibmCredentialId || completionId, Date.now()]
-      )
-    );
-    
-    // Check for duplicate
-    if (this.processedCompletions.has(completionProof)) {
-      console.log(`⏭️  Duplicate completion: ${completionId}`);
-      return { success: false, reason: "duplicate" };
-    }
-    
-    console.log(`\n📝 Processing completion for ${learner}`);
-    console.log(`   Campaign: ${this.getCampaignName(campaignId)}`);
-    
-    try {
-      // Step 1: Open session for learner
-      console.log("   1. Opening session...");
-      const sessionTx = await this.registry.openSession(
-        learner,    // sessionKey
-        0,          // TRAINING tag
-        3600,       // 1 hour duration
-        10          // max actions
-      );
-      await sessionTx.wait();
-      console.log(`      ✅ Session: ${sessionTx.hash}`);
-      
-      // Step 2: Invoke reward
-      console.log("   2. Invoking reward...");
-      const rewardTx = await this.invoker.invokeTrainingReward(
-        learner,
-        learner,
-        campaignId,
-        completionProof
-      );
-      const receipt = await rewardTx.wait();
-      console.log(`      ✅ Reward: ${rewardTx.hash}`);
-      
-      // Track completion
-      this.processedCompletions.add(completionProof);
+    const completion = this.prepare(request);
+    if (!completion) return this.notRewarded(request);
+    return withLogContext(this.logFields(request, completion), async () => {
+      if (this.processedCompletions.has(completion.completionProof)) {
+        return this.duplicate(request, completion);
+      }
       
-      // Calculate gas used
-      const gasUsed = receipt.gasUsed;
-      const gasPrice = receipt.gasPrice || receipt.effectiveGasPrice;
-      const gasCost = gasUsed * gasPrice;
+      logger.info("Processing completion", { campaign: this.getCampaignName(completion.campaignId) });
       
-      console.log(`   💰 Gas used: ${ethers.formatEther(gasCost)} ETH`);
+      const result = await this.pipeline.rewardCompletion({
+        ...completion,
+        onTransaction: (stage, hash) => logger.info(stage === "session" ? "Session opened" : "Reward sent", { stage, txHash: hash })
+      });
       
-      return {
-        success: true,
-        sessionTx: sessionTx.hash,
-        rewardTx: rewardTx.hash,
-        gasCost: ethers.formatEther(gasCost)
-      };
-      
-    } catch (error) {
-      console.log(`   ❌ Error: ${error.reason || error.message}`);
-      return { success: false, reason: error.message };
+      this.logOutcome(result);
+      return this.record(request, result);
+    });
+  }
+  
+  /**
+   * Correlation fields for a completion's log lines
+   */
+  logFields(request, completion) {
+    return {
+      requestId: request.requestId,
+      learner: completion.learner,
+      campaignId: completion.campaignId,
+      completionId: request.completionId
+    };
+  }
+  
+  logOutcome(result) {
+    if (result.success) {
+      logger.info("Completion rewarded", {
+        reward: result.reward,
+        relayer: result.relayer,
+        gasCostEth: result.gasCost,
+        txHash: result.rewardTx
+      });
+    } else {
+      logger.error("Completion reward failed", { reason: result.reason, relayer: result.relayer });
     }
   }
+  
+  /**
+   * Resolve the campaign (through the course catalog, like the webhook) and
+   * generate the completion proof. Null when the course is not rewarded.
+   */
+  prepare(request) {
+    const { learner, courseId = null, completionId, ibmCredentialId } = request;
+    const campaignId = request.campaignId || this.pipeline.resolveCourse(courseId)?.campaignId;
+    if (!campaignId) return null;
+    
+    // Same credential, same proof - across runs and entry points
+    const proof = completionProof({
+      learner,
+      campaignId,
+      credentialId: ibmCredentialId || completionId
+    });
+    return { learner, courseId, campaignId, completionProof: proof };
+  }
+  
+  notRewarded(request) {
+    const reason = `Course ${request.courseId} is not rewarded`;
+    logger.info("Course is retired or not in the catalog", { learner: request.learner, courseId: request.courseId });
+    return { learner: request.learner, courseId: request.courseId, success: false, campaign: null, campaignId: null, reason };
+  }
+  
+  duplicate(request, completion) {
+    logger.info("Duplicate completion", this.logFields(request, completion));
+    return {
+      ...completion,
+      success: false,
+      campaign: this.getCampaignName(completion.campaignId),
+      reason: "duplicate"
+    };
+  }
+  
+  record(request, result) {
+    if (result.success) this.processedCompletions.add(result.completionProof);
+    this.outcomes.put(result.completionProof, {
+      ...result,
+      completionId: request.completionId || null,
+      ibmCredentialId: request.ibmCredentialId || null,
+      recordedAt: Date.now()
+    });
+    return result;
+  }
+  
+  /**
+   * Queue a completion for the next batch. Resolves with its own result once
+   * the batch it joined has been sent - after batchWindowMs, or sooner when
+   * batchSize completions are waiting.
+   */
+  queueCompletion(request) {
+    const completion = this.prepare(request);
+    if (!completion) return Promise.resolve(this.notRewarded(request));
+    if (this.processedCompletions.has(completion.completionProof)) {
+      return Promise.resolve(this.duplicate(request, completion));
+    }
+    
+    return new Promise((resolve) => {
+      this.queued.push({ request, completion, resolve });
+      if (this.queued.length >= this.batchSize) {
+        this.flushBatch();
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flushBatch(), this.batchWindowMs);
+      }
+    });
+  }
+  
+  /**
+   * Send everything queued, batchSize completions per batch. Batches go out
+   * one after another, never overlapping.
+   */
+  flushBatch() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    const entries = this.queued.splice(0);
+    if (entries.length === 0) return this.flushing;
+    
+    this.flushing = this.flushing.then(async () => {
+      for (let start = 0; start < entries.length; start += this.batchSize) {
+        const batch = entries.slice(start, start + this.batchSize);
+        const batchId = crypto.randomUUID();
+        const batchLogger = logger.child({ batchId });
+        batchLogger.info("Sending batch", { size: batch.length });
+        
+        let results;
+        try {
+          results = await this.pipeline.rewardBatch(
+            batch.map((entry) => entry.completion),
+            {
+              onTransaction: (stage, hash) =>
+                batchLogger.info(stage === "session" ? "Session opened" : "Batch reward sent", { stage, txHash: hash })
+            }
+          );
+        } catch (error) {
+          // Pre-flight reads failed (e.g. RPC down) - nothing was sent
+          results = batch.map(({ completion }) => ({
+            ...completion,
+            success: false,
+            campaign: this.getCampaignName(completion.campaignId),
+            reason: error.shortMessage || error.message
+          }));
+        }
+        
+        results.forEach((result, i) => {
+          const { request, completion } = batch[i];
+          runInLogContext({ ...this.logFields(request, completion), batchId }, () =>
+            this.logOutcome(result)
+          );
+          batch[i].resolve(this.record(request, result));
+        });
+      }
+    });
+    return this.flushing;
+  }
 
   getCampaignName(campaignId) {
-    for (const [name, id] of Object.entries(CONFIG.campaigns)) {
-      if (id === campaignId) return name;
-    }
-    return "UNKNOWN";
+    return campaignName(campaignId);
   }
 
   /**
-   * Process multiple completions in batch
+   * Process multiple completions in batch. With `batched` they go out through
+   * the batch invoke (two transactions per batch instead of two each).
    */
-  async processBatch(completions) {
+  async processBatch(completions, { batched = false } = {}) {
+    if (batched) {
+      const pending = completions.map((completion) => this.queueCompletion(completion));
+      this.flushBatch();
+      const results = await Promise.all(pending);
+      return results.map((result, i) => ({ ...completions[i], ...result }));
+    }
+    
     const results = [];
     for (const completion of completions) {
       const result = await this.processTrainingCompletion(completion);
@@ -210,8 +420,46 @@ class TrainingRelayer {
   }
 }
 
+/**
+ * Whether an IBM credential has been rewarded, from chain state alone (needs
+ * no relayer key): node training-relayer.js check <learner> <campaignId|courseId> <credentialId>
+ */
+async function checkCredential(learner, campaignOrCourse, credentialId) {
+  const provider = new ethers.JsonRpcProvider(CONFIG.network.rpc);
+  const pipeline = new TrainingRewardPipeline({ provider });
+  const campaignId = ethers.isHexString(campaignOrCourse, 32)
+    ? campaignOrCourse
+    : CAMPAIGNS[campaignOrCourse] || pipeline.resolveCourse(campaignOrCourse)?.campaignId;
+  if (!campaignId) throw new Error(`Course ${campaignOrCourse} is not rewarded`);
+  const proof = completionProof({ learner, campaignId, credentialId });
+  
+  const status = await pipeline.proofStatus({ learner, campaignId, completionProof: proof });
+  console.log(`Learner:    ${learner}`);
+  console.log(`Campaign:   ${campaignName(campaignId)} (${campaignId})`);
+  console.log(`Credential: ${credentialId}`);
+  console.log(`Proof:      ${proof}`);
+  if (status.rewarded) {
+    console.log(`\n✅ Rewarded ${status.reward} uTUT in block ${status.blockNumber} (${status.txHash})`);
+  } else if (status.campaignCompleted) {
+    console.log("\n⚠️  Not rewarded for this credential, but the learner was already paid for this campaign");
+  } else {
+    console.log("\n⏳ Not rewarded yet");
+  }
+  return status;
+}
+
 // CLI interface
 async function main() {
+  if (process.argv[2] === "check") {
+    const [learner, campaign, credentialId] = process.argv.slice(3);
+    if (!learner || !campaign || !credentialId) {
+      console.log("Usage: node training-relayer.js check <learner> <campaignId|campaign|courseId> <credentialId>");
+      process.exit(1);
+    }
+    await checkCredential(learner, campaign, credentialId);
+    return;
+  }
+  
   const relayer = new TrainingRelayer();
   const ready = await relayer.initialize();
   
@@ -220,22 +468,55 @@ async function main() {
     process.exit(1);
   }
   
+  // Claim reimbursement for unclaimed gas: node training-relayer.js reimburse
+  if (process.argv[2] === "reimburse") {
+    await relayer.reimburseGas();
+    return;
+  }
+  
+  // Keep claiming gas back until stopped: node training-relayer.js serve
+  if (process.argv[2] === "serve") {
+    relayer.start({ keepAlive: true });
+    await new Promise((resolve) => {
+      const shutdown = (signal) => {
+        logger.info("Shutting down", { signal });
+        resolve();
+      };
+      process.once("SIGINT", shutdown);
+      process.once("SIGTERM", shutdown);
+    });
+    await relayer.stop();
+    return;
+  }
+  
+  // Batch a file of completions: node training-relayer.js batch completions.json
+  if (process.argv[2] === "batch") {
+    const completions = JSON.parse(fs.readFileSync(process.argv[3], "utf8"));
+    const results = await relayer.processBatch(completions, { batched: true });
+    const failed = results.filter((result) => !result.success);
+    console.log(`\n📊 ${results.length - failed.length} rewarded, ${failed.length} failed`);
+    failed.forEach((result) => console.log(`   ${result.learner} (${result.campaign}): ${result.reason}`));
+    await relayer.reimburseGas();
+    return;
+  }
+  
   // Demo: Process a test completion
   console.log("\n🧪 Running test completion...");
   
   const testCompletion = {
     learner: "0x753b53809360bec8742a235D8B60375a57965099", // Test with admin wallet
     campaignId: CONFIG.campaigns.CONSTRUCTION,
-    completionId: `TEST_${Date.now()}`,
+    completionId: "TEST_DEMO_001",
     ibmCredentialId: "IBM-SKILLSBUILD-DEMO-001"
   };
   
   const result = await relayer.processTrainingCompletion(testCompletion);
   console.log("\n📊 Result:", result);
+  await relayer.reimburseGas();
 }
 
 // Export for use as module
-module.exports = { TrainingRelayer, CONFIG };
+module.exports = { TrainingRelayer, CONFIG, checkCredential };
 
 // Run if called directly
 if (require.main === module) {
@@ -0,0 +1,401 @@
+/**
+ * Proposal Simulator
+ *
+ * Executes a proposal's actions on a Hardhat network exactly as the Timelock
+ * would - one call per action, from the Timelock's address - and reports what
+ * changed:
+ *
+ *   - token balance changes (ERC20 Transfer events, mints and burns included)
+ *   - ETH balance changes of the Timelock, the Governor, every target and
+ *     every address passed as an argument
+ *   - AccessControl role grants / revocations and ownership transfers
+ *   - the first action that reverts, with its reason
+ *
+ * forkAt() points the in-process Hardhat network at the live chain; every
+ * simulation then runs inside evm_snapshot / evm_revert, so simulations don't
+ * see each other's effects. On-chain the actions run in one transaction: if
+ * any reverts, none of the changes above would happen.
+ *
+ * Amounts in results are decimal strings.
+ */
+
+const { ethers } = require("ethers");
+
+const MAX_LOG_RANGE = 2000;
+// Per action; the Timelock forwards all the gas it has
+const ACTION_GAS_LIMIT = 15_000_000;
+
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+
+const GOVERNOR_ABI = [
+  "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 voteStart, uint256 voteEnd, string description)",
+  "function timelock() view returns (address)",
+  "function hashProposal(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) pure returns (uint256)",
+  "function state(uint256 proposalId) view returns (uint8)",
+  "function proposalSnapshot(uint256 proposalId) view returns (uint256)",
+];
+
+const EVENTS = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+]);
+
+const TOKEN_ABI = ["function symbol() view returns (string)", "function decimals() view returns (uint8)"];
+
+const REVERTS = new ethers.Interface(["error Error(string)", "error Panic(uint256)"]);
+
+// Every AccessControl role declared in contracts/ and the Timelock's, as
+// keccak256("<NAME>"); shared with the frontend's calldata decoder
+const ROLE_NAMES = require("../../frontend/src/config/roles.json");
+
+const ROLES = new Map([[ethers.ZeroHash, "DEFAULT_ADMIN_ROLE"], ...ROLE_NAMES.map((name) => [ethers.id(name), name])]);
+
+class SimulationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SimulationError";
+    this.status = status;
+  }
+}
+
+/**
+ * Reset the Hardhat network to a fork of `jsonRpcUrl` at `blockNumber`
+ * (default: the current block).
+ *
+ * @param {object} hardhatProvider EIP-1193 provider of the in-process Hardhat network
+ * @returns {Promise<{ chainId: number, blockNumber: number, blockHash: string, timestamp: number }>}
+ */
+async function forkAt(hardhatProvider, { jsonRpcUrl, blockNumber = null }) {
+  const upstream = new ethers.JsonRpcProvider(jsonRpcUrl);
+  try {
+    const { chainId } = await upstream.getNetwork();
+    const block = await upstream.getBlock(blockNumber ?? "latest");
+    if (!block) throw new SimulationError(`Block ${blockNumber} not found on the fork RPC`);
+
+    await hardhatProvider.request({
+      method: "hardhat_reset",
+      params: [{ forking: { jsonRpcUrl, blockNumber: block.number } }],
+    });
+    return { chainId: Number(chainId), blockNumber: block.number, blockHash: block.hash, timestamp: block.timestamp };
+  } finally {
+    upstream.destroy();
+  }
+}
+
+/**
+ * A proposal's actions and description from its ProposalCreated event.
+ *
+ * The event is emitted before the proposal's snapshot block (by the voting
+ * delay at the time), so the search walks back from the snapshot.
+ *
+ * @param {ethers.Provider} provider
+ * @param {string} governorAddress
+ * @param {string} proposalId
+ * @param {object} [options]
+ * @param {number} [options.maxWindows] Windows of MAX_LOG_RANGE blocks to search
+ */
+async function loadProposal(provider, governorAddress, proposalId, { maxWindows = 100 } = {}) {
+  const governor = new ethers.Contract(governorAddress, GOVERNOR_ABI, provider);
+  const snapshot = Number(await governor.proposalSnapshot(proposalId));
+  if (snapshot === 0) throw new SimulationError(`Proposal ${proposalId} does not exist`, 404);
+
+  let to = Math.min(await provider.getBlockNumber(), snapshot);
+  for (let window = 0; window < maxWindows && to >= 0; window++) {
+    const from = Math.max(0, to - MAX_LOG_RANGE + 1);
+    const logs = await governor.queryFilter(governor.filters.ProposalCreated(), from, to);
+    const log = logs.find((entry) => entry.args.proposalId.toString() === proposalId.toString());
+    if (log) {
+      return {
+        proposalId: log.args.proposalId.toString(),
+        targets: [...log.args.targets],
+        // args.values is Array.prototype.values on an ethers Result
+        values: [...log.args[3]].map((value) => value.toString()),
+        calldatas: [...log.args.calldatas],
+        description: log.args.description,
+        blockNumber: log.blockNumber,
+      };
+    }
+    to = from - 1;
+  }
+  throw new SimulationError(`ProposalCreated for ${proposalId} not found within ${maxWindows * MAX_LOG_RANGE} blocks`, 404);
+}
+
+function revertReason(data) {
+  if (!data || data === "0x") return "reverted without a reason";
+  try {
+    const parsed = REVERTS.parseError(data);
+    if (parsed?.name === "Error") return parsed.args[0];
+    if (parsed?.name === "Panic") return `panic 0x${parsed.args[0].toString(16)}`;
+  } catch {
+    // a custom error; reported by selector
+  }
+  return `custom error ${data.slice(0, 10)}`;
+}
+
+function revertData(error) {
+  // Hardhat puts the return data on the error, sometimes one level down
+  const data = error?.data?.data ?? error?.data;
+  return typeof data === "string" && data.startsWith("0x") ? data : null;
+}
+
+// Address-shaped 32-byte words in calldata: recipients, spenders, accounts.
+// Words below 2^96 are more likely amounts than addresses and are skipped.
+function addressesIn(calldata) {
+  const found = [];
+  for (let offset = 10; offset + 64 <= calldata.length; offset += 64) {
+    const word = calldata.slice(offset, offset + 64);
+    if (/^0{24}/.test(word) && !/^0{40}/.test(word)) {
+      found.push(ethers.getAddress(`0x${word.slice(24)}`));
+    }
+  }
+  return found;
+}
+
+async function tokenInfo(provider, address, cache) {
+  if (!cache.has(address)) {
+    const token = new ethers.Contract(address, TOKEN_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => null),
+      token.decimals().catch(() => null),
+    ]);
+    cache.set(address, { symbol, decimals: decimals === null ? null : Number(decimals) });
+  }
+  return cache.get(address);
+}
+
+/**
+ * Run a proposal's actions as the Timelock and report the state they change.
+ * The network is restored afterwards.
+ *
+ * @param {object} hardhatProvider EIP-1193 provider of a Hardhat network (usually forked)
+ * @param {object} proposal
+ * @param {string} proposal.governor Governor address; the Timelock is read from it
+ * @param {string[]} proposal.targets
+ * @param {Array<string|bigint>} proposal.values
+ * @param {string[]} proposal.calldatas
+ * @param {string} proposal.description
+ * @param {string} [proposal.proposalId] Checked against hashProposal when given
+ */
+async function simulateProposal(hardhatProvider, { governor: governorAddress, targets, values, calldatas, description, proposalId }) {
+  if (!ethers.isAddress(governorAddress)) throw new SimulationError("Invalid governor address");
+  if (!Array.isArray(targets) || targets.length === 0) throw new SimulationError("targets must be a non-empty array");
+  if (!Array.isArray(values) || !Array.isArray(calldatas) || values.length !== targets.length || calldatas.length !== targets.length) {
+    throw new SimulationError("targets, values and calldatas must have the same length");
+  }
+  if (typeof description !== "string") throw new SimulationError("description is required");
+  if (!targets.every((target) => ethers.isAddress(target))) throw new SimulationError("Invalid target address");
+  if (!calldatas.every((data) => ethers.isHexString(data))) throw new SimulationError("calldatas must be hex strings");
+
+  const provider = new ethers.BrowserProvider(hardhatProvider);
+  const send = (method, params = []) => hardhatProvider.request({ method, params });
+  // Straight to the node: ethers reuses identical reads made within 250ms
+  const balanceOf = async (address) => BigInt(await send("eth_getBalance", [address, "latest"]));
+
+  try {
+    const governor = new ethers.Contract(governorAddress, GOVERNOR_ABI, provider);
+    const amounts = values.map((value) => BigInt(value));
+    const hashed = (await governor.hashProposal(targets, amounts, calldatas, ethers.id(description))).toString();
+    if (proposalId !== undefined && proposalId !== null && hashed !== proposalId.toString()) {
+      throw new SimulationError(`These actions and description hash to proposal ${hashed}, not ${proposalId}`);
+    }
+
+    const timelock = await governor.timelock();
+    const state = await governor.state(hashed).then((value) => PROPOSAL_STATES[Number(value)], () => null);
+    const block = await provider.getBlock("latest");
+
+    const watched = new Set([timelock, ethers.getAddress(governorAddress), ...targets.map((t) => ethers.getAddress(t))]);
+    calldatas.forEach((data) => addressesIn(data).forEach((address) => watched.add(address)));
+
+    const snapshot = await send("evm_snapshot");
+    try {
+      const ethBefore = new Map();
+      for (const address of watched) ethBefore.set(address, await balanceOf(address));
+
+      await send("hardhat_impersonateAccount", [timelock]);
+      const actions = [];
+      const logs = [];
+      let reverted = null;
+
+      for (let i = 0; i < targets.length; i++) {
+        const tx = {
+          from: timelock,
+          to: targets[i],
+          value: ethers.toQuantity(amounts[i]),
+          data: calldatas[i],
+          gas: ethers.toQuantity(ACTION_GAS_LIMIT),
+        };
+        const action = { index: i, target: ethers.getAddress(targets[i]), value: amounts[i].toString(), data: calldatas[i] };
+
+        if (reverted) {
+          actions.push({ ...action, status: "skipped" });
+          continue;
+        }
+
+        // Dry run first: Hardhat throws on a mined revert and the reason is easier to get here
+        try {
+          await send("eth_call", [tx, "latest"]);
+        } catch (error) {
+          const data = revertData(error);
+          reverted = { index: i, reason: data ? revertReason(data) : error.message, data };
+          actions.push({ ...action, status: "reverted", revertReason: reverted.reason, revertData: data });
+          continue;
+        }
+
+        // Gas is free so the Timelock's ETH only moves by the actions' values
+        await send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+        const hash = await send("eth_sendTransaction", [{ ...tx, gasPrice: "0x0" }]);
+        const receipt = await provider.getTransactionReceipt(hash);
+        logs.push(...receipt.logs);
+        actions.push({ ...action, status: "success", gasUsed: receipt.gasUsed.toString(), events: receipt.logs.length });
+      }
+      await send("hardhat_stopImpersonatingAccount", [timelock]);
+
+      const tokenChanges = new Map();
+      const roleChanges = [];
+      const ownershipChanges = [];
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = EVENTS.parseLog(log);
+        } catch {
+          continue;
+        }
+        if (!parsed) continue;
+
+        if (parsed.name === "Transfer") {
+          // ERC721 Transfer has the same signature with the token id indexed
+          if (log.topics.length !== 3) continue;
+          const token = ethers.getAddress(log.address);
+          const { from, to, value } = parsed.args;
+          for (const [account, delta] of [[from, -value], [to, value]]) {
+            if (account === ethers.ZeroAddress) continue;
+            const key = `${token}:${account}`;
+            tokenChanges.set(key, { token, account, change: (tokenChanges.get(key)?.change ?? 0n) + delta });
+          }
+        } else if (parsed.name === "RoleGranted" || parsed.name === "RoleRevoked") {
+          roleChanges.push({
+            contract: ethers.getAddress(log.address),
+            role: parsed.args.role,
+            roleName: ROLES.get(parsed.args.role) ?? null,
+            account: parsed.args.account,
+            change: parsed.name === "RoleGranted" ? "granted" : "revoked",
+          });
+        } else if (parsed.name === "OwnershipTransferred") {
+          ownershipChanges.push({
+            contract: ethers.getAddress(log.address),
+            previousOwner: parsed.args.previousOwner,
+            newOwner: parsed.args.newOwner,
+          });
+        }
+      }
+
+      const tokens = new Map();
+      const balanceChanges = [];
+      for (const address of watched) {
+        const change = (await balanceOf(address)) - ethBefore.get(address);
+        if (change !== 0n) {
+          balanceChanges.push({ token: null, symbol: "ETH", decimals: 18, account: address, change: change.toString() });
+        }
+      }
+      for (const { token, account, change } of tokenChanges.values()) {
+        if (change === 0n) continue;
+        const { symbol, decimals } = await tokenInfo(provider, token, tokens);
+        balanceChanges.push({ token, symbol, decimals, account, change: change.toString() });
+      }
+
+      return {
+        proposalId: hashed,
+        state,
+        governor: ethers.getAddress(governorAddress),
+        timelock,
+        blockNumber: block.number,
+        blockTimestamp: block.timestamp,
+        status: reverted ? "reverted" : "success",
+        revert: reverted,
+        actions,
+        balanceChanges,
+        roleChanges,
+        ownershipChanges,
+      };
+    } finally {
+      await send("evm_revert", [snapshot]);
+    }
+  } finally {
+    provider.destroy();
+  }
+}
+
+function formatAmount(change, decimals) {
+  const value = BigInt(change);
+  const sign = value < 0n ? "-" : "+";
+  const abs = value < 0n ? -value : value;
+  return `${sign}${decimals === null ? abs.toString() : ethers.formatUnits(abs, decimals)}`;
+}
+
+/**
+ * A Markdown report of a simulation result, for pasting into a proposal's
+ * discussion thread.
+ *
+ * @param {object} result simulateProposal() result, with `fork` from forkAt() when forked
+ */
+function toMarkdown(result) {
+  const lines = [];
+  const fork = result.fork
+    ? `a fork of chain ${result.fork.chainId} at block ${result.fork.blockNumber} (${new Date(result.fork.timestamp * 1000).toISOString()})`
+    : `block ${result.blockNumber}`;
+
+  lines.push(`### Simulation of proposal ${result.proposalId}`);
+  lines.push("");
+  lines.push(`Executed as the Timelock \`${result.timelock}\` on ${fork}.`);
+  if (result.state) lines.push(`Proposal state at that block: ${result.state}.`);
+  lines.push("");
+  lines.push(
+    result.status === "success"
+      ? `**Result: all ${result.actions.length} action(s) succeeded.**`
+      : `**Result: action #${result.revert.index + 1} reverted (${result.revert.reason}). Executed on-chain, the whole proposal would revert.**`
+  );
+  lines.push("");
+
+  lines.push("| # | Target | Value (wei) | Status | Gas |");
+  lines.push("|---|--------|-------------|--------|-----|");
+  for (const action of result.actions) {
+    const status = action.status === "reverted" ? `reverted: ${action.revertReason}` : action.status;
+    lines.push(`| ${action.index + 1} | \`${action.target}\` | ${action.value} | ${status} | ${action.gasUsed ?? "-"} |`);
+  }
+
+  lines.push("");
+  lines.push("#### Balance changes");
+  lines.push("");
+  if (result.balanceChanges.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push("| Token | Account | Change |");
+    lines.push("|-------|---------|--------|");
+    for (const change of result.balanceChanges) {
+      const token = change.token ? `${change.symbol ?? "?"} (\`${change.token}\`)` : "ETH";
+      lines.push(`| ${token} | \`${change.account}\` | ${formatAmount(change.change, change.decimals)} |`);
+    }
+  }
+
+  lines.push("");
+  lines.push("#### Role changes");
+  lines.push("");
+  if (result.roleChanges.length === 0 && result.ownershipChanges.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push("| Contract | Role | Account | Change |");
+    lines.push("|----------|------|---------|--------|");
+    for (const change of result.roleChanges) {
+      lines.push(`| \`${change.contract}\` | ${change.roleName ?? `\`${change.role}\``} | \`${change.account}\` | ${change.change} |`);
+    }
+    for (const change of result.ownershipChanges) {
+      lines.push(`| \`${change.contract}\` | owner | \`${change.newOwner}\` | transferred from \`${change.previousOwner}\` |`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = { forkAt, loadProposal, simulateProposal, toMarkdown, SimulationError, ROLE_NAMES };
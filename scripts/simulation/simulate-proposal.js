@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+require("dotenv").config();
+const { forkAt, loadProposal, simulateProposal, toMarkdown } = require("./proposal-simulator");
+const { BASE_MAINNET_ADDRESSES } = require("../deployments/base-mainnet-addresses");
+
+/**
+ * Simulate a proposal on a fork of the live chain before voting on it
+ *
+ * Forks the chain at the current block (or SIMULATION_FORK_BLOCK) in the
+ * in-process Hardhat network, executes the proposal's actions as the
+ * Timelock and prints a Markdown report of the balance and role changes and
+ * any revert, ready to paste into the proposal's discussion.
+ *
+ * Usage:
+ * PROPOSAL_ID=123... npx hardhat run scripts/simulation/simulate-proposal.js
+ *
+ * Environment:
+ *   PROPOSAL_ID - required
+ *   SIMULATION_FORK_URL or BASE_RPC_URL - chain to fork (default https://mainnet.base.org);
+ *                         an archive RPC for SIMULATION_FORK_BLOCK in the past
+ *   SIMULATION_GOVERNOR_ADDRESS - default the Base mainnet Governor
+ *   SIMULATION_FORK_BLOCK - default the current block
+ *   SIMULATION_OUT_DIR - also write <proposalId>.json and <proposalId>.md here
+ */
+
+async function main() {
+  const PROPOSAL_ID = process.env.PROPOSAL_ID;
+  const FORK_URL = process.env.SIMULATION_FORK_URL || process.env.BASE_RPC_URL || "https://mainnet.base.org";
+  const GOVERNOR = process.env.SIMULATION_GOVERNOR_ADDRESS || BASE_MAINNET_ADDRESSES.governor;
+  const FORK_BLOCK = process.env.SIMULATION_FORK_BLOCK ? Number(process.env.SIMULATION_FORK_BLOCK) : null;
+
+  if (!PROPOSAL_ID) {
+    throw new Error("Set PROPOSAL_ID in your environment");
+  }
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Run this on the in-process hardhat network (no --network); it forks the chain itself");
+  }
+
+  console.log(`Forking ${FORK_URL}...`);
+  const fork = await forkAt(hre.network.provider, { jsonRpcUrl: FORK_URL, blockNumber: FORK_BLOCK });
+  console.log(`Forked chain ${fork.chainId} at block ${fork.blockNumber}`);
+
+  const proposal = await loadProposal(new ethers.BrowserProvider(hre.network.provider), GOVERNOR, PROPOSAL_ID);
+  console.log(`Loaded proposal from block ${proposal.blockNumber}: ${proposal.targets.length} action(s)`);
+
+  const result = { ...(await simulateProposal(hre.network.provider, { governor: GOVERNOR, ...proposal })), fork };
+  const markdown = toMarkdown(result);
+
+  console.log("");
+  console.log(markdown);
+
+  if (process.env.SIMULATION_OUT_DIR) {
+    const outDir = process.env.SIMULATION_OUT_DIR;
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, `${result.proposalId}.json`), JSON.stringify(result, null, 2));
+    fs.writeFileSync(path.join(outDir, `${result.proposalId}.md`), markdown);
+    console.log(`Wrote ${path.join(outDir, `${result.proposalId}.{json,md}`)}`);
+  }
+
+  if (result.status !== "success") process.exitCode = 1;
+}
+
+main()
+  .then(() => process.exit(process.exitCode ?? 0))
+  .catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,179 @@
+/**
+ * Tolani Proposal Simulation Service
+ *
+ * Backs the "Simulate on a fork" panel on proposal pages. Each simulation
+ * forks the chain at its current block in the in-process Hardhat network,
+ * runs the proposal's actions as the Timelock (see proposal-simulator.js) and
+ * is kept, so its Markdown report can be linked from the proposal's
+ * discussion.
+ *
+ * Endpoints:
+ *   POST /simulations - { proposalId } to load the actions from the chain, or
+ *                       { targets, values, calldatas, description[, proposalId] };
+ *                       optional chainId and governor are refused (409) unless
+ *                       they match the fork's chain and this service's Governor
+ *   GET /simulations?proposalId= - Stored simulations, newest first
+ *   GET /simulations/:id - One simulation
+ *   GET /simulations/:id/report.md - Its Markdown report
+ *   GET /health
+ *   GET /metrics - Prometheus metrics (tolani_simulation_*)
+ *
+ * Forking is expensive and the fork is shared, so simulations run one at a
+ * time and the service binds to localhost unless told otherwise.
+ *
+ * Run from the repository root (it loads hardhat.config.js):
+ *   node scripts/simulation/simulation-service.js
+ *
+ * Environment:
+ *   SIMULATION_PORT - default 3005
+ *   SIMULATION_HOST - default 127.0.0.1
+ *   SIMULATION_FORK_URL or BASE_RPC_URL - default https://mainnet.base.org
+ *   SIMULATION_GOVERNOR_ADDRESS - default the Base mainnet Governor
+ *   SIMULATION_DATA_DIR - default scripts/simulation/data
+ *   METRICS_TOKEN - bearer token required on /metrics (open when unset)
+ *
+ * Logs are JSON lines (scripts/lib/logger.js, LOG_LEVEL / LOG_FORMAT).
+ */
+
+require("dotenv").config();
+
+const crypto = require("crypto");
+const path = require("path");
+const express = require("express");
+const cors = require("cors");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { forkAt, loadProposal, simulateProposal, toMarkdown, SimulationError } = require("./proposal-simulator");
+const { BASE_MAINNET_ADDRESSES } = require("../deployments/base-mainnet-addresses");
+const { JsonlStore } = require("../lib/jsonl-store");
+const { Metrics } = require("../lib/metrics");
+const { createLogger, requestIdMiddleware, addLogContext, REQUEST_ID_HEADER } = require("../lib/logger");
+
+const PORT = Number(process.env.SIMULATION_PORT || 3005);
+const HOST = process.env.SIMULATION_HOST || "127.0.0.1";
+const FORK_URL = process.env.SIMULATION_FORK_URL || process.env.BASE_RPC_URL || "https://mainnet.base.org";
+const GOVERNOR = process.env.SIMULATION_GOVERNOR_ADDRESS || BASE_MAINNET_ADDRESSES.governor;
+const DATA_DIR = process.env.SIMULATION_DATA_DIR || path.join(__dirname, "data");
+const MAX_ACTIONS = 50;
+
+const logger = createLogger("simulation-service");
+const metrics = new Metrics({ prefix: "tolani_simulation_" });
+const simulationsRun = metrics.counter("simulations_total", "Simulations run, by outcome", ["status"]);
+const simulationDuration = metrics.histogram("duration_seconds", "Time to fork and simulate a proposal", [], [1, 2, 5, 10, 30, 60, 120]);
+
+const simulations = new JsonlStore(path.join(DATA_DIR, "simulations.jsonl"));
+metrics.gauge("stored", "Stored simulations", [], (gauge) => gauge.set({}, simulations.size));
+
+// The fork is shared: one simulation at a time
+let running = Promise.resolve();
+function exclusive(task) {
+  const result = running.then(task);
+  running = result.catch(() => {});
+  return result;
+}
+
+const app = express();
+app.use(requestIdMiddleware(logger));
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
+app.use(express.json({ limit: "1mb" }));
+app.use(metrics.httpMiddleware());
+app.get("/metrics", metrics.handler());
+
+app.get("/health", (_req, res) => {
+  res.json({ status: "healthy", governor: GOVERNOR, forkUrl: new URL(FORK_URL).origin, simulations: simulations.size });
+});
+
+app.post("/simulations", async (req, res) => {
+  const { proposalId, targets, values, calldatas, description, chainId, governor } = req.body || {};
+  if (proposalId !== undefined && !/^\d+$/.test(String(proposalId))) {
+    return res.status(400).json({ error: "proposalId must be a decimal string" });
+  }
+  if (chainId !== undefined && !Number.isSafeInteger(chainId)) {
+    return res.status(400).json({ error: "chainId must be an integer" });
+  }
+  if (governor !== undefined && !ethers.isAddress(governor)) {
+    return res.status(400).json({ error: "Invalid governor address" });
+  }
+  // A proposal id means nothing on another Governor, and the actions would run against the wrong contracts
+  if (governor !== undefined && governor.toLowerCase() !== GOVERNOR.toLowerCase()) {
+    return res.status(409).json({ error: `This service simulates Governor ${GOVERNOR}, not ${governor}` });
+  }
+  if (targets === undefined && proposalId === undefined) {
+    return res.status(400).json({ error: "Send a proposalId or the proposal's targets, values, calldatas and description" });
+  }
+  if (Array.isArray(targets) && targets.length > MAX_ACTIONS) {
+    return res.status(400).json({ error: `At most ${MAX_ACTIONS} actions` });
+  }
+  addLogContext({ proposalId });
+
+  const done = simulationDuration.startTimer();
+  try {
+    const simulation = await exclusive(async () => {
+      const fork = await forkAt(hre.network.provider, { jsonRpcUrl: FORK_URL });
+      if (chainId !== undefined && fork.chainId !== chainId) {
+        throw new SimulationError(`This service forks chain ${fork.chainId}, not ${chainId}`, 409);
+      }
+      const actions =
+        targets === undefined
+          ? await loadProposal(new ethers.BrowserProvider(hre.network.provider), GOVERNOR, String(proposalId))
+          : { targets, values, calldatas, description, proposalId };
+      const result = await simulateProposal(hre.network.provider, {
+        governor: GOVERNOR,
+        targets: actions.targets,
+        values: actions.values,
+        calldatas: actions.calldatas,
+        description: actions.description,
+        proposalId: actions.proposalId,
+      });
+
+      const id = crypto.randomUUID();
+      return simulations.put(`sim:${id}`, { id, createdAt: Date.now(), ...result, fork });
+    });
+
+    done();
+    simulationsRun.inc({ status: simulation.status });
+    logger.info("Simulated proposal", {
+      simulationId: simulation.id,
+      proposalId: simulation.proposalId,
+      forkBlock: simulation.fork.blockNumber,
+      status: simulation.status,
+    });
+    res.status(201).json(simulation);
+  } catch (error) {
+    simulationsRun.inc({ status: "error" });
+    if (error.name === "SimulationError") return res.status(error.status).json({ error: error.message });
+    logger.error("Simulation failed", { error });
+    res.status(502).json({ error: error.shortMessage || error.message });
+  }
+});
+
+app.get("/simulations", (req, res) => {
+  const { proposalId } = req.query;
+  const list = simulations
+    .values()
+    .filter((simulation) => !proposalId || simulation.proposalId === proposalId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ simulations: list });
+});
+
+app.get("/simulations/:id", (req, res) => {
+  const simulation = simulations.get(`sim:${req.params.id}`);
+  if (!simulation) return res.status(404).json({ error: "Simulation not found" });
+  res.json(simulation);
+});
+
+app.get("/simulations/:id/report.md", (req, res) => {
+  const simulation = simulations.get(`sim:${req.params.id}`);
+  if (!simulation) return res.status(404).type("text/plain").send("Simulation not found\n");
+  res.type("text/markdown").send(toMarkdown(simulation));
+});
+
+if (hre.network.name !== "hardhat") {
+  throw new Error("The simulation service forks the chain in the in-process hardhat network; unset HARDHAT_NETWORK");
+}
+
+app.listen(PORT, HOST, () => {
+  logger.info("Tolani Simulation Service listening", { host: HOST, port: PORT, governor: GOVERNOR });
+});
+
+module.exports = { app };
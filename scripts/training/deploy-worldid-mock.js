@@ -0,0 +1,52 @@
+/**
+ * Deploy a local World ID stack for offline testing
+ * Tolani Labs + Tolani Ecosystem DAO
+ *
+ * MockWorldID (accepts proofs from mockWorldIdProof in scripts/lib/world-id-gate.js)
+ * behind a real WorldIDVerifier, so the webhook's World ID gate runs unchanged.
+ * Never deploy this to a public network.
+ *
+ * Usage:
+ *   npx hardhat node
+ *   npx hardhat run scripts/training/deploy-worldid-mock.js --network localhost
+ *   WORLD_ID_MODE=optional WORLD_ID_VERIFIER=<printed address> node scripts/webhook/skillsbuild-webhook.js
+ */
+
+const { ethers, network } = require("hardhat");
+
+// Any values work against the mock; they only feed the external nullifier
+const APP_ID = ethers.toBigInt(ethers.id("app_staging_tolani_local"));
+const ACTION_ID = ethers.toBigInt(ethers.id("tolani-training-reward"));
+
+async function main() {
+  if (!["hardhat", "localhost"].includes(network.name)) {
+    throw new Error(`MockWorldID accepts forged proofs - refusing to deploy to ${network.name}`);
+  }
+
+  const [deployer] = await ethers.getSigners();
+  console.log("\n🌐 Local World ID stack");
+  console.log(`👤 Deployer: ${deployer.address}\n`);
+
+  const mock = await ethers.deployContract("MockWorldID");
+  await mock.waitForDeployment();
+  console.log(`   ✅ MockWorldID:     ${await mock.getAddress()}`);
+
+  const verifier = await ethers.deployContract("WorldIDVerifier", [
+    await mock.getAddress(),
+    APP_ID,
+    ACTION_ID,
+    deployer.address, // governance
+  ]);
+  await verifier.waitForDeployment();
+  const verifierAddress = await verifier.getAddress();
+  console.log(`   ✅ WorldIDVerifier: ${verifierAddress}`);
+
+  console.log("\n📋 Webhook .env:");
+  console.log("   WORLD_ID_MODE=optional");
+  console.log(`   WORLD_ID_VERIFIER=${verifierAddress}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
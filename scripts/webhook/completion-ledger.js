@@ -0,0 +1,118 @@
+/**
+ * SkillsBuild Completion Ledger
+ *
+ * Durable record of every course completion the webhook has seen, so a
+ * restart never forgets what was rewarded and a replayed webhook is refused.
+ *
+ * Completions are keyed by course + IBM completion id (a completion can only
+ * ever pay one wallet) and move through:
+ *
+ *   processing -> rewarded
+ *              \-> failed      (may be retried by a later delivery)
+ *
+ * Storage is pluggable: any object with get/has/put/values works. The default
+ * is a JsonlStore file; a SQLite or Redis adapter only needs those four methods.
+ */
+
+const path = require("path");
+const { JsonlStore } = require("../lib/jsonl-store");
+
+const DEFAULT_LEDGER_PATH = path.join(__dirname, "data", "completions.jsonl");
+
+function completionKey(courseId, completionId) {
+  return `${courseId}:${completionId}`;
+}
+
+class CompletionLedger {
+  /**
+   * @param {{ get(key: string): any, has(key: string): boolean, put(key: string, value: any): any, values(): any[] }} [store]
+   */
+  constructor(store = new JsonlStore(process.env.COMPLETION_LEDGER_PATH || DEFAULT_LEDGER_PATH)) {
+    this.store = store;
+  }
+
+  get(courseId, completionId) {
+    return this.store.get(completionKey(courseId, completionId));
+  }
+
+  /**
+   * Claim a completion for processing.
+   * @returns {{ record: object, duplicate: boolean }} `duplicate` when it is
+   *          already rewarded, in progress, or was claimed by another wallet
+   */
+  begin({ walletAddress, courseId, completionId, campaignId, tag, timestamp, requestId = null }) {
+    const key = completionKey(courseId, completionId);
+    const existing = this.store.get(key);
+    const now = Date.now();
+
+    if (existing) {
+      const otherWallet = existing.wallet !== walletAddress.toLowerCase();
+      if (existing.status !== "failed" || otherWallet) return { record: existing, duplicate: true };
+    }
+
+    const record = this.store.put(key, {
+      key,
+      wallet: walletAddress.toLowerCase(),
+      courseId,
+      completionId,
+      campaignId,
+      tag,
+      reward: null,
+      completedAt: timestamp || null,
+      status: "processing",
+      attempts: (existing?.attempts || 0) + 1,
+      sessionTxHash: null,
+      rewardTxHash: null,
+      error: null,
+      // Webhook delivery that (last) started this completion, for tracing its log lines
+      requestId,
+      receivedAt: existing?.receivedAt || now,
+      updatedAt: now,
+    });
+    return { record, duplicate: false };
+  }
+
+  update(key, patch) {
+    const record = this.store.get(key);
+    if (!record) throw new Error(`Unknown completion ${key}`);
+    return this.store.put(key, { ...record, ...patch, updatedAt: Date.now() });
+  }
+
+  markRewarded(key, rewardTxHash) {
+    return this.update(key, { status: "rewarded", rewardTxHash, error: null, rewardedAt: Date.now() });
+  }
+
+  markFailed(key, error) {
+    return this.update(key, { status: "failed", error });
+  }
+
+  byWallet(wallet) {
+    const address = wallet.toLowerCase();
+    return this.store
+      .values()
+      .filter((record) => record.wallet === address)
+      .sort((a, b) => b.receivedAt - a.receivedAt);
+  }
+
+  count(status) {
+    return this.store.values().filter((record) => !status || record.status === status).length;
+  }
+
+  /**
+   * Settle completions left `processing` by a crash: a reward transaction that
+   * was mined counts as rewarded; anything else is failed and may be retried.
+   * @param {import("ethers").Provider} provider
+   */
+  async recover(provider) {
+    const settled = [];
+    for (const record of this.store.values().filter((entry) => entry.status === "processing")) {
+      const receipt = record.rewardTxHash ? await provider.getTransactionReceipt(record.rewardTxHash) : null;
+      if (receipt?.status === 1) settled.push(this.markRewarded(record.key, record.rewardTxHash));
+      else if (receipt || !record.rewardTxHash) settled.push(this.markFailed(record.key, "Interrupted before reward was confirmed"));
+      // A reward tx still pending is left as processing; it settles on the next restart.
+    }
+    return settled;
+  }
+}
+
+module.exports = { CompletionLedger, completionKey };
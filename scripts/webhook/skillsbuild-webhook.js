@@ -2,213 +2,295 @@
  * IBM SkillsBuild Webhook Server
  * 
  * Receives course completion webhooks from IBM SkillsBuild
- * and triggers on-chain training rewards
+ * and triggers on-chain training rewards through the shared pipeline in
+ * scripts/lib/training-reward-pipeline.js (same contracts and ABIs as the
+ * TrainingRelayer CLI). Courses map to campaigns through the course catalog
+ * (scripts/lib/course-catalog.js, shared with the CLI), managed at runtime
+ * with the admin endpoints.
  * 
  * Endpoints:
- *   POST /webhook/skillsbuild - Receive completion notifications
+ *   POST /webhook/skillsbuild - Receive completion notifications (signed, see webhook-signature.js)
  *   GET /health - Health check
  *   GET /status/:wallet - Check user reward status
+ *   GET /courses - Active courses from the catalog
+ *   GET /metrics - Prometheus metrics (tolani_webhook_*)
+ *   GET /world-id/:wallet - World ID status and what the policy pays the wallet
+ *   POST /world-id/verify - Relay an IDKit proof to WorldIDVerifier
+ *   GET /admin/courses, GET /admin/courses/history - Full catalog and its changes
+ *   PUT /admin/courses/:courseId - Add/update a course (checked against the campaign budget)
+ *   DELETE /admin/courses/:courseId - Retire a course
  * 
  * Environment:
  *   PORT=3001
- *   RELAYER_PRIVATE_KEY - OPS wallet private key
+ *   OPS_PRIVATE_KEY (or RELAYER_PRIVATE_KEY) - OPS wallet private key
+ *   RELAYER_PRIVATE_KEYS - comma-separated relayer keys (overrides the single key)
+ *   RELAYER_MIN_BALANCE_ETH - keys below this balance leave rotation (default 0.005)
  *   RPC_URL - Base Sepolia RPC
- *   WEBHOOK_SECRET - IBM webhook signature secret
+ *   TRAINING_REWARDS_FROM_BLOCK - TrainingRewards deploy block, where "already rewarded" lookups start
+ *   IBM_WEBHOOK_SECRET - IBM webhook signature secret
+ *   IBM_WEBHOOK_SECRETS - comma-separated active secrets, for rotation
+ *   WEBHOOK_TOLERANCE_SECONDS - max age of a signed delivery (default 300)
+ *   NODE_ENV=development - allows starting without a secret (unsigned
+ *                          webhooks accepted, /webhook/test enabled)
+ *   COMPLETION_LEDGER_PATH - completion ledger file (default scripts/webhook/data/completions.jsonl)
+ *   COURSE_CATALOG_PATH - course catalog file (default scripts/webhook/data/course-catalog.jsonl)
+ *   WEBHOOK_ADMIN_TOKEN - bearer token for /admin/* (admin API disabled when unset)
+ *   WORLD_ID_MODE, WORLD_ID_VERIFIER, ... - World ID gating, see scripts/lib/world-id-gate.js
+ *   METRICS_TOKEN - bearer token required on /metrics (open when unset)
+ *
+ * A completion may carry the learner's World ID proof as `data.world_id`
+ * ({ merkle_root, nullifier_hash, proof } from IDKit); it is verified before
+ * the reward is sent.
+ *
+ * Logs are JSON lines (scripts/lib/logger.js, LOG_LEVEL / LOG_FORMAT). Each
+ * delivery gets an X-Request-Id, echoed in the response and kept on its
+ * ledger record; every line about the completion carries it with the learner,
+ * courseId, campaignId and transaction hashes.
  */
 
 require("dotenv").config();
-const express = require("express");
 const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
 const { ethers } = require("ethers");
+const { CompletionLedger } = require("./completion-ledger");
+const { RelayerPool, keysFromEnv } = require("../relayer/relayer-pool");
+const { CourseCatalog, CourseCatalogError, checkCampaignBudget, DEFAULT_COURSE_ID } = require("../lib/course-catalog");
+const {
+  TrainingRewardPipeline,
+  TRAINING_CONTRACTS,
+  completionProof
+} = require("../lib/training-reward-pipeline");
+const { loadWebhookSecrets, verifyWebhookSignature } = require("./webhook-signature");
+const { WorldIdGate } = require("../lib/world-id-gate");
+const { Metrics, relayerPoolMetrics, receiptGasEth } = require("../lib/metrics");
+const { createLogger, logContext, withLogContext, addLogContext, requestIdMiddleware, REQUEST_ID_HEADER } = require("../lib/logger");
+
+const logger = createLogger("skillsbuild-webhook");
+const metrics = new Metrics({ prefix: "tolani_webhook_" });
+const rejectedSignatures = metrics.counter("rejected_signatures_total", "Webhook deliveries refused by signature check", ["reason"]);
+const completionOutcomes = metrics.counter("completions_total", "Completions processed, by outcome", ["status"]);
+const rewardDuration = metrics.histogram("reward_duration_seconds", "Time to reward a completion, session and reward confirmed");
+const confirmationTime = metrics.histogram("tx_confirmation_seconds", "Time from sending a relayer transaction to it being mined", ["kind"]);
+const gasSpent = metrics.counter("gas_spent_eth_total", "Gas paid by relayer keys, reverted transactions included", ["relayer", "kind"]);
 
 const app = express();
-app.use(express.json());
+app.use(requestIdMiddleware(logger));
+app.use(metrics.httpMiddleware());
+app.get("/metrics", metrics.handler());
+// Keep the exact bytes received - signatures are checked over those, not a re-serialised body
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// The training pages call the World ID endpoints from the browser
+app.use("/world-id", cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 
 // ==========================================
 // CONFIGURATION
 // ==========================================
 
 const PORT = process.env.WEBHOOK_PORT || 3001;
-const WEBHOOK_SECRET = process.env.IBM_WEBHOOK_SECRET || "dev-secret-change-me";
-
-// Base Sepolia contracts
-const CONTRACTS = {
-  uTUT: "0xf4758a12583F424B65CC860A2ff3D3B501cf591C",
-  SessionKeyRegistry: "0xD360F7c69c18dA78461BE5364cBC56C14b584607",
-  GasTreasuryModule: "0xC12035B044c5988E9977E50bA0913AEF4eec28F7",
-  TrainingRewards: "0x4d8FD67c3BAf949A9f7CfCE7830A9588CA0F13dC",
-  SessionInvoker: "0x7Eb46955704c7a75c6eA182A8b0E8C1ec2b06867"
-};
-
-// Course reward mappings (uTUT in micro-units, 6 decimals)
-const COURSE_REWARDS = {
-  // IBM SkillsBuild course IDs -> reward config
-  "cybersecurity-fundamentals": { reward: 2000000, tag: "Cyber" },
-  "ai-fundamentals": { reward: 3000000, tag: "AI" },
-  "data-science-101": { reward: 2500000, tag: "Data" },
-  "cloud-computing-basics": { reward: 2000000, tag: "Cloud" },
-  "blockchain-essentials": { reward: 3500000, tag: "Blockchain" },
-  "project-management": { reward: 2000000, tag: "PM" },
-  "design-thinking": { reward: 1500000, tag: "Design" },
-  "professional-skills": { reward: 1000000, tag: "Skills" },
-  // Training category mappings
-  "construction-safety": { reward: 2000000, tag: "Construction" },
-  "ai-cloud-training": { reward: 4000000, tag: "AI Cloud" },
-  "esg-fundamentals": { reward: 3000000, tag: "ESG" },
-  // Default for unknown courses
-  "default": { reward: 1000000, tag: "Training" }
-};
-
-// ABIs
-const SESSION_INVOKER_ABI = [
-  "function invokeTrainingReward(address sessionKey, string memory tag, uint256 reward, bytes32 courseHash) external",
-  "function hasRole(bytes32 role, address account) view returns (bool)"
-];
-
-const SESSION_REGISTRY_ABI = [
-  "function openSession(address sessionKey, string calldata tag, uint64 duration, uint16 maxActions) external",
-  "function getSession(address sessionKey) view returns (tuple(address owner, string tag, uint64 expiresAt, uint16 actionsRemaining))"
-];
-
-const UTUT_ABI = [
-  "function balanceOf(address account) view returns (uint256)"
-];
+const WEBHOOK_SECRETS = loadWebhookSecrets();
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+const DEV_MODE = process.env.NODE_ENV === "development";
+const ADMIN_TOKEN = process.env.WEBHOOK_ADMIN_TOKEN || "";
+
+// Fail closed: outside development, never run without a real secret
+if (WEBHOOK_SECRETS.length === 0 && !DEV_MODE) {
+  throw new Error("IBM_WEBHOOK_SECRET (or IBM_WEBHOOK_SECRETS) must be set; use NODE_ENV=development to run unsigned locally");
+}
 
 // ==========================================
-// PROVIDER & SIGNER SETUP
+// PROVIDER & REWARD PIPELINE
 // ==========================================
 
 const provider = new ethers.JsonRpcProvider(
   process.env.BASE_SEPOLIA_RPC || "https://sepolia.base.org"
 );
 
-// Check for OPS private key - allow dev mode without it
-const opsKey = process.env.OPS_PRIVATE_KEY || process.env.RELAYER_PRIVATE_KEY;
-let relayer = null;
-let sessionInvoker = null;
-let sessionRegistry = null;
-
-if (opsKey && opsKey.length >= 64) {
-  relayer = new ethers.Wallet(opsKey, provider);
-  // Contract instances
-  sessionInvoker = new ethers.Contract(CONTRACTS.SessionInvoker, SESSION_INVOKER_ABI, relayer);
-  sessionRegistry = new ethers.Contract(CONTRACTS.SessionKeyRegistry, SESSION_REGISTRY_ABI, relayer);
-} else {
-  console.log("⚠️  No OPS_PRIVATE_KEY set - running in READ-ONLY mode");
-  console.log("   Set OPS_PRIVATE_KEY in .env to enable reward processing");
+// OPS key, or a pool of relayer keys - allow dev mode without any
+// (the .env.example placeholder is not a key)
+const relayerKeys = keysFromEnv(["OPS_PRIVATE_KEY", "RELAYER_PRIVATE_KEY"]).filter((key) => key.length >= 64);
+const relayerPool = relayerKeys.length > 0
+  ? new RelayerPool(provider, relayerKeys, {
+      minBalance: ethers.parseEther(process.env.RELAYER_MIN_BALANCE_ETH || "0.005")
+    })
+  : null;
+
+if (!relayerPool) {
+  logger.warn("No OPS_PRIVATE_KEY set - running in READ-ONLY mode; set OPS_PRIVATE_KEY in .env to enable reward processing");
 }
 
-const uTUT = new ethers.Contract(CONTRACTS.uTUT, UTUT_ABI, provider);
+// Courses and their campaigns - managed through /admin/courses
+const catalog = new CourseCatalog();
+
+// Same session + reward path, ABIs and course catalog as the TrainingRelayer CLI
+const pipeline = new TrainingRewardPipeline({
+  provider,
+  pool: relayerPool,
+  catalog,
+  onGasSpent: (relayer, receipt, kind, waitSeconds) => {
+    gasSpent.inc({ relayer, kind }, receiptGasEth(receipt));
+    confirmationTime.observe({ kind }, waitSeconds);
+  }
+});
+if (relayerPool) relayerPoolMetrics(metrics, relayerPool);
+
+// Verified humans earn the multiplied reward, unverified learners are capped (WORLD_ID_MODE)
+const worldId = new WorldIdGate({ provider, rewards: pipeline.rewards, pool: relayerPool });
 
 // ==========================================
 // COMPLETION PROCESSING
 // ==========================================
 
-// In-memory store for processed completions (use Redis/DB in production)
-const processedCompletions = new Map();
+// Persistent record of every completion seen - survives restarts, rejects replays
+const ledger = new CompletionLedger();
+
+metrics.gauge("ledger_completions", "Completions in the ledger, by status", ["status"], (gauge) => {
+  for (const status of ["processing", "rewarded", "failed"]) gauge.set({ status }, ledger.count(status));
+});
 
 /**
- * Verify IBM webhook signature
+ * Verify IBM webhook signature over the raw request body
  */
-function verifySignature(payload, signature) {
-  if (WEBHOOK_SECRET === "dev-secret-change-me") {
-    console.log("⚠️  Using dev secret - signature validation disabled");
-    return true;
+function verifySignature(req) {
+  if (WEBHOOK_SECRETS.length === 0) {
+    logger.warn("Development mode without a secret - signature validation disabled");
+    return { valid: true };
   }
   
-  const expectedSignature = crypto
-    .createHmac("sha256", WEBHOOK_SECRET)
-    .update(JSON.stringify(payload))
-    .digest("hex");
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(signature || ""),
-    Buffer.from(`sha256=${expectedSignature}`)
+  return verifyWebhookSignature(
+    {
+      rawBody: req.rawBody,
+      signature: req.headers["x-hub-signature-256"] || req.headers["x-ibm-signature"],
+      timestamp: req.headers["x-webhook-timestamp"]
+    },
+    WEBHOOK_SECRETS,
+    { toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS }
   );
 }
 
 /**
- * Process a training completion
+ * Process a training completion, counted by outcome
  */
 async function processCompletion(data) {
-  const { walletAddress, courseId, completionId, timestamp } = data;
+  const fields = { learner: data.walletAddress, courseId: data.courseId, completionId: data.completionId };
+  return withLogContext(fields, async () => {
+    const rewarded = rewardDuration.startTimer();
+    const result = await handleCompletion(data);
+    completionOutcomes.inc({ status: result.status });
+    if (result.status === "success") rewarded();
+    return result;
+  });
+}
+
+async function handleCompletion(data) {
+  const { walletAddress, courseId, completionId, credentialId, worldIdProof, timestamp } = data;
   
   // Check if relayer is configured
-  if (!relayer || !sessionInvoker || !sessionRegistry) {
-    console.log(`\n⚠️  Cannot process - READ-ONLY mode (no OPS_PRIVATE_KEY)`);
+  if (!pipeline.canReward) {
+    logger.warn("Completion not processed - READ-ONLY mode (no OPS_PRIVATE_KEY)");
     return { status: "error", message: "Server in read-only mode - set OPS_PRIVATE_KEY" };
   }
   
-  // Check if already processed
-  const completionKey = `${walletAddress}-${courseId}-${completionId}`;
-  if (processedCompletions.has(completionKey)) {
-    return { status: "duplicate", message: "Completion already processed" };
+  // Campaign the course pays out of - the amount is set on-chain per campaign
+  const course = pipeline.resolveCourse(courseId);
+  if (!course) {
+    logger.info("Course is retired or not in the catalog", { catalogVersion: catalog.version });
+    return { status: "rejected", message: `Course ${courseId} is not rewarded`, catalogVersion: catalog.version };
   }
+  const { campaign, campaignId, tag } = course;
+  addLogContext({ campaign, campaignId });
   
-  // Get course reward config
-  const courseConfig = COURSE_REWARDS[courseId] || COURSE_REWARDS["default"];
-  const { reward, tag } = courseConfig;
+  // Claim the completion - refuses replays and completions already in flight
+  const { requestId } = logContext();
+  const { record, duplicate } = ledger.begin({ walletAddress, courseId, completionId, campaignId, tag, timestamp, requestId });
+  if (duplicate) {
+    logger.info("Duplicate completion", { completionStatus: record.status, txHash: record.rewardTxHash });
+    return {
+      status: "duplicate",
+      message: `Completion already ${record.status}`,
+      completionStatus: record.status,
+      txHash: record.rewardTxHash
+    };
+  }
   
-  console.log(`\n📚 Processing completion:`);
-  console.log(`   Student: ${walletAddress}`);
-  console.log(`   Course: ${courseId} (${tag})`);
-  console.log(`   Reward: ${reward / 1_000_000} uTUT`);
+  logger.info("Processing completion", { tag, attempt: record.attempts });
   
+  // World ID policy - a refused completion is left failed, so a later delivery can retry it
+  let gate;
   try {
-    // Step 1: Open session for the student
-    console.log(`\n1️⃣  Opening session for student...`);
-    const duration = 300; // 5 minutes
-    const maxActions = 1;
-    
-    const openTx = await sessionRegistry.openSession(
-      walletAddress,
-      tag,
-      duration,
-      maxActions
-    );
-    await openTx.wait(1);
-    console.log(`   ✅ Session opened: ${openTx.hash.slice(0, 16)}...`);
-    
-    // Step 2: Invoke training reward
-    console.log(`\n2️⃣  Invoking training reward...`);
-    const courseHash = ethers.keccak256(ethers.toUtf8Bytes(`${courseId}-${completionId}`));
-    
-    const rewardTx = await sessionInvoker.invokeTrainingReward(
-      walletAddress,
-      tag,
-      reward,
-      courseHash
-    );
-    await rewardTx.wait(1);
-    console.log(`   ✅ Reward sent: ${rewardTx.hash.slice(0, 16)}...`);
-    
-    // Check new balance
-    const balance = await uTUT.balanceOf(walletAddress);
-    console.log(`   💰 Student balance: ${Number(balance) / 1_000_000} uTUT`);
-    
-    // Mark as processed
-    processedCompletions.set(completionKey, {
-      txHash: rewardTx.hash,
-      reward,
-      tag,
-      timestamp: Date.now()
-    });
-    
-    return {
-      status: "success",
-      txHash: rewardTx.hash,
-      reward,
-      tag,
-      newBalance: Number(balance) / 1_000_000
-    };
-    
+    gate = await worldId.check({ learner: walletAddress, campaignId, worldIdProof });
   } catch (error) {
-    console.error(`\n❌ Error processing completion:`, error.message);
-    return {
-      status: "error",
-      message: error.message
-    };
+    gate = { allowed: false, reason: `World ID check failed: ${error.shortMessage || error.message}` };
+  }
+  if (gate.verifyTx) ledger.update(record.key, { worldIdTxHash: gate.verifyTx });
+  if (!gate.allowed) {
+    logger.warn("Completion not rewarded", { reason: gate.reason, verifyError: gate.verifyError, worldIdTxHash: gate.verifyTx });
+    ledger.markFailed(record.key, gate.reason);
+    return { status: "rejected", message: gate.reason, worldId: { verified: gate.verified, verifyError: gate.verifyError } };
+  }
+  if (gate.verified) {
+    logger.info("World ID verified", { multiplier: Number(gate.multiplierBps) / 10000, worldIdTxHash: gate.verifyTx });
   }
+  
+  const result = await pipeline.rewardCompletion({
+    learner: walletAddress,
+    courseId,
+    campaignId,
+    multiplierBps: gate.multiplierBps,
+    // Same inputs as the TrainingRelayer CLI, so both derive the same proof for a credential
+    completionProof: completionProof({ learner: walletAddress, campaignId, credentialId: credentialId || completionId }),
+    onTransaction: (stage, hash) => {
+      ledger.update(record.key, { [`${stage}TxHash`]: hash });
+      const label = { session: "Session opened", reward: "Reward sent", bonus: "World ID bonus sent" }[stage];
+      logger.info(label, { stage, txHash: hash });
+    }
+  });
+  
+  // Paid on-chain already (e.g. the ledger was lost, or only the bonus failed) -
+  // record it, never pay twice
+  if (result.reason === "AlreadyRewarded") {
+    ledger.update(record.key, { reward: result.reward, bonus: result.bonus ?? null });
+    ledger.markRewarded(record.key, result.rewardTx);
+    logger.info("Credential already rewarded on-chain", { txHash: result.rewardTx, bonus: result.bonus, bonusTxHash: result.bonusTx });
+    return { status: "duplicate", message: "Credential already rewarded on-chain", txHash: result.rewardTx, bonus: result.bonus ?? null };
+  }
+
+  // A verified learner whose bonus failed is left failed too, so a later
+  // delivery pays the missing bonus
+  if (!result.success) {
+    if (result.rewardTx) ledger.update(record.key, { reward: result.reward });
+    logger.error("Completion reward failed", { reason: result.reason, relayer: result.relayer, rewardTxHash: result.rewardTx });
+    ledger.markFailed(record.key, result.reason);
+    return { status: "error", message: result.reason, result };
+  }
+  
+  ledger.update(record.key, { reward: result.reward, bonus: result.bonus ?? null });
+  ledger.markRewarded(record.key, result.rewardTx);
+  
+  // Check new balance - the reward is settled, so a failed read must not fail it
+  const balance = await pipeline.balanceOf(walletAddress).catch(() => null);
+  logger.info("Completion rewarded", {
+    txHash: result.rewardTx,
+    reward: result.reward,
+    bonus: result.bonus,
+    relayer: result.relayer,
+    balance
+  });
+  
+  return {
+    status: "success",
+    txHash: result.rewardTx,
+    reward: result.reward,
+    bonus: result.bonus ?? null,
+    worldIdVerified: gate.verified,
+    tag,
+    newBalance: balance === null ? null : Number(balance),
+    result
+  };
 }
 
 // ==========================================
@@ -219,87 +301,108 @@ async function processCompletion(data) {
  * Health check
  */
 app.get("/health", async (req, res) => {
-  let balance = "0";
-  let relayerAddr = "Not configured";
-  
-  if (relayer) {
-    const relayerBalance = await provider.getBalance(relayer.address);
-    balance = ethers.formatEther(relayerBalance);
-    relayerAddr = relayer.address;
-  }
+  if (relayerPool) await relayerPool.refresh();
   
   res.json({
-    status: relayer ? "healthy" : "read-only",
-    relayer: relayerAddr,
-    balance,
-    contracts: CONTRACTS,
-    processedCount: processedCompletions.size
+    status: relayerPool ? "healthy" : "read-only",
+    relayers: relayerPool ? relayerPool.status() : [],
+    contracts: TRAINING_CONTRACTS,
+    processedCount: ledger.count("rewarded")
   });
 });
 
+/**
+ * Unexpected failure while processing a completion (reward failures come back
+ * as results): 502 when the chain could not be reached or read, 500 otherwise
+ */
+function completionError(res, error) {
+  logger.error("Completion processing failed", { error: error.shortMessage || error.message });
+  const status = error.shortMessage ? 502 : 500;
+  return res.status(status).json({ status: "error", message: error.shortMessage || error.message });
+}
+
 /**
  * IBM SkillsBuild webhook endpoint
  */
 app.post("/webhook/skillsbuild", async (req, res) => {
-  console.log("\n" + "=".repeat(50));
-  console.log("📩 Incoming webhook from IBM SkillsBuild");
-  console.log("=".repeat(50));
-  
   // Verify signature
-  const signature = req.headers["x-hub-signature-256"] || req.headers["x-ibm-signature"];
-  if (!verifySignature(req.body, signature)) {
-    console.log("❌ Invalid signature");
-    return res.status(401).json({ error: "Invalid signature" });
+  const verification = verifySignature(req);
+  if (!verification.valid) {
+    rejectedSignatures.inc({ reason: verification.reason });
+    logger.warn("Invalid webhook signature", { reason: verification.reason });
+    return res.status(401).json({ error: "Invalid signature", reason: verification.reason });
   }
   
   // Parse completion data
   const { event, data } = req.body;
   
   if (event !== "course.completed") {
-    console.log(`ℹ️  Ignoring event: ${event}`);
+    logger.info("Ignoring webhook event", { event });
     return res.json({ status: "ignored", event });
   }
   
   // Required fields
-  const { wallet_address, course_id, completion_id, timestamp } = data;
+  const { wallet_address, course_id, completion_id, credential_id, world_id, timestamp } = data;
   
   if (!wallet_address || !ethers.isAddress(wallet_address)) {
     return res.status(400).json({ error: "Invalid wallet address" });
   }
   
-  // Process completion
-  const result = await processCompletion({
-    walletAddress: wallet_address,
-    courseId: course_id,
-    completionId: completion_id || Date.now().toString(),
-    timestamp
-  });
+  // The completion id is the replay key - never invent one
+  if (!completion_id) {
+    return res.status(400).json({ error: "Missing completion_id" });
+  }
   
-  res.json(result);
+  // Process completion
+  try {
+    const result = await processCompletion({
+      walletAddress: wallet_address,
+      courseId: course_id,
+      completionId: String(completion_id),
+      credentialId: credential_id ? String(credential_id) : null,
+      worldIdProof: world_id || null,
+      timestamp
+    });
+    res.json(result);
+  } catch (error) {
+    completionError(res, error);
+  }
 });
 
 /**
- * Manual completion endpoint (for testing)
+ * Manual completion endpoint (for testing) - unauthenticated, so development only
  */
 app.post("/webhook/test", async (req, res) => {
-  console.log("\n" + "=".repeat(50));
-  console.log("🧪 Test completion webhook");
-  console.log("=".repeat(50));
+  if (!DEV_MODE) {
+    return res.status(404).json({ error: "Not found" });
+  }
   
-  const { walletAddress, courseId } = req.body;
+  logger.info("Test completion webhook");
+  
+  const { walletAddress, courseId, mockWorldId } = req.body;
   
   if (!walletAddress || !ethers.isAddress(walletAddress)) {
     return res.status(400).json({ error: "Invalid wallet address" });
   }
   
-  const result = await processCompletion({
-    walletAddress,
-    courseId: courseId || "ai-fundamentals",
-    completionId: `test-${Date.now()}`,
-    timestamp: new Date().toISOString()
-  });
-  
-  res.json(result);
+  try {
+    // `mockWorldId: true` attaches a proof only a MockWorldID-backed verifier accepts
+    let worldIdProof = null;
+    if (mockWorldId && worldId.enabled) {
+      worldIdProof = await worldId.mockProof(walletAddress, { root: 1n, nullifierHash: BigInt(ethers.hexlify(ethers.randomBytes(31))) });
+    }
+    
+    const result = await processCompletion({
+      walletAddress,
+      courseId: courseId || "ai-fundamentals",
+      completionId: `test-${Date.now()}`,
+      worldIdProof,
+      timestamp: new Date().toISOString()
+    });
+    res.json(result);
+  } catch (error) {
+    completionError(res, error);
+  }
 });
 
 /**
@@ -313,19 +416,26 @@ app.get("/status/:wallet", async (req, res) => {
   }
   
   try {
-    const balance = await uTUT.balanceOf(wallet);
+    const balance = await pipeline.balanceOf(wallet);
     
-    // Get user's processed completions
-    const userCompletions = [];
-    for (const [key, value] of processedCompletions) {
-      if (key.startsWith(wallet.toLowerCase())) {
-        userCompletions.push({ key, ...value });
-      }
-    }
+    const userCompletions = ledger.byWallet(wallet).map((record) => ({
+      courseId: record.courseId,
+      completionId: record.completionId,
+      status: record.status,
+      reward: record.reward ?? null,
+      tag: record.tag,
+      campaignId: record.campaignId,
+      txHash: record.rewardTxHash,
+      sessionTxHash: record.sessionTxHash,
+      error: record.error,
+      requestId: record.requestId ?? null,
+      receivedAt: new Date(record.receivedAt).toISOString(),
+      updatedAt: new Date(record.updatedAt).toISOString()
+    }));
     
     res.json({
       wallet,
-      uTUTBalance: Number(balance) / 1_000_000,
+      uTUTBalance: Number(balance),
       completions: userCompletions
     });
   } catch (error) {
@@ -334,43 +444,195 @@ app.get("/status/:wallet", async (req, res) => {
 });
 
 /**
- * List supported courses
+ * World ID status for the training pages: verified or not, and what the policy pays
  */
-app.get("/courses", (req, res) => {
-  const courses = Object.entries(COURSE_REWARDS)
-    .filter(([id]) => id !== "default")
-    .map(([id, config]) => ({
-      courseId: id,
-      reward: config.reward / 1_000_000,
-      tag: config.tag
-    }));
+app.get("/world-id/:wallet", async (req, res) => {
+  const { wallet } = req.params;
+  
+  if (!ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+  
+  try {
+    res.json({ wallet, ...(await worldId.status(wallet)) });
+  } catch (error) {
+    res.status(502).json({ error: error.shortMessage || error.message });
+  }
+});
+
+/**
+ * Verify a learner ahead of their completions with an IDKit proof. The proof
+ * is bound to the wallet (signal), so it cannot verify anyone else.
+ */
+app.post("/world-id/verify", async (req, res) => {
+  if (!worldId.enabled) {
+    return res.status(404).json({ error: "World ID is not enabled" });
+  }
+  
+  const { wallet, merkle_root, nullifier_hash, proof } = req.body;
+  
+  if (!wallet || !ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+  if (merkle_root === undefined || nullifier_hash === undefined || !proof) {
+    return res.status(400).json({ error: "merkle_root, nullifier_hash and proof are required" });
+  }
   
-  res.json({ courses });
+  const result = await worldId.verify(wallet, { merkle_root, nullifier_hash, proof });
+  if (!result.verified) {
+    logger.warn("World ID verification failed", { learner: wallet, reason: result.reason });
+    return res.status(422).json({ wallet, ...result });
+  }
+  logger.info("World ID verified", { learner: wallet, worldIdTxHash: result.txHash });
+  res.json({ wallet, ...result });
+});
+
+/**
+ * List supported courses with the reward their campaign pays
+ */
+app.get("/courses", async (req, res) => {
+  const courses = catalog.list().filter((course) => course.courseId !== DEFAULT_COURSE_ID);
+  
+  // The campaign decides the amount
+  const onChain = new Map();
+  for (const { campaignId } of courses) {
+    if (onChain.has(campaignId)) continue;
+    onChain.set(campaignId, await pipeline.getCampaign(campaignId).catch(() => null));
+  }
+  
+  res.json({
+    version: catalog.version,
+    courses: courses.map((course) => {
+      const reward = onChain.get(course.campaignId)?.reward;
+      return {
+        courseId: course.courseId,
+        title: course.title,
+        reward: reward ? Number(reward) : null,
+        tag: course.tag,
+        campaign: course.campaign,
+        campaignId: course.campaignId
+      };
+    })
+  });
+});
+
+// ==========================================
+// ADMIN: COURSE CATALOG
+// ==========================================
+
+/**
+ * Bearer WEBHOOK_ADMIN_TOKEN; the admin API is off when it is not set
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+function catalogError(res, error) {
+  if (error instanceof CourseCatalogError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  return res.status(502).json({ error: `Could not read campaign: ${error.shortMessage || error.message}` });
+}
+
+app.get("/admin/courses", requireAdmin, (req, res) => {
+  res.json({ version: catalog.version, courses: catalog.list({ includeRetired: true }) });
+});
+
+app.get("/admin/courses/history", requireAdmin, (req, res) => {
+  res.json({ version: catalog.version, changes: catalog.history(Number(req.query.limit) || 50) });
+});
+
+/**
+ * Add or update a course: { campaign | campaignId, tag?, title? }. Rejected
+ * unless the campaign is running and has budget left; it pays its own
+ * rewardPerCompletion.
+ */
+app.put("/admin/courses/:courseId", requireAdmin, async (req, res) => {
+  try {
+    const { course, campaign } = await catalog.upsert(
+      req.params.courseId,
+      req.body || {},
+      (campaignId) => checkCampaignBudget(pipeline.rewards, campaignId)
+    );
+    logger.info("Course updated", {
+      catalogVersion: catalog.version,
+      courseId: course.courseId,
+      campaign: course.campaign,
+      reward: campaign.reward
+    });
+    res.json({ version: catalog.version, course, campaign });
+  } catch (error) {
+    catalogError(res, error);
+  }
+});
+
+/**
+ * Retire a course - later completions for it are not rewarded
+ */
+app.delete("/admin/courses/:courseId", requireAdmin, (req, res) => {
+  try {
+    const course = catalog.retire(req.params.courseId);
+    logger.info("Course retired", { catalogVersion: catalog.version, courseId: course.courseId });
+    res.json({ version: catalog.version, course });
+  } catch (error) {
+    catalogError(res, error);
+  }
 });
 
 // ==========================================
 // START SERVER
 // ==========================================
 
-app.listen(PORT, () => {
-  console.log("\n" + "=".repeat(60));
-  console.log("🎓 IBM SKILLSBUILD WEBHOOK SERVER");
-  console.log("=".repeat(60));
-  console.log(`\n📡 Server running on port ${PORT}`);
-  console.log(`🔗 Health: http://localhost:${PORT}/health`);
-  console.log(`📚 Courses: http://localhost:${PORT}/courses`);
-  if (relayer) {
-    console.log(`\n👛 Relayer: ${relayer.address}`);
-    console.log(`   Mode: ACTIVE (can process rewards)`);
-  } else {
-    console.log(`\n👛 Relayer: NOT CONFIGURED`);
-    console.log(`   Mode: READ-ONLY (set OPS_PRIVATE_KEY to enable)`);
-  }
-  console.log(`\n📋 Contracts:`);
-  Object.entries(CONTRACTS).forEach(([name, addr]) => {
-    console.log(`   ${name}: ${addr}`);
+app.listen(PORT, async () => {
+  logger.info("IBM SkillsBuild webhook server listening", {
+    port: Number(PORT),
+    mode: relayerPool ? "active" : "read-only",
+    relayers: relayerPool ? relayerPool.addresses : [],
+    worldId: worldId.policy.mode,
+    worldIdVerifier: worldId.policy.verifier,
+    contracts: TRAINING_CONTRACTS
+  });
+  
+  if (relayerPool) await relayerPool.refresh();
+  
+  // The verified-human bonus is a grantDirectReward straight from the relayer key;
+  // without the role, verified learners' completions fail before anything is sent
+  if (relayerPool && worldId.enabled && worldId.policy.multiplierBps > 10000n) {
+    try {
+      const rewarderRole = await pipeline.rewards.REWARDER_ROLE();
+      for (const address of relayerPool.addresses) {
+        if (!(await pipeline.rewards.hasRole(rewarderRole, address))) {
+          logger.error("Relayer lacks REWARDER_ROLE on TrainingRewards - completions from World ID verified learners will fail; grant it with grant-relayer-roles.js", { relayer: address });
+        }
+      }
+    } catch (error) {
+      logger.warn("Could not check REWARDER_ROLE", { error });
+    }
+  }
+  
+  try {
+    const settled = await ledger.recover(provider);
+    if (settled.length > 0) {
+      logger.info("Settled interrupted completions from the ledger", { count: settled.length });
+    }
+  } catch (error) {
+    logger.warn("Ledger recovery deferred", { error });
+  }
+  logger.info("Ready for webhooks", {
+    completions: ledger.count(),
+    rewarded: ledger.count("rewarded"),
+    catalogVersion: catalog.version,
+    activeCourses: catalog.list().length
   });
-  console.log("\n⏳ Waiting for webhooks...\n");
 });
 
-module.exports = { app, processCompletion };
+module.exports = { app, processCompletion, ledger };
@@ -1,7 +1,13 @@
 /**
  * Test the webhook server locally
+ *
+ * /webhook/test needs the server running with NODE_ENV=development. With
+ * IBM_WEBHOOK_SECRET set, a signed /webhook/skillsbuild delivery is sent too.
  */
 
+require("dotenv").config();
+const { loadWebhookSecrets, signWebhook } = require("./webhook-signature");
+
 const BASE_URL = "http://localhost:3001";
 
 // Test wallet (use a test address)
@@ -46,7 +52,34 @@ async function testWebhook() {
   console.log(`   Status: ${completionResult.status}`);
   if (completionResult.txHash) {
     console.log(`   TX: ${completionResult.txHash}`);
-    console.log(`   Reward: ${completionResult.reward / 1_000_000} uTUT`);
+    console.log(`   Reward: ${completionResult.reward} uTUT`);
+  }
+  
+  // 3b. Signed delivery, exactly as IBM sends it
+  const [secret] = loadWebhookSecrets();
+  if (secret) {
+    console.log("\n3️⃣b Testing signed SkillsBuild delivery...");
+    const body = JSON.stringify({
+      event: "course.completed",
+      data: {
+        wallet_address: TEST_WALLET,
+        course_id: "ai-fundamentals",
+        completion_id: `signed-test-${Date.now()}`,
+        timestamp: new Date().toISOString()
+      }
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signed = await fetch(`${BASE_URL}/webhook/skillsbuild`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Timestamp": timestamp,
+        "X-Hub-Signature-256": signWebhook(secret, timestamp, body)
+      },
+      body
+    });
+    const signedResult = await signed.json();
+    console.log(`   HTTP ${signed.status}: ${signedResult.status || signedResult.error}`);
   }
   
   // 4. Check status
@@ -0,0 +1,62 @@
+/**
+ * SkillsBuild Webhook Signatures
+ *
+ * Deliveries are signed over the exact bytes received, never a re-serialised
+ * body, together with the send time so a captured request cannot be replayed:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Hub-Signature-256: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`)>
+ *
+ * Several secrets may be active at once (IBM_WEBHOOK_SECRETS, comma-separated)
+ * so a secret can be rotated without dropping deliveries signed with the old one.
+ */
+
+const crypto = require("crypto");
+
+const DEV_PLACEHOLDER_SECRETS = new Set(["dev-secret-change-me", "your-webhook-secret-here"]);
+
+/**
+ * Active secrets from the environment. Placeholders from .env.example never count.
+ * @returns {string[]}
+ */
+function loadWebhookSecrets(env = process.env) {
+  const configured = [...(env.IBM_WEBHOOK_SECRETS || "").split(","), env.IBM_WEBHOOK_SECRET || ""];
+  return [...new Set(configured.map((secret) => secret.trim()))].filter(
+    (secret) => secret && !DEV_PLACEHOLDER_SECRETS.has(secret)
+  );
+}
+
+function signWebhook(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+  return `sha256=${digest}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @param {object} request
+ * @param {Buffer|string} request.rawBody Body exactly as received
+ * @param {string} [request.signature] `sha256=<hex>` header value
+ * @param {string} [request.timestamp] Unix seconds header value
+ * @param {string[]} secrets
+ * @param {object} [options]
+ * @param {number} [options.toleranceSeconds] Max clock distance from now
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function verifyWebhookSignature({ rawBody, signature, timestamp }, secrets, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  if (!rawBody) return { valid: false, reason: "Missing body" };
+  if (!signature) return { valid: false, reason: "Missing signature" };
+  if (!timestamp || !/^\d+$/.test(timestamp)) return { valid: false, reason: "Missing or malformed timestamp" };
+
+  const skew = Math.abs(Math.floor(now / 1000) - Number(timestamp));
+  if (skew > toleranceSeconds) return { valid: false, reason: "Timestamp outside tolerance" };
+
+  const matched = secrets.some((secret) => safeEqual(signWebhook(secret, timestamp, rawBody), signature));
+  return matched ? { valid: true } : { valid: false, reason: "Signature mismatch" };
+}
+
+module.exports = { loadWebhookSecrets, signWebhook, verifyWebhookSignature };
@@ -0,0 +1,548 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const request = require("supertest");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { signPayload, webhookSecretHash } = require("../scripts/relayer/merchant-webhooks");
+
+const { ethers } = hre;
+
+const ADMIN_TOKEN = "test-admin-token";
+const uTUT = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * End-to-end tests for scripts/relayer/payment-relayer.js: the contracts are
+ * deployed to the in-process Hardhat network, which is served over JSON-RPC
+ * so the relayer talks to it exactly as it would to Base Sepolia. Payments go
+ * through /prepare -> EIP-712 signature -> /relay -> GET /jobs/:id.
+ * The relayer's environment is set in `before` and restored in `after`.
+ */
+describe("Payment relayer (end to end)", function () {
+  this.timeout(120000);
+
+  let server;
+  let savedEnv;
+  let dataDir;
+  let relayer;
+  let paymentRelayer;
+  let app;
+  let owner;
+  let merchant;
+  let payer;
+  let stranger;
+  let utut;
+  let registry;
+  let processor;
+  let merchantId;
+  let apiKey;
+
+  async function registerMerchant(name, businessId) {
+    const tx = await registry.registerMerchantDirect(name, businessId, 0, merchant.address, merchant.address, true, true, 0, "");
+    const receipt = await tx.wait();
+    return registry.interface.parseLog(receipt.logs[0]).args.merchantId;
+  }
+
+  async function issueApiKey(forMerchant) {
+    const res = await request(app)
+      .post("/admin/api-keys")
+      .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+      .send({ merchantId: forMerchant, label: "e2e" })
+      .expect(201);
+    return res.body.apiKey;
+  }
+
+  async function fundPayer(signer, amount = "1000") {
+    await (await utut.mint(signer.address, uTUT(amount))).wait();
+    await (await utut.connect(signer).approve(await processor.getAddress(), ethers.MaxUint256)).wait();
+  }
+
+  function prepare(body, key = apiKey) {
+    return request(app).post("/prepare").set("X-API-Key", key).send({ merchantId, memo: "e2e", ...body });
+  }
+
+  function relay(body, key = apiKey) {
+    return request(app).post("/relay").set("X-API-Key", key).send(body);
+  }
+
+  function newOrderId() {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+
+  /**
+   * /prepare a payment from `from`, sign the returned typed data as `signer`
+   * (the payer unless given) and build the /relay body.
+   */
+  async function signedPayment(amount, { from = payer, signer = from, forMerchant = merchantId, key = apiKey } = {}) {
+    const prepared = await prepare({ payer: from.address, merchantId: forMerchant, orderId: newOrderId(), amount }, key).expect(200);
+    const { domain, types, message } = prepared.body;
+    return { ...message, signature: await signer.signTypedData(domain, types, message) };
+  }
+
+  async function waitForJob(jobId) {
+    for (let i = 0; i < 60; i++) {
+      const { body } = await request(app).get(`/jobs/${jobId}`).expect(200);
+      if (body.status === "confirmed" || body.status === "failed") return body;
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+    throw new Error(`Job ${jobId} did not settle`);
+  }
+
+  before(async function () {
+    [owner, merchant, payer, stranger] = await ethers.getSigners();
+
+    utut = await ethers.deployContract("uTUTSimple", [owner.address, uTUT("1000000000")]);
+    const tut = await ethers.deployContract("MockBridgedTUT");
+    registry = await ethers.deployContract("MerchantRegistry", [owner.address]);
+    processor = await ethers.deployContract("TolaniPaymentProcessor", [
+      await utut.getAddress(),
+      await tut.getAddress(),
+      await registry.getAddress(),
+      owner.address,
+      owner.address,
+    ]);
+    await registry.grantRole(await registry.REGISTRAR_ROLE(), await processor.getAddress());
+    await utut.grantRole(await utut.MINTER_ROLE(), owner.address);
+    merchantId = await registerMerchant("Cafe", "B-1");
+    await fundPayer(payer);
+
+    relayer = ethers.Wallet.createRandom();
+    await owner.sendTransaction({ to: relayer.address, value: ethers.parseEther("10") });
+    await processor.addRelayer(relayer.address);
+
+    server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 0,
+      provider: hre.network.provider,
+    });
+    const { port } = await server.listen();
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "payment-relayer-"));
+    savedEnv = { ...process.env };
+    Object.assign(process.env, {
+      BASE_SEPOLIA_RPC_URL: `http://127.0.0.1:${port}`,
+      POS_CHAIN_ID: String(hre.network.config.chainId),
+      PAYMENT_PROCESSOR_ADDRESS: await processor.getAddress(),
+      MERCHANT_REGISTRY_ADDRESS: await registry.getAddress(),
+      UTUT_ADDRESS: await utut.getAddress(),
+      TUT_ADDRESS: await tut.getAddress(),
+      RELAYER_DATA_DIR: dataDir,
+      RELAYER_PRIVATE_KEYS: relayer.privateKey,
+      RELAYER_ADMIN_TOKEN: ADMIN_TOKEN,
+      MERCHANT_WEBHOOK_POLL_MS: "200",
+      MERCHANT_WEBHOOK_ALLOW_LOCAL: "true",
+      LOG_LEVEL: "error",
+    });
+
+    paymentRelayer = require("../scripts/relayer/payment-relayer");
+    app = paymentRelayer.app;
+    await paymentRelayer.start();
+
+    apiKey = await issueApiKey(merchantId);
+  });
+
+  after(async function () {
+    paymentRelayer?.stop();
+    await server?.close();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    if (savedEnv) {
+      for (const key of Object.keys(process.env)) {
+        if (!(key in savedEnv)) delete process.env[key];
+      }
+      Object.assign(process.env, savedEnv);
+    }
+  });
+
+  it("relays a signed payment and confirms it on-chain", async function () {
+    const nonce = await processor.getNonce(payer.address);
+    const body = await signedPayment("5");
+    const accepted = await relay(body).expect(202);
+    expect(accepted.body.jobId).to.be.a("string");
+
+    const job = await waitForJob(accepted.body.jobId);
+    expect(job.status).to.equal("confirmed");
+    expect(job.paymentId).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await processor.getNonce(payer.address)).to.equal(nonce + 1n);
+
+    const payment = await processor.getPayment(job.paymentId);
+    expect(payment.payer).to.equal(payer.address);
+    expect(payment.amount).to.equal(uTUT("5"));
+
+    const order = await request(app).get(`/orders/${merchantId}/${body.orderId}`).expect(200);
+    expect(order.body.job.jobId).to.equal(accepted.body.jobId);
+    expect(order.body.onChain.status).to.equal("Completed");
+    expect(order.body.onChain.matchesOrder).to.equal(true);
+  });
+
+  it("answers a repeated /relay for the same order with the original job", async function () {
+    const body = await signedPayment("1");
+    const first = await relay(body).expect(202);
+    await waitForJob(first.body.jobId);
+
+    const again = await relay(body).expect(200);
+    expect(again.body.duplicate).to.equal(true);
+    expect(again.body.jobId).to.equal(first.body.jobId);
+  });
+
+  it("refuses /prepare and /relay without a valid API key", async function () {
+    await request(app).post("/prepare").send({ payer: payer.address, merchantId }).expect(401);
+    await relay({ merchantId }, "tpk_000000000000_invalid").expect(401);
+  });
+
+  it("refuses a payment whose deadline has passed", async function () {
+    const prepared = await prepare({ payer: payer.address, orderId: newOrderId(), amount: "1" }).expect(200);
+    const { domain, types, message } = prepared.body;
+    const expired = { ...message, deadline: String(Math.floor(Date.now() / 1000) - 60) };
+    const signature = await payer.signTypedData(domain, types, expired);
+
+    const res = await relay({ ...expired, signature }).expect(400);
+    expect(res.body.error).to.equal("Signature expired");
+  });
+
+  it("refuses a payment signed by someone other than the payer", async function () {
+    const body = await signedPayment("1", { signer: stranger });
+
+    const res = await relay(body).expect(400);
+    expect(res.body.error).to.equal("Signature does not match payer for these payment fields");
+    expect(res.body.recovered).to.equal(stranger.address);
+  });
+
+  it("refuses a payment whose fields were changed after signing", async function () {
+    const body = await signedPayment("1");
+
+    const res = await relay({ ...body, amount: uTUT("2").toString() }).expect(400);
+    expect(res.body.recovered).to.not.equal(payer.address);
+  });
+
+  it("refuses payments once the payer's daily gasless limit is used up", async function () {
+    // Prepared while there is still room, signed once the limit is gone
+    const early = await prepare({ payer: payer.address, orderId: newOrderId(), amount: "1" }).expect(200);
+
+    const remaining = await processor.getRemainingDailyLimit(payer.address);
+    const body = await signedPayment(ethers.formatUnits(remaining, 6));
+    const job = await waitForJob((await relay(body).expect(202)).body.jobId);
+    expect(job.status).to.equal("confirmed");
+    expect(await processor.getRemainingDailyLimit(payer.address)).to.equal(0n);
+
+    const res = await prepare({ payer: payer.address, orderId: newOrderId(), amount: "1" }).expect(400);
+    expect(res.body.error).to.equal("Daily gasless limit exceeded");
+    expect(res.body.remainingLimit).to.equal("0");
+
+    // A payment signed without a fresh /prepare is stopped by the simulation
+    const { domain, types, message } = early.body;
+    const late = { ...message, nonce: (await processor.getNonce(payer.address)).toString() };
+    const simulated = await relay({ ...late, signature: await payer.signTypedData(domain, types, late) }).expect(400);
+    expect(simulated.body.error).to.equal("DailyLimitExceeded");
+    expect(simulated.body.simulated).to.equal(true);
+  });
+
+  it("refuses payments to a suspended merchant", async function () {
+    const kioskId = await registerMerchant("Kiosk", "B-2");
+    const kioskKey = await issueApiKey(kioskId);
+    await fundPayer(stranger);
+    const body = await signedPayment("1", { from: stranger, forMerchant: kioskId, key: kioskKey });
+
+    await registry.suspendMerchant(kioskId);
+
+    const prepared = await prepare(
+      { payer: stranger.address, merchantId: kioskId, orderId: newOrderId(), amount: "1" },
+      kioskKey
+    ).expect(400);
+    expect(prepared.body.error).to.equal("Merchant not active");
+
+    const relayed = await relay(body, kioskKey).expect(400);
+    expect(relayed.body.error).to.equal("Merchant not active");
+  });
+
+  describe("checkout tokens", function () {
+    let checkoutPayer;
+
+    function checkout(body, key = apiKey) {
+      return request(app).post("/checkout").set("X-API-Key", key).send({ merchantId, ...body });
+    }
+
+    before(async function () {
+      checkoutPayer = (await ethers.getSigners())[11];
+      await fundPayer(checkoutPayer);
+    });
+
+    it("prepares and relays the one order it was issued for, without the API key", async function () {
+      const orderId = newOrderId();
+      const { body: issued } = await checkout({ orderId, amount: "3" }).expect(201);
+      expect(issued.checkoutToken).to.match(/^tco_/);
+
+      const prepared = await request(app)
+        .post("/prepare")
+        .set("X-Checkout-Token", issued.checkoutToken)
+        .send({ payer: checkoutPayer.address, merchantId, orderId, amount: "3", memo: "e2e" })
+        .expect(200);
+      const { domain, types, message } = prepared.body;
+      const body = { ...message, signature: await checkoutPayer.signTypedData(domain, types, message) };
+
+      const accepted = await request(app).post("/relay").set("X-Checkout-Token", issued.checkoutToken).send(body).expect(202);
+      expect((await waitForJob(accepted.body.jobId)).status).to.equal("confirmed");
+    });
+
+    it("refuses other orders, amounts and tokens", async function () {
+      const orderId = newOrderId();
+      const { body: issued } = await checkout({ orderId, amount: "3" }).expect(201);
+      const prepare = (fields) =>
+        request(app)
+          .post("/prepare")
+          .set("X-Checkout-Token", issued.checkoutToken)
+          .send({ payer: checkoutPayer.address, merchantId, orderId, amount: "3", ...fields });
+
+      const otherOrder = await prepare({ orderId: newOrderId() }).expect(403);
+      expect(otherOrder.body.error).to.equal("Checkout token is not valid for this order");
+      const otherAmount = await prepare({ amount: "0.000001" }).expect(403);
+      expect(otherAmount.body.error).to.equal("Payment does not match the checkout");
+      await prepare({ tokenSymbol: "TUT", amount: "3" }).expect(403);
+
+      // Nor can it stand in for the API key anywhere else
+      await request(app)
+        .post("/checkout")
+        .set("X-Checkout-Token", issued.checkoutToken)
+        .send({ merchantId, orderId: newOrderId(), amount: "1" })
+        .expect(401);
+    });
+  });
+
+  describe("API key gas budget", function () {
+    it("reserves gas for queued payments, so a burst cannot overspend the budget", async function () {
+      const payers = (await ethers.getSigners()).slice(7, 11);
+      const bodies = [];
+      for (const signer of payers) {
+        await fundPayer(signer);
+        bodies.push(await signedPayment("1", { from: signer }));
+      }
+
+      // What one payment reserves: simulated gas plus the relayer's 20% margin, at the max fee
+      const { payer: from, merchantId: id, token, amount, orderId, memo, deadline, signature } = bodies[0];
+      const gas = await ethers.provider.estimateGas({
+        from: relayer.address,
+        to: await processor.getAddress(),
+        data: processor.interface.encodeFunctionData("payWithSignature", [from, id, token, amount, orderId, memo, deadline, signature]),
+      });
+      const { maxFeePerGas } = await ethers.provider.getFeeData();
+      const budget = (((gas * 120n) / 100n) * maxFeePerGas * 5n) / 2n;
+      const { body: limited } = await request(app)
+        .post("/admin/api-keys")
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .send({ merchantId, label: "budget", dailyGasBudgetEth: ethers.formatEther(budget) })
+        .expect(201);
+
+      // One burst, checked while the first payments are still queued
+      const responses = await Promise.all(bodies.map((body) => relay(body, limited.apiKey)));
+      const accepted = responses.filter((res) => res.status === 202);
+      const refused = responses.filter((res) => res.status === 429);
+      expect(accepted).to.have.length(2);
+      expect(refused).to.have.length(2);
+      expect(refused[0].body.error).to.match(/^Daily gas budget/);
+
+      for (const res of accepted) expect((await waitForJob(res.body.jobId)).status).to.equal("confirmed");
+      const { body: listed } = await request(app)
+        .get("/admin/api-keys")
+        .query({ merchantId })
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(200);
+      const { today } = listed.keys.find((key) => key.keyId === limited.key.keyId);
+      expect(today.transactions).to.equal(2);
+      expect(today.gasReserved).to.equal("0.0");
+      expect(ethers.parseEther(today.gasSpent) <= budget).to.equal(true);
+    });
+  });
+
+  describe("permits", function () {
+    it("relays a payment whose allowance comes from a permit signed with it", async function () {
+      const permitPayer = (await ethers.getSigners())[4];
+      await (await utut.mint(permitPayer.address, uTUT("100"))).wait();
+
+      const prepared = await prepare({ payer: permitPayer.address, orderId: newOrderId(), amount: "5" }).expect(200);
+      const { domain, types, message, permit } = prepared.body;
+      expect(permit.message.value).to.equal(uTUT("5").toString());
+
+      const body = {
+        ...message,
+        signature: await permitPayer.signTypedData(domain, types, message),
+        permit: {
+          value: permit.message.value,
+          deadline: permit.message.deadline,
+          signature: await permitPayer.signTypedData(permit.domain, permit.types, permit.message),
+        },
+      };
+      const job = await waitForJob((await relay(body).expect(202)).body.jobId);
+      expect(job.status).to.equal("confirmed");
+      expect(await utut.balanceOf(permitPayer.address)).to.equal(uTUT("95"));
+      expect(await utut.allowance(permitPayer.address, await processor.getAddress())).to.equal(0n);
+    });
+
+    it("refuses a permit signed by someone other than the payer", async function () {
+      const permitPayer = (await ethers.getSigners())[4];
+      const prepared = await prepare({ payer: permitPayer.address, orderId: newOrderId(), amount: "5" }).expect(200);
+      const { domain, types, message, permit } = prepared.body;
+
+      const res = await relay({
+        ...message,
+        signature: await permitPayer.signTypedData(domain, types, message),
+        permit: {
+          value: permit.message.value,
+          deadline: permit.message.deadline,
+          signature: await stranger.signTypedData(permit.domain, permit.types, permit.message),
+        },
+      }).expect(400);
+      expect(res.body.error).to.equal("Permit signature does not match payer");
+      expect(res.body.recovered).to.equal(stranger.address);
+    });
+  });
+
+  describe("ERC-1271 payers", function () {
+    let walletOwner;
+    let wallet;
+
+    before(async function () {
+      walletOwner = (await ethers.getSigners())[5];
+      wallet = await ethers.deployContract("MockERC1271Wallet", [walletOwner.address]);
+      wallet.address = await wallet.getAddress();
+      await (await utut.mint(wallet.address, uTUT("100"))).wait();
+      await (await wallet.connect(walletOwner).approve(await utut.getAddress(), await processor.getAddress(), ethers.MaxUint256)).wait();
+    });
+
+    it("relays a payment the wallet validates", async function () {
+      const body = await signedPayment("5", { from: wallet, signer: walletOwner });
+
+      const job = await waitForJob((await relay(body).expect(202)).body.jobId);
+      expect(job.status).to.equal("confirmed");
+      expect((await processor.getPayment(job.paymentId)).payer).to.equal(wallet.address);
+      expect(await utut.balanceOf(wallet.address)).to.equal(uTUT("95"));
+    });
+
+    it("refuses a payment the wallet does not validate", async function () {
+      const body = await signedPayment("5", { from: wallet, signer: stranger });
+
+      const res = await relay(body).expect(400);
+      expect(res.body.error).to.equal("Signature does not match payer for these payment fields");
+    });
+  });
+
+  describe("merchant webhooks", function () {
+    let receiver;
+    let received;
+    let hookUrl;
+
+    const upperCaseId = () => `0x${merchantId.slice(2).toUpperCase()}`;
+
+    /** Owner-signed authorization for a webhook change, via the message endpoint. */
+    async function authorizeWebhook(id, action, { url = "", secret = null } = {}) {
+      const query = { action, url, ...(secret ? { secretHash: webhookSecretHash(secret) } : {}) };
+      const { body } = await request(app).get(`/merchant/${id}/webhook/message`).query(query).expect(200);
+      return { expires: body.expires, signature: await merchant.signMessage(body.message) };
+    }
+
+    before(async function () {
+      received = [];
+      receiver = http.createServer((req, res) => {
+        let rawBody = "";
+        req.on("data", (chunk) => (rawBody += chunk));
+        req.on("end", () => {
+          received.push({ headers: req.headers, rawBody });
+          res.end("ok");
+        });
+      });
+      await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+      hookUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    after(async function () {
+      await new Promise((resolve) => receiver?.close(resolve));
+    });
+
+    it("treats merchantIds in any case as the same merchant", async function () {
+      const secret = "casing-secret-0123456789";
+      const url = "http://127.0.0.1/casing";
+      const auth = await authorizeWebhook(upperCaseId(), "register", { url, secret });
+      const registered = await request(app)
+        .put(`/merchant/${upperCaseId()}/webhook`)
+        .send({ url, secret, ...auth })
+        .expect(200);
+      expect(registered.body.url).to.equal(url);
+
+      await request(app)
+        .get(`/merchant/${merchantId.toLowerCase()}/webhook/deliveries`)
+        .set("Authorization", `Bearer ${secret}`)
+        .expect(200);
+    });
+
+    it("accepts each signed authorization once", async function () {
+      const secret = "replay-secret-0123456789";
+      const url = "http://127.0.0.1/replay";
+      const body = { url, secret, ...(await authorizeWebhook(merchantId, "register", { url, secret })) };
+      await request(app).put(`/merchant/${merchantId}/webhook`).send(body).expect(200);
+
+      const replayed = await request(app).put(`/merchant/${merchantId}/webhook`).send(body).expect(401);
+      expect(replayed.body.error).to.equal("Authorization already used");
+    });
+
+    it("refuses internal URLs without using up the authorization", async function () {
+      const secret = "internal-secret-0123456789";
+      const url = "https://169.254.169.254/latest/meta-data";
+      const body = { url, secret, ...(await authorizeWebhook(merchantId, "register", { url, secret })) };
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const res = await request(app).put(`/merchant/${merchantId}/webhook`).send(body).expect(400);
+        expect(res.body.error).to.equal("Webhook URL must point to a public address");
+      }
+
+      const privateUrl = "https://10.0.0.8/hooks";
+      const auth = await authorizeWebhook(merchantId, "register", { url: privateUrl, secret });
+      await request(app).put(`/merchant/${merchantId}/webhook`).send({ url: privateUrl, secret, ...auth }).expect(400);
+    });
+
+    it("refuses an authorization for a different secret", async function () {
+      const url = "http://127.0.0.1/other";
+      const auth = await authorizeWebhook(merchantId, "register", { url, secret: "signed-secret-0123456789" });
+
+      const res = await request(app)
+        .put(`/merchant/${merchantId}/webhook`)
+        .send({ url, secret: "another-secret-0123456789", ...auth })
+        .expect(401);
+      expect(res.body.error).to.equal("Signature is not from the merchant owner");
+    });
+
+    it("delivers a signed payment.processed event for a relayed payment", async function () {
+      const secret = "delivery-secret-0123456789";
+      const auth = await authorizeWebhook(merchantId, "register", { url: hookUrl, secret });
+      await request(app).put(`/merchant/${merchantId}/webhook`).send({ url: hookUrl, secret, ...auth }).expect(200);
+
+      const hookPayer = (await ethers.getSigners())[6];
+      await fundPayer(hookPayer);
+      const body = await signedPayment("2", { from: hookPayer });
+      const job = await waitForJob((await relay(body).expect(202)).body.jobId);
+      expect(job.status).to.equal("confirmed");
+
+      for (let i = 0; i < 60 && received.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 250));
+      }
+      expect(received).to.have.length(1);
+      const [{ headers, rawBody }] = received;
+      const timestamp = headers["x-tolani-signature"].match(/^t=(\d+),/)[1];
+      expect(headers["x-tolani-signature"]).to.equal(signPayload(secret, timestamp, rawBody));
+      expect(headers["x-tolani-event"]).to.equal("payment.processed");
+
+      const event = JSON.parse(rawBody);
+      expect(event.merchantId).to.equal(merchantId.toLowerCase());
+      expect(event.data.paymentId).to.equal(job.paymentId);
+      expect(event.data.orderId).to.equal(body.orderId);
+    });
+
+    it("removes a webhook with a signature over the current secret", async function () {
+      const stale = await authorizeWebhook(merchantId, "unregister", { secret: "replay-secret-0123456789" });
+      await request(app).delete(`/merchant/${merchantId}/webhook`).send(stale).expect(401);
+
+      const auth = await authorizeWebhook(merchantId, "unregister", { secret: "delivery-secret-0123456789" });
+      await request(app).delete(`/merchant/${upperCaseId()}/webhook`).send(auth).expect(200);
+      await request(app).delete(`/merchant/${merchantId}/webhook`).send(auth).expect(404);
+    });
+  });
+});
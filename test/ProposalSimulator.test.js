@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  loadProposal,
+  simulateProposal,
+  toMarkdown,
+  ROLE_NAMES,
+} = require("../scripts/simulation/proposal-simulator");
+
+const { ethers } = hre;
+
+/**
+ * Tests for scripts/simulation/proposal-simulator.js, run directly on the
+ * in-process Hardhat network rather than a fork: the simulator only needs a
+ * Hardhat network holding the Governor, Timelock and the proposal's targets.
+ */
+describe("Proposal simulator", function () {
+  let token;
+  let timelock;
+  let governor;
+  let treasury;
+  let owner;
+  let recipient;
+
+  async function propose(targets, values, calldatas, description) {
+    const receipt = await (await governor.propose(targets, values, calldatas, description)).wait();
+    const log = receipt.logs.find((entry) => entry.address === governor.target);
+    return governor.interface.parseLog(log).args.proposalId;
+  }
+
+  function simulate(actions) {
+    return simulateProposal(hre.network.provider, { governor: governor.target, ...actions });
+  }
+
+  before(async function () {
+    [owner, recipient] = await ethers.getSigners();
+
+    token = await ethers.deployContract("TUTTokenReference", [
+      owner.address,
+      ethers.parseEther("50000000"),
+      ethers.parseEther("100000000"),
+    ]);
+    timelock = await ethers.deployContract("TolaniEcosystemTimelock", [3600, [], [], owner.address]);
+    governor = await ethers.deployContract("TolaniEcosystemGovernor", [token.target, timelock.target]);
+    treasury = await ethers.deployContract("TolaniTreasury", [timelock.target]);
+
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.target);
+    await token.transfer(treasury.target, ethers.parseEther("5000"));
+    await owner.sendTransaction({ to: treasury.target, value: ethers.parseEther("2") });
+    await token.delegate(owner.address);
+    await hre.network.provider.send("evm_mine");
+  });
+
+  it("reports the balance and role changes of actions run as the Timelock, then restores state", async function () {
+    const actions = {
+      targets: [treasury.target, treasury.target, timelock.target],
+      values: [0n, 0n, 0n],
+      calldatas: [
+        treasury.interface.encodeFunctionData("withdrawTokens", [token.target, recipient.address, ethers.parseEther("1000")]),
+        treasury.interface.encodeFunctionData("withdrawFunds", [recipient.address, ethers.parseEther("1")]),
+        timelock.interface.encodeFunctionData("grantRole", [await timelock.PROPOSER_ROLE(), recipient.address]),
+      ],
+      description: "# Fund the grants pool\n\nBody",
+    };
+    const proposalId = await propose(actions.targets, actions.values, actions.calldatas, actions.description);
+    const recipientEth = await ethers.provider.getBalance(recipient.address);
+
+    const result = await simulate({ ...actions, proposalId: proposalId.toString() });
+
+    expect(result.status).to.equal("success");
+    expect(result.state).to.equal("Pending");
+    expect(result.timelock).to.equal(timelock.target);
+    expect(result.actions.map((action) => action.status)).to.deep.equal(["success", "success", "success"]);
+
+    const change = (tokenAddress, account) =>
+      result.balanceChanges.find((entry) => entry.token === tokenAddress && entry.account === account)?.change;
+    expect(change(token.target, treasury.target)).to.equal(ethers.parseEther("-1000").toString());
+    expect(change(token.target, recipient.address)).to.equal(ethers.parseEther("1000").toString());
+    expect(change(null, treasury.target)).to.equal(ethers.parseEther("-1").toString());
+    expect(change(null, recipient.address)).to.equal(ethers.parseEther("1").toString());
+    expect(change(null, timelock.target)).to.equal(undefined);
+
+    expect(result.roleChanges).to.deep.equal([
+      {
+        contract: timelock.target,
+        role: await timelock.PROPOSER_ROLE(),
+        roleName: "PROPOSER_ROLE",
+        account: recipient.address,
+        change: "granted",
+      },
+    ]);
+
+    expect(await token.balanceOf(recipient.address)).to.equal(0n);
+    expect(await ethers.provider.getBalance(recipient.address)).to.equal(recipientEth);
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), recipient.address)).to.equal(false);
+
+    const markdown = toMarkdown(result);
+    expect(markdown).to.include(`### Simulation of proposal ${proposalId}`);
+    expect(markdown).to.include("all 3 action(s) succeeded");
+    expect(markdown).to.include(`| PROPOSER_ROLE | \`${recipient.address}\` | granted |`);
+  });
+
+  it("stops at the first action that reverts and reports why", async function () {
+    const result = await simulate({
+      targets: [treasury.target, treasury.target],
+      values: [0n, 0n],
+      calldatas: [
+        treasury.interface.encodeFunctionData("withdrawFunds", [recipient.address, ethers.parseEther("100")]),
+        treasury.interface.encodeFunctionData("withdrawTokens", [token.target, recipient.address, 1n]),
+      ],
+      description: "Overdraw",
+    });
+
+    expect(result.status).to.equal("reverted");
+    expect(result.state).to.equal(null);
+    expect(result.revert).to.include({ index: 0, reason: "Insufficient balance" });
+    expect(result.actions.map((action) => action.status)).to.deep.equal(["reverted", "skipped"]);
+    expect(result.balanceChanges).to.deep.equal([]);
+    expect(toMarkdown(result)).to.include("action #1 reverted (Insufficient balance)");
+  });
+
+  it("refuses actions that do not hash to the given proposal id", async function () {
+    const calldata = token.interface.encodeFunctionData("transfer", [recipient.address, 1n]);
+    const proposalId = await propose([token.target], [0n], [calldata], "Real");
+
+    await expect(
+      simulate({ targets: [token.target], values: [0n], calldatas: [calldata], description: "Forged", proposalId: proposalId.toString() })
+    ).to.be.rejectedWith(/hash to proposal/);
+  });
+
+  it("loads a proposal's actions from its ProposalCreated event", async function () {
+    const calldata = token.interface.encodeFunctionData("transfer", [recipient.address, 5n]);
+    const proposalId = await propose([token.target], [0n], [calldata], "# Loaded\n\nFrom the event");
+
+    const proposal = await loadProposal(ethers.provider, governor.target, proposalId.toString());
+
+    expect(proposal).to.include({ proposalId: proposalId.toString(), description: "# Loaded\n\nFrom the event" });
+    expect(proposal.targets).to.deep.equal([token.target]);
+    expect(proposal.values).to.deep.equal(["0"]);
+    expect(proposal.calldatas).to.deep.equal([calldata]);
+  });
+
+  it("names every role declared in contracts/", function () {
+    const declared = new Set();
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(file);
+        else if (entry.name.endsWith(".sol")) {
+          const source = fs.readFileSync(file, "utf8");
+          for (const [, name] of source.matchAll(/bytes32\s+(?:(?:public|internal|private)\s+)?constant\s+(\w+_ROLE)\b/g)) {
+            declared.add(name);
+          }
+        }
+      }
+    };
+    walk(path.join(__dirname, "..", "contracts"));
+
+    expect(declared.size).to.be.greaterThan(0);
+    expect(ROLE_NAMES).to.include.members([...declared]);
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const uTUT = (amount) => ethers.parseUnits(amount, 6);
+const TUT = (amount) => ethers.parseEther(amount);
+
+const PAYMENT_TYPES = {
+  Payment: [
+    { name: "payer", type: "address" },
+    { name: "merchantId", type: "bytes32" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "orderId", type: "bytes32" },
+    { name: "memo", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+describe("TolaniPaymentProcessor", function () {
+  let owner;
+  let merchant;
+  let payer;
+  let utut;
+  let tut;
+  let registry;
+  let processor;
+  let merchantId;
+
+  async function deadline() {
+    return BigInt((await ethers.provider.getBlock("latest")).timestamp + 3600);
+  }
+
+  /**
+   * Payment fields for `token` from `from` (an address holder: signer or
+   * wallet contract), signed by `signer` over the payer's current nonce.
+   */
+  async function signedPayment(token, amount, { from = payer, signer = payer } = {}) {
+    const payment = {
+      payer: from.address,
+      merchantId,
+      token: await token.getAddress(),
+      amount,
+      orderId: ethers.hexlify(ethers.randomBytes(32)),
+      memo: "test",
+      deadline: await deadline(),
+    };
+    const domain = {
+      name: "TolaniPayments",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await processor.getAddress(),
+    };
+    const nonce = await processor.getNonce(from.address);
+    const signature = await signer.signTypedData(domain, PAYMENT_TYPES, { ...payment, nonce });
+    return [payment.payer, payment.merchantId, payment.token, payment.amount, payment.orderId, payment.memo, payment.deadline, signature];
+  }
+
+  /** ERC-2612 permit for the processor, split for payWithPermit. */
+  async function signedPermit(token, value, { signer = payer } = {}) {
+    const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+    const permit = {
+      owner: payer.address,
+      spender: await processor.getAddress(),
+      value,
+      nonce: await token.nonces(payer.address),
+      deadline: await deadline(),
+    };
+    const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, PERMIT_TYPES, permit);
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { value, deadline: permit.deadline, v, r, s };
+  }
+
+  beforeEach(async function () {
+    [owner, merchant, payer] = await ethers.getSigners();
+
+    utut = await ethers.deployContract("uTUTSimple", [owner.address, uTUT("1000000000")]);
+    tut = await ethers.deployContract("MockBridgedTUT");
+    registry = await ethers.deployContract("MerchantRegistry", [owner.address]);
+    processor = await ethers.deployContract("TolaniPaymentProcessor", [
+      await utut.getAddress(),
+      await tut.getAddress(),
+      await registry.getAddress(),
+      owner.address,
+      owner.address,
+    ]);
+    await registry.grantRole(await registry.REGISTRAR_ROLE(), await processor.getAddress());
+    await utut.grantRole(await utut.MINTER_ROLE(), owner.address);
+
+    const tx = await registry.registerMerchantDirect("Cafe", "B-1", 0, merchant.address, merchant.address, true, true, 0, "");
+    merchantId = registry.interface.parseLog((await tx.wait()).logs[0]).args.merchantId;
+
+    await utut.mint(payer.address, uTUT("1000"));
+    await tut.transfer(payer.address, TUT("1000"));
+  });
+
+  describe("payWithPermit", function () {
+    it("sets the allowance and pays in one transaction", async function () {
+      const amount = TUT("25");
+      const permit = await signedPermit(tut, amount);
+
+      await expect(processor.payWithPermit(...(await signedPayment(tut, amount)), permit)).to.emit(
+        processor,
+        "PaymentProcessed"
+      );
+      expect(await tut.balanceOf(payer.address)).to.equal(TUT("975"));
+      expect(await tut.allowance(payer.address, await processor.getAddress())).to.equal(0n);
+    });
+
+    it("pays when the permit was already submitted by someone else", async function () {
+      const amount = uTUT("5");
+      const permit = await signedPermit(utut, amount);
+      await utut.permit(payer.address, await processor.getAddress(), permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+      await expect(processor.payWithPermit(...(await signedPayment(utut, amount)), permit)).to.emit(
+        processor,
+        "PaymentProcessed"
+      );
+    });
+
+    it("reverts with the token's error when the permit fails and no allowance is in place", async function () {
+      const amount = uTUT("5");
+      const permit = await signedPermit(utut, amount, { signer: merchant });
+
+      const reason = utut.interface.encodeErrorResult("ERC2612InvalidSigner", [merchant.address, payer.address]);
+      await expect(processor.payWithPermit(...(await signedPayment(utut, amount)), permit))
+        .to.be.revertedWithCustomError(processor, "PermitFailed")
+        .withArgs(reason);
+    });
+
+    it("is restricted to relayers", async function () {
+      const amount = uTUT("5");
+      const permit = await signedPermit(utut, amount);
+
+      await expect(
+        processor.connect(merchant).payWithPermit(...(await signedPayment(utut, amount)), permit)
+      ).to.be.revertedWithCustomError(processor, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("gasless TUT", function () {
+    it("counts TUT at face value against the daily limit", async function () {
+      const amount = TUT("40");
+      await tut.connect(payer).approve(await processor.getAddress(), ethers.MaxUint256);
+
+      await processor.payWithSignature(...(await signedPayment(tut, amount)));
+      expect(await processor.getRemainingDailyLimit(payer.address)).to.equal(uTUT("60"));
+
+      await expect(processor.payWithSignature(...(await signedPayment(tut, TUT("60.000001")))))
+        .to.be.revertedWithCustomError(processor, "DailyLimitExceeded");
+    });
+  });
+
+  describe("ERC-1271 payers", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = await ethers.deployContract("MockERC1271Wallet", [payer.address]);
+      wallet.address = await wallet.getAddress();
+      await utut.mint(wallet.address, uTUT("100"));
+      await wallet.connect(payer).approve(await utut.getAddress(), await processor.getAddress(), ethers.MaxUint256);
+    });
+
+    it("accepts a payment the wallet validates", async function () {
+      await expect(processor.payWithSignature(...(await signedPayment(utut, uTUT("5"), { from: wallet }))))
+        .to.emit(processor, "GaslessPayment")
+        .withArgs(anyValue, wallet.address, owner.address);
+      expect(await utut.balanceOf(wallet.address)).to.equal(uTUT("95"));
+      expect(await processor.getNonce(wallet.address)).to.equal(1n);
+    });
+
+    it("rejects a payment the wallet does not validate", async function () {
+      await expect(
+        processor.payWithSignature(...(await signedPayment(utut, uTUT("5"), { from: wallet, signer: merchant })))
+      ).to.be.revertedWithCustomError(processor, "InvalidSignature");
+    });
+  });
+});